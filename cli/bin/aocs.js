@@ -1,13 +1,13 @@
 #!/usr/bin/env node
 
-// AOCS-ROLE: ui-binding
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: command-line arguments
 // AOCS-OUTPUTS: terminal output, exit code
 // @module: aocs-cli
 // @exports: none (CLI entry point)
-// @depends: ../src/index.js, fs, path, readline
+// @depends: ../src/index.js, fs, path, url, readline
 
-import { validate } from '../src/index.js';
+import { validate, watchProject, baselineProject, listProjectFiles, installHook, fixProject, migrateProject, report, formatResults, formatTiming, formatWatchRun, outputFormats } from '../src/index.js';
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -19,6 +19,39 @@ const __dirname = dirname(__filename);
 const args = process.argv.slice(2);
 const command = args[0];
 
+// Flags that consume the following argument as their value
+const valueFlags = new Set(['--format', '--output', '--mode', '--to', '--concurrency', '--changed-since']);
+
+// @contract: (argv:str[]) -> {positionals:str[], flags:object}
+// @pure: true
+// AOCS-INVARIANT: "--flag=value" and "--flag value" parse identically
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (valueFlags.has(name)) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${name} requires a value`);
+      }
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positionals, flags };
+}
+
 // @contract: () -> Promise<string>
 // @pure: false
 async function getVersion() {
@@ -28,21 +61,58 @@ async function getVersion() {
 }
 
 // @contract: () -> void
-// @pure: true
+// @pure: false
 function showHelp() {
   console.log(`
 AOCS Validator v0.8.0
 
 Usage:
   aocs validate [path]     Validate an AOCS project (default: current directory)
-  aocs validate --fix      Auto-fix violations (not yet implemented)
+  aocs validate --fix      Fix mechanically fixable violations, then validate
+  aocs ls-files [path]     List the files validate would check, then what was excluded and why
+  aocs migrate --to <ver>  Upgrade aocs.json and source annotations to an AOCS version
+  aocs baseline [path]     Record current violations in aocs-baseline.json; validate then fails only on new ones
+  aocs hooks install       Install a git pre-commit hook that runs validate --staged
   aocs init                Initialize aocs.json and README.agent.md
   aocs --version           Show version
   aocs --help              Show this help
 
+Validate options:
+  --format <name>          Output format: ${outputFormats.join(', ')} (default: text)
+  --output <file>          Write the report to a file instead of stdout
+  --dry-run                With --fix, print a unified diff instead of writing files
+  --mode <lite|strict>     Apply this rule profile instead of the aocs.json mode for one run
+  --no-cache               Check every file, ignoring results saved in .aocs-cache/
+  --watch                  Re-validate on every change and print new and resolved violations
+  --no-baseline            Report every violation, including those recorded in aocs-baseline.json
+  --staged                 Check only files staged for commit (repository-level rules still run)
+  --changed-since <ref>    Check only files changed since a git ref, plus untracked files
+  --timing                 Print how long each rule took (to stderr)
+  --concurrency <n>        Rules run at once (default 4); 1 gives each rule's cost in isolation
+
+Migrate options:
+  --to <version>           Target AOCS version, e.g. 0.8 (required)
+  --dry-run                Print a unified diff instead of writing files
+
+Baseline options:
+  --mode <lite|strict>     Record the violations this rule profile reports
+
+Hooks options:
+  --force                  Replace a pre-commit hook that aocs did not write
+
 Examples:
   aocs validate
   aocs validate /path/to/project
+  aocs validate --format sarif --output aocs.sarif
+  aocs validate --fix --dry-run
+  aocs validate --mode lite
+  aocs validate --timing
+  aocs validate --watch
+  aocs validate --changed-since main
+  aocs ls-files
+  aocs migrate --to 0.8 --dry-run
+  aocs baseline
+  aocs hooks install
   aocs init
 `);
 }
@@ -113,18 +183,182 @@ This repo follows AOCS v0.8. See aocs.json for constraints.
   }
 }
 
-// @contract: (path:str, fix:bool) -> Promise<void>
+// @contract: (projectPath:str, flags:{--fix?:bool, --dry-run?:bool, --format?:str, --output?:str, --mode?:str, --timing?:bool, --concurrency?:str, --no-cache?:bool, --no-baseline?:bool, --watch?:bool, --staged?:bool, --changed-since?:str}) -> Promise<void>
 // @pure: false
-async function runValidate(projectPath, fix = false) {
-  if (fix) {
-    console.log('⚠️  Auto-fix not yet implemented\n');
+// AOCS-FAILS-ON: unknown --format or --mode value, --concurrency not a positive integer, --watch with --format, --output or --no-cache
+// AOCS-FAILS-ON: --staged with --changed-since, either with --watch, git unable to list changes
+async function runValidate(projectPath, flags) {
+  const format = flags['--format'] || 'text';
+  const output = flags['--output'];
+
+  if (!outputFormats.includes(format)) {
+    throw new Error(`Unknown format "${format}". Expected one of: ${outputFormats.join(', ')}`);
+  }
+  if (flags['--watch'] && (format !== 'text' || output)) {
+    throw new Error('--watch prints to the terminal; drop --format and --output');
+  }
+  if (flags['--watch'] && flags['--no-cache']) {
+    throw new Error('--watch re-checks changed files through the result cache; drop --no-cache');
+  }
+  if (flags['--staged'] && flags['--changed-since'] !== undefined) {
+    throw new Error('--staged and --changed-since are mutually exclusive');
+  }
+  if (flags['--watch'] && (flags['--staged'] || flags['--changed-since'] !== undefined)) {
+    throw new Error('--watch already re-checks only what changed; drop --staged and --changed-since');
+  }
+
+  if (flags['--fix']) {
+    const dryRun = Boolean(flags['--dry-run']);
+    // Config errors fall through to validate(), which reports them
+    const { changed, errors } = await fixProject(projectPath, { dryRun });
+    if (dryRun && errors.length === 0) {
+      process.stdout.write(changed.map(c => c.diff).join(''));
+      process.exit(0);
+    }
+    // Status goes to stderr so machine-readable reports on stdout stay clean
+    for (const c of changed) {
+      console.error(`🔧 ${c.file}: ${c.fixes.join('; ')}`);
+    }
+    console.error(`Fixed ${changed.length} file(s)\n`);
   }
   
-  const result = await validate(projectPath);
+  const concurrency = flags['--concurrency'] === undefined ? undefined : Number(flags['--concurrency']);
+  if (flags['--watch']) {
+    return runWatch(projectPath, flags, concurrency);
+  }
+
+  // Plain text to stdout keeps the streaming reporter; everything else is rendered once
+  const streaming = format === 'text' && !output;
+  const result = await validate(projectPath, {
+    reporter: streaming ? report : null,
+    mode: flags['--mode'],
+    concurrency,
+    cache: !flags['--no-cache'],
+    baseline: !flags['--no-baseline'],
+    staged: Boolean(flags['--staged']),
+    changedSince: flags['--changed-since']
+  });
+
+  if (!streaming) {
+    const meta = { version: await getVersion() };
+    if (result.profile) meta.profile = result.profile;
+    if (result.baseline) meta.baseline = result.baseline;
+    const rendered = formatResults(result.results, format, meta);
+    if (output) {
+      await writeFile(output, rendered + '\n', 'utf-8');
+    } else {
+      console.log(rendered);
+    }
+  }
+
+  // stderr, like --fix status, so reports on stdout stay machine-readable
+  if (flags['--timing'] && result.timing) {
+    console.error(`\n${formatTiming(result.timing)}`);
+  }
   
   process.exit(result.failed > 0 ? 1 : 0);
 }
 
+// @contract: (projectPath:str, flags:{--mode?:str, --timing?:bool}, concurrency:num|undefined) -> Promise<void>
+// @pure: false
+// AOCS-INVARIANT: the first run prints the full report; later runs print only what changed, until Ctrl+C
+async function runWatch(projectPath, flags, concurrency) {
+  const watcher = watchProject(projectPath, {
+    mode: flags['--mode'],
+    concurrency,
+    onRun: run => {
+      if (run.diff === null) {
+        report(run.result.results, run.result.profile ? { profile: run.result.profile } : {});
+        console.log('\nWatching for changes (Ctrl+C to stop)');
+      } else {
+        console.log(`\n[${new Date().toLocaleTimeString()}] ${formatWatchRun(run)}`);
+      }
+      if (flags['--timing'] && run.result.timing) {
+        console.error(`\n${formatTiming(run.result.timing)}`);
+      }
+    },
+    onError: err => console.error(`Error: ${err.message}`)
+  });
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+  await watcher.ready;
+}
+
+// @contract: (projectPath:str, flags:{--mode?:str}) -> Promise<void>
+// @pure: false
+// AOCS-FAILS-ON: aocs.json or a plugin fails to load
+async function runBaseline(projectPath, flags) {
+  const { file, entries, errors } = await baselineProject(projectPath, { mode: flags['--mode'], cache: true });
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`Error: ${e}`));
+    process.exit(1);
+  }
+  console.log(`Wrote ${file} with ${entries} violation(s). Commit it; validate now fails only on new violations.`);
+}
+
+// @contract: (subcommand:str|undefined, projectPath:str, flags:{--force?:bool}) -> Promise<void>
+// @pure: false
+// AOCS-FAILS-ON: a subcommand other than install, not a git work tree, or a foreign pre-commit hook without --force
+async function runHooks(subcommand, projectPath, flags) {
+  if (subcommand !== 'install') {
+    throw new Error('Usage: aocs hooks install [path] [--force]');
+  }
+  const { file, replaced, errors } = await installHook(projectPath, { force: Boolean(flags['--force']) });
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`Error: ${e}`));
+    process.exit(1);
+  }
+  console.log(`${replaced ? 'Replaced' : 'Installed'} ${file}; commits now run aocs validate --staged`);
+}
+
+// @contract: (projectPath:str) -> Promise<void>
+// @pure: false
+async function runListFiles(projectPath) {
+  const { files, excluded, errors } = await listProjectFiles(projectPath);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`Error: ${e}`));
+    process.exit(1);
+  }
+
+  files.forEach(f => console.log(f));
+  if (excluded.length > 0) {
+    const width = Math.max(...excluded.map(e => e.path.length));
+    console.log(`\nExcluded (${excluded.length}):`);
+    excluded.forEach(e => console.log(`  ${e.path.padEnd(width)}  ${e.reason}`));
+  }
+  console.log(`\n${files.length} file(s) will be validated`);
+}
+
+// @contract: (projectPath:str, flags:{--to?:str, --dry-run?:bool}) -> Promise<void>
+// @pure: false
+// AOCS-FAILS-ON: missing --to, unknown versions, downgrades
+async function runMigrate(projectPath, flags) {
+  if (typeof flags['--to'] !== 'string') {
+    throw new Error('migrate requires --to <version>, e.g. --to 0.8');
+  }
+  const dryRun = Boolean(flags['--dry-run']);
+  const result = await migrateProject(projectPath, { to: flags['--to'], dryRun });
+  if (result.errors.length > 0) {
+    result.errors.forEach(e => console.error(`Error: ${e}`));
+    process.exit(1);
+  }
+
+  if (result.changed.length === 0) {
+    console.log(`Already at AOCS ${result.to}; nothing to migrate`);
+  } else if (dryRun) {
+    process.stdout.write(result.changed.map(c => c.diff).join(''));
+  } else {
+    for (const c of result.changed) {
+      console.log(`🔧 ${c.file}: ${c.changes.join('; ')}`);
+    }
+    console.log(`\nMigrated from AOCS ${result.from} to ${result.to} (${result.changed.length} file(s) changed)`);
+  }
+  // Notes go to stderr so a dry-run diff on stdout stays applicable
+  result.notes.forEach(n => console.error(`⚠️  ${n}`));
+}
+
 // Main
 (async () => {
   try {
@@ -144,12 +378,35 @@ async function runValidate(projectPath, fix = false) {
       process.exit(0);
     }
     
+    if (command === 'ls-files') {
+      const { positionals } = parseArgs(args.slice(1));
+      await runListFiles(positionals[0] || process.cwd());
+      process.exit(0);
+    }
+    
+    if (command === 'migrate') {
+      const { positionals, flags } = parseArgs(args.slice(1));
+      await runMigrate(positionals[0] || process.cwd(), flags);
+      process.exit(0);
+    }
+    
+    if (command === 'baseline') {
+      const { positionals, flags } = parseArgs(args.slice(1));
+      await runBaseline(positionals[0] || process.cwd(), flags);
+      process.exit(0);
+    }
+    
+    if (command === 'hooks') {
+      const { positionals, flags } = parseArgs(args.slice(1));
+      await runHooks(positionals[0], positionals[1] || process.cwd(), flags);
+      process.exit(0);
+    }
+    
     if (command === 'validate') {
-      const hasFix = args.includes('--fix');
-      const pathArg = args[1]; // First arg after 'validate'
-      const projectPath = pathArg && !pathArg.startsWith('--') ? pathArg : process.cwd();
+      const { positionals, flags } = parseArgs(args.slice(1));
+      const projectPath = positionals[0] || process.cwd();
       
-      await runValidate(projectPath, hasFix);
+      await runValidate(projectPath, flags);
     } else {
       console.error(`Unknown command: ${command}`);
       console.error('Run `aocs --help` for usage information');
@@ -1,23 +1,52 @@
-// AOCS-ROLE: pure-logic
-// AOCS-INPUTS: projectPath, config
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: projectPath, config, site manifest
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/aocs-json
 // @exports: checkAocsJson
-// @depends: core/config
+// @depends: fs, path, core/standard, core/versions, core/json-locate
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { loadStandardFile } from '../core/standard.js';
+import { checkVersion } from '../core/versions.js';
+import { locateJson } from '../core/json-locate.js';
+
+// @contract: (projectPath:str) -> Promise<num|null>
+// @pure: false
+// AOCS-INVARIANT: null when aocs.json cannot be read or parsed again
+async function versionLine(projectPath) {
+  try {
+    const text = (await readFile(join(projectPath, 'aocs.json'), 'utf-8')).replace(/^\uFEFF/, '');
+    JSON.parse(text);
+    const found = locateJson(text).get('/aocsVersion');
+    return found ? found.line : null;
+  } catch (err) {
+    return null;
+  }
+}
 
 // @contract: (projectPath:str, config:object|null, files:str[]) -> Promise<object>
-// @pure: true
+// @pure: false
 // @complexity: O(1)
-// AOCS-INVARIANT: returns {violations: object[]}
+// AOCS-INVARIANT: returns {violations: object[], warnings: object[]}; an older released aocsVersion only warns
 export async function checkAocsJson(projectPath, config, files) {
   const violations = [];
-  
+  const warnings = [];
+
   // Config errors are violations
   if (!config) {
     violations.push({
       message: 'aocs.json missing or invalid'
     });
+    return { violations, warnings };
+  }
+
+  const verdict = checkVersion(config.aocsVersion, await loadStandardFile('manifest.json'));
+  if (verdict) {
+    const line = await versionLine(projectPath);
+    const v = line ? { file: 'aocs.json', line, message: verdict.message } : { message: verdict.message };
+    (verdict.level === 'error' ? violations : warnings).push(v);
   }
-  
-  return { violations };
+
+  return { violations, warnings };
 }
@@ -0,0 +1,84 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/contract-signatures
+// @exports: checkContractSignatures
+// @depends: path, core/js-parser, core/contract-grammar, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, functionTags } from '../core/js-parser.js';
+import { parseContract } from '../core/contract-grammar.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFunction(fn) {
+  if (fn.name) return fn.className ? `${fn.className}.${fn.name}` : fn.name;
+  return 'anonymous function';
+}
+
+// @contract: (contract:object, fn:object) -> str[]
+// @pure: true
+// AOCS-INVARIANT: destructured and unnamed parameters are only counted, never name-checked
+function compareSignature(contract, fn) {
+  const problems = [];
+  const name = describeFunction(fn);
+
+  if (contract.params.length !== fn.params.length) {
+    problems.push(`@contract declares ${contract.params.length} parameter(s) but ${name} takes ${fn.params.length}`);
+    return problems;
+  }
+
+  contract.params.forEach((cp, i) => {
+    const fp = fn.params[i];
+    if (cp.name && !fp.pattern && cp.name !== fp.name) {
+      problems.push(`@contract parameter ${i + 1} is "${cp.name}" but ${name} declares "${fp.name}"`);
+    }
+  });
+
+  return problems;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+export async function checkContractSignatures(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+  const warnings = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const rel = relative(projectPath, file);
+
+      for (const fn of parsed.functions) {
+        const tag = functionTags(parsed, fn).find(t => t.tag === '@contract');
+        if (!tag) continue;
+
+        const contract = parseContract(tag.value);
+        if (!contract.ok) {
+          violations.push({ file: rel, line: tag.line, message: `Malformed @contract for ${describeFunction(fn)}: ${contract.error}` });
+          continue;
+        }
+
+        for (const message of compareSignature(contract, fn)) {
+          violations.push({ file: rel, line: fn.line, message });
+        }
+
+        if (fn.async && !/^Promise\s*</.test(contract.returns)) {
+          warnings.push({
+            file: rel,
+            line: tag.line,
+            message: `async ${describeFunction(fn)} should declare a Promise<…> return in its @contract (found "${contract.returns}")`
+          });
+        }
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations, warnings };
+}
@@ -1,47 +1,24 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/contracts
 // @exports: checkContracts
-// @depends: fs, path
+// @depends: path, core/js-parser, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { extname, relative } from 'path';
+import { parseSource, leadingComments, readTags } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
 
-// @contract: (lines:str[], idx:num) -> bool
+// @contract: (parsed:object, fn:object) -> bool
 // @pure: true
-function hasContractAbove(lines, idx) {
-  // Check up to 5 lines above
-  const start = Math.max(0, idx - 5);
-  for (let i = start; i < idx; i++) {
-    if (lines[i].includes('@contract')) {
-      return true;
-    }
-  }
-  return false;
-}
-
-// @contract: (line:str) -> bool
-// @pure: true
-function isExportedFunction(line) {
-  // Only check for explicitly exported functions
-  // AOCS requires @contract on exported functions, not internal ones
-  if (line.includes('export') && (
-    line.includes('function') ||
-    /export\s+(const|let|var)\s+\w+\s*=\s*(async\s*)?\(/.test(line) ||
-    /export\s+(const|let|var)\s+\w+\s*=\s*(async\s*)?function/.test(line) ||
-    /export\s+async\s+function/.test(line)
-  )) {
-    return true;
-  }
-  
-  return false;
+function hasContractAbove(parsed, fn) {
+  return readTags(leadingComments(parsed, fn.line)).some(t => t.tag === '@contract');
 }
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-// @complexity: O(n*m) where n=files, m=lines per file
-export async function checkContracts(projectPath, config, files) {
+// @complexity: O(n*t) where n=files, t=tokens per file
+export async function checkContracts(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   // Only check JS/TS files for now
@@ -52,38 +29,16 @@ export async function checkContracts(projectPath, config, files) {
   
   for (const file of jsFiles) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n');
-      
-      let inMultilineComment = false;
-      let inClass = false;
+      const parsed = await cache.parse(file, parseSource);
       
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-        
-        // Track multiline comments
-        if (trimmed.includes('/*')) inMultilineComment = true;
-        if (trimmed.includes('*/')) inMultilineComment = false;
-        
-        // Skip comments and blank lines
-        if (inMultilineComment || trimmed.startsWith('//') || trimmed.length === 0) {
-          continue;
-        }
-        
-        // Track class scope
-        if (/^(export\s+)?class\s+/.test(trimmed)) {
-          inClass = true;
-        }
-        
-        if (isExportedFunction(line)) {
-          if (!hasContractAbove(lines, i)) {
-            violations.push({
-              file: relative(projectPath, file),
-              line: i + 1,
-              message: 'Exported function missing @contract annotation'
-            });
-          }
+      // AOCS requires @contract on exported functions, not internal ones
+      for (const fn of parsed.functions) {
+        if (fn.exported && !hasContractAbove(parsed, fn)) {
+          violations.push({
+            file: relative(projectPath, file),
+            line: fn.line,
+            message: 'Exported function missing @contract annotation'
+          });
         }
       }
     } catch (err) {
@@ -0,0 +1,113 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/depends-drift
+// @exports: checkDependsDrift
+// @depends: path, core/js-parser, core/file-cache
+
+import { dirname, extname, relative, resolve } from 'path';
+import { parseSource, readManifestList } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// @contract: (p:str) -> str
+// @pure: true
+// AOCS-INVARIANT: `core/config.js`, `core/config` and `core/config/index.js` normalize alike
+function normalizeModulePath(p) {
+  return p
+    .replace(/\\/g, '/')
+    .replace(/\.(m|c)?(j|t)sx?$/, '')
+    .replace(/\/index$/, '');
+}
+
+// @contract: (specifier:str) -> str
+// @pure: true
+// AOCS-INVARIANT: `node:fs` and `fs/promises` both belong to `fs`; `@scope/pkg/sub` to `@scope/pkg`
+function packageName(specifier) {
+  const bare = specifier.replace(/^node:/, '');
+  const parts = bare.split('/');
+  return bare.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+// @contract: (declared:str, file:str) -> (spec:{specifier:str, target:str|null}) -> bool
+// @pure: true
+// AOCS-INVARIANT: short names match the trailing path segments of a relative import's target
+function dependencyMatcher(declared, file) {
+  if (declared.startsWith('.')) {
+    const target = normalizeModulePath(resolve(dirname(file), declared));
+    return spec => spec.target === target;
+  }
+
+  const name = normalizeModulePath(declared.replace(/^node:/, ''));
+  if (name.endsWith('/*')) {
+    const dir = `/${name.slice(0, -2)}`;
+    return spec => spec.target !== null && dirname(spec.target).endsWith(dir);
+  }
+
+  return spec => spec.target === null
+    ? spec.specifier.replace(/^node:/, '') === name || packageName(spec.specifier) === name
+    : spec.target.endsWith(`/${name}`);
+}
+
+// @contract: (parsed:object, file:str) -> {specifier:str, target:str|null, line:num}[]
+// @pure: true
+function staticDependencies(parsed, file) {
+  const sources = [
+    ...parsed.imports.map(i => ({ specifier: i.source, line: i.line })),
+    ...parsed.exports.filter(e => e.source).map(e => ({ specifier: e.source, line: e.line }))
+  ];
+
+  const seen = new Set();
+  const deps = [];
+  for (const { specifier, line } of sources) {
+    if (!specifier || seen.has(specifier)) continue;
+    seen.add(specifier);
+    const target = specifier.startsWith('.') || specifier.startsWith('/')
+      ? normalizeModulePath(resolve(dirname(file), specifier))
+      : null;
+    deps.push({ specifier, target, line });
+  }
+  return deps;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*d*i) where n=files, d=declared deps, i=imports per file
+export async function checkDependsDrift(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const manifest = readManifestList(parsed, '@depends');
+      if (!manifest) continue;
+
+      const rel = relative(projectPath, file);
+      const deps = staticDependencies(parsed, file);
+      const declared = manifest.names.map(name => ({ name, matches: dependencyMatcher(name, file) }));
+
+      for (const { name, matches } of declared) {
+        if (deps.some(matches)) continue;
+        violations.push({
+          file: rel,
+          line: manifest.line,
+          message: `@depends lists "${name}" but the file never imports it`
+        });
+      }
+
+      for (const dep of deps) {
+        if (declared.some(d => d.matches(dep))) continue;
+        violations.push({
+          file: rel,
+          line: dep.line,
+          message: `Import "${dep.specifier}" is not declared in @depends`
+        });
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations };
+}
@@ -0,0 +1,64 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/exports-drift
+// @exports: checkExportsDrift
+// @depends: path, core/js-parser, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, readManifestList } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+export async function checkExportsDrift(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const manifest = readManifestList(parsed, '@exports');
+      if (!manifest) continue;
+
+      const rel = relative(projectPath, file);
+      const declared = new Set(manifest.names);
+      // `export * from` can supply any name, so listed names cannot be proven missing
+      const hasStarReexport = parsed.exports.some(e => e.kind === 'reexport-all');
+      const actual = new Map();
+      for (const e of parsed.exports) {
+        if (e.kind === 'reexport-all' || actual.has(e.name)) continue;
+        actual.set(e.name, e);
+      }
+
+      for (const [name, e] of actual) {
+        // `export default function main` may be listed as either `default` or `main`
+        if (declared.has(name) || (name === 'default' && e.local && declared.has(e.local))) continue;
+        violations.push({
+          file: rel,
+          line: e.line,
+          message: manifest.none
+            ? `"${name}" is exported but @exports declares none`
+            : `"${name}" is exported but not listed in @exports`
+        });
+      }
+
+      if (hasStarReexport) continue;
+      const defaultLocal = actual.get('default')?.local;
+      for (const name of declared) {
+        if (actual.has(name) || name === defaultLocal) continue;
+        violations.push({
+          file: rel,
+          line: manifest.line,
+          message: `@exports lists "${name}" but the file does not export it`
+        });
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations };
+}
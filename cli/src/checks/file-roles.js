@@ -1,12 +1,12 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/file-roles
 // @exports: checkFileRoles
-// @depends: fs, path
+// @depends: path, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { extname, relative } from 'path';
+import { createFileCache } from '../core/file-cache.js';
 
 const validRoles = new Set([
   'pure-logic',
@@ -37,20 +37,19 @@ function extractRole(line, ext) {
   return null;
 }
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
 // @complexity: O(n*m) where n=files, m=lines per file (max 15 for HTML, 5 for others)
-export async function checkFileRoles(projectPath, config, files) {
+export async function checkFileRoles(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   for (const file of files) {
     try {
-      const content = await readFile(file, 'utf-8');
       const ext = extname(file);
       
       // HTML files may have AOCS-ROLE inside multi-line comment blocks
       const maxLines = (ext === '.html' || ext === '.htm') ? 15 : 5;
-      const lines = content.split('\n').slice(0, maxLines);
+      const lines = (await cache.lines(file)).slice(0, maxLines);
       
       let roleFound = false;
       let roleLine = 0;
@@ -1,39 +1,114 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files, config
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/forbidden
 // @exports: checkForbidden
-// @depends: fs, path
+// @depends: path, core/js-parser, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { extname, relative } from 'path';
+import { parseSource } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// @contract: (t:object|undefined, value:str) -> bool
+// @pure: true
+function isToken(t, value) {
+  return Boolean(t) && (t.type === 'name' || t.type === 'punct') && t.value === value;
+}
+
+// @contract: (tokens:object[], i:num) -> bool
+// @pure: true
+function isMemberAccess(tokens, i) {
+  return isToken(tokens[i - 1], '.') || isToken(tokens[i - 1], '?.');
+}
+
+// @contract: (parsed:object) -> num[]
+// @pure: true
+function findDynamicEval(parsed) {
+  const { tokens } = parsed;
+  const lines = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (isToken(t, 'eval') && isToken(tokens[i + 1], '(') && !isMemberAccess(tokens, i)) {
+      lines.push(t.line);
+    } else if (isToken(t, 'new') && isToken(tokens[i + 1], 'Function') && isToken(tokens[i + 2], '(')) {
+      lines.push(t.line);
+    }
+  }
+  return lines;
+}
+
+// @contract: (parsed:object) -> num[]
+// @pure: true
+function findDynamicImport(parsed) {
+  return parsed.dynamicImports.map(d => d.line);
+}
+
+// @contract: (parsed:object) -> num[]
+// @pure: true
+function findReflection(parsed) {
+  const { tokens } = parsed;
+  const lines = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (isMemberAccess(tokens, i)) continue;
+    if (isToken(t, 'Reflect') && isToken(tokens[i + 1], '.')) {
+      lines.push(t.line);
+    } else if (isToken(t, 'Object') && isToken(tokens[i + 1], '.') && isToken(tokens[i + 2], 'defineProperty')) {
+      lines.push(t.line);
+    }
+  }
+  return lines;
+}
+
+// Assignments to names that are never declared in the file (const/let/var, function, class, import, param)
+// @contract: (parsed:object) -> num[]
+// @pure: true
+function findImplicitGlobals(parsed) {
+  const { tokens, depth, match } = parsed;
+  const declared = new Set(parsed.bindings.map(b => b.name));
+  // Class fields (`x = 1` directly in a class body) and enum members are not assignments
+  const memberBodies = parsed.classes.map(c => c.bodyStart);
+  for (const b of parsed.bindings) {
+    if (b.kind === 'type' && isToken(tokens[b.index - 1], 'enum') && isToken(tokens[b.index + 1], '{')) {
+      memberBodies.push(b.index + 1);
+    }
+  }
+
+  const lines = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type !== 'name' || !isToken(tokens[i + 1], '=') || declared.has(t.value)) continue;
+    if (isMemberAccess(tokens, i) || isToken(tokens[i - 1], 'type')) continue;
+    if (memberBodies.some(open => open < i && match[open] > i && depth[i] === depth[open] + 1)) continue;
+    lines.push(t.line);
+  }
+  return lines;
+}
 
 const patternCheckers = {
   'dynamic-eval': {
-    pattern: /(eval\s*\(|new\s+Function\s*\()/,
+    find: findDynamicEval,
     message: 'Dynamic eval or Function constructor detected'
   },
   'dynamic-import': {
-    pattern: /import\s*\(/,
+    find: findDynamicImport,
     message: 'Dynamic import() detected'
   },
   'reflection': {
-    pattern: /(Reflect\.|Object\.defineProperty)/,
+    find: findReflection,
     message: 'Reflection API usage detected'
   },
   'implicit-global': {
-    // Only match bare assignments at start of line with no indentation
-    // This reduces false positives from reassignments inside functions
-    pattern: /^[a-zA-Z_$][a-zA-Z0-9_$]*\s*=\s*[^=]/m,
+    find: findImplicitGlobals,
     message: 'Possible implicit global assignment (use const/let/var)',
     warn: true
   }
 };
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-// @complexity: O(n*m*p) where n=files, m=file size, p=patterns
-export async function checkForbidden(projectPath, config, files) {
+// @complexity: O(n*t*p) where n=files, t=tokens per file, p=patterns
+export async function checkForbidden(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   const warnings = [];
   
@@ -41,6 +116,13 @@ export async function checkForbidden(projectPath, config, files) {
     return { violations, warnings };
   }
   
+  // Unknown patterns are a config problem: warn once, whatever files this run checks (not a violation)
+  for (const pattern of config.forbiddenPatterns.filter(p => !patternCheckers[p])) {
+    warnings.push({
+      message: `No checker for forbidden pattern: ${pattern}`
+    });
+  }
+
   const jsFiles = files.filter(f => {
     const ext = extname(f);
     return ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(ext);
@@ -48,37 +130,19 @@ export async function checkForbidden(projectPath, config, files) {
   
   for (const file of jsFiles) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n');
+      const parsed = await cache.parse(file, parseSource);
       
       for (const pattern of config.forbiddenPatterns) {
         const checker = patternCheckers[pattern];
+        if (!checker) continue;
         
-        if (!checker) {
-          // Unknown pattern - warn once (not a violation)
-          if (!warnings.some(w => w.message && w.message.includes(`No checker for forbidden pattern: ${pattern}`))) {
-            warnings.push({
-              message: `No checker for forbidden pattern: ${pattern}`
-            });
-          }
-          continue;
-        }
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          
-          // Skip comments
-          if (line.trim().startsWith('//') || line.trim().startsWith('/*') || line.trim().startsWith('*')) {
-            continue;
-          }
-          
-          if (checker.pattern.test(line)) {
-            violations.push({
-              file: relative(projectPath, file),
-              line: i + 1,
-              message: checker.message
-            });
-          }
+        // Tokens exclude comments, strings and regex literals, so only real code is matched
+        for (const line of checker.find(parsed)) {
+          violations.push({
+            file: relative(projectPath, file),
+            line,
+            message: checker.message
+          });
         }
       }
     } catch (err) {
@@ -1,45 +1,46 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/hints
 // @exports: checkHints
-// @depends: fs, path
+// @depends: path, core/file-cache, core/comments
 
-import { readFile } from 'fs/promises';
 import { relative } from 'path';
+import { createFileCache } from '../core/file-cache.js';
+import { commentParser, commentLines } from '../core/comments.js';
 
-// Build hint patterns dynamically to avoid self-flagging by validator
-const hintPatterns = [
-  'AOCS-' + 'INVARIANT',
-  'AOCS-' + 'FAILS-ON',
-  'AOCS-' + 'PURE',
-  'AOCS-' + 'COMPLEXITY'
-];
+const hintPatterns = ['AOCS-INVARIANT', 'AOCS-FAILS-ON', 'AOCS-PURE', 'AOCS-COMPLEXITY'];
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (file:str, cache:object) -> Promise<{line:num, text:str}[]>
+// @pure: false
+// AOCS-INVARIANT: comment lines for languages with a tokenizer, so hint names in strings are ignored; raw lines otherwise
+async function hintLines(file, cache) {
+  const parser = commentParser(file);
+  if (parser) {
+    return commentLines(await cache.read(file), (await cache.parse(file, parser)).comments);
+  }
+  return (await cache.lines(file)).map((text, i) => ({ line: i + 1, text }));
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
 // @complexity: O(n*m) where n=files, m=lines per file
-export async function checkHints(projectPath, config, files) {
+export async function checkHints(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   for (const file of files) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n');
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
+      for (const { line, text } of await hintLines(file, cache)) {
         for (const hint of hintPatterns) {
-          if (line.includes(hint)) {
+          if (text.includes(hint)) {
             // Check if it has a colon and value
             const regex = new RegExp(`${hint}:\\s*(.+)`);
-            const match = line.match(regex);
+            const match = text.match(regex);
             
             if (!match || match[1].trim().length === 0) {
               violations.push({
                 file: relative(projectPath, file),
-                line: i + 1,
+                line,
                 message: `${hint} hint is malformed or empty (must have format: ${hint}: value)`
               });
             }
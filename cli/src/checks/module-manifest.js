@@ -1,17 +1,18 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: validation results
 // @module: aocs-validator/checks/module-manifest
 // @exports: checkModuleManifest
-// @depends: fs, path
+// @depends: path, core/js-parser, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { extname, relative } from 'path';
+import { parseSource, readTags } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-// @complexity: O(n*m) where n=files, m=lines per file (max 20)
-export async function checkModuleManifest(projectPath, config, files) {
+// @complexity: O(n*t) where n=files, t=tokens per file
+export async function checkModuleManifest(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   // Only check JS/TS files
@@ -22,21 +23,15 @@ export async function checkModuleManifest(projectPath, config, files) {
   
   for (const file of jsFiles) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n').slice(0, 20);
+      const parsed = await cache.parse(file, parseSource);
       
-      let hasModule = false;
-      let hasExports = false;
-      let hasDepends = false;
+      // Manifest tags only count inside comments that start in the first 20 lines
+      const headerTags = readTags(parsed.comments.filter(c => c.line <= 20)).map(t => t.tag);
+      const hasModule = headerTags.includes('@module');
+      const hasExports = headerTags.includes('@exports');
       
-      for (const line of lines) {
-        if (line.includes('@module:')) hasModule = true;
-        if (line.includes('@exports:')) hasExports = true;
-        if (line.includes('@depends:')) hasDepends = true;
-      }
-      
-      // Check if file has exports
-      const hasExportKeyword = content.includes('export ');
+      // Check if file has real export declarations (not `export ` inside strings or comments)
+      const hasExportKeyword = parsed.exports.length > 0;
       
       if (hasExportKeyword && !hasModule) {
         violations.push({
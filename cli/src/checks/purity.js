@@ -0,0 +1,141 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/purity
+// @exports: checkPurity
+// @depends: path, core/js-parser, core/side-effects, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, functionTags } from '../core/js-parser.js';
+import { ioGlobals, domGlobals, nondeterministicCalls, isToken, isIoModule, memberChain } from '../core/side-effects.js';
+import { createFileCache } from '../core/file-cache.js';
+
+const pureHint = 'AOCS-PURE';
+
+// @contract: (value:str|undefined) -> bool|null
+// @pure: true
+function readFlag(value) {
+  if (!value) return null;
+  if (/^(true|yes)\b/i.test(value)) return true;
+  if (/^(false|no)\b/i.test(value)) return false;
+  return null;
+}
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFunction(fn) {
+  if (fn.name) return fn.className ? `${fn.className}.${fn.name}` : fn.name;
+  return 'anonymous function';
+}
+
+// @contract: (parsed:object) -> Map<str, str>
+// @pure: true
+// AOCS-INVARIANT: maps each local name bound by an IO import to its module specifier
+function ioImportNames(parsed) {
+  const names = new Map();
+  for (const imp of parsed.imports) {
+    if (!isIoModule(imp.source)) continue;
+    for (const local of [imp.default, imp.namespace, ...imp.named.map(n => n.local)]) {
+      if (local) names.set(local, imp.source);
+    }
+  }
+  return names;
+}
+
+// @contract: (parsed:object, fn:object, context:{ioNames:Map<str, str>, impure:Set<str>}) -> {line:num, reason:str}[]
+// @pure: true
+// @complexity: O(t*b) where t=tokens in the body, b=bindings
+// AOCS-INVARIANT: locals of the function (and of closures inside it) may be mutated freely
+function findImpurities(parsed, fn, context) {
+  const { tokens } = parsed;
+  const own = new Set(fn.params.flatMap(p => (p.names && p.names.length > 0 ? p.names : [p.name]).filter(Boolean)));
+  const locals = new Set(parsed.bindings
+    .filter(b => b.index >= fn.paramsOpen && b.index <= fn.bodyEnd && !(b.kind === 'param' && b.index === fn.paramsOpen))
+    .map(b => b.name));
+  const found = [];
+
+  for (let i = fn.bodyStart; i <= fn.bodyEnd && i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type !== 'name' || isToken(tokens[i - 1], '.') || isToken(tokens[i - 1], '?.')) continue;
+    if (isToken(tokens[i + 1], ':') && (isToken(tokens[i - 1], '{') || isToken(tokens[i - 1], ','))) continue;
+    // TypeScript annotation `x: Foo = …`
+    if (isToken(tokens[i - 1], ':') && isToken(tokens[i + 1], '=')) continue;
+    if (locals.has(t.value)) continue;
+
+    const member = isToken(tokens[i + 1], '.') && tokens[i + 2] ? tokens[i + 2].value : null;
+    if (own.has(t.value)) {
+      if (memberChain(parsed, i).write === 'member') found.push({ line: t.line, reason: `mutates parameter "${t.value}"` });
+      continue;
+    }
+
+    if (t.value === 'console' && member) {
+      found.push({ line: t.line, reason: `calls console.${member}()` });
+    } else if (context.ioNames.has(t.value)) {
+      found.push({ line: t.line, reason: `uses "${t.value}" from ${context.ioNames.get(t.value)}` });
+    } else if (ioGlobals.has(t.value)) {
+      found.push({ line: t.line, reason: `calls ${t.value}()` });
+    } else if (domGlobals.has(t.value)) {
+      found.push({ line: t.line, reason: `accesses DOM global "${t.value}"` });
+    } else if (member && nondeterministicCalls.has(`${t.value}.${member}`)) {
+      found.push({ line: t.line, reason: `calls ${t.value}.${member}()` });
+    } else if (context.impure.has(t.value) && isToken(tokens[i + 1], '(')) {
+      found.push({ line: t.line, reason: `calls "${t.value}", which is marked @pure: false` });
+    } else if (memberChain(parsed, i).write) {
+      found.push({ line: t.line, reason: `mutates outer variable "${t.value}"` });
+    }
+  }
+
+  return found;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*t) where n=files, f=functions, t=tokens per function
+export async function checkPurity(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const rel = relative(projectPath, file);
+
+      const claims = parsed.functions.map(fn => {
+        const tags = functionTags(parsed, fn);
+        const pure = tags.find(t => t.tag === '@pure');
+        const hint = tags.find(t => t.tag === pureHint);
+        return { fn, pure, hint, flag: readFlag(pure?.value) ?? readFlag(hint?.value) };
+      });
+      const context = {
+        ioNames: ioImportNames(parsed),
+        impure: new Set(claims.filter(c => c.flag === false && c.fn.name).map(c => c.fn.name))
+      };
+
+      for (const { fn, pure, hint, flag } of claims) {
+        const pureFlag = readFlag(pure?.value);
+        const hintFlag = readFlag(hint?.value);
+        if (pureFlag !== null && hintFlag !== null && pureFlag !== hintFlag) {
+          violations.push({
+            file: rel,
+            line: hint.line,
+            message: `${describeFunction(fn)} has @pure: ${pureFlag} but ${pureHint}: ${hintFlag}`
+          });
+        }
+        if (flag !== true) continue;
+
+        const seen = new Set();
+        for (const { line, reason } of findImpurities(parsed, fn, context)) {
+          const message = `${describeFunction(fn)} is marked pure but ${reason}`;
+          if (seen.has(message)) continue;
+          seen.add(message);
+          violations.push({ file: rel, line, message });
+        }
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations };
+}
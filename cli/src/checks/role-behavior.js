@@ -0,0 +1,137 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/role-behavior
+// @exports: checkRoleBehavior
+// @depends: path, core/js-parser, core/side-effects, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, readTags } from '../core/js-parser.js';
+import { ioGlobals, domGlobals, isToken, isIoModule, memberChain } from '../core/side-effects.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// Which roles may perform each kind of behaviour
+const allowedRoles = {
+  io: ['io-boundary', 'adapter'],
+  // Terminal output is the presentation layer of a CLI
+  output: ['ui-binding', 'io-boundary', 'adapter'],
+  dom: ['ui-binding'],
+  mutation: ['state-machine']
+};
+
+// @contract: (parsed:object) -> str|null
+// @pure: true
+function readRole(parsed) {
+  const tag = readTags(parsed.comments.filter(c => c.line <= 5)).find(t => t.tag === 'AOCS-ROLE');
+  return tag ? tag.value.split(/\s/)[0] : null;
+}
+
+// @contract: (parsed:object, i:num) -> object[]
+// @pure: true
+function enclosingFunctions(parsed, i) {
+  return parsed.functions.filter(f => f.paramsOpen <= i && i <= f.bodyEnd);
+}
+
+// Resolves a name at token i to the module-level const/let/var it refers to, if any
+// @contract: (parsed:object, i:num) -> object|null
+// @pure: true
+// AOCS-INVARIANT: a binding declared inside any function enclosing i shadows the module-level one
+function moduleBindingAt(parsed, i) {
+  const name = parsed.tokens[i].value;
+  const candidates = parsed.bindings.filter(b => b.name === name);
+  const scopes = enclosingFunctions(parsed, i);
+  if (candidates.some(b => scopes.some(f => f.paramsOpen <= b.index && b.index <= f.bodyEnd))) return null;
+  return candidates.find(b =>
+    b.depth === 0 && ['const', 'let', 'var'].includes(b.kind) && parsed.functions.every(f => b.index < f.paramsOpen || b.index > f.bodyEnd)
+  ) || null;
+}
+
+// @contract: (parsed:object, i:num, binding:object) -> bool
+// @pure: true
+// AOCS-INVARIANT: the declarator itself (`let count = 0`) is not a mutation
+function isDeclarator(parsed, i, binding) {
+  if (i <= binding.index || i >= binding.end) return false;
+  return enclosingFunctions(parsed, i).every(f => f.paramsOpen < binding.index);
+}
+
+// @contract: (parsed:object) -> {line:num, kind:str, what:str}[]
+// @pure: true
+// @complexity: O(t*(b+f)) where t=tokens, b=bindings, f=functions
+function collectBehaviors(parsed) {
+  const { tokens } = parsed;
+  const found = [];
+  const declared = new Set(parsed.bindings.map(b => b.name));
+
+  for (const imp of parsed.imports) {
+    if (isIoModule(imp.source)) found.push({ line: imp.line, kind: 'io', what: `IO import "${imp.source}"` });
+  }
+  for (const req of [...parsed.requires, ...parsed.dynamicImports]) {
+    if (req.source && isIoModule(req.source)) found.push({ line: req.line, kind: 'io', what: `IO import "${req.source}"` });
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type !== 'name' || isToken(tokens[i - 1], '.') || isToken(tokens[i - 1], '?.')) continue;
+    // Object keys and labels are not references
+    if (isToken(tokens[i + 1], ':') && (isToken(tokens[i - 1], '{') || isToken(tokens[i - 1], ','))) continue;
+
+    if (!declared.has(t.value)) {
+      if (ioGlobals.has(t.value)) {
+        found.push({ line: t.line, kind: 'io', what: `IO call ${t.value}()` });
+        continue;
+      }
+      if (domGlobals.has(t.value)) {
+        found.push({ line: t.line, kind: 'dom', what: `DOM access "${t.value}"` });
+        continue;
+      }
+      if (t.value === 'console' && isToken(tokens[i + 1], '.') && tokens[i + 2]) {
+        found.push({ line: t.line, kind: 'output', what: `Terminal output console.${tokens[i + 2].value}()` });
+        continue;
+      }
+      if (t.value === 'process' && isToken(tokens[i + 1], '.') && tokens[i + 2] && /^std(in|out|err)$/.test(tokens[i + 2].value)) {
+        found.push({ line: t.line, kind: 'output', what: `Terminal output process.${tokens[i + 2].value}` });
+        continue;
+      }
+    }
+
+    const binding = moduleBindingAt(parsed, i);
+    if (!binding || isDeclarator(parsed, i, binding)) continue;
+
+    const { write } = memberChain(parsed, i);
+    if (write) found.push({ line: t.line, kind: 'mutation', what: `Mutation of module-level "${t.value}"` });
+  }
+
+  return found;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t*(b+f)) where n=files, t=tokens, b=bindings, f=functions per file
+export async function checkRoleBehavior(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const role = readRole(parsed);
+      // Missing or unknown roles are reported by U9-file-roles
+      if (!role) continue;
+
+      const seen = new Set();
+      for (const { line, kind, what } of collectBehaviors(parsed)) {
+        if (allowedRoles[kind].includes(role)) continue;
+        const message = `${what} is not allowed in ${role} files (only ${allowedRoles[kind].join(', ')})`;
+        const key = `${line}:${message}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        violations.push({ file: relative(projectPath, file), line, message });
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations };
+}
@@ -0,0 +1,186 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: validation results
+// @module: aocs-validator/checks/throws
+// @exports: checkThrows
+// @depends: path, core/js-parser, core/side-effects, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, functionTags } from '../core/js-parser.js';
+import { isToken } from '../core/side-effects.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// @contract: (value:str) -> {types:str[], never:bool}
+// @pure: true
+// AOCS-INVARIANT: `A | B`, `A, B` and `A (on bad input)` all declare plain type names
+function parseThrows(value) {
+  const types = value
+    .replace(/\([^)]*\)/g, '')
+    .split(/[|,]/)
+    .map(s => s.trim().split(/\s/)[0])
+    .filter(Boolean);
+  const named = types.filter(t => t !== 'never');
+  return { types: named, never: named.length === 0 && types.includes('never') };
+}
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFunction(fn) {
+  if (fn.name) return fn.className ? `${fn.className}.${fn.name}` : fn.name;
+  return 'anonymous function';
+}
+
+// @contract: (parsed:object) -> {tryOpen:num, tryClose:num, catchOpen:num, catchClose:num, param:str|null}[]
+// @pure: true
+function collectTryBlocks(parsed) {
+  const { tokens, match } = parsed;
+  const blocks = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isToken(tokens[i], 'try') || !isToken(tokens[i + 1], '{') || match[i + 1] === -1) continue;
+    const tryClose = match[i + 1];
+    let k = tryClose + 1;
+    if (!isToken(tokens[k], 'catch')) continue;
+    let param = null;
+    k++;
+    if (isToken(tokens[k], '(') && match[k] !== -1) {
+      if (tokens[k + 1] && tokens[k + 1].type === 'name') param = tokens[k + 1].value;
+      k = match[k] + 1;
+    }
+    if (!isToken(tokens[k], '{') || match[k] === -1) continue;
+    blocks.push({ tryOpen: i + 1, tryClose, catchOpen: k, catchClose: match[k], param });
+  }
+  return blocks;
+}
+
+// Walks the thrown expression after `throw` at i
+// @contract: (parsed:object, i:num, blocks:object[]) -> {kind:str, type:str|null}
+// @pure: true
+// AOCS-INVARIANT: kind is "new" (type known), "rethrow" (a catch parameter) or "value"
+function classifyThrow(parsed, i, blocks) {
+  const { tokens } = parsed;
+  if (isToken(tokens[i + 1], 'new') && tokens[i + 2] && tokens[i + 2].type === 'name') {
+    let k = i + 2;
+    while (isToken(tokens[k + 1], '.') && tokens[k + 2] && tokens[k + 2].type === 'name') k += 2;
+    return { kind: 'new', type: tokens[k].value };
+  }
+  const t = tokens[i + 1];
+  if (t && t.type === 'name' && blocks.some(b => b.param === t.value && b.catchOpen < i && i < b.catchClose)) {
+    return { kind: 'rethrow', type: null };
+  }
+  return { kind: 'value', type: null };
+}
+
+// @contract: (type:str, declared:str[], superOf:Map<str, str>) -> bool
+// @pure: true
+// AOCS-INVARIANT: declaring `Error` covers every thrown type; local `extends` chains are followed
+function isCovered(type, declared, superOf) {
+  if (declared.includes('Error')) return true;
+  const seen = new Set();
+  for (let t = type; t && !seen.has(t); t = superOf.get(t)) {
+    if (declared.includes(t)) return true;
+    seen.add(t);
+  }
+  return false;
+}
+
+// Throw sites and annotated calls that escape fn (not caught by a try/catch inside it)
+// @contract: (parsed:object, fn:object, context:{blocks:object[], annotated:Map<str, object>}) -> {line:num, kind:str, type:str|null, callee:str|null}[]
+// @pure: true
+// @complexity: O(t*(f+b)) where t=tokens in the body, f=functions, b=try blocks
+// AOCS-INVARIANT: named nested functions are skipped; inline callbacks count as part of fn
+function collectEscapes(parsed, fn, context) {
+  const { tokens } = parsed;
+  const nested = parsed.functions.filter(f => f !== fn && f.name && f.paramsOpen > fn.bodyStart && f.bodyEnd <= fn.bodyEnd);
+  const guards = context.blocks.filter(b => b.tryOpen > fn.bodyStart && b.tryClose < fn.bodyEnd);
+  const locals = new Set(parsed.bindings.filter(b => b.index >= fn.paramsOpen && b.index <= fn.bodyEnd).map(b => b.name));
+  const escapes = [];
+
+  for (let i = fn.bodyStart; i <= fn.bodyEnd && i < tokens.length; i++) {
+    if (nested.some(f => f.paramsOpen <= i && i <= f.bodyEnd)) continue;
+    if (guards.some(b => b.tryOpen < i && i < b.tryClose)) continue;
+    const t = tokens[i];
+
+    if (isToken(t, 'throw')) {
+      escapes.push({ line: t.line, callee: null, ...classifyThrow(parsed, i, guards) });
+      continue;
+    }
+
+    if (t.type !== 'name' || !isToken(tokens[i + 1], '(') || isToken(tokens[i - 1], 'function')) continue;
+    let key = null;
+    if (isToken(tokens[i - 1], '.')) {
+      if (fn.className && isToken(tokens[i - 2], 'this')) key = `${fn.className}.${t.value}`;
+    } else if (!isToken(tokens[i - 1], '?.') && !locals.has(t.value)) {
+      key = t.value;
+    }
+    const callee = key && context.annotated.get(key);
+    if (!callee || callee.fn === fn) continue;
+    for (const type of callee.throws.types) {
+      escapes.push({ line: t.line, kind: 'call', type, callee: describeFunction(callee.fn) });
+    }
+  }
+  return escapes;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*t) where n=files, f=functions, t=tokens per function
+export async function checkThrows(projectPath, config, files, cache = createFileCache()) {
+  const violations = [];
+
+  const jsFiles = files.filter(f => ['.js', '.mjs', '.cjs', '.ts', '.tsx'].includes(extname(f)));
+
+  for (const file of jsFiles) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      const rel = relative(projectPath, file);
+
+      const annotated = new Map();
+      const claims = [];
+      for (const fn of parsed.functions) {
+        const tag = functionTags(parsed, fn).find(t => t.tag === '@throws');
+        if (!tag) continue;
+        const claim = { fn, tag, throws: parseThrows(tag.value) };
+        claims.push(claim);
+        if (fn.name) annotated.set(fn.className ? `${fn.className}.${fn.name}` : fn.name, claim);
+      }
+      if (claims.length === 0) continue;
+
+      const superOf = new Map(parsed.classes.filter(c => c.name && c.superClass).map(c => [c.name, c.superClass]));
+      const context = { blocks: collectTryBlocks(parsed), annotated };
+
+      for (const { fn, tag, throws } of claims) {
+        const name = describeFunction(fn);
+        const escapes = collectEscapes(parsed, fn, context);
+
+        for (const e of escapes) {
+          let message = null;
+          if (throws.never) {
+            if (e.kind === 'call') message = `${name} is declared @throws: never but calls ${e.callee}(), which throws ${e.type}`;
+            else if (e.kind === 'new') message = `${name} is declared @throws: never but throws ${e.type}`;
+            else if (e.kind === 'rethrow') message = `${name} is declared @throws: never but rethrows a caught error`;
+            else message = `${name} is declared @throws: never but contains a throw`;
+          } else if (e.type && !isCovered(e.type, throws.types, superOf)) {
+            message = e.kind === 'call'
+              ? `${name} calls ${e.callee}(), which throws ${e.type}, but @throws does not declare it`
+              : `${name} throws ${e.type} but @throws does not declare it`;
+          }
+          if (message) violations.push({ file: rel, line: e.line, message });
+        }
+
+        // A rethrow or `throw value` could produce any declared type
+        if (throws.never || escapes.some(e => e.kind === 'rethrow' || e.kind === 'value')) continue;
+        const thrown = escapes.map(e => e.type);
+        for (const declared of throws.types) {
+          const produced = thrown.some(t => declared === 'Error' || isCovered(t, [declared], superOf));
+          if (!produced) {
+            violations.push({ file: rel, line: tag.line, message: `@throws declares ${declared} but ${name} never throws it` });
+          }
+        }
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+
+  return { violations };
+}
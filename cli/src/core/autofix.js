@@ -0,0 +1,56 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: projectPath, options, filesystem
+// AOCS-OUTPUTS: rewritten files (unless dry-run), per-file fixes and diffs
+// @module: aocs-validator/autofix
+// @exports: fixProject
+// @depends: fs, path, core/config, core/scanner, core/plugins, core/fixer, core/diff
+
+import { readFile, writeFile } from 'fs/promises';
+import { relative, resolve, sep } from 'path';
+import { loadConfig, describeConfigError } from './config.js';
+import { scanFiles } from './scanner.js';
+import { loadPlugins } from './plugins.js';
+import { fixSource } from './fixer.js';
+import { unifiedDiff } from './diff.js';
+
+// @contract: (projectPath:str, options?:{dryRun?:bool, files?:str[]}) -> Promise<{changed:{file:str, fixes:str[], diff:str}[], errors:str[]}>
+// @pure: false
+// @complexity: O(n*s) where n=files, s=file size
+// AOCS-INVARIANT: with dryRun nothing is written; diffs are returned either way
+// AOCS-INVARIANT: without options.files the files are exactly what validate() scans, plugin languages included
+export async function fixProject(projectPath, options = {}) {
+  const { config, errors } = await loadConfig(projectPath);
+  if (errors.length > 0) {
+    return { changed: [], errors: errors.map(describeConfigError) };
+  }
+
+  let files = options.files && options.files.map(f => resolve(projectPath, f));
+  if (!files) {
+    const plugins = await loadPlugins(projectPath, config);
+    if (plugins.errors.length > 0) {
+      return { changed: [], errors: plugins.errors };
+    }
+    files = await scanFiles(projectPath, config, plugins.extensions);
+  }
+
+  const changed = [];
+  for (const file of files) {
+    let before;
+    try {
+      before = await readFile(file, 'utf-8');
+    } catch (err) {
+      continue;
+    }
+
+    const rel = relative(projectPath, file).split(sep).join('/');
+    const { source: after, fixes } = fixSource(before, rel);
+    if (after === before) continue;
+
+    if (!options.dryRun) {
+      await writeFile(file, after, 'utf-8');
+    }
+    changed.push({ file: rel, fixes, diff: unifiedDiff(before, after, rel) });
+  }
+
+  return { changed, errors: [] };
+}
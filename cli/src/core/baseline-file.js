@@ -0,0 +1,50 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: aocs-baseline.json, source files
+// AOCS-OUTPUTS: baseline entries, violation fingerprints, aocs-baseline.json
+// @module: aocs-validator/baseline-file
+// @exports: loadBaseline, writeBaseline, fingerprintAll
+// @depends: fs, path, core/baseline
+
+import { readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { baselineFileName, fingerprint, checkBaseline } from './baseline.js';
+
+// @contract: (projectPath:str) -> Promise<{entries:object[]|null, errors:str[]}>
+// @pure: false
+// AOCS-INVARIANT: entries is null when the project has no baseline; errors name the file
+export async function loadBaseline(projectPath) {
+  let text;
+  try {
+    text = await readFile(join(projectPath, baselineFileName), 'utf-8');
+  } catch (err) {
+    return { entries: null, errors: err.code === 'ENOENT' ? [] : [`${baselineFileName}: ${err.message}`] };
+  }
+  let doc;
+  try {
+    doc = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return { entries: null, errors: [`${baselineFileName}: invalid JSON: ${err.message}`] };
+  }
+  const problems = checkBaseline(doc);
+  if (problems.length > 0) {
+    return { entries: null, errors: problems.map(p => `${baselineFileName}: ${p}`) };
+  }
+  return { entries: doc.violations, errors: [] };
+}
+
+// @contract: (projectPath:str, violations:object[], cache:object) -> Promise<Map<object,str>>
+// @pure: false
+// @complexity: O(v) where v = violations.length
+// AOCS-INVARIANT: every violation gets a fingerprint; unreadable files fall back to the message
+export async function fingerprintAll(projectPath, violations, cache) {
+  const lines = await Promise.all(violations.map(v => (v.file && v.line
+    ? cache.lines(resolve(projectPath, v.file)).catch(() => null)
+    : null)));
+  return new Map(violations.map((v, i) => [v, fingerprint(v, lines[i])]));
+}
+
+// @contract: (projectPath:str, doc:object) -> Promise<void>
+// @pure: false
+export async function writeBaseline(projectPath, doc) {
+  await writeFile(join(projectPath, baselineFileName), JSON.stringify(doc, null, 2) + '\n', 'utf-8');
+}
@@ -0,0 +1,106 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: violations, source lines, aocs-baseline.json contents
+// AOCS-OUTPUTS: fingerprints, baseline documents, results without baselined violations
+// @module: aocs-validator/baseline
+// @exports: baselineFileName, baselineFormat, fingerprint, buildBaseline, checkBaseline, applyBaseline
+// @depends: crypto
+//
+// A baseline records the violations a repo had when it adopted AOCS so that validate only fails
+// on new ones. Entries are matched by fingerprint — rule id, file and the violating line's text
+// with whitespace collapsed — so they survive edits that move code up or down. Findings about a
+// whole file (no line, or line 1, where headers get inserted) may then pair with a leftover entry
+// on rule, file and message. Other findings never do: many messages name nothing, so a new
+// violation would hide behind the entry of one that was deleted. Matching counts repeats: two
+// identical violations need two entries.
+
+import { createHash } from 'crypto';
+
+export const baselineFileName = 'aocs-baseline.json';
+
+// @contract: () -> num
+// @pure: true
+export const baselineFormat = 1;
+
+// @contract: (v:{ruleId:str, file?:str, line?:num, message:str}, lines:str[]|null) -> str
+// @pure: true
+// AOCS-INVARIANT: violations without a readable source line are keyed by their message instead
+export function fingerprint(v, lines) {
+  const file = v.file ? v.file.split('\\').join('/') : '';
+  const text = lines && v.line && lines[v.line - 1] !== undefined ? lines[v.line - 1] : v.message;
+  const snippet = text.trim().replace(/\s+/g, ' ');
+  return createHash('sha256').update([v.ruleId, file, snippet].join('\u0000')).digest('hex').slice(0, 16);
+}
+
+// @contract: (entries:{ruleId:str, file:str|null, fingerprint:str, message:str}[]) -> object
+// @pure: true
+// @complexity: O(n log n) where n = entries.length
+// AOCS-INVARIANT: entries are sorted by file, rule and message so regenerating an unchanged baseline is a no-op diff
+export function buildBaseline(entries) {
+  const key = e => [e.file || '', e.ruleId, e.message, e.fingerprint].join('\u0000');
+  return {
+    aocsBaseline: baselineFormat,
+    violations: Array.from(entries).sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0))
+  };
+}
+
+// @contract: (doc:any) -> str[]
+// @pure: true
+// AOCS-INVARIANT: an empty result means every entry has a string ruleId, fingerprint and message
+export function checkBaseline(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['must be an object'];
+  if (doc.aocsBaseline !== baselineFormat) {
+    return [`aocsBaseline must be ${baselineFormat} (found ${JSON.stringify(doc.aocsBaseline)}); regenerate it with \`aocs baseline\``];
+  }
+  if (!Array.isArray(doc.violations)) return ['violations must be an array'];
+  return doc.violations.flatMap((e, i) => (e && typeof e.ruleId === 'string' && typeof e.fingerprint === 'string' && typeof e.message === 'string'
+    ? []
+    : [`violations/${i} must have string ruleId, fingerprint and message`]));
+}
+
+// @contract: (v:{ruleId:str, file?:str|null, message:str}) -> str
+// @pure: true
+function messageKey(v) {
+  return [v.ruleId, v.file ? v.file.split('\\').join('/') : '', v.message].join('\u0000');
+}
+
+// @contract: (v:{line?:num}) -> bool
+// @pure: true
+const isFileLevel = v => !v.line || v.line === 1;
+
+// @contract: (items:object[], keyOf:function, pool:object[], poolKeyOf:function) -> {left:object[], unused:object[]}
+// @pure: true
+// @complexity: O(a + b) where a = items.length, b = pool.length
+// AOCS-INVARIANT: each pool member pairs with at most one item, earliest first
+function pairOff(items, keyOf, pool, poolKeyOf) {
+  const waiting = new Map();
+  for (const p of pool) {
+    const key = poolKeyOf(p);
+    if (!waiting.has(key)) waiting.set(key, []);
+    waiting.get(key).push(p);
+  }
+  const used = new Set();
+  const left = items.filter(item => {
+    const queue = waiting.get(keyOf(item));
+    if (!queue || queue.length === 0) return true;
+    used.add(queue.shift());
+    return false;
+  });
+  return { left, unused: pool.filter(p => !used.has(p)) };
+}
+
+// @contract: (results:object[], fingerprints:Map<object,str>, entries:object[]) -> {results:object[], matched:num, fixed:object[]}
+// @pure: true
+// @complexity: O(v + e) where v = violations, e = baseline entries
+// AOCS-INVARIANT: each entry hides at most one violation; exact fingerprints pair first, then file-level findings
+// on rule, file and message; entries left unmatched come back as fixed
+export function applyBaseline(results, fingerprints, entries) {
+  const violations = results.flatMap(r => r.violations);
+  const exact = pairOff(violations, v => fingerprints.get(v), entries, e => e.fingerprint);
+  const loose = pairOff(exact.left.filter(isFileLevel), messageKey, exact.unused, messageKey);
+  const shown = new Set([...exact.left.filter(v => !isFileLevel(v)), ...loose.left]);
+  return {
+    results: results.map(r => ({ ...r, violations: r.violations.filter(v => shown.has(v)) })),
+    matched: violations.length - shown.size,
+    fixed: loose.unused
+  };
+}
@@ -0,0 +1,47 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: source text, comment ranges from the language tokenizers
+// AOCS-OUTPUTS: comment text per source line
+// @module: aocs-validator/comments
+// @exports: commentParser, commentLines
+// @depends: path, core/js-parser, core/py-parser, core/go-parser, core/rust-parser
+//
+// Hints and aocs-ignore suppressions only count inside real comments. Languages with a tokenizer
+// get their comments from it, so markers in strings and template literals are ignored; callers
+// fall back to scanning raw lines for the rest (CSS, HTML, plugin languages).
+
+import { extname } from 'path';
+import { parseSource } from './js-parser.js';
+import { parsePython } from './py-parser.js';
+import { parseGo } from './go-parser.js';
+import { parseRust } from './rust-parser.js';
+
+const parsersByExtension = {
+  '.js': parseSource,
+  '.mjs': parseSource,
+  '.cjs': parseSource,
+  '.ts': parseSource,
+  '.tsx': parseSource,
+  '.py': parsePython,
+  '.go': parseGo,
+  '.rs': parseRust
+};
+
+// @contract: (file:str) -> function|null
+// @pure: true
+// AOCS-INVARIANT: the parser's result has a comments array; it is the same function other checks pass to cache.parse
+export function commentParser(file) {
+  return parsersByExtension[extname(file)] || null;
+}
+
+// @contract: (source:str, comments:{value:str, line:num, col:num}[]) -> {line:num, text:str, own:bool}[]
+// @pure: true
+// @complexity: O(c) where c = comment lines
+// AOCS-INVARIANT: one entry per line a comment touches, in source order; own is false when code precedes the comment
+export function commentLines(source, comments) {
+  const lines = source.split('\n');
+  return comments.flatMap(c => c.value.split('\n').map((text, i) => ({
+    line: c.line + i,
+    text: text.replace(/\r$/, ''),
+    own: i > 0 || (lines[c.line - 1] || '').slice(0, c.col).trim() === ''
+  })));
+}
@@ -1,91 +1,90 @@
-// AOCS-ROLE: config
-// AOCS-INPUTS: filesystem (aocs.json)
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: filesystem (aocs.json, aocs-schema.json)
 // AOCS-OUTPUTS: parsed config object
 // @module: aocs-validator/config
-// @exports: loadConfig
-// @depends: fs, path
+// @exports: loadConfig, loadSchema, checkConfigText, describeConfigError
+// @depends: fs, path, core/standard, core/json-schema, core/json-locate
 
 import { readFile } from 'fs/promises';
 import { join } from 'path';
+import { loadStandardFile } from './standard.js';
+import { validateSchema } from './json-schema.js';
+import { locateJson, positionAt } from './json-locate.js';
 
-// @contract: (projectPath:str) -> Promise<{config:object|null, errors:str[]}>
+// Errors name the file relative to the project, like every other violation
+const configFileName = 'aocs.json';
+
+// @contract: () -> Promise<object>
+// @pure: false
+// AOCS-FAILS-ON: no readable aocs-schema.json in any known location
+// AOCS-INVARIANT: the published schema is the single source of truth for aocs.json
+export async function loadSchema() {
+  return loadStandardFile('aocs-schema.json');
+}
+
+// @contract: (err:Error, text:str) -> {file:str, line?:num, column?:num, message:str}
+// @pure: true
+// AOCS-INVARIANT: carries line and column when the engine reports an offset
+function syntaxError(err, text) {
+  const m = err.message.match(/position (\d+)/);
+  if (!m) return { file: configFileName, message: `aocs.json contains invalid JSON: ${err.message}` };
+  const { line, column } = positionAt(text, Number(m[1]));
+  return { file: configFileName, line, column, message: `invalid JSON: ${err.message.replace(/ in JSON at position \d+.*$/, '')}` };
+}
+
+// @contract: (error:{file?:str, line?:num, column?:num, message:str}) -> str
+// @pure: true
+// AOCS-INVARIANT: reads "aocs.json:line:column: message" when the error has a position, else just the message
+export function describeConfigError(error) {
+  return error.file && error.line ? `${error.file}:${error.line}:${error.column}: ${error.message}` : error.message;
+}
+
+// @contract: (text:str, schema:object) -> {config:object|null, errors:{file:str, line?:num, column?:num, message:str}[]}
+// @pure: true
+// @complexity: O(n*p) where n = text.length, p = values in the document
+// AOCS-INVARIANT: schema errors point at aocs.json line and column; each message reads "/json/pointer message"
+export function checkConfigText(text, schema) {
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  let config;
+  try {
+    config = JSON.parse(source);
+  } catch (err) {
+    return { config: null, errors: [syntaxError(err, source)] };
+  }
+
+  const problems = validateSchema(schema, config);
+  if (problems.length === 0) {
+    return { config, errors: [] };
+  }
+  const positions = locateJson(source);
+  const errors = problems.map(p => {
+    const found = positions.get(p.pointer) || positions.get('');
+    // Unknown or misnamed properties point at the key, everything else at the value
+    const at = p.keyword === 'additionalProperties' || p.keyword === 'propertyNames' ? found.key || found : found;
+    const hint = p.suggestion ? `; did you mean ${JSON.stringify(p.suggestion)}?` : '';
+    return { file: configFileName, line: at.line, column: at.column, message: `${p.pointer || '(root)'} ${p.message}${hint}` };
+  });
+  return { config, errors };
+}
+
+// @contract: (projectPath:str) -> Promise<{config:object|null, errors:{file:str, line?:num, column?:num, message:str}[]}>
 // @throws: never
 // @pure: false
-// @complexity: O(1) time, O(1) space
+// @complexity: O(n*p) where n = aocs.json length, p = values in it
 // AOCS-FAILS-ON: missing aocs.json, invalid JSON, schema violations
 export async function loadConfig(projectPath) {
-  const errors = [];
-  const configPath = join(projectPath, 'aocs.json');
-  
+  const configPath = join(projectPath, configFileName);
+
   let rawContent;
   try {
     rawContent = await readFile(configPath, 'utf-8');
   } catch (err) {
-    errors.push(`aocs.json not found at ${configPath}`);
-    return { config: null, errors };
+    return { config: null, errors: [{ file: configFileName, message: `aocs.json not found at ${configPath}` }] };
   }
-  
-  let config;
+
   try {
-    config = JSON.parse(rawContent);
+    return checkConfigText(rawContent, await loadSchema());
   } catch (err) {
-    errors.push(`aocs.json contains invalid JSON: ${err.message}`);
-    return { config: null, errors };
-  }
-  
-  // Validate required fields
-  if (!config.aocsVersion) {
-    errors.push('aocs.json missing required field: aocsVersion');
-  }
-  
-  if (!config.languages) {
-    errors.push('aocs.json missing required field: languages');
-  } else if (!Array.isArray(config.languages)) {
-    errors.push('aocs.json: languages must be an array');
-  } else if (config.languages.length === 0) {
-    errors.push('aocs.json: languages array cannot be empty');
-  }
-  
-  if (!config.mode) {
-    errors.push('aocs.json missing required field: mode');
-  } else if (!['lite', 'strict'].includes(config.mode)) {
-    errors.push('aocs.json: mode must be "lite" or "strict"');
-  }
-  
-  // Validate optional fields
-  if (config.modulePattern && !['agent-module', 'traditional', 'hybrid'].includes(config.modulePattern)) {
-    errors.push('aocs.json: modulePattern must be one of: agent-module, traditional, hybrid');
+    return { config: null, errors: [{ file: configFileName, message: err.message }] };
   }
-  
-  if (config.stateOwnership && !['local-only', 'shared-explicit', 'global-allowed'].includes(config.stateOwnership)) {
-    errors.push('aocs.json: stateOwnership must be one of: local-only, shared-explicit, global-allowed');
-  }
-  
-  if (config.sideEffects && !['explicit', 'implicit-allowed'].includes(config.sideEffects)) {
-    errors.push('aocs.json: sideEffects must be one of: explicit, implicit-allowed');
-  }
-  
-  if (config.namingSchema && !['verbNoun', 'nounVerb', 'free'].includes(config.namingSchema)) {
-    errors.push('aocs.json: namingSchema must be one of: verbNoun, nounVerb, free');
-  }
-  
-  if (config.allowedPatterns && !Array.isArray(config.allowedPatterns)) {
-    errors.push('aocs.json: allowedPatterns must be an array');
-  }
-  
-  if (config.forbiddenPatterns && !Array.isArray(config.forbiddenPatterns)) {
-    errors.push('aocs.json: forbiddenPatterns must be an array');
-  }
-  
-  if (config.roles && !Array.isArray(config.roles)) {
-    errors.push('aocs.json: roles must be an array');
-  } else if (config.roles) {
-    const validRoles = ['pure-logic', 'state-machine', 'adapter', 'ui-binding', 'io-boundary', 'config'];
-    const invalidRoles = config.roles.filter(r => !validRoles.includes(r));
-    if (invalidRoles.length > 0) {
-      errors.push(`aocs.json: invalid roles: ${invalidRoles.join(', ')}`);
-    }
-  }
-  
-  return { config, errors };
 }
@@ -0,0 +1,190 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: @contract annotation text
+// AOCS-OUTPUTS: parsed contract (params, return type, constraints) or a parse error
+// @module: aocs-validator/contract-grammar
+// @exports: parseContract, splitTopLevel
+// @depends: none
+//
+// Grammar (whitespace-insensitive except around the constraint separator):
+//   contract    := "(" [param ("," param)*] ")" "->" type [" | " constraints]
+//   param       := ["..."] [name ["?"] ":"] type ["=" default]
+//   type        := any text with balanced (), [], {}, <> — unspaced "|" is a union
+//   constraints := free text after the first top-level " | " (pipe with spaces on both sides)
+
+const openers = { '(': ')', '[': ']', '{': '}', '<': '>' };
+const closers = new Set([')', ']', '}', '>']);
+
+// @contract: (s:str, i:num) -> bool
+// @pure: true
+// AOCS-INVARIANT: `Promise<`, `Map<` open a generic; `len<10` and `a < b` are comparisons
+function opensAngle(s, i) {
+  return /[\w$]/.test(s[i - 1] || '') && /[A-Za-z_$&*([{'"]/.test(s[i + 1] || '');
+}
+
+// @contract: (s:str) -> {depths:num[], error:str|null, errorAt:num}
+// @pure: true
+// @complexity: O(n)
+// AOCS-INVARIANT: errorAt is the index of the first mismatched closer (else innermost unclosed opener), or -1
+function bracketDepths(s) {
+  const depths = [];
+  const stack = [];
+  let error = null;
+  let errorAt = -1;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '<' && opensAngle(s, i)) {
+      depths.push(stack.length);
+      stack.push({ ch, at: i });
+      continue;
+    }
+    // `->`, `=>`, `>=` and comparisons are operators, not closing angles
+    if (ch === '>' && (s[i - 1] === '-' || s[i - 1] === '=' || s[i + 1] === '=' || !stack.some(e => e.ch === '<'))) {
+      depths.push(stack.length);
+      continue;
+    }
+    if (closers.has(ch)) {
+      const open = stack.pop();
+      if ((!open || openers[open.ch] !== ch) && errorAt === -1) {
+        error = `unbalanced "${ch}" at column ${i + 1}`;
+        errorAt = i;
+      }
+      depths.push(stack.length);
+      continue;
+    }
+    depths.push(stack.length);
+    if (openers[ch] && ch !== '<') stack.push({ ch, at: i });
+  }
+
+  const innermost = stack[stack.length - 1];
+  if (innermost && errorAt === -1) {
+    error = `unclosed "${innermost.ch}" at column ${innermost.at + 1}`;
+    errorAt = innermost.at;
+  }
+  return { depths, error, errorAt };
+}
+
+// @contract: (s:str, sep:str) -> str[]
+// @pure: true
+// AOCS-INVARIANT: separators nested inside (), [], {} or <> never split
+export function splitTopLevel(s, sep) {
+  const { depths } = bracketDepths(s);
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (depths[i] === 0 && s.startsWith(sep, i)) {
+      parts.push(s.slice(start, i));
+      start = i + sep.length;
+      i += sep.length - 1;
+    }
+  }
+  parts.push(s.slice(start));
+  return parts;
+}
+
+// @contract: (spec:str) -> {param:{name:str|null, optional:bool, rest:bool, type:str, defaultValue:str|null}|null, error:str|null}
+// @pure: true
+function parseParamSpec(spec) {
+  let text = spec.trim();
+  if (text.length === 0) return { param: null, error: 'empty parameter' };
+
+  const param = { name: null, optional: false, rest: false, type: '', defaultValue: null };
+  if (text.startsWith('...')) {
+    param.rest = true;
+    text = text.slice(3).trim();
+  }
+
+  const named = text.match(/^([A-Za-z_$][\w$]*)(\?)?\s*:(?!:)\s*([\s\S]*)$/);
+  if (named) {
+    param.name = named[1];
+    param.optional = Boolean(named[2]);
+    text = named[3];
+  }
+
+  // `d:int=30` — a top-level `=` that is not part of `=>`, `==`, `>=`, `<=` or `!=`
+  const { depths } = bracketDepths(text);
+  for (let i = 0; i < text.length; i++) {
+    if (depths[i] === 0 && text[i] === '=' && !'=<>!'.includes(text[i - 1] || '') && !'=>'.includes(text[i + 1] || '')) {
+      param.defaultValue = text.slice(i + 1).trim();
+      param.optional = true;
+      text = text.slice(0, i);
+      break;
+    }
+  }
+
+  param.type = text.trim();
+  if (param.type.length === 0) {
+    return { param: null, error: `parameter "${param.name || spec.trim()}" has no type` };
+  }
+  return { param, error: null };
+}
+
+// @contract: (text:str) -> {ok:bool, error:str|null, params:object[], returns:str|null, constraints:str|null}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = text.length
+// AOCS-INVARIANT: ok === (error === null)
+export function parseContract(text) {
+  const src = (text || '').trim();
+  const result = { ok: false, error: null, params: [], returns: null, constraints: null };
+
+  if (!src.startsWith('(')) {
+    result.error = 'must start with a parameter list "(...)"';
+    return result;
+  }
+
+  const { depths, error, errorAt } = bracketDepths(src);
+  let close = -1;
+  for (let i = 1; i < src.length; i++) {
+    if (src[i] === ')' && depths[i] === 0) {
+      close = i;
+      break;
+    }
+  }
+  if (close === -1) {
+    result.error = error || 'unclosed "(" at column 1';
+    return result;
+  }
+
+  const arrow = src.indexOf('->', close);
+  if (arrow === -1 || src.slice(close + 1, arrow).trim().length > 0) {
+    result.error = 'expected "->" after the parameter list';
+    return result;
+  }
+
+  // Constraints are free text, so bracket errors only count before the first top-level " | "
+  let contractEnd = src.length;
+  for (let i = arrow + 2; i < src.length; i++) {
+    if (depths[i] === 0 && src.startsWith(' | ', i)) {
+      contractEnd = i;
+      break;
+    }
+  }
+  if (errorAt !== -1 && errorAt < contractEnd) {
+    result.error = error;
+    return result;
+  }
+
+  const returns = src.slice(arrow + 2, contractEnd).trim();
+  if (returns.length === 0) {
+    result.error = 'missing return type after "->"';
+    return result;
+  }
+
+  const inner = src.slice(1, close);
+  if (inner.trim().length > 0) {
+    for (const spec of splitTopLevel(inner, ',')) {
+      const { param, error: paramError } = parseParamSpec(spec);
+      if (paramError) {
+        result.error = paramError;
+        return result;
+      }
+      result.params.push(param);
+    }
+  }
+
+  result.ok = true;
+  result.returns = returns;
+  result.constraints = contractEnd < src.length ? src.slice(contractEnd + 3).trim() : null;
+  return result;
+}
@@ -0,0 +1,110 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: two versions of a text file
+// AOCS-OUTPUTS: unified diff text
+// @module: aocs-validator/diff
+// @exports: unifiedDiff
+// @depends: none
+
+// @contract: (a:str[], b:str[]) -> {op:str, line:str}[]
+// @pure: true
+// @complexity: O((n+m)*d) where d = number of changed lines (Myers)
+// AOCS-INVARIANT: op is " " (kept), "-" (only in a) or "+" (only in b), in file order
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ op: '+', line: b[--y] });
+    else ops.push({ op: '-', line: a[--x] });
+  }
+  return ops.reverse();
+}
+
+// @contract: (start:num, count:num) -> str
+// @pure: true
+function hunkRange(start, count) {
+  // Unified diff numbers an empty range by the line before it
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+// @contract: (before:str, after:str, path:str, context?:num) -> str
+// @throws: never
+// @pure: true
+// AOCS-INVARIANT: returns "" when before === after
+export function unifiedDiff(before, after, path, context = 3) {
+  if (before === after) return '';
+  // @contract: (text:str) -> str[]
+  // @pure: true
+  const toLines = text => (text === '' ? [] : (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n'));
+  const ops = diffLines(toLines(before), toLines(after));
+
+  // Group changes whose context windows touch into hunks
+  const changed = [];
+  ops.forEach((o, i) => {
+    if (o.op !== ' ') changed.push(i);
+  });
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  const out = [`--- a/${path}`, `+++ b/${path}`];
+  let oldLine = 0;
+  let newLine = 0;
+  let cursor = 0;
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    for (; cursor < from; cursor++) {
+      if (ops[cursor].op !== '+') oldLine++;
+      if (ops[cursor].op !== '-') newLine++;
+    }
+    const body = ops.slice(from, to + 1);
+    const oldCount = body.filter(o => o.op !== '+').length;
+    const newCount = body.filter(o => o.op !== '-').length;
+    out.push(`@@ -${hunkRange(oldLine, oldCount)} +${hunkRange(newLine, newCount)} @@`);
+    for (const o of body) out.push(`${o.op}${o.line}`);
+    oldLine += oldCount;
+    newLine += newCount;
+    cursor = to + 1;
+  }
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,67 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: file contents, split lines, parsed sources
+// @module: aocs-validator/file-cache
+// @exports: createFileCache
+// @depends: fs
+//
+// One read and one parse per file per run. validate() hands a cache to every rule as the fourth
+// argument of check(); rules that run side by side await the same pending promise, so a file is
+// read once no matter how many rules look at it. Cached values are shared: treat them as read-only.
+
+import { readFile } from 'fs/promises';
+
+// @contract: (content:str) -> str[]
+// @pure: true
+function splitLines(content) {
+  return content.split('\n');
+}
+
+// @contract: (contents?:Map<str,str>) -> {read:function, lines:function, parse:function, stats:function}
+// @pure: false
+// AOCS-INVARIANT: read(file), lines(file) and parse(file, parser) resolve to the same object on every call;
+// a read or parse failure is cached too and rejects every caller
+// AOCS-INVARIANT: files in contents are served from it and never read from disk (staged runs seed index blobs)
+export function createFileCache(contents = new Map()) {
+  const texts = new Map(Array.from(contents, ([file, text]) => [file, Promise.resolve(text)]));
+  const parses = new Map();
+  const counts = { reads: 0, parses: 0, hits: 0 };
+
+  // @contract: (file:str) -> Promise<str>
+  // @pure: false
+  const read = file => {
+    if (texts.has(file)) {
+      counts.hits++;
+    } else {
+      counts.reads++;
+      texts.set(file, readFile(file, 'utf-8'));
+    }
+    return texts.get(file);
+  };
+
+  // @contract: (file:str, parser:function) -> Promise<any>
+  // @pure: false
+  // AOCS-INVARIANT: results are keyed by file and parser function, so parseSource and parsePython never collide
+  const parse = (file, parser) => {
+    if (!parses.has(parser)) parses.set(parser, new Map());
+    const byFile = parses.get(parser);
+    if (byFile.has(file)) {
+      counts.hits++;
+    } else {
+      counts.parses++;
+      byFile.set(file, read(file).then(parser));
+    }
+    return byFile.get(file);
+  };
+
+  return {
+    read,
+    // @contract: (file:str) -> Promise<str[]>
+    // @pure: false
+    lines: file => parse(file, splitLines),
+    parse,
+    // @contract: () -> {reads:num, parses:num, hits:num}
+    // @pure: false
+    stats: () => ({ ...counts })
+  };
+}
@@ -0,0 +1,212 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: file source text, project-relative path
+// AOCS-OUTPUTS: fixed source text and a list of applied fixes
+// @module: aocs-validator/fixer
+// @exports: fixSource
+// @depends: path, core/js-parser, core/side-effects, core/comments
+
+import { posix } from 'path';
+import { parseSource, leadingComments, readTags } from './js-parser.js';
+import { domGlobals, isIoModule } from './side-effects.js';
+import { commentParser, commentLines } from './comments.js';
+
+const jsExtensions = ['.js', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Comment syntax per extension — the same forms checks/file-roles.js recognizes
+const commentStyles = {
+  '.py': { open: '# ', close: '' },
+  '.html': { open: '<!-- ', close: ' -->' },
+  '.htm': { open: '<!-- ', close: ' -->' },
+  '.css': { open: '/* ', close: ' */' }
+};
+const slashComment = { open: '// ', close: '' };
+
+const hintNames = ['AOCS-INVARIANT', 'AOCS-FAILS-ON', 'AOCS-PURE', 'AOCS-COMPLEXITY'];
+
+// @contract: (ext:str, text:str) -> str
+// @pure: true
+function comment(ext, text) {
+  const style = commentStyles[ext] || slashComment;
+  return `${style.open}${text}${style.close}`;
+}
+
+// @contract: (lines:str[], ext:str) -> bool
+// @pure: true
+function hasRole(lines, ext) {
+  const max = ext === '.html' || ext === '.htm' ? 15 : 5;
+  return lines.slice(0, max).some(l => /AOCS-ROLE:\s*\S/.test(l));
+}
+
+// @contract: (lines:str[], ext:str) -> num
+// @pure: true
+// AOCS-INVARIANT: keeps hashbangs, Python encoding lines and HTML doctypes first
+function headerStart(lines, ext) {
+  let i = 0;
+  if (lines[0] && lines[0].startsWith('#!')) i = 1;
+  if (ext === '.py' && lines[i] && /coding[:=]/.test(lines[i])) i++;
+  if ((ext === '.html' || ext === '.htm') && lines[i] && /^\s*<!doctype/i.test(lines[i])) i++;
+  return i;
+}
+
+// @contract: (parsed:object|null, ext:str) -> str
+// @pure: true
+function inferRole(parsed, ext) {
+  if (ext === '.html' || ext === '.htm' || ext === '.css') return 'ui-binding';
+  if (!parsed) return 'pure-logic';
+  const ioImports = [...parsed.imports, ...parsed.requires, ...parsed.dynamicImports].some(i => i.source && isIoModule(i.source));
+  if (ioImports) return 'io-boundary';
+  const declared = new Set(parsed.bindings.map(b => b.name));
+  const usesDom = parsed.tokens.some((t, i) =>
+    t.type === 'name' && domGlobals.has(t.value) && !declared.has(t.value) && !(parsed.tokens[i - 1] && parsed.tokens[i - 1].value === '.')
+  );
+  return usesDom ? 'ui-binding' : 'pure-logic';
+}
+
+// @contract: (relPath:str) -> str
+// @pure: true
+function moduleName(relPath) {
+  return relPath.replace(/\.(m|c)?(j|t)sx?$/, '').replace(/\/index$/, '').replace(/^src\//, '');
+}
+
+// @contract: (parsed:object) -> str
+// @pure: true
+function exportsList(parsed) {
+  const names = [];
+  for (const e of parsed.exports) {
+    if (e.kind === 'reexport-all') continue;
+    const name = e.name === 'default' && e.local ? e.local : e.name;
+    if (!names.includes(name)) names.push(name);
+  }
+  return names.length > 0 ? names.join(', ') : 'none';
+}
+
+// @contract: (parsed:object, relPath:str) -> str
+// @pure: true
+// AOCS-INVARIANT: relative imports become the short `dir/name` form that U1-depends-drift accepts
+function dependsList(parsed, relPath) {
+  const sources = [...parsed.imports.map(i => i.source), ...parsed.exports.filter(e => e.source).map(e => e.source)];
+  const names = [];
+  for (const source of sources) {
+    if (!source) continue;
+    let name;
+    if (source.startsWith('.')) {
+      const target = posix.join(posix.dirname(relPath), source).replace(/\.(m|c)?(j|t)sx?$/, '').replace(/\/index$/, '');
+      name = target.split('/').filter(s => s && s !== '..').slice(-2).join('/');
+    } else {
+      const bare = source.replace(/^node:/, '');
+      name = bare.startsWith('@') ? bare.split('/').slice(0, 2).join('/') : bare.split('/')[0];
+    }
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names.length > 0 ? names.join(', ') : 'none';
+}
+
+// @contract: (type:str|null) -> str
+// @pure: true
+function contractType(type) {
+  if (!type) return 'any';
+  return type.replace(/\bstring\b/g, 'str').replace(/\bnumber\b/g, 'num').replace(/\bboolean\b/g, 'bool');
+}
+
+// @contract: (fn:object) -> str
+// @pure: true
+function contractSkeleton(fn) {
+  const params = fn.params.map(p => {
+    const type = contractType(p.type);
+    if (p.pattern || !p.name) return p.type ? type : (p.rest ? '...any[]' : 'object');
+    return `${p.rest ? '...' : ''}${p.name}${p.optional || p.hasDefault ? '?' : ''}:${p.rest && !p.type ? 'any[]' : type}`;
+  });
+  const returns = fn.returnType ? contractType(fn.returnType) : (fn.async ? 'Promise<any>' : 'any');
+  return `@contract: (${params.join(', ')}) -> ${returns}`;
+}
+
+// @contract: (line:str) -> str
+// @pure: true
+// AOCS-INVARIANT: `HINT value`, `HINT - value` and `HINT = value` become `HINT: value`; empty hints are left alone
+function rewriteHint(line) {
+  let fixed = line;
+  for (const hint of hintNames) {
+    if (!fixed.includes(hint) || new RegExp(`${hint}:\\s*\\S`).test(fixed)) continue;
+    fixed = fixed.replace(new RegExp(`${hint}(?:\\s*[-=:]\\s*|\\s+)(?!\\*\\/|-->)(?=\\S)`), `${hint}: `);
+  }
+  return fixed;
+}
+
+// @contract: (source:str, relPath:str) -> {source:str, fixes:str[]}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = source.length (plus one parse for JS/TS)
+// AOCS-INVARIANT: every insertion is computed against the original lines, then applied bottom-up
+// AOCS-INVARIANT: hints are only rewritten inside comments for languages with a tokenizer
+export function fixSource(source, relPath) {
+  const ext = posix.extname(relPath);
+  const lines = source.split('\n');
+  const fixes = [];
+  const insertions = [];
+
+  const parser = commentParser(relPath);
+  const tokenized = parser ? parser(source) : null;
+  const hintLines = tokenized ? commentLines(source, tokenized.comments) : lines.map((text, i) => ({ line: i + 1, text }));
+  for (const { line, text } of hintLines) {
+    const fixed = rewriteHint(text);
+    if (fixed === text) continue;
+    const at = lines[line - 1].lastIndexOf(text);
+    lines[line - 1] = lines[line - 1].slice(0, at) + fixed + lines[line - 1].slice(at + text.length);
+    fixes.push(`rewrote malformed hint on line ${line}`);
+  }
+
+  const parsed = jsExtensions.includes(ext) ? tokenized : null;
+
+  if (parsed) {
+    for (const fn of parsed.functions) {
+      if (!fn.exported) continue;
+      if (readTags(leadingComments(parsed, fn.line)).some(t => t.tag === '@contract')) continue;
+      const indent = lines[fn.line - 1].match(/^\s*/)[0];
+      insertions.push({ at: fn.line - 1, lines: [`${indent}// ${contractSkeleton(fn)}`] });
+      fixes.push(`added @contract for ${fn.name || 'default export'}`);
+    }
+  }
+
+  const start = headerStart(lines, ext);
+  const header = [];
+  if (!hasRole(lines, ext)) {
+    header.push(comment(ext, `AOCS-ROLE: ${inferRole(parsed, ext)}`));
+    fixes.push('added AOCS-ROLE header');
+  }
+
+  if (parsed) {
+    const tags = readTags(parsed.comments.filter(c => c.line <= 20));
+    // @contract: (name:str) -> object|undefined
+    // @pure: true
+    const tagLine = name => tags.find(t => t.tag === name || new RegExp(`\\|\\s*${name}:`).test(t.value));
+    const moduleTag = tagLine('@module');
+    const manifest = [];
+    if (!moduleTag && parsed.exports.length > 0) manifest.push(`// @module: ${moduleName(relPath)}`);
+    if ((moduleTag || manifest.length > 0) && !tagLine('@exports')) manifest.push(`// @exports: ${exportsList(parsed)}`);
+    if ((moduleTag || manifest.length > 0) && !tagLine('@depends')) manifest.push(`// @depends: ${dependsList(parsed, relPath)}`);
+
+    if (manifest.length > 0) {
+      fixes.push(`added ${manifest.map(l => l.match(/@\w+/)[0]).join(', ')} manifest`);
+      if (moduleTag) {
+        // Complete an existing manifest right below its last tag
+        const last = Math.max(...['@module', '@exports', '@depends'].map(tagLine).filter(Boolean).map(t => t.line));
+        insertions.push({ at: last, lines: manifest });
+      } else {
+        let end = start;
+        while (end < lines.length && /^\s*\/\//.test(lines[end])) end++;
+        if (end === start) header.push(...manifest);
+        else insertions.push({ at: end, lines: manifest });
+      }
+    }
+  }
+
+  if (header.length > 0) insertions.push({ at: start, lines: header });
+
+  // Bottom-up so earlier indices stay valid; header inserts sort before code at the same index
+  insertions.sort((a, b) => b.at - a.at);
+  for (const { at, lines: added } of insertions) {
+    lines.splice(at, 0, ...added);
+  }
+
+  return { source: lines.join('\n'), fixes };
+}
@@ -0,0 +1,311 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: check results
+// AOCS-OUTPUTS: formatted report strings (text, json, sarif, junit, github)
+// @module: aocs-validator/formatters
+// @exports: outputFormats, flattenViolations, summarize, formatResults, formatTiming, formatWatchRun
+// @depends: none
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFO_URI = 'https://github.com/spuddermax/aocs';
+
+// @contract: () -> str[]
+// @pure: true
+// AOCS-INVARIANT: every entry has a formatter in formatResults
+export const outputFormats = ['text', 'json', 'sarif', 'junit', 'github'];
+
+// @contract: (results:object[]) -> {passed:num, failed:num, warnings:num}
+// @pure: true
+// @complexity: O(n) where n = results.length
+// AOCS-INVARIANT: passed + failed + warnings <= results.length
+export function summarize(results) {
+  let passed = 0;
+  let failed = 0;
+  let warnings = 0;
+
+  for (const result of results) {
+    const count = result.violations ? result.violations.length : 0;
+    if (result.level === 'error') {
+      if (count > 0) failed++;
+      else passed++;
+    } else if (result.level === 'warn' && count > 0) {
+      warnings++;
+    }
+  }
+
+  return { passed, failed, warnings };
+}
+
+// @contract: (result:{id:str, violations?:object[]}) -> str
+// @pure: true
+// AOCS-INVARIANT: split results (-warnings, -errors, -fixed) map back to the rule that produced them
+function resultRuleId(result) {
+  const first = result.violations && result.violations[0];
+  return first && first.ruleId ? first.ruleId : result.id;
+}
+
+// @contract: (results:object[]) -> {ruleId:str, ruleName:str, level:str, file:str|null, line:num|null, column:num|null, message:str}[]
+// @pure: true
+// @complexity: O(v) where v = total violations
+// AOCS-INVARIANT: ruleId is the violation's own rule id; results built by hand without one fall back to the result id
+export function flattenViolations(results) {
+  const flat = [];
+
+  for (const result of results) {
+    for (const v of result.violations || []) {
+      flat.push({
+        ruleId: v.ruleId || result.id,
+        ruleName: result.name,
+        level: result.level,
+        file: v.file ? v.file.split('\\').join('/') : null,
+        line: v.line || null,
+        column: v.column || null,
+        message: v.message
+      });
+    }
+  }
+
+  return flat;
+}
+
+// @contract: (v:{file:str|null, line:num|null, column?:num|null, message:str}) -> str
+// @pure: true
+function describeViolation(v) {
+  if (v.file && v.line) return `${v.file}:${v.line}${v.column ? `:${v.column}` : ''} — ${v.message}`;
+  return v.message;
+}
+
+// @contract: (meta:{profile?:{mode:str, source:str}, baseline?:{matched:num}|null}) -> str
+// @pure: true
+// AOCS-INVARIANT: empty when no profile was applied (e.g. the config failed to load) and no baseline hid anything
+function summaryNote(meta) {
+  const profile = meta.profile ? ` (${meta.profile.mode} profile, set by ${meta.profile.source})` : '';
+  const baseline = meta.baseline && meta.baseline.matched > 0 ? `; ${meta.baseline.matched} baselined` : '';
+  return profile + baseline;
+}
+
+// @contract: (results:object[], meta:{profile?:object}) -> str
+// @pure: true
+// @complexity: O(v) where v = total violations
+function formatText(results, meta) {
+  const lines = [];
+
+  for (const result of results) {
+    const violations = result.violations || [];
+    if (result.level === 'error') {
+      lines.push(violations.length > 0 ? `❌ FAIL: ${result.name}` : `✅ PASS: ${result.name}`);
+    } else if (result.level === 'warn' && violations.length > 0) {
+      lines.push(`⚠️  WARN: ${result.name}`);
+    } else {
+      continue;
+    }
+    for (const v of violations) {
+      lines.push(`  ${describeViolation(v)}`);
+    }
+  }
+
+  const { passed, failed, warnings } = summarize(results);
+  lines.push('');
+  lines.push(`Summary: ${passed} passed, ${failed} failed, ${warnings} warnings${summaryNote(meta)}`);
+
+  return lines.join('\n');
+}
+
+// @contract: (results:object[], meta:{version:str, profile?:object}) -> str
+// @pure: true
+function formatJson(results, meta) {
+  return JSON.stringify({
+    tool: 'aocs',
+    version: meta.version,
+    profile: meta.profile || null,
+    baseline: meta.baseline || null,
+    summary: summarize(results),
+    results: results.map(r => ({ id: r.id, name: r.name, level: r.level, violations: r.violations || [] })),
+    violations: flattenViolations(results)
+  }, null, 2);
+}
+
+// @contract: (results:object[], meta:{version:str, profile?:object}) -> str
+// @pure: true
+// AOCS-INVARIANT: output conforms to SARIF 2.1.0 (one run, driver "aocs")
+function formatSarif(results, meta) {
+  const ruleIds = [...new Set(results.map(resultRuleId))];
+  const rules = ruleIds.map(id => {
+    const r = results.find(x => resultRuleId(x) === id);
+    return {
+      id,
+      name: r.name,
+      shortDescription: { text: r.name },
+      defaultConfiguration: { level: r.level === 'error' ? 'error' : 'warning' }
+    };
+  });
+
+  const sarifResults = flattenViolations(results).map(v => {
+    const entry = {
+      ruleId: v.ruleId,
+      ruleIndex: ruleIds.indexOf(v.ruleId),
+      level: v.level === 'error' ? 'error' : 'warning',
+      message: { text: v.message }
+    };
+    if (v.file) {
+      const physicalLocation = { artifactLocation: { uri: v.file, uriBaseId: '%SRCROOT%' } };
+      if (v.line) physicalLocation.region = v.column ? { startLine: v.line, startColumn: v.column } : { startLine: v.line };
+      entry.locations = [{ physicalLocation }];
+    }
+    return entry;
+  });
+
+  const run = {
+    tool: { driver: { name: 'aocs', version: meta.version, informationUri: INFO_URI, rules } },
+    results: sarifResults
+  };
+  if (meta.profile) run.properties = { profile: meta.profile };
+
+  return JSON.stringify({ $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] }, null, 2);
+}
+
+// @contract: (s:str) -> str
+// @pure: true
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// @contract: (results:object[], meta:{version:str, profile?:object}) -> str
+// @pure: true
+// AOCS-INVARIANT: one <testsuite> per rule; error violations become <failure>, warnings <system-out>
+function formatJunit(results, meta) {
+  const summary = summarize(results);
+  let totalTests = 0;
+  let totalFailures = 0;
+  const suites = [];
+
+  for (const result of results) {
+    const violations = result.violations || [];
+    const isError = result.level === 'error';
+    const cases = [];
+
+    if (violations.length === 0) {
+      cases.push(`    <testcase classname="${escapeXml(result.id)}" name="${escapeXml(result.name)}"/>`);
+    }
+
+    for (const v of flattenViolations([result])) {
+      const name = escapeXml(describeViolation(v));
+      const classname = escapeXml(v.ruleId);
+      if (isError) {
+        cases.push(
+          `    <testcase classname="${classname}" name="${name}"${v.file ? ` file="${escapeXml(v.file)}"` : ''}>\n` +
+          `      <failure type="${escapeXml(v.level)}" message="${escapeXml(v.message)}">${name}</failure>\n` +
+          '    </testcase>'
+        );
+      } else {
+        cases.push(
+          `    <testcase classname="${classname}" name="${name}"${v.file ? ` file="${escapeXml(v.file)}"` : ''}>\n` +
+          `      <system-out>${escapeXml(`${v.level}: ${v.message}`)}</system-out>\n` +
+          '    </testcase>'
+        );
+      }
+    }
+
+    const failures = isError ? violations.length : 0;
+    totalTests += cases.length;
+    totalFailures += failures;
+    suites.push(
+      `  <testsuite name="${escapeXml(result.id)}" tests="${cases.length}" failures="${failures}" errors="0">\n` +
+      cases.join('\n') + '\n' +
+      '  </testsuite>'
+    );
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="aocs ${escapeXml(meta.version)}" tests="${totalTests}" failures="${totalFailures}" errors="0">\n` +
+    (suites.length > 0 ? suites.join('\n') + '\n' : '') +
+    `  <!-- Summary: ${summary.passed} passed, ${summary.failed} failed, ${summary.warnings} warnings${summaryNote(meta)} -->\n` +
+    '</testsuites>';
+}
+
+// @contract: (s:str, isProperty:bool) -> str
+// @pure: true
+function escapeAnnotation(s, isProperty) {
+  let out = String(s).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  if (isProperty) out = out.replace(/:/g, '%3A').replace(/,/g, '%2C');
+  return out;
+}
+
+// @contract: (results:object[]) -> str
+// @pure: true
+function formatGithub(results) {
+  return flattenViolations(results).map(v => {
+    const command = v.level === 'error' ? 'error' : 'warning';
+    const props = [];
+    if (v.file) props.push(`file=${escapeAnnotation(v.file, true)}`);
+    if (v.line) props.push(`line=${v.line}`);
+    if (v.line && v.column) props.push(`col=${v.column}`);
+    props.push(`title=${escapeAnnotation(v.ruleId, true)}`);
+    return `::${command} ${props.join(',')}::${escapeAnnotation(v.message, false)}`;
+  }).join('\n');
+}
+
+// @contract: (results:object[], format:str, meta?:{version:str, profile?:{mode:str, source:str}, baseline?:{matched:num, fixed:num}}) -> str
+// @throws: Error
+// @pure: true
+// AOCS-FAILS-ON: format not listed in outputFormats
+export function formatResults(results, format, meta = { version: '0.0.0' }) {
+  switch (format) {
+    case 'text':
+      return formatText(results, meta);
+    case 'json':
+      return formatJson(results, meta);
+    case 'sarif':
+      return formatSarif(results, meta);
+    case 'junit':
+      return formatJunit(results, meta);
+    case 'github':
+      return formatGithub(results);
+    default:
+      throw new Error(`Unknown output format: ${format} (expected one of: ${outputFormats.join(', ')})`);
+  }
+}
+
+// @contract: (timing:{totalMs:num, concurrency:num, rules:{id:str, ms:num}[], cache:{reads:num, parses:num, hits:num}, results?:{files:num, unchanged:num}|null}) -> str
+// @pure: true
+// @complexity: O(r log r) where r = timing.rules.length
+// AOCS-INVARIANT: slowest rule first; rules run side by side, so their times can add up to more than the total
+export function formatTiming(timing) {
+  // @contract: (value:num) -> str
+  // @pure: true
+  const ms = value => `${value.toFixed(1)}ms`;
+  const rules = Array.from(timing.rules).sort((a, b) => b.ms - a.ms);
+  const width = Math.max(0, ...rules.map(r => r.id.length));
+  const { reads, parses, hits } = timing.cache;
+  return [
+    `Timing: ${ms(timing.totalMs)} total, ${rules.length} rule(s), up to ${timing.concurrency} at a time`,
+    ...rules.map(r => `  ${r.id.padEnd(width)}  ${ms(r.ms).padStart(9)}`),
+    `File cache: ${reads} read(s), ${parses} parse(s), ${hits} served from cache`,
+    ...(timing.results ? [`Result cache: ${timing.results.unchanged} of ${timing.results.files} file(s) unchanged since the last run`] : [])
+  ].join('\n');
+}
+
+// @contract: (run:{result:object, diff:{added:object[], resolved:object[]}, changed:str[], reload:bool}) -> str
+// @pure: true
+// @complexity: O(a + r) where a = added, r = resolved violations
+// AOCS-INVARIANT: one header line naming what changed, one line per new (+) or resolved (-) violation, then the summary
+export function formatWatchRun(run) {
+  const { added, resolved } = run.diff;
+  const shown = run.changed.slice(0, 3).join(', ') + (run.changed.length > 3 ? ` and ${run.changed.length - 3} more` : '');
+  const what = run.reload ? `${shown} changed, configuration reloaded` : `${shown} changed`;
+  const counts = added.length + resolved.length === 0 ? 'no new or resolved violations' : `${added.length} new, ${resolved.length} resolved`;
+  // @contract: (sign:str, v:object) -> str
+  // @pure: true
+  const line = (sign, v) => `  ${sign} ${v.severity === 'error' ? '❌' : '⚠️ '} ${describeViolation(v)} (${v.ruleId})`;
+  const { passed, failed, warnings } = summarize(run.result.results);
+  return [
+    `${what}: ${counts}`,
+    ...added.map(v => line('+', v)),
+    ...resolved.map(v => line('-', v)),
+    `Summary: ${passed} passed, ${failed} failed, ${warnings} warnings${summaryNote(run.result)}`
+  ].join('\n');
+}
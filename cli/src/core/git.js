@@ -0,0 +1,117 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: git index and history, .git/hooks
+// AOCS-OUTPUTS: changed file lists, staged file contents, pre-commit hook script
+// @module: aocs-validator/git
+// @exports: changedFiles, stagedContents, installHook
+// @depends: child_process, fs, path
+//
+// Everything validate needs from git goes through the git binary, so worktrees, submodules and
+// core.hooksPath behave as they do for git itself.
+
+import { execFile } from 'child_process';
+import { readFile, writeFile, chmod, mkdir } from 'fs/promises';
+import { dirname, relative, resolve, sep } from 'path';
+
+// Identifies hooks this module wrote, so reinstalling replaces them and never a hand-written hook
+const hookMarker = '# Installed by `aocs hooks install`';
+
+// @contract: (cwd:str, args:str[]) -> Promise<str>
+// @pure: false
+// AOCS-FAILS-ON: (rejects) git is not installed, cwd is not inside a work tree, or the command exits non-zero
+function git(cwd, args) {
+  return new Promise((done, fail) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (!err) return done(stdout);
+      const detail = err.code === 'ENOENT' ? 'git is not installed' : (stderr.trim().split('\n')[0] || err.message);
+      fail(new Error(`git ${args[0]} failed: ${detail}`));
+    });
+  });
+}
+
+// @contract: (out:str) -> str[]
+// @pure: true
+const splitPaths = out => out.split('\u0000').filter(p => p.length > 0);
+
+// @contract: (projectPath:str, options:{staged?:bool, since?:str}) -> Promise<str[]>
+// @pure: false
+// @throws: Error
+// AOCS-INVARIANT: absolute paths of added, copied, modified and renamed files under projectPath; deletions are left out
+// AOCS-INVARIANT: since compares the ref with the working tree and adds untracked files that are not ignored
+// AOCS-FAILS-ON: projectPath is not in a git work tree, since is not a commit, or since starts with "-"
+export async function changedFiles(projectPath, options) {
+  const root = resolve(projectPath);
+  const diff = ['diff', '--name-only', '--diff-filter=ACMR', '--relative', '-z'];
+  if (options.staged) {
+    return splitPaths(await git(root, [...diff, '--cached'])).map(p => resolve(root, p));
+  }
+  if (options.since.startsWith('-')) {
+    throw new Error(`--changed-since expects a git ref (found "${options.since}")`);
+  }
+  const changed = splitPaths(await git(root, [...diff, options.since, '--']));
+  const untracked = splitPaths(await git(root, ['ls-files', '--others', '--exclude-standard', '-z']));
+  return Array.from(new Set([...changed, ...untracked])).map(p => resolve(root, p));
+}
+
+// @contract: (projectPath:str, files:str[]) -> Promise<Map<str,str>>
+// @pure: false
+// @complexity: O(f) git processes where f = files
+// AOCS-INVARIANT: maps each given path, as given, to its blob in the index, so a staged run checks what will be committed;
+// relative paths are relative to the process cwd, as scanned paths are, not to projectPath
+// AOCS-FAILS-ON: (rejects) a file is not in the index
+export async function stagedContents(projectPath, files) {
+  const root = resolve(projectPath);
+  const contents = new Map();
+  for (const file of files) {
+    // ":./path" names the index entry relative to root, wherever root sits in the work tree
+    const rel = relative(root, resolve(file)).split(sep).join('/');
+    contents.set(file, await git(root, ['show', `:./${rel}`]));
+  }
+  return contents;
+}
+
+// @contract: (projectPath:str, options?:{force?:bool}) -> Promise<{file:str|null, replaced:bool, errors:str[]}>
+// @pure: false
+// AOCS-INVARIANT: a pre-commit hook not written by aocs is left untouched unless force is set
+export async function installHook(projectPath, options = {}) {
+  const root = resolve(projectPath);
+  let prefix;
+  let hooksDir;
+  try {
+    prefix = (await git(root, ['rev-parse', '--show-prefix'])).trim();
+    hooksDir = resolve(root, (await git(root, ['rev-parse', '--git-path', 'hooks'])).trim());
+  } catch (err) {
+    return { file: null, replaced: false, errors: [err.message] };
+  }
+
+  const file = resolve(hooksDir, 'pre-commit');
+  let existing = null;
+  try {
+    existing = await readFile(file, 'utf-8');
+  } catch (err) {
+    // No hook yet
+  }
+  if (existing !== null && !existing.includes(hookMarker) && !options.force) {
+    return { file: null, replaced: false, errors: [`${file} already exists and was not written by aocs; pass --force to replace it`] };
+  }
+
+  // Hooks run from the top of the work tree; the project may be a subdirectory of it
+  const project = prefix.replace(/\/$/, '') || '.';
+  const script = [
+    '#!/bin/sh',
+    hookMarker,
+    `project='${project.split("'").join("'\\''")}'`,
+    'if command -v aocs >/dev/null 2>&1; then',
+    '  exec aocs validate --staged "$project"',
+    'fi',
+    'exec npx --no-install aocs validate --staged "$project"',
+    ''
+  ].join('\n');
+  try {
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, script, 'utf-8');
+    await chmod(file, 0o755);
+  } catch (err) {
+    return { file: null, replaced: false, errors: [`Cannot write ${file} (check core.hooksPath): ${err.message}`] };
+  }
+  return { file, replaced: existing !== null, errors: [] };
+}
@@ -0,0 +1,69 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: glob patterns, project-relative paths
+// AOCS-OUTPUTS: match results
+// @module: aocs-validator/glob
+// @exports: globToRegExp, compileGlob, matchGlob
+// @depends: none
+//
+// Patterns use gitignore-style paths relative to the project root:
+//   *   any characters except "/"        ?   one character except "/"
+//   **  any number of directories        dir/  everything under dir
+// A pattern without a "/" (other than a trailing one) matches at any depth.
+
+// @contract: (pattern:str) -> RegExp
+// @pure: true
+// @complexity: O(n) where n = pattern.length
+// AOCS-INVARIANT: the expression is anchored at both ends and matches "/"-separated paths
+export function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  const anchored = glob.startsWith('/') || glob.replace(/\/$/, '').includes('/');
+  glob = glob.replace(/^\//, '');
+  if (glob.endsWith('/')) glob += '**';
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // `**/` may match no directories at all; a trailing `**` matches the rest of the path
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+// @contract: (pattern:str) -> function
+// @pure: true
+// AOCS-INVARIANT: the matcher also accepts every path below a directory the pattern names
+export function compileGlob(pattern) {
+  const re = globToRegExp(pattern);
+  // @contract: (path:str) -> bool
+  // @pure: true
+  return path => {
+    const normalized = path.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (re.test(normalized)) return true;
+    // `legacy` matches `legacy/a.js`: test each parent directory as well
+    const parts = normalized.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+      if (re.test(parts.slice(0, i).join('/'))) return true;
+    }
+    return false;
+  };
+}
+
+// @contract: (pattern:str, path:str) -> bool
+// @pure: true
+export function matchGlob(pattern, path) {
+  return compileGlob(pattern)(path);
+}
@@ -0,0 +1,304 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: Go source text
+// AOCS-OUTPUTS: tokens, comments, package clause, imports, funcs and top-level declarations
+// @module: aocs-validator/go-parser
+// @exports: parseGo, goLeadingComments
+// @depends: none
+
+// Longest-first so greedy matching picks `<<=` before `<<`
+const punctuators = [
+  '&^=', '<<=', '>>=', '...', ':=', '&&', '||', '<-', '++', '--', '==', '!=', '<=', '>=',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '&^'
+];
+
+// @contract: (source:str) -> {tokens:{type:str, value:str, line:num, col:num}[], comments:{value:str, line:num, endLine:num, col:num}[]}
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: string, raw string and rune literals are single tokens; comments never appear in tokens
+function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\ufeff') {
+      pos++;
+      continue;
+    }
+
+    const col = pos - lineStart;
+    const startLine = line;
+
+    if (ch === '/' && next === '/') {
+      let end = source.indexOf('\n', pos);
+      if (end === -1) end = source.length;
+      comments.push({ value: source.slice(pos + 2, end), line, endLine: line, col });
+      pos = end;
+      continue;
+    }
+
+    let end = -1;
+    let type = 'string';
+    if (ch === '/' && next === '*') {
+      end = source.indexOf('*/', pos + 2);
+      end = end === -1 ? source.length : end + 2;
+      type = 'comment';
+    } else if (ch === '`') {
+      end = source.indexOf('`', pos + 1);
+      end = end === -1 ? source.length : end + 1;
+    } else if (ch === '"' || ch === '\'') {
+      let i = pos + 1;
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      end = Math.min(i + 1, source.length);
+    }
+
+    if (end !== -1) {
+      for (let k = pos; k < end; k++) {
+        if (source[k] === '\n') {
+          line++;
+          lineStart = k + 1;
+        }
+      }
+      if (type === 'comment') {
+        comments.push({ value: source.slice(pos + 2, Math.max(pos + 2, end - 2)), line: startLine, endLine: line, col });
+      } else {
+        tokens.push({ type, value: source.slice(pos, end), line: startLine, col });
+      }
+      pos = end;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      let i = pos + 1;
+      while (i < source.length && (/[\w.]/.test(source[i]) || ((source[i] === '+' || source[i] === '-') && /[eEpP]/.test(source[i - 1])))) i++;
+      tokens.push({ type: 'number', value: source.slice(pos, i), line, col });
+      pos = i;
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      let i = pos + 1;
+      while (i < source.length && /[\w\u0080-\uffff]/.test(source[i])) i++;
+      tokens.push({ type: 'name', value: source.slice(pos, i), line, col });
+      pos = i;
+      continue;
+    }
+
+    const punct = punctuators.find(p => source.startsWith(p, pos)) || ch;
+    tokens.push({ type: 'punct', value: punct, line, col });
+    pos += punct.length;
+  }
+
+  return { tokens, comments };
+}
+
+// @contract: (tokens:object[]) -> {match:num[], depth:num[]}
+// @pure: true
+// @complexity: O(n)
+// AOCS-INVARIANT: depth[open] === depth[match[open]]; unmatched brackets map to -1
+function matchBrackets(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const depth = new Array(tokens.length).fill(0);
+  const stack = [];
+  tokens.forEach((t, i) => {
+    if (t.type === 'punct' && ')]}'.includes(t.value) && stack.length > 0) {
+      const open = stack.pop();
+      match[open] = i;
+      match[i] = open;
+    }
+    depth[i] = stack.length;
+    if (t.type === 'punct' && '([{'.includes(t.value)) stack.push(i);
+  });
+  return { match, depth };
+}
+
+// @contract: (tokens:object[], from:num, to:num) -> object[][]
+// @pure: true
+// AOCS-INVARIANT: splits tokens[from..to) at commas outside nested brackets
+function splitCommas(tokens, from, to) {
+  const parts = [[]];
+  let nesting = 0;
+  for (let i = from; i < to; i++) {
+    const t = tokens[i];
+    if (t.type === 'punct' && '([{'.includes(t.value)) nesting++;
+    else if (t.type === 'punct' && ')]}'.includes(t.value)) nesting--;
+    if (nesting === 0 && t.value === ',') parts.push([]);
+    else parts[parts.length - 1].push(t);
+  }
+  return parts.filter(p => p.length > 0);
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num) -> object|null
+// @pure: true
+// AOCS-INVARIANT: i points at a top-level `func` keyword; function literals and types return null
+function parseFunc(ctx, i) {
+  const { tokens, match } = ctx;
+  let k = i + 1;
+  let receiver = null;
+  if (tokens[k] && tokens[k].value === '(' && match[k] !== -1) {
+    const inner = tokens.slice(k + 1, match[k]).filter(t => t.type === 'name');
+    receiver = { name: inner.length > 1 ? inner[0].value : null, type: inner.length > 0 ? inner[inner.length > 1 ? 1 : 0].value : null };
+    k = match[k] + 1;
+  }
+  if (!tokens[k] || tokens[k].type !== 'name') return null;
+  const name = tokens[k].value;
+  k++;
+  // Type parameters `[T any]`
+  if (tokens[k] && tokens[k].value === '[' && match[k] !== -1) k = match[k] + 1;
+  if (!tokens[k] || tokens[k].value !== '(' || match[k] === -1) return null;
+  const paramsOpen = k;
+  k = match[k] + 1;
+
+  // Results run up to the body `{` or the end of the declaration line
+  let results = [];
+  const resultsLine = tokens[k - 1].line;
+  if (tokens[k] && tokens[k].value === '(' && match[k] !== -1) {
+    results = splitCommas(tokens, k + 1, match[k]);
+    k = match[k] + 1;
+  } else {
+    const start = k;
+    while (tokens[k] && tokens[k].value !== '{' && tokens[k].line === resultsLine) {
+      k = tokens[k].type === 'punct' && '(['.includes(tokens[k].value) && match[k] !== -1 ? match[k] + 1 : k + 1;
+    }
+    if (k > start) results = [tokens.slice(start, k)];
+  }
+  // `interface{}` / `struct{}` in a result type open a brace that is not the body
+  while (tokens[k] && tokens[k].value === '{' && ['interface', 'struct'].includes(tokens[k - 1].value) && match[k] !== -1) {
+    k = match[k] + 1;
+  }
+
+  const last = results[results.length - 1];
+  const returnsError = Boolean(last) && last[last.length - 1].value === 'error' && (last.length === 1 || (last.length === 2 && last[0].type === 'name'));
+  const hasBody = Boolean(tokens[k]) && tokens[k].value === '{' && match[k] !== -1;
+
+  return {
+    name,
+    line: tokens[i].line,
+    receiver,
+    exported: /^[A-Z]/.test(name),
+    paramsOpen,
+    resultCount: results.length,
+    returnsError,
+    bodyStart: hasBody ? k : -1,
+    bodyEnd: hasBody ? match[k] : -1
+  };
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num) -> {names:{name:str, line:num}[], next:num}
+// @pure: true
+// AOCS-INVARIANT: i points at a top-level const/var/type keyword; grouped `( ... )` declarations yield every name
+function parseDecl(ctx, i) {
+  const { tokens, match } = ctx;
+  const names = [];
+  // @contract: (k:num) -> num
+  // @pure: false
+  const readSpec = k => {
+    names.push({ name: tokens[k].value, line: tokens[k].line });
+    // `var a, b int`
+    while (tokens[k + 1] && tokens[k + 1].value === ',' && tokens[k + 2] && tokens[k + 2].type === 'name' && tokens[k + 2].line === tokens[k].line) {
+      k += 2;
+      names.push({ name: tokens[k].value, line: tokens[k].line });
+    }
+    return k;
+  };
+
+  const open = i + 1;
+  if (tokens[open] && tokens[open].value === '(' && match[open] !== -1) {
+    // Each spec starts with the first name on a new line
+    let lastLine = -1;
+    for (let k = open + 1; k < match[open]; k++) {
+      const t = tokens[k];
+      if (t.type === 'name' && t.line !== lastLine) {
+        lastLine = t.line;
+        k = readSpec(k);
+        continue;
+      }
+      lastLine = t.line;
+      if (t.type === 'punct' && '([{'.includes(t.value) && match[k] !== -1) {
+        k = match[k];
+        lastLine = tokens[k].line;
+      }
+    }
+    return { names, next: match[open] + 1 };
+  }
+  if (tokens[open] && tokens[open].type === 'name') readSpec(open);
+  return { names, next: open + 1 };
+}
+
+// @contract: (source:str) -> {tokens:object[], comments:object[], match:num[], depth:num[], codeLines:Set<num>, packageClause:{name:str, line:num}|null, imports:{path:str, alias:str|null, line:num}[], funcs:object[], decls:{kind:str, name:str, line:num, exported:bool}[]}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: only depth-0 declarations are collected; function literals are not funcs
+export function parseGo(source) {
+  const { tokens, comments } = tokenize(source);
+  const { match, depth } = matchBrackets(tokens);
+  const ctx = { tokens, match };
+  const codeLines = new Set(tokens.map(t => t.line));
+  let packageClause = null;
+  const imports = [];
+  const funcs = [];
+  const decls = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (depth[i] !== 0 || t.type !== 'name') continue;
+
+    if (t.value === 'package' && !packageClause && tokens[i + 1]) {
+      packageClause = { name: tokens[i + 1].value, line: t.line };
+    } else if (t.value === 'import') {
+      const grouped = tokens[i + 1] && tokens[i + 1].value === '(' && match[i + 1] !== -1;
+      let end = i;
+      if (grouped) end = match[i + 1];
+      else while (tokens[end + 1] && tokens[end + 1].line === t.line) end++;
+      for (let k = i + 1; k <= end; k++) {
+        if (tokens[k].type !== 'string') continue;
+        const prev = tokens[k - 1];
+        const alias = prev && prev.line === tokens[k].line && (prev.type === 'name' || prev.value === '.') && prev.value !== 'import' ? prev.value : null;
+        imports.push({ path: tokens[k].value.slice(1, -1), alias, line: tokens[k].line });
+      }
+      i = end;
+    } else if (t.value === 'func' && (!tokens[i - 1] || tokens[i - 1].line !== t.line)) {
+      // Only a `func` starting its line declares one; `type F func()` is a type
+      const fn = parseFunc(ctx, i);
+      if (fn) {
+        funcs.push(fn);
+        if (fn.bodyEnd !== -1) i = fn.bodyEnd;
+      }
+    } else if (['const', 'var', 'type'].includes(t.value)) {
+      const { names, next } = parseDecl(ctx, i);
+      for (const n of names) decls.push({ kind: t.value, ...n, exported: /^[A-Z]/.test(n.name) });
+      i = next - 1;
+    }
+  }
+
+  return { tokens, comments, match, depth, codeLines, packageClause, imports, funcs, decls };
+}
+
+// @contract: (parsed:object, line:num) -> object[]
+// @pure: true
+// AOCS-INVARIANT: only comments ending directly above `line` (no blank or code line in between) are returned
+export function goLeadingComments(parsed, line) {
+  const byEndLine = new Map(parsed.comments.map(c => [c.endLine, c]));
+  const block = [];
+  let l = line - 1;
+  while (l > 0 && !parsed.codeLines.has(l) && byEndLine.has(l)) {
+    const c = byEndLine.get(l);
+    block.unshift(c);
+    l = c.line - 1;
+  }
+  return block;
+}
@@ -0,0 +1,109 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: aocs.json, file headers, check outputs
+// AOCS-OUTPUTS: cache keys, @depends edges, merged check outputs
+// @module: aocs-validator/incremental
+// @exports: cacheFormat, ruleKey, configKey, declaredDepends, resolveDepends, mergeOutput
+// @depends: path
+//
+// The result cache keeps the raw output of every scope "file" rule per file. An entry is reused
+// while its key holds: the file's content hash plus the hashes of its @depends targets, under the
+// same validator version and source and the same rule-relevant aocs.json fields. Built-in rules
+// carry no version, so the hash of the validator's src/ tree stands in for one.
+
+import { posix } from 'path';
+
+// @contract: () -> num
+// @pure: true
+// AOCS-INVARIANT: bumped whenever the on-disk layout changes, which discards older caches
+export const cacheFormat = 1;
+
+// Fields that only choose files or set levels; levels are applied after the checks run
+const levelOnlyFields = ['$schema', 'include', 'exclude', 'rules', 'mode'];
+
+// @contract: (rule:{id:str, version?:str|num}) -> str
+// @pure: true
+export function ruleKey(rule) {
+  return `${rule.id}@${rule.version === undefined ? 0 : rule.version}`;
+}
+
+// @contract: (config:object) -> str
+// @pure: true
+// AOCS-INVARIANT: equal for configs that differ only in key order or in fields checks never read
+export function configKey(config) {
+  return JSON.stringify(Object.keys(config).filter(key => !levelOnlyFields.includes(key)).sort().map(key => [key, config[key]]));
+}
+
+// @contract: (text:str) -> str[]
+// @pure: true
+// @complexity: O(h) where h = header length
+// AOCS-INVARIANT: reads the first @depends line in the file header; "none" and annotations after a name are dropped
+export function declaredDepends(text) {
+  const tag = '@depends:';
+  const line = text.split('\n', 30).find(l => l.includes(tag));
+  if (!line) return [];
+  return line.slice(line.indexOf(tag) + tag.length)
+    .replace(/\*\/|-->/g, '')
+    .split(',')
+    .map(entry => entry.trim().split(/\s/)[0])
+    .filter(name => name && name !== 'none');
+}
+
+// @contract: (p:str) -> str
+// @pure: true
+// AOCS-INVARIANT: `core/config.js`, `core/config` and `core/config/index.js` normalize alike
+function modulePath(p) {
+  return p.replace(/\.[A-Za-z0-9]+$/, '').replace(/\/(index|mod|__init__)$/, '');
+}
+
+// @contract: (rel:str, names:str[], rels:str[]) -> str[]
+// @pure: true
+// @complexity: O(d*n) where d = names, n = rels
+// AOCS-INVARIANT: names resolve like U1-depends-drift reads them (relative paths, short trailing paths, `dir/*`);
+// package names match no project file, and a file never depends on itself
+export function resolveDepends(rel, names, rels) {
+  const targets = new Set();
+  for (const name of names) {
+    let matches;
+    if (name.startsWith('.')) {
+      const target = modulePath(posix.normalize(posix.join(posix.dirname(rel), name)));
+      matches = r => modulePath(r) === target;
+    } else if (name.endsWith('/*')) {
+      const dir = name.slice(0, -2);
+      matches = r => posix.dirname(r) === dir || posix.dirname(r).endsWith(`/${dir}`);
+    } else {
+      const short = modulePath(name);
+      matches = r => modulePath(r) === short || modulePath(r).endsWith(`/${short}`);
+    }
+    rels.filter(r => r !== rel && matches(r)).forEach(r => targets.add(r));
+  }
+  return Array.from(targets).sort();
+}
+
+// @contract: (fresh:{violations:object[], warnings?:object[]}, checked:str[], reused:Map<str,object>, rels:str[]) -> {output:{violations:object[], warnings:object[]}, entries:Map<str,object>}
+// @pure: true
+// @complexity: O(v + n) where v = fresh findings, n = rels
+// AOCS-INVARIANT: entries holds one {violations, warnings} per checked file; findings without a checked file
+// come first in the output, then each file's in rels order
+export function mergeOutput(fresh, checked, reused, rels) {
+  const entries = new Map(checked.map(rel => [rel, { violations: [], warnings: [] }]));
+  const unattributed = { violations: [], warnings: [] };
+  for (const kind of ['violations', 'warnings']) {
+    for (const v of fresh[kind] || []) {
+      const rel = v.file ? v.file.split('\\').join('/') : null;
+      if (entries.has(rel)) {
+        entries.get(rel)[kind].push(v);
+      } else {
+        unattributed[kind].push(v);
+      }
+    }
+  }
+
+  const perFile = rels.map(rel => entries.get(rel) || reused.get(rel)).filter(Boolean);
+  return {
+    output: {
+      violations: unattributed.violations.concat(...perFile.map(e => e.violations)),
+      warnings: unattributed.warnings.concat(...perFile.map(e => e.warnings))
+    },
+    entries
+  };
+}
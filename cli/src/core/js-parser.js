@@ -0,0 +1,981 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: JavaScript/TypeScript source text
+// AOCS-OUTPUTS: imports, exports, bindings, functions, classes and comment blocks
+// @module: aocs-validator/js-parser
+// @exports: parseSource, leadingComments, readTags, functionTags, readManifestList, tokenText
+// @depends: core/js-tokenizer
+
+import { tokenize } from './js-tokenizer.js';
+
+// Tokens that start a new statement when they open a line (ASI boundaries)
+const statementKeywords = new Set([
+  'export', 'import', 'const', 'let', 'var', 'function', 'class',
+  'if', 'for', 'while', 'do', 'switch', 'try', 'return', 'throw'
+]);
+
+const methodModifiers = new Set([
+  'async', 'static', 'get', 'set', 'public', 'private', 'protected',
+  'readonly', 'override', 'abstract', 'declare', 'accessor'
+]);
+
+const paramModifiers = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+
+// Names followed by `(...) {` that are control flow, not method definitions
+const notMethodNames = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'with', 'function', 'return', 'typeof',
+  'new', 'await', 'yield', 'delete', 'void', 'in', 'of', 'instanceof', 'super', 'import'
+]);
+
+const typePrefixes = new Set(['typeof', 'keyof', 'readonly', 'unique', 'infer', 'new', 'asserts', 'abstract']);
+
+const typeDeclarationKeywords = new Set(['type', 'interface', 'enum', 'namespace', 'module']);
+
+// @contract: (t:object|undefined, value:str) -> bool
+// @pure: true
+function isPunct(t, value) {
+  return Boolean(t) && t.type === 'punct' && t.value === value;
+}
+
+// @contract: (t:object|undefined, value?:str) -> bool
+// @pure: true
+function isName(t, value) {
+  return Boolean(t) && t.type === 'name' && (value === undefined || t.value === value);
+}
+
+// @contract: (t:object) -> bool
+// @pure: true
+function isOpener(t) {
+  return (t.type === 'punct' && (t.value === '(' || t.value === '[' || t.value === '{')) ||
+    (t.type === 'template' && t.value.endsWith('${'));
+}
+
+// @contract: (t:object) -> bool
+// @pure: true
+function isCloser(t) {
+  return (t.type === 'punct' && (t.value === ')' || t.value === ']' || t.value === '}')) ||
+    (t.type === 'template' && t.value.startsWith('}'));
+}
+
+// @contract: (tokens:object[]) -> {match:num[], depth:num[]}
+// @pure: true
+// @complexity: O(n)
+// AOCS-INVARIANT: depth[open] === depth[match[open]]; tokens inside a bracket pair are one level deeper
+function matchBrackets(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const depth = new Array(tokens.length).fill(0);
+  const stack = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (isCloser(t) && stack.length > 0) {
+      const open = stack.pop();
+      match[open] = i;
+      match[i] = open;
+    }
+    depth[i] = stack.length;
+    if (isOpener(t)) stack.push(i);
+  }
+
+  return { match, depth };
+}
+
+// @contract: (parsed:object, from:num, to:num) -> str
+// @pure: true
+// AOCS-INVARIANT: returns "" when from > to
+export function tokenText(parsed, from, to) {
+  if (from > to || from < 0 || to >= parsed.tokens.length) return '';
+  return parsed.source.slice(parsed.tokens[from].start, parsed.tokens[to].end);
+}
+
+// @contract: (ctx:object, i:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the index just past the closing `>` of a generic list starting at i
+function skipAngles(ctx, i) {
+  const { tokens, match } = ctx;
+  let count = 0;
+  for (let j = i; j < tokens.length; j++) {
+    const t = tokens[j];
+    if (t.type === 'punct') {
+      if (t.value === '<') count++;
+      else if (t.value === '>') count--;
+      else if (t.value === '>>') count -= 2;
+      else if (t.value === '>>>') count -= 3;
+      else if (t.value === ';') return j;
+      else if (isOpener(t) && match[j] !== -1) j = match[j];
+    }
+    if (count <= 0) return j + 1;
+  }
+  return tokens.length;
+}
+
+// Skips one TypeScript type expression (unions, generics, function types, conditionals)
+// @contract: (ctx:object, i:num) -> num
+// @pure: true
+// @complexity: O(k) where k = tokens in the type
+function skipType(ctx, i) {
+  const { tokens, match } = ctx;
+  const n = tokens.length;
+
+  if (isPunct(tokens[i], '|') || isPunct(tokens[i], '&')) i++;
+
+  while (i < n) {
+    while (isName(tokens[i]) && typePrefixes.has(tokens[i].value) && i + 1 < n &&
+      (isName(tokens[i + 1]) || isOpener(tokens[i + 1]) || tokens[i + 1].type === 'string')) {
+      i++;
+    }
+    if (isPunct(tokens[i], '<')) i = skipAngles(ctx, i);
+
+    const t = tokens[i];
+    if (!t) return n;
+    if (isPunct(t, '(')) {
+      i = match[i] === -1 ? n : match[i] + 1;
+      if (isPunct(tokens[i], '=>')) i = skipType(ctx, i + 1);
+    } else if (isPunct(t, '{') || isPunct(t, '[')) {
+      i = match[i] === -1 ? n : match[i] + 1;
+    } else if (t.type === 'name') {
+      i++;
+      while (isPunct(tokens[i], '.') && isName(tokens[i + 1])) i += 2;
+    } else if (t.type === 'string' || t.type === 'number' || (t.type === 'template' && t.value.endsWith('`'))) {
+      i++;
+    } else if (isPunct(t, '-') && tokens[i + 1] && tokens[i + 1].type === 'number') {
+      i += 2;
+    } else {
+      return i;
+    }
+
+    // Postfix: generic arguments, array/index types, predicates and conditional types
+    for (;;) {
+      if (isPunct(tokens[i], '<')) {
+        i = skipAngles(ctx, i);
+      } else if (isPunct(tokens[i], '[') && match[i] !== -1) {
+        i = match[i] + 1;
+      } else if (isName(tokens[i], 'is')) {
+        i = skipType(ctx, i + 1);
+      } else if (isName(tokens[i], 'extends') && i + 1 < n) {
+        i = skipType(ctx, i + 1);
+        if (isPunct(tokens[i], '?')) i = skipType(ctx, i + 1);
+        if (isPunct(tokens[i], ':')) i = skipType(ctx, i + 1);
+      } else {
+        break;
+      }
+    }
+
+    if (isPunct(tokens[i], '|') || isPunct(tokens[i], '&')) {
+      i++;
+      continue;
+    }
+    return i;
+  }
+  return i;
+}
+
+// Finds where an expression starting at i ends (exclusive): `,`/`;` at its level, an enclosing closer, or an ASI boundary
+// @contract: (ctx:object, i:num) -> num
+// @pure: true
+function skipExpression(ctx, i) {
+  const { tokens, match, depth } = ctx;
+  if (i >= tokens.length) return tokens.length;
+  const base = depth[i];
+
+  for (let j = i; j < tokens.length; j++) {
+    const t = tokens[j];
+    if (depth[j] < base) return j;
+    if (depth[j] === base && (isPunct(t, ',') || isPunct(t, ';'))) return j;
+    if (j > i && t.line > tokens[j - 1].line && depth[j] === base && isName(t) &&
+      statementKeywords.has(t.value) && (tokens[j - 1].type !== 'punct' || isCloser(tokens[j - 1]))) {
+      return j;
+    }
+    if (isOpener(t) && match[j] !== -1 && t.type === 'punct') j = match[j];
+  }
+  return tokens.length;
+}
+
+// @contract: (ctx:object, open:num, close:num) -> str[]
+// @pure: true
+// AOCS-INVARIANT: returns every bound identifier of an object/array destructuring pattern
+function collectPatternNames(ctx, open, close) {
+  const { tokens, match, depth } = ctx;
+  const out = [];
+  const inner = depth[open] + 1;
+  const isObject = isPunct(tokens[open], '{');
+  let segStart = open + 1;
+
+  for (let j = open + 1; j <= close; j++) {
+    if (j !== close && !(depth[j] === inner && isPunct(tokens[j], ','))) {
+      if (isOpener(tokens[j]) && match[j] !== -1) j = match[j];
+      continue;
+    }
+    // Segment [segStart, j)
+    let k = segStart;
+    if (isPunct(tokens[k], '...')) k++;
+    if (isObject) {
+      // `key: target` binds target; shorthand `key` binds key
+      let colon = -1;
+      for (let m = k; m < j; m++) {
+        if (depth[m] === inner && isPunct(tokens[m], ':')) { colon = m; break; }
+        if (depth[m] === inner && isPunct(tokens[m], '=')) break;
+      }
+      if (colon !== -1) k = colon + 1;
+    }
+    if (k < j) {
+      const t = tokens[k];
+      if (isName(t)) out.push(t.value);
+      else if ((isPunct(t, '{') || isPunct(t, '[')) && match[k] !== -1) out.push(...collectPatternNames(ctx, k, match[k]));
+    }
+    segStart = j + 1;
+  }
+  return out;
+}
+
+// @contract: (ctx:object, i:num, close:num) -> {param:object|null, next:num}
+// @pure: true
+function parseParam(ctx, i, close) {
+  const { tokens, match, depth } = ctx;
+  const level = depth[i];
+  const param = { name: null, optional: false, rest: false, hasDefault: false, type: null, pattern: false, names: [], line: tokens[i] ? tokens[i].line : 0 };
+
+  while (isPunct(tokens[i], '@')) {
+    i += 2;
+    while (isPunct(tokens[i], '.') && isName(tokens[i + 1])) i += 2;
+    if (isPunct(tokens[i], '(') && match[i] !== -1) i = match[i] + 1;
+  }
+  while (isName(tokens[i]) && paramModifiers.has(tokens[i].value) && i + 1 < close &&
+    (isName(tokens[i + 1]) || isPunct(tokens[i + 1], '{') || isPunct(tokens[i + 1], '['))) {
+    i++;
+  }
+  if (isPunct(tokens[i], '...')) {
+    param.rest = true;
+    i++;
+  }
+
+  const t = tokens[i];
+  if (isName(t)) {
+    param.name = t.value;
+    param.names.push(t.value);
+    i++;
+  } else if ((isPunct(t, '{') || isPunct(t, '[')) && match[i] !== -1) {
+    param.pattern = true;
+    param.name = tokenText(ctx, i, match[i]);
+    param.names.push(...collectPatternNames(ctx, i, match[i]));
+    i = match[i] + 1;
+  }
+
+  if (isPunct(tokens[i], '?')) {
+    param.optional = true;
+    i++;
+  }
+  if (isPunct(tokens[i], ':')) {
+    const typeStart = i + 1;
+    i = Math.min(skipType(ctx, typeStart), close);
+    param.type = tokenText(ctx, typeStart, i - 1);
+  }
+  if (isPunct(tokens[i], '=')) {
+    param.hasDefault = true;
+    param.optional = true;
+    i = Math.min(skipExpression(ctx, i + 1), close);
+  }
+
+  // Recover from anything unexpected by advancing to the next separator
+  while (i < close && !(depth[i] === level && isPunct(tokens[i], ','))) {
+    if (isOpener(tokens[i]) && match[i] !== -1) i = match[i];
+    i++;
+  }
+
+  return { param: param.name === null || param.name === 'this' ? null : param, next: i + 1 };
+}
+
+// @contract: (ctx:object, open:num, close:num) -> object[]
+// @pure: true
+function parseParams(ctx, open, close) {
+  const params = [];
+  let i = open + 1;
+  while (i < close) {
+    const { param, next } = parseParam(ctx, i, close);
+    if (param) params.push(param);
+    i = next;
+  }
+  return params;
+}
+
+// @contract: (ctx:object, i:num) -> {names:str[], next:num}
+// @pure: true
+// AOCS-INVARIANT: i points just past a const/let/var keyword
+function parseDeclarators(ctx, i) {
+  const { tokens, match } = ctx;
+  const names = [];
+
+  for (;;) {
+    const t = tokens[i];
+    if (isName(t)) {
+      names.push(t.value);
+      i++;
+    } else if (t && (isPunct(t, '{') || isPunct(t, '[')) && match[i] !== -1) {
+      names.push(...collectPatternNames(ctx, i, match[i]));
+      i = match[i] + 1;
+    } else {
+      break;
+    }
+    if (isPunct(tokens[i], '!')) i++;
+    if (isPunct(tokens[i], ':')) i = skipType(ctx, i + 1);
+    if (isPunct(tokens[i], '=')) i = skipExpression(ctx, i + 1);
+    if (isPunct(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    break;
+  }
+
+  return { names, next: i };
+}
+
+// @contract: (ctx:object, s:num) -> {name:str|null, statementStart:num}
+// @pure: true
+// AOCS-INVARIANT: statementStart <= s
+function inferFunctionName(ctx, s) {
+  const { tokens, depth, match } = ctx;
+  const p = s - 1;
+  const prev = tokens[p];
+  if (!prev) return { name: null, statementStart: s };
+
+  if (isPunct(prev, '=')) {
+    let nameIdx = p - 1;
+    // `const f: Handler = () => ...` — walk back over the type annotation
+    if (!isName(tokens[nameIdx])) {
+      for (let k = p - 1; k >= 0 && k > p - 80; k--) {
+        if (depth[k] < depth[p]) break;
+        if (isCloser(tokens[k]) && match[k] !== -1) { k = match[k]; continue; }
+        if (isPunct(tokens[k], ':') && isName(tokens[k - 1]) && skipType(ctx, k + 1) === p) {
+          nameIdx = k - 1;
+          break;
+        }
+      }
+    }
+    const nameTok = tokens[nameIdx];
+    if (!isName(nameTok)) return { name: null, statementStart: s };
+
+    let start = nameIdx;
+    if (isName(tokens[start - 1]) && ['const', 'let', 'var'].includes(tokens[start - 1].value)) {
+      start--;
+    } else {
+      while (isPunct(tokens[start - 1], '.') && isName(tokens[start - 2])) start -= 2;
+      while (isName(tokens[start - 1]) && methodModifiers.has(tokens[start - 1].value)) start--;
+    }
+    if (isName(tokens[start - 1], 'declare')) start--;
+    if (isName(tokens[start - 1], 'export')) start--;
+    return { name: nameTok.value, statementStart: start };
+  }
+
+  if (isPunct(prev, ':') && (isName(tokens[p - 1]) || tokens[p - 1].type === 'string')) {
+    const t = tokens[p - 1];
+    return { name: t.type === 'string' ? t.value.slice(1, -1) : t.value, statementStart: p - 1 };
+  }
+
+  if (isName(prev, 'default') && isName(tokens[p - 1], 'export')) {
+    return { name: 'default', statementStart: p - 1 };
+  }
+
+  return { name: null, statementStart: s };
+}
+
+// @contract: (ctx:object, i:num) -> object|null
+// @pure: true
+function parseFunctionKeyword(ctx, i) {
+  const { tokens, match } = ctx;
+  const async = isName(tokens[i - 1], 'async') && tokens[i - 1].line === tokens[i].line;
+  const start = async ? i - 1 : i;
+  let j = i + 1;
+  let generator = false;
+  let ownName = null;
+
+  if (isPunct(tokens[j], '*')) {
+    generator = true;
+    j++;
+  }
+  if (isName(tokens[j])) {
+    ownName = tokens[j].value;
+    j++;
+  }
+  if (isPunct(tokens[j], '<')) j = skipAngles(ctx, j);
+  if (!isPunct(tokens[j], '(') || match[j] === -1) return null;
+
+  const open = j;
+  const close = match[j];
+  let k = close + 1;
+  let returnType = null;
+  if (isPunct(tokens[k], ':')) {
+    const typeStart = k + 1;
+    k = skipType(ctx, typeStart);
+    returnType = tokenText(ctx, typeStart, k - 1);
+  }
+  if (!isPunct(tokens[k], '{') || match[k] === -1) return null;
+
+  const prev = tokens[start - 1];
+  const isDeclaration = Boolean(ownName) && (!prev || isPunct(prev, ';') || isPunct(prev, '}') ||
+    isPunct(prev, '{') || isName(prev, 'export') || isName(prev, 'default') || isName(prev, 'declare') ||
+    prev.line < tokens[start].line && prev.type !== 'punct');
+
+  let name = ownName;
+  let statementStart = start;
+  if (isDeclaration) {
+    if (isName(tokens[start - 1], 'default') && isName(tokens[start - 2], 'export')) statementStart = start - 2;
+    else if (isName(tokens[start - 1], 'export')) statementStart = start - 1;
+  } else {
+    const inferred = inferFunctionName(ctx, start);
+    name = ownName || inferred.name;
+    statementStart = inferred.statementStart;
+  }
+
+  return {
+    name, kind: isDeclaration ? 'declaration' : 'expression', async, generator,
+    start, statementStart, paramsOpen: open, paramsClose: close, returnType,
+    bodyStart: k, bodyEnd: match[k], expressionBody: false
+  };
+}
+
+// @contract: (ctx:object, i:num) -> object|null
+// @pure: true
+// AOCS-INVARIANT: i indexes a `=>` token
+function parseArrow(ctx, i) {
+  const { tokens, match, depth } = ctx;
+  const prev = tokens[i - 1];
+  let open;
+  let close;
+  let returnType = null;
+
+  if (isPunct(prev, ')') && match[i - 1] !== -1) {
+    open = match[i - 1];
+    close = i - 1;
+  } else {
+    // `(a: T): R => ...` — find the parameter list whose return annotation ends at i
+    for (let k = i - 1; k >= 0 && k > i - 300; k--) {
+      if (depth[k] < depth[i]) break;
+      const t = tokens[k];
+      if (isPunct(t, ';') || isPunct(t, '=') || isPunct(t, '=>')) break;
+      if (isPunct(t, ')') && match[k] !== -1 && isPunct(tokens[k + 1], ':') && skipType(ctx, k + 2) === i) {
+        open = match[k];
+        close = k;
+        returnType = tokenText(ctx, k + 2, i - 1);
+        break;
+      }
+      if (isCloser(t) && match[k] !== -1) k = match[k];
+    }
+    if (open === undefined && isName(prev)) open = close = i - 1;
+    if (open === undefined) return null;
+  }
+
+  let start = open;
+  if (isPunct(tokens[start - 1], '>')) {
+    // Generic arrow `<T>(x: T) => x`
+    for (let k = start - 1; k >= 0 && k > start - 40; k--) {
+      if (isPunct(tokens[k], '<')) {
+        start = k;
+        break;
+      }
+    }
+  }
+  const async = isName(tokens[start - 1], 'async') && !isPunct(tokens[start - 2], '.');
+  if (async) start--;
+
+  const params = open === close
+    ? [{ name: tokens[open].value, optional: false, rest: false, hasDefault: false, type: null, pattern: false, names: [tokens[open].value], line: tokens[open].line }]
+    : null;
+
+  let bodyStart = i + 1;
+  let bodyEnd;
+  let expressionBody = false;
+  if (isPunct(tokens[bodyStart], '{') && match[bodyStart] !== -1) {
+    bodyEnd = match[bodyStart];
+  } else {
+    expressionBody = true;
+    bodyEnd = Math.max(bodyStart, skipExpression(ctx, bodyStart) - 1);
+  }
+
+  const { name, statementStart } = inferFunctionName(ctx, start);
+  return {
+    name, kind: 'arrow', async, generator: false, start, statementStart,
+    paramsOpen: open, paramsClose: close, params, returnType, bodyStart, bodyEnd, expressionBody
+  };
+}
+
+// @contract: (ctx:object, i:num) -> object|null
+// @pure: true
+function parseMethod(ctx, i) {
+  const { tokens, match } = ctx;
+  const t = tokens[i];
+  if (!(isName(t) || t.type === 'string') || notMethodNames.has(t.value)) return null;
+  if (isPunct(tokens[i - 1], '.') || isPunct(tokens[i - 1], '?.') || isName(tokens[i - 1], 'new')) return null;
+
+  let j = i + 1;
+  if (isPunct(tokens[j], '?') || isPunct(tokens[j], '!')) j++;
+  if (isPunct(tokens[j], '<')) j = skipAngles(ctx, j);
+  if (!isPunct(tokens[j], '(') || match[j] === -1) return null;
+
+  const open = j;
+  const close = match[j];
+  let k = close + 1;
+  let returnType = null;
+  if (isPunct(tokens[k], ':')) {
+    const typeStart = k + 1;
+    k = skipType(ctx, typeStart);
+    returnType = tokenText(ctx, typeStart, k - 1);
+  }
+  if (!isPunct(tokens[k], '{') || match[k] === -1) return null;
+
+  let start = i;
+  let async = false;
+  let generator = false;
+  const modifiers = [];
+  for (;;) {
+    const p = tokens[start - 1];
+    if (isPunct(p, '*')) {
+      generator = true;
+    } else if (isName(p) && methodModifiers.has(p.value) && p.line === tokens[start].line) {
+      if (p.value === 'async') async = true;
+      modifiers.push(p.value);
+    } else {
+      break;
+    }
+    start--;
+  }
+  const before = tokens[start - 1];
+  if (before && !(isPunct(before, '{') || isPunct(before, '}') || isPunct(before, ';') || isPunct(before, ','))) {
+    return null;
+  }
+
+  return {
+    name: t.type === 'string' ? t.value.slice(1, -1) : t.value,
+    kind: 'method', async, generator, modifiers, start, statementStart: start,
+    paramsOpen: open, paramsClose: close, returnType, bodyStart: k, bodyEnd: match[k], expressionBody: false
+  };
+}
+
+// @contract: (ctx:object, i:num) -> object|null
+// @pure: true
+function parseClass(ctx, i) {
+  const { tokens, match, depth } = ctx;
+  let name = null;
+  if (isName(tokens[i + 1]) && !['extends', 'implements'].includes(tokens[i + 1].value)) name = tokens[i + 1].value;
+
+  let superClass = null;
+  let j = i + 1;
+  while (j < tokens.length && !(isPunct(tokens[j], '{') && depth[j] === depth[i])) {
+    if (isPunct(tokens[j], ';')) return null;
+    // `extends errors.Base` names Base
+    if (isName(tokens[j], 'extends') && isName(tokens[j + 1])) {
+      let k = j + 1;
+      while (isPunct(tokens[k + 1], '.') && isName(tokens[k + 2])) k += 2;
+      superClass = tokens[k].value;
+    }
+    if (isOpener(tokens[j]) && match[j] !== -1) j = match[j];
+    j++;
+  }
+  if (j >= tokens.length || match[j] === -1) return null;
+
+  let statementStart = i;
+  while (isName(tokens[statementStart - 1]) && ['abstract', 'declare', 'default', 'export'].includes(tokens[statementStart - 1].value)) {
+    statementStart--;
+  }
+
+  return { name, superClass, start: i, statementStart, line: tokens[statementStart].line, bodyStart: j, bodyEnd: match[j] };
+}
+
+// @contract: (ctx:object, i:num) -> object|null
+// @pure: true
+// AOCS-INVARIANT: i indexes a top-level `import` keyword
+function parseImport(ctx, i) {
+  const { tokens, match } = ctx;
+  const entry = { source: null, default: null, namespace: null, named: [], typeOnly: false, line: tokens[i].line, index: i };
+  let j = i + 1;
+
+  if (isName(tokens[j], 'type') && !isName(tokens[j + 1], 'from') && !isPunct(tokens[j + 1], ',')) {
+    entry.typeOnly = true;
+    j++;
+  }
+  if (tokens[j] && tokens[j].type === 'string') {
+    entry.source = tokens[j].value.slice(1, -1);
+    return entry;
+  }
+  if (isName(tokens[j]) && !isName(tokens[j], 'from')) {
+    entry.default = tokens[j].value;
+    j++;
+    // TS `import x = require('y')`
+    if (isPunct(tokens[j], '=')) {
+      const str = tokens.slice(j, j + 6).find(t => t.type === 'string');
+      entry.source = str ? str.value.slice(1, -1) : null;
+      return entry;
+    }
+    if (isPunct(tokens[j], ',')) j++;
+  }
+  if (isPunct(tokens[j], '*') && isName(tokens[j + 1], 'as') && isName(tokens[j + 2])) {
+    entry.namespace = tokens[j + 2].value;
+    j += 3;
+  } else if (isPunct(tokens[j], '{') && match[j] !== -1) {
+    const close = match[j];
+    let k = j + 1;
+    while (k < close) {
+      if (isName(tokens[k], 'type') && isName(tokens[k + 1]) && !isPunct(tokens[k + 1], ',')) k++;
+      const imported = tokens[k];
+      if (!imported || (imported.type !== 'name' && imported.type !== 'string')) {
+        k++;
+        continue;
+      }
+      let local = imported.value;
+      k++;
+      if (isName(tokens[k], 'as') && isName(tokens[k + 1])) {
+        local = tokens[k + 1].value;
+        k += 2;
+      }
+      entry.named.push({ imported: imported.type === 'string' ? imported.value.slice(1, -1) : imported.value, local });
+      if (isPunct(tokens[k], ',')) k++;
+    }
+    j = close + 1;
+  }
+  if (isName(tokens[j], 'from') && tokens[j + 1] && tokens[j + 1].type === 'string') {
+    entry.source = tokens[j + 1].value.slice(1, -1);
+  }
+  return entry;
+}
+
+// @contract: (ctx:object, i:num) -> object[]
+// @pure: true
+// AOCS-INVARIANT: i indexes a top-level `export` keyword
+function parseExport(ctx, i) {
+  const { tokens, match } = ctx;
+  const line = tokens[i].line;
+  const exports = [];
+  let j = i + 1;
+
+  // @contract: (name:str, local:str|null, kind:str, extra?:object) -> void
+  // @pure: false
+  const add = (name, local, kind, extra = {}) => {
+    exports.push({ name, local, kind, line, index: i, source: null, typeOnly: false, ...extra });
+  };
+
+  if (isName(tokens[j], 'default')) {
+    j++;
+    if (isName(tokens[j], 'async')) j++;
+    if (isName(tokens[j], 'abstract')) j++;
+    if (isName(tokens[j], 'function') || isName(tokens[j], 'class')) {
+      const kind = tokens[j].value;
+      let k = j + 1;
+      if (isPunct(tokens[k], '*')) k++;
+      add('default', isName(tokens[k]) && !isName(tokens[k], 'extends') ? tokens[k].value : null, kind);
+    } else if (isName(tokens[j]) && (!tokens[j + 1] || isPunct(tokens[j + 1], ';') || tokens[j + 1].line > tokens[j].line)) {
+      add('default', tokens[j].value, 'default');
+    } else {
+      add('default', null, 'default');
+    }
+    return exports;
+  }
+
+  let typeOnly = false;
+  if (isName(tokens[j], 'type') && (isPunct(tokens[j + 1], '{') || isPunct(tokens[j + 1], '*'))) {
+    typeOnly = true;
+    j++;
+  }
+
+  if (isPunct(tokens[j], '*')) {
+    let k = j + 1;
+    let name = '*';
+    if (isName(tokens[k], 'as') && (isName(tokens[k + 1]) || tokens[k + 1].type === 'string')) {
+      name = tokens[k + 1].type === 'string' ? tokens[k + 1].value.slice(1, -1) : tokens[k + 1].value;
+      k += 2;
+    }
+    const source = isName(tokens[k], 'from') && tokens[k + 1] ? tokens[k + 1].value.slice(1, -1) : null;
+    add(name, null, name === '*' ? 'reexport-all' : 'reexport', { source, typeOnly });
+    return exports;
+  }
+
+  if (isPunct(tokens[j], '{') && match[j] !== -1) {
+    const close = match[j];
+    const from = isName(tokens[close + 1], 'from') && tokens[close + 2] && tokens[close + 2].type === 'string'
+      ? tokens[close + 2].value.slice(1, -1)
+      : null;
+    let k = j + 1;
+    while (k < close) {
+      let specTypeOnly = typeOnly;
+      if (isName(tokens[k], 'type') && (isName(tokens[k + 1]) || tokens[k + 1].type === 'string') && !isName(tokens[k + 1], 'as')) {
+        specTypeOnly = true;
+        k++;
+      }
+      const localTok = tokens[k];
+      if (!localTok || (localTok.type !== 'name' && localTok.type !== 'string')) {
+        k++;
+        continue;
+      }
+      const local = localTok.type === 'string' ? localTok.value.slice(1, -1) : localTok.value;
+      let name = local;
+      k++;
+      if (isName(tokens[k], 'as') && tokens[k + 1]) {
+        name = tokens[k + 1].type === 'string' ? tokens[k + 1].value.slice(1, -1) : tokens[k + 1].value;
+        k += 2;
+      }
+      add(name, local, from ? 'reexport' : 'specifier', { source: from, typeOnly: specTypeOnly });
+      if (isPunct(tokens[k], ',')) k++;
+    }
+    return exports;
+  }
+
+  while (isName(tokens[j], 'declare') || isName(tokens[j], 'abstract')) j++;
+
+  const t = tokens[j];
+  if (!isName(t)) return exports;
+
+  if (t.value === 'async' && isName(tokens[j + 1], 'function')) j++;
+  if (isName(tokens[j], 'function')) {
+    let k = j + 1;
+    if (isPunct(tokens[k], '*')) k++;
+    if (isName(tokens[k])) add(tokens[k].value, tokens[k].value, 'function');
+  } else if (t.value === 'class') {
+    if (isName(tokens[j + 1])) add(tokens[j + 1].value, tokens[j + 1].value, 'class');
+  } else if (['const', 'let', 'var'].includes(t.value)) {
+    if (t.value === 'const' && isName(tokens[j + 1], 'enum') && isName(tokens[j + 2])) {
+      add(tokens[j + 2].value, tokens[j + 2].value, 'type', { typeOnly: true });
+    } else {
+      const { names } = parseDeclarators(ctx, j + 1);
+      for (const name of names) add(name, name, t.value);
+    }
+  } else if (typeDeclarationKeywords.has(t.value) && isName(tokens[j + 1])) {
+    // `enum` and `namespace` also produce runtime values
+    add(tokens[j + 1].value, tokens[j + 1].value, 'type', { typeOnly: t.value === 'type' || t.value === 'interface' });
+  }
+
+  return exports;
+}
+
+// @contract: (ctx:object) -> {name:str, kind:str, index:num, line:num, depth:num}[]
+// @pure: true
+// @complexity: O(n)
+function collectBindings(ctx) {
+  const { tokens, match, depth } = ctx;
+  const bindings = [];
+
+  // @contract: (names:str[], kind:str, index:num, end?:num) -> void
+  // @pure: false
+  const add = (names, kind, index, end = index + 1) => {
+    for (const name of names) {
+      bindings.push({ name, kind, index, end, line: tokens[index].line, depth: depth[index] });
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!isName(t) || isPunct(tokens[i - 1], '.') || isPunct(tokens[i - 1], '?.')) continue;
+
+    if (t.value === 'const' || t.value === 'let' || t.value === 'var') {
+      if (isName(tokens[i + 1]) || isPunct(tokens[i + 1], '{') || isPunct(tokens[i + 1], '[')) {
+        const { names, next } = parseDeclarators(ctx, i + 1);
+        add(names, t.value, i, next);
+      }
+    } else if ((t.value === 'function' || t.value === 'class') && isName(tokens[i + 1]) && !isName(tokens[i + 1], 'extends')) {
+      add([tokens[i + 1].value], t.value, i + 1);
+    } else if (t.value === 'function' && isPunct(tokens[i + 1], '*') && isName(tokens[i + 2])) {
+      add([tokens[i + 2].value], 'function', i + 2);
+    } else if (t.value === 'catch' && isPunct(tokens[i + 1], '(') && match[i + 1] !== -1) {
+      const names = [];
+      const k = i + 2;
+      if (isName(tokens[k])) names.push(tokens[k].value);
+      else if ((isPunct(tokens[k], '{') || isPunct(tokens[k], '[')) && match[k] !== -1) names.push(...collectPatternNames(ctx, k, match[k]));
+      add(names, 'param', i);
+    } else if (typeDeclarationKeywords.has(t.value) && isName(tokens[i + 1]) &&
+      (i === 0 || tokens[i - 1].line < t.line || isPunct(tokens[i - 1], ';') || isName(tokens[i - 1], 'export') || isName(tokens[i - 1], 'declare') || isName(tokens[i - 1], 'const'))) {
+      add([tokens[i + 1].value], 'type', i + 1);
+    }
+  }
+
+  return bindings;
+}
+
+// @contract: (source:str) -> {source:str, tokens:object[], comments:object[], imports:object[], dynamicImports:object[], requires:object[], exports:object[], functions:object[], classes:object[], bindings:object[], strings:object[]}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = tokens (bounded look-behind per arrow)
+// AOCS-INVARIANT: never throws on malformed input; unmatched brackets degrade to partial results
+export function parseSource(source) {
+  const { tokens, comments } = tokenize(source);
+  const { match, depth } = matchBrackets(tokens);
+  const ctx = { source, tokens, match, depth };
+
+  const imports = [];
+  const dynamicImports = [];
+  const requires = [];
+  const exports = [];
+  const functions = [];
+  const classes = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const prev = tokens[i - 1];
+    const memberAccess = isPunct(prev, '.') || isPunct(prev, '?.');
+
+    if (isName(t, 'import') && !memberAccess) {
+      if (isPunct(tokens[i + 1], '(')) {
+        const arg = tokens[i + 2];
+        dynamicImports.push({ source: arg && arg.type === 'string' && isPunct(tokens[i + 3], ')') ? arg.value.slice(1, -1) : null, line: t.line, index: i });
+      } else if (depth[i] === 0 && !isPunct(tokens[i + 1], '.')) {
+        imports.push(parseImport(ctx, i));
+      }
+    } else if (isName(t, 'export') && depth[i] === 0 && !memberAccess) {
+      exports.push(...parseExport(ctx, i));
+    } else if (isName(t, 'require') && !memberAccess && isPunct(tokens[i + 1], '(') &&
+      tokens[i + 2] && tokens[i + 2].type === 'string' && isPunct(tokens[i + 3], ')')) {
+      requires.push({ source: tokens[i + 2].value.slice(1, -1), line: t.line, index: i });
+    }
+
+    let fn = null;
+    if (isName(t, 'function') && !memberAccess) {
+      fn = parseFunctionKeyword(ctx, i);
+    } else if (isPunct(t, '=>')) {
+      fn = parseArrow(ctx, i);
+    } else if (isPunct(tokens[i + 1], '(') || isPunct(tokens[i + 1], '<') || isPunct(tokens[i + 1], '?')) {
+      fn = parseMethod(ctx, i);
+    }
+    if (isName(t, 'class') && !memberAccess) {
+      const cls = parseClass(ctx, i);
+      if (cls) classes.push(cls);
+    }
+
+    if (fn) {
+      if (!fn.params) fn.params = parseParams(ctx, fn.paramsOpen, fn.paramsClose);
+      fn.line = tokens[fn.statementStart].line;
+      functions.push(fn);
+    }
+  }
+
+  functions.sort((a, b) => a.start - b.start);
+
+  const localExports = new Map();
+  for (const e of exports) {
+    if (e.local && (e.kind === 'specifier' || e.kind === 'default')) {
+      localExports.set(e.local, [...(localExports.get(e.local) || []), e.name]);
+    }
+  }
+
+  for (let f = 0; f < functions.length; f++) {
+    const fn = functions[f];
+    fn.id = f;
+    fn.parent = null;
+    for (let g = f - 1; g >= 0; g--) {
+      if (functions[g].bodyStart <= fn.start && functions[g].bodyEnd >= fn.start) {
+        fn.parent = g;
+        break;
+      }
+    }
+    const cls = classes.find(c => c.bodyStart < fn.start && c.bodyEnd > fn.start && depth[fn.start] === depth[c.bodyStart] + 1);
+    fn.className = fn.kind === 'method' && cls ? cls.name : null;
+
+    const topLevel = depth[fn.statementStart] === 0 && fn.parent === null && fn.kind !== 'method';
+    const exportNames = [];
+    if (topLevel && isName(tokens[fn.statementStart], 'export')) {
+      exportNames.push(isName(tokens[fn.statementStart + 1], 'default') ? 'default' : fn.name);
+    }
+    if (topLevel && fn.name && localExports.has(fn.name) && fn.kind === 'declaration') {
+      exportNames.push(...localExports.get(fn.name));
+    }
+    if (topLevel && fn.name && localExports.has(fn.name) && fn.kind !== 'declaration' &&
+      ['const', 'let', 'var'].includes(tokens[fn.statementStart].value)) {
+      exportNames.push(...localExports.get(fn.name));
+    }
+    fn.exported = exportNames.length > 0;
+    fn.exportNames = exportNames;
+  }
+
+  for (const cls of classes) {
+    cls.exported = isName(tokens[cls.statementStart], 'export') || Boolean(cls.name && localExports.has(cls.name));
+  }
+
+  const bindings = collectBindings(ctx);
+  for (const imp of imports) {
+    const locals = [imp.default, imp.namespace, ...imp.named.map(n => n.local)].filter(Boolean);
+    for (const name of locals) {
+      bindings.push({ name, kind: 'import', index: imp.index, line: imp.line, depth: 0 });
+    }
+  }
+  for (const fn of functions) {
+    for (const p of fn.params) {
+      for (const name of p.names) {
+        bindings.push({ name, kind: 'param', index: fn.paramsOpen, line: p.line, depth: depth[fn.bodyStart] + 1 });
+      }
+    }
+  }
+
+  // Line bookkeeping for leadingComments
+  const codeLines = new Set(tokens.map(tk => tk.line));
+  const commentsByEndLine = new Map();
+  for (const c of comments) commentsByEndLine.set(c.endLine, c);
+
+  return {
+    source, tokens, comments, match, depth,
+    imports, dynamicImports, requires, exports, functions, classes, bindings,
+    strings: tokens.filter(tk => tk.type === 'string' || tk.type === 'template'),
+    codeLines, commentsByEndLine
+  };
+}
+
+// Returns the contiguous comment block that ends directly above `line` (no blank lines, no code)
+// @contract: (parsed:object, line:num) -> object[]
+// @pure: true
+// @complexity: O(k) where k = comment lines in the block
+export function leadingComments(parsed, line) {
+  const block = [];
+  let l = line - 1;
+  while (l > 0 && !parsed.codeLines.has(l)) {
+    const c = parsed.commentsByEndLine.get(l);
+    if (!c) break;
+    block.unshift(c);
+    l = c.line - 1;
+  }
+  // Comments sharing the declaration line but preceding its first token (`/* @contract */ export ...`)
+  for (const c of parsed.comments) {
+    if (c.line === line && !block.includes(c)) {
+      const firstToken = parsed.tokens.find(t => t.line === line);
+      if (!firstToken || c.end <= firstToken.start) block.push(c);
+    }
+  }
+  return block;
+}
+
+// @contract: (comments:object[]) -> {tag:str, value:str, line:num}[]
+// @pure: true
+// AOCS-INVARIANT: tag keeps its prefix ("@contract", "AOCS-" for hints)
+export function readTags(comments) {
+  const tags = [];
+  for (const c of comments) {
+    const lines = c.value.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const text = lines[i].replace(/^\s*\*?/, '');
+      const m = text.match(/(@[A-Za-z][\w-]*|AOCS-[A-Z][A-Z-]*):\s*(.*)$/);
+      if (m) tags.push({ tag: m[1], value: m[2].trim(), line: c.line + i });
+    }
+  }
+  return tags;
+}
+
+// @contract: (parsed:object, tag:str) -> {names:str[], none:bool, line:num}|null
+// @pure: true
+// AOCS-INVARIANT: also reads the one-line form `@module: x | @exports: a, b | @depends: y`
+export function readManifestList(parsed, tag) {
+  const tags = readTags(parsed.comments.filter(c => c.line <= 20));
+  let found = tags.find(t => t.tag === tag);
+  if (!found) {
+    const marker = new RegExp(`\\|\\s*${tag}:`);
+    const inline = tags.find(t => marker.test(t.value));
+    if (!inline) return null;
+    found = { value: inline.value.slice(inline.value.search(marker)).replace(marker, ''), line: inline.line };
+  }
+
+  // `a, b | @depends: x` and `none (CLI entry point)` carry trailing text that is not a name
+  const value = found.value.split(/\s\|\s/)[0].replace(/\([^)]*\)/g, '').trim();
+  if (/^none$/i.test(value)) return { names: [], none: true, line: found.line };
+
+  const names = value.split(',').map(s => s.trim()).filter(Boolean);
+  return { names, none: false, line: found.line };
+}
+
+// @contract: (parsed:object, fn:object) -> {tag:str, value:str, line:num}[]
+// @pure: true
+// AOCS-INVARIANT: a comment block belongs to the first function starting on the line below it, not to callbacks on that line
+export function functionTags(parsed, fn) {
+  if (parsed.functions.some(other => other.line === fn.line && other.start < fn.start)) return [];
+  return readTags(leadingComments(parsed, fn.line));
+}
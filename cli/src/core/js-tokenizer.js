@@ -0,0 +1,215 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: JavaScript/TypeScript source text
+// AOCS-OUTPUTS: significant tokens and comment ranges
+// @module: aocs-validator/js-tokenizer
+// @exports: tokenize
+// @depends: none
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const regexAfterKeywords = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await', 'extends'
+]);
+
+// Longest-first so greedy matching picks `>>>=` before `>>`
+const punctuators = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+// @contract: (ch:str) -> bool
+// @pure: true
+function isIdentStart(ch) {
+  return /[A-Za-z_$\u0080-\uffff]/.test(ch);
+}
+
+// @contract: (ch:str) -> bool
+// @pure: true
+function isIdentPart(ch) {
+  return /[\w$\u0080-\uffff]/.test(ch);
+}
+
+// @contract: (prev:object|undefined) -> bool
+// @pure: true
+// AOCS-INVARIANT: `)` and `]` and values end an operand, so `/` after them is division
+function allowsRegex(prev) {
+  if (!prev) return true;
+  if (prev.type === 'name') return regexAfterKeywords.has(prev.value);
+  if (prev.type === 'punct') return ![')', ']'].includes(prev.value);
+  return false;
+}
+
+// @contract: (source:str) -> {tokens:{type:str, value:str, start:num, end:num, line:num, col:num}[], comments:{kind:str, value:str, start:num, end:num, line:num, endLine:num, col:num}[]}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: tokens never overlap comments, strings or template text
+export function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  // Brace stack entries: 'brace' for `{`, 'template' for `${`
+  const braceStack = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  // @contract: (type:str, start:num, end:num, startLine:num, startCol:num) -> void
+  // @pure: false
+  const push = (type, start, end, startLine, startCol) => {
+    tokens.push({ type, value: source.slice(start, end), start, end, line: startLine, col: startCol });
+  };
+
+  // @contract: (from:num, to:num) -> void
+  // @pure: false
+  const advanceLines = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (source[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+  };
+
+  // Reads template text from `start` (the opening ` or }) up to the closing ` or the next ${
+  // @contract: (start:num, startLine:num, startCol:num) -> void
+  // @pure: false
+  const readTemplateChunk = (start, startLine, startCol) => {
+    let i = start + 1;
+    while (i < source.length) {
+      const ch = source[i];
+      if (ch === '\\') { i += 2; continue; }
+      if (ch === '`') { i++; break; }
+      if (ch === '$' && source[i + 1] === '{') {
+        i += 2;
+        braceStack.push('template');
+        break;
+      }
+      i++;
+    }
+    pos = Math.min(i, source.length);
+    push('template', start, pos, startLine, startCol);
+    advanceLines(start, pos);
+  };
+
+  if (source.startsWith('#!')) {
+    const end = source.indexOf('\n') === -1 ? source.length : source.indexOf('\n');
+    comments.push({ kind: 'line', value: source.slice(2, end), start: 0, end, line: 1, endLine: 1, col: 0 });
+    pos = end;
+  }
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\ufeff' || ch === '\u00a0') {
+      pos++;
+      continue;
+    }
+
+    const startLine = line;
+    const startCol = pos - lineStart;
+    const start = pos;
+
+    if (ch === '/' && next === '/') {
+      let end = source.indexOf('\n', pos);
+      if (end === -1) end = source.length;
+      comments.push({ kind: 'line', value: source.slice(pos + 2, end), start, end, line: startLine, endLine: startLine, col: startCol });
+      pos = end;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      let end = source.indexOf('*/', pos + 2);
+      end = end === -1 ? source.length : end + 2;
+      advanceLines(pos, end);
+      comments.push({ kind: 'block', value: source.slice(pos + 2, Math.max(pos + 2, end - 2)), start, end, line: startLine, endLine: line, col: startCol });
+      pos = end;
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      let i = pos + 1;
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      pos = Math.min(i + 1, source.length);
+      push('string', start, pos, startLine, startCol);
+      advanceLines(start, pos);
+      continue;
+    }
+
+    if (ch === '`') {
+      readTemplateChunk(start, startLine, startCol);
+      continue;
+    }
+
+    if (ch === '}' && braceStack[braceStack.length - 1] === 'template') {
+      braceStack.pop();
+      readTemplateChunk(start, startLine, startCol);
+      continue;
+    }
+
+    if (ch === '/' && allowsRegex(tokens[tokens.length - 1])) {
+      let i = pos + 1;
+      let inClass = false;
+      while (i < source.length && source[i] !== '\n') {
+        const c = source[i];
+        if (c === '\\') { i += 2; continue; }
+        if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) break;
+        i++;
+      }
+      i++;
+      while (i < source.length && isIdentPart(source[i])) i++;
+      pos = Math.min(i, source.length);
+      push('regex', start, pos, startLine, startCol);
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+      let i = pos + 1;
+      while (i < source.length && (/[\w.]/.test(source[i]) || ((source[i] === '+' || source[i] === '-') && /[eE]/.test(source[i - 1]) && !/^0[xX]/.test(source.slice(start, i))))) {
+        i++;
+      }
+      pos = i;
+      push('number', start, pos, startLine, startCol);
+      continue;
+    }
+
+    if (isIdentStart(ch) || (ch === '#' && isIdentStart(next || ''))) {
+      let i = pos + 1;
+      while (i < source.length && isIdentPart(source[i])) i++;
+      pos = i;
+      push('name', start, pos, startLine, startCol);
+      continue;
+    }
+
+    let punct = punctuators.find(p => source.startsWith(p, pos));
+    // TS `Promise<T>=>` closes the generic before the arrow
+    if (punct && punct[0] === '>' && punct.endsWith('=') && source[pos + punct.length] === '>') {
+      punct = punct.slice(0, -1);
+    }
+    // `?.` followed by a digit is a conditional, not optional chaining
+    if (punct && !(punct === '?.' && /[0-9]/.test(source[pos + 2] || ''))) {
+      pos += punct.length;
+      push('punct', start, pos, startLine, startCol);
+      continue;
+    }
+
+    if (ch === '{') braceStack.push('brace');
+    if (ch === '}') braceStack.pop();
+    pos++;
+    push('punct', start, pos, startLine, startCol);
+  }
+
+  return { tokens, comments };
+}
@@ -0,0 +1,118 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: JSON source text
+// AOCS-OUTPUTS: JSON pointer -> line/column positions
+// @module: aocs-validator/json-locate
+// @exports: locateJson, jsonSpans, positionAt, appendPointer
+// @depends: none
+//
+// JSON.parse gives values but no positions; this walks the same text once more and records where
+// every value (and, for object members, its key) starts, keyed by RFC 6901 JSON pointer.
+
+// @contract: (pointer:str, token:str|num) -> str
+// @pure: true
+// AOCS-INVARIANT: "~" and "/" in tokens are escaped as "~0" and "~1"
+export function appendPointer(pointer, token) {
+  return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+// @contract: (text:str, offset:num) -> {line:num, column:num}
+// @pure: true
+// @complexity: O(n) where n = offset
+// AOCS-INVARIANT: line and column are 1-based
+export function positionAt(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+// @contract: (text:str, i:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the offset of the next non-whitespace character (or text.length)
+function skipSpace(text, i) {
+  let at = i;
+  while (at < text.length && /\s/.test(text[at])) at++;
+  return at;
+}
+
+// @contract: (text:str, i:num) -> {value:str, end:num}
+// @pure: true
+// AOCS-INVARIANT: i is the opening quote; end is the offset just past the closing quote
+function scanString(text, i) {
+  let end = i + 1;
+  while (end < text.length && text[end] !== '"') {
+    end += text[end] === '\\' ? 2 : 1;
+  }
+  end++;
+  return { value: JSON.parse(text.slice(i, end)), end };
+}
+
+// @contract: (text:str, i:num, pointer:str, keyOffset:num|null) -> {end:num, entries:object[]}
+// @pure: true
+// @complexity: O(n) where n = length of the value's text
+// AOCS-INVARIANT: entries list the value itself first, then its descendants in document order
+function scanValue(text, i, pointer, keyOffset) {
+  const start = skipSpace(text, i);
+  const { end, entries } = scanBody(text, start, pointer);
+  return { end, entries: [{ pointer, offset: start, end, keyOffset }, ...entries] };
+}
+
+// @contract: (text:str, start:num, pointer:str) -> {end:num, entries:object[]}
+// @pure: true
+// AOCS-INVARIANT: entries hold the value's descendants only
+function scanBody(text, start, pointer) {
+  let at = start;
+  const entries = [];
+  const ch = text[at];
+
+  if (ch === '{' || ch === '[') {
+    const close = ch === '{' ? '}' : ']';
+    at = skipSpace(text, at + 1);
+    let index = 0;
+    while (at < text.length && text[at] !== close) {
+      let child;
+      if (ch === '{') {
+        const key = scanString(text, at);
+        // skip the ':' between key and value
+        child = scanValue(text, skipSpace(text, key.end) + 1, appendPointer(pointer, key.value), at);
+      } else {
+        child = scanValue(text, at, appendPointer(pointer, index++), null);
+      }
+      entries.push(...child.entries);
+      at = skipSpace(text, child.end);
+      if (text[at] === ',') at = skipSpace(text, at + 1);
+    }
+    return { end: at + 1, entries };
+  }
+  if (ch === '"') {
+    return { end: scanString(text, at).end, entries };
+  }
+  while (at < text.length && !/[\s,\]}]/.test(text[at])) at++;
+  return { end: at, entries };
+}
+
+// @contract: (text:str) -> Map<str,{offset:num, end:num, keyOffset:num|null}>
+// @pure: true
+// @complexity: O(n) where n = text.length
+// AOCS-INVARIANT: text must already be valid JSON; end is the offset just past the value
+export function jsonSpans(text) {
+  const { entries } = scanValue(text, text.charCodeAt(0) === 0xFEFF ? 1 : 0, '', null);
+  return new Map(entries.map(({ pointer, ...span }) => [pointer, span]));
+}
+
+// @contract: (text:str) -> Map<str,{line:num, column:num, key:{line:num, column:num}|null}>
+// @pure: true
+// @complexity: O(n*p) where n = text.length, p = values in the document
+// AOCS-INVARIANT: text must already be valid JSON (parse it first); the root pointer is ""
+export function locateJson(text) {
+  const positions = new Map();
+  for (const [pointer, { offset, keyOffset }] of jsonSpans(text)) {
+    positions.set(pointer, { ...positionAt(text, offset), key: keyOffset === null ? null : positionAt(text, keyOffset) });
+  }
+  return positions;
+}
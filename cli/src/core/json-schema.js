@@ -0,0 +1,258 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: JSON Schema (draft-07), JSON value
+// AOCS-OUTPUTS: schema errors with JSON pointers and suggestions
+// @module: aocs-validator/json-schema
+// @exports: validateSchema, closestMatch
+// @depends: core/json-locate
+//
+// A zero-dependency draft-07 validator covering the assertion keywords: type, enum, const,
+// numeric and string bounds, pattern, items/additionalItems/contains, object keywords,
+// dependencies, propertyNames, allOf/anyOf/oneOf/not, if/then/else and local $ref.
+// `format` is treated as an annotation, as draft-07 permits.
+
+import { appendPointer } from './json-locate.js';
+
+// @contract: (value:any) -> str
+// @pure: true
+// AOCS-INVARIANT: returns a draft-07 type name, never "integer"
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// @contract: (value:any, type:str) -> bool
+// @pure: true
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+// @contract: (a:any, b:any) -> bool
+// @pure: true
+// @complexity: O(n) where n = size of the smaller value
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+}
+
+// @contract: (a:str, b:str) -> num
+// @pure: true
+// @complexity: O(a*b)
+// AOCS-INVARIANT: counts an adjacent transposition ("wran" -> "warn") as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// @contract: (word:str, candidates:str[]) -> str|null
+// @pure: true
+// @complexity: O(c*w^2) where c = candidates, w = word length
+// AOCS-INVARIANT: only suggests a candidate within a third of the word's length in edits (at least 1), or differing only in case
+export function closestMatch(word, candidates) {
+  const limit = Math.max(1, Math.floor(word.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string' || candidate === word) continue;
+    const distance = candidate.toLowerCase() === word.toLowerCase() ? 0 : editDistance(word, candidate);
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// @contract: (type:str) -> str
+// @pure: true
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// @contract: (root:object, ref:str) -> object|bool
+// @throws: Error
+// @pure: true
+// AOCS-FAILS-ON: a $ref outside this document, or one that does not resolve
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`unsupported $ref "${ref}" (only refs within the schema are resolved)`);
+  let target = root;
+  for (const raw of ref.slice(1).split('/').slice(1)) {
+    const token = decodeURIComponent(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !Object.hasOwn(target, token)) {
+      throw new Error(`$ref "${ref}" does not resolve`);
+    }
+    target = target[token];
+  }
+  return target;
+}
+
+// @contract: (branches:object[][], pointer:str) -> object[]|null
+// @pure: true
+// AOCS-INVARIANT: picks the first failing branch whose type matched, so its errors explain the mismatch
+function closestBranch(branches, pointer) {
+  return branches.find(errors => !errors.some(e => e.pointer === pointer && e.keyword === 'type')) || null;
+}
+
+// @contract: (pointer:str, keyword:str, message:str, suggestion?:str|null) -> {pointer:str, keyword:str, message:str, suggestion?:str}
+// @pure: true
+function problem(pointer, keyword, message, suggestion = null) {
+  return suggestion ? { pointer, keyword, message, suggestion } : { pointer, keyword, message };
+}
+
+// @contract: (schema:object|bool, value:any, pointer:str, root:object) -> object[]
+// @throws: Error
+// @pure: true
+// @complexity: O(n*k) where n = size of value, k = keywords per subschema
+// AOCS-INVARIANT: never mutates value or schema
+function check(schema, value, pointer, root) {
+  if (schema === true) return [];
+  if (schema === false) return [problem(pointer, 'false', 'is not allowed')];
+  // In draft-07 a $ref replaces every sibling keyword
+  if (schema.$ref !== undefined) return check(resolveRef(root, schema.$ref), value, pointer, root);
+
+  const actual = typeOf(value);
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => hasType(value, t))) {
+      return [problem(pointer, 'type', `must be ${types.map(article).join(' or ')} (found ${actual})`)];
+    }
+  }
+
+  const errors = [];
+  if (schema.enum !== undefined && !schema.enum.some(e => deepEqual(e, value))) {
+    const suggestion = typeof value === 'string' ? closestMatch(value, schema.enum) : null;
+    errors.push(problem(pointer, 'enum', `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')} (found ${JSON.stringify(value)})`, suggestion));
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(problem(pointer, 'const', `must be ${JSON.stringify(schema.const)} (found ${JSON.stringify(value)})`));
+  }
+
+  if (actual === 'number') {
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) errors.push(problem(pointer, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(problem(pointer, 'maximum', `must be <= ${schema.maximum}`));
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(problem(pointer, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(problem(pointer, 'minimum', `must be >= ${schema.minimum}`));
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(problem(pointer, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+  }
+
+  if (actual === 'string') {
+    const length = [...value].length;
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(problem(pointer, 'maxLength', `must be at most ${schema.maxLength} characters`));
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(problem(pointer, 'minLength', `must be at least ${schema.minLength} characters`));
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(problem(pointer, 'pattern', `must match ${schema.pattern}`));
+  }
+
+  if (actual === 'array') {
+    value.forEach((item, i) => {
+      const sub = Array.isArray(schema.items) ? (i < schema.items.length ? schema.items[i] : schema.additionalItems) : schema.items;
+      if (sub !== undefined) errors.push(...check(sub, item, appendPointer(pointer, i), root));
+    });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(problem(pointer, 'maxItems', `must have at most ${schema.maxItems} item(s)`));
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(problem(pointer, 'minItems', `must have at least ${schema.minItems} item(s)`));
+    if (schema.uniqueItems === true) {
+      value.forEach((item, i) => {
+        const first = value.findIndex(other => deepEqual(other, item));
+        if (first < i) errors.push(problem(appendPointer(pointer, i), 'uniqueItems', `duplicates item ${first}`));
+      });
+    }
+    if (schema.contains !== undefined && !value.some((item, i) => check(schema.contains, item, appendPointer(pointer, i), root).length === 0)) {
+      errors.push(problem(pointer, 'contains', 'must contain at least one matching item'));
+    }
+  }
+
+  if (actual === 'object') {
+    errors.push(...checkObject(schema, value, pointer, root));
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...check(sub, value, pointer, root));
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) continue;
+    const branches = schema[keyword].map(sub => check(sub, value, pointer, root));
+    const passing = branches.filter(b => b.length === 0).length;
+    if (keyword === 'oneOf' && passing > 1) {
+      errors.push(problem(pointer, keyword, `matches ${passing} of the allowed shapes; it must match exactly one`));
+    } else if (passing === 0) {
+      const closest = closestBranch(branches, pointer);
+      errors.push(...(closest || [problem(pointer, keyword, 'does not match any of the allowed shapes')]));
+    }
+  }
+  if (schema.not !== undefined && check(schema.not, value, pointer, root).length === 0) {
+    errors.push(problem(pointer, 'not', 'matches a shape that is not allowed'));
+  }
+  if (schema.if !== undefined) {
+    const branch = check(schema.if, value, pointer, root).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) errors.push(...check(branch, value, pointer, root));
+  }
+  return errors;
+}
+
+// @contract: (schema:object, value:object, pointer:str, root:object) -> object[]
+// @throws: Error
+// @pure: true
+// @complexity: O(p*k) where p = properties of value, k = keywords per subschema
+// AOCS-INVARIANT: unknown properties are reported at their own pointer with the closest declared name
+function checkObject(schema, value, pointer, root) {
+  const errors = [];
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {}).map(([p, sub]) => [new RegExp(p, 'u'), sub]);
+
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(problem(pointer, 'maxProperties', `must have at most ${schema.maxProperties} properties`));
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(problem(pointer, 'minProperties', `must have at least ${schema.minProperties} properties`));
+  for (const name of schema.required || []) {
+    if (!Object.hasOwn(value, name)) errors.push(problem(pointer, 'required', `is missing required property "${name}"`));
+  }
+  for (const [name, dependency] of Object.entries(schema.dependencies || {})) {
+    if (!Object.hasOwn(value, name)) continue;
+    if (Array.isArray(dependency)) {
+      for (const d of dependency.filter(d => !Object.hasOwn(value, d))) {
+        errors.push(problem(pointer, 'dependencies', `is missing property "${d}", required when "${name}" is present`));
+      }
+    } else {
+      errors.push(...check(dependency, value, pointer, root));
+    }
+  }
+
+  for (const key of keys) {
+    const at = appendPointer(pointer, key);
+    if (schema.propertyNames !== undefined) {
+      for (const e of check(schema.propertyNames, key, at, root)) {
+        errors.push(problem(at, 'propertyNames', `is not an allowed property name: ${e.message}`));
+      }
+    }
+    const matching = patterns.filter(([re]) => re.test(key)).map(([, sub]) => sub);
+    if (Object.hasOwn(properties, key)) matching.unshift(properties[key]);
+    for (const sub of matching) errors.push(...check(sub, value[key], at, root));
+    if (matching.length > 0 || schema.additionalProperties === undefined) continue;
+    if (schema.additionalProperties === false) {
+      errors.push(problem(at, 'additionalProperties', 'is not an allowed property', closestMatch(key, Object.keys(properties))));
+    } else {
+      errors.push(...check(schema.additionalProperties, value[key], at, root));
+    }
+  }
+  return errors;
+}
+
+// @contract: (schema:object|bool, value:any) -> {pointer:str, keyword:str, message:str, suggestion?:str}[]
+// @throws: Error
+// @pure: true
+// @complexity: O(n*k) where n = size of value, k = keywords per subschema
+// AOCS-FAILS-ON: the schema uses a $ref that points outside itself or does not resolve
+// AOCS-INVARIANT: an empty result means value is valid against schema
+export function validateSchema(schema, value) {
+  return check(schema, value, '', schema);
+}
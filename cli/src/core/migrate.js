@@ -0,0 +1,72 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: projectPath, options, filesystem
+// AOCS-OUTPUTS: rewritten aocs.json and sources (unless dry-run), per-file changes and diffs
+// @module: aocs-validator/migrate
+// @exports: migrateProject
+// @depends: fs, path, core/standard, core/versions, core/migrations, core/scanner, core/diff
+
+import { readFile, writeFile } from 'fs/promises';
+import { join, relative, sep } from 'path';
+import { loadStandardFile } from './standard.js';
+import { releasedVersions } from './versions.js';
+import { planMigration, migrateConfig, migrateSource, rewriteConfigText } from './migrations.js';
+import { scanFiles } from './scanner.js';
+import { unifiedDiff } from './diff.js';
+
+// @contract: (projectPath:str, options:{to:str, dryRun?:bool}) -> Promise<{from:str|null, to:str, changed:{file:str, changes:str[], diff:str}[], notes:str[], errors:str[]}>
+// @pure: false
+// @complexity: O(n*s) where n=files, s=file size
+// AOCS-INVARIANT: with dryRun nothing is written; aocs.json is read raw, so contracts the current schema rejects can still be migrated
+export async function migrateProject(projectPath, options) {
+  const result = { from: null, to: options.to, changed: [], notes: [], errors: [] };
+  const configPath = join(projectPath, 'aocs.json');
+
+  let before;
+  let config;
+  try {
+    before = await readFile(configPath, 'utf-8');
+    config = JSON.parse(before.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    result.errors.push(err.code === 'ENOENT' ? `aocs.json not found at ${configPath}` : `aocs.json contains invalid JSON: ${err.message}`);
+    return result;
+  }
+  result.from = config.aocsVersion === undefined ? null : String(config.aocsVersion);
+
+  let steps;
+  try {
+    steps = planMigration(result.from, options.to, releasedVersions(await loadStandardFile('manifest.json')));
+  } catch (err) {
+    result.errors.push(err.message);
+    return result;
+  }
+  if (steps.length === 0) {
+    return result;
+  }
+
+  const migrated = migrateConfig(config, steps);
+  result.notes.push(...migrated.notes);
+  const after = rewriteConfigText(before, config, migrated.config);
+  const pending = [{ path: configPath, file: 'aocs.json', before, after, changes: migrated.changes }];
+
+  const files = Array.isArray(migrated.config.languages) ? await scanFiles(projectPath, migrated.config) : [];
+  for (const file of files) {
+    let source;
+    try {
+      source = await readFile(file, 'utf-8');
+    } catch (err) {
+      continue;
+    }
+    const { source: rewritten, changes } = migrateSource(source, steps);
+    if (rewritten !== source) {
+      pending.push({ path: file, file: relative(projectPath, file).split(sep).join('/'), before: source, after: rewritten, changes });
+    }
+  }
+
+  for (const p of pending) {
+    if (!options.dryRun) {
+      await writeFile(p.path, p.after, 'utf-8');
+    }
+    result.changed.push({ file: p.file, changes: p.changes, diff: unifiedDiff(p.before, p.after, p.file) });
+  }
+  return result;
+}
@@ -0,0 +1,145 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: aocs.json contents, source text, version range
+// AOCS-OUTPUTS: migrated config and source, change descriptions
+// @module: aocs-validator/migrations
+// @exports: migrations, planMigration, migrateConfig, migrateSource, rewriteConfigText
+// @depends: core/versions, core/json-locate
+//
+// One step per release. A step upgrades aocs.json (`config`) and rewrites source annotations
+// (`hints`: comment-leading labels renamed to their new spelling). `aocs migrate` chains the
+// steps between the declared aocsVersion and the target.
+
+import { compareVersions } from './versions.js';
+import { jsonSpans, appendPointer } from './json-locate.js';
+
+// @contract: () -> object[]
+// @pure: true
+// AOCS-INVARIANT: steps are contiguous and ordered oldest first
+export const migrations = [
+  {
+    from: '0.6',
+    to: '0.7',
+    // 0.7 introduced the repository contract fields and structured hints
+    // @contract: (config:object) -> {config:object, changes:str[], notes:str[]}
+    // @pure: true
+    config: config => {
+      const changes = [];
+      const notes = [];
+      const next = { ...config };
+      if (next.mode === undefined) {
+        next.mode = 'strict';
+        changes.push('added required field mode ("strict")');
+      }
+      if (next.languages === undefined) {
+        notes.push('aocs.json needs "languages" (e.g. ["javascript"]); add the languages this repo uses');
+      }
+      return { config: next, changes, notes };
+    },
+    hints: [
+      [/invariant/i, 'AOCS-INVARIANT'],
+      [/fails[ -]on/i, 'AOCS-FAILS-ON'],
+      [/pure/i, 'AOCS-PURE'],
+      [/complexity/i, 'AOCS-COMPLEXITY']
+    ]
+  },
+  {
+    from: '0.7',
+    to: '0.8',
+    // 0.8 added the validator and new languages; contracts and annotations are unchanged
+    config: null,
+    hints: []
+  }
+];
+
+// @contract: (from:str, to:str, released:str[]) -> object[]
+// @throws: Error
+// @pure: true
+// AOCS-FAILS-ON: either version is not released, or to is older than from
+// AOCS-INVARIANT: an empty plan means from === to
+export function planMigration(from, to, released) {
+  for (const [label, version] of [['aocsVersion', from], ['--to', to]]) {
+    if (!released.includes(version)) {
+      throw new Error(`${label} ${JSON.stringify(version)} is not a released AOCS version (known: ${released.join(', ')})`);
+    }
+  }
+  if (compareVersions(to, from) < 0) {
+    throw new Error(`Cannot migrate from ${from} down to ${to}; migrations only go forward`);
+  }
+  return migrations.filter(step => compareVersions(step.from, from) >= 0 && compareVersions(step.to, to) <= 0);
+}
+
+// @contract: (config:object, steps:object[]) -> {config:object, changes:str[], notes:str[]}
+// @pure: true
+// AOCS-INVARIANT: aocsVersion ends at the last step's target; config is not mutated
+export function migrateConfig(config, steps) {
+  let current = config;
+  const changes = [];
+  const notes = [];
+  for (const step of steps) {
+    if (step.config) {
+      const result = step.config(current);
+      current = result.config;
+      changes.push(...result.changes);
+      notes.push(...result.notes);
+    }
+    current = { ...current, aocsVersion: step.to };
+  }
+  if (steps.length > 0) changes.unshift(`aocsVersion ${config.aocsVersion} -> ${current.aocsVersion}`);
+  return { config: current, changes, notes };
+}
+
+// @contract: (source:str, steps:object[]) -> {source:str, changes:str[]}
+// @pure: true
+// @complexity: O(n*h) where n = source lines, h = hint renames across steps
+// AOCS-INVARIANT: only a label that opens a comment (//, #, /*, *, <!--) followed by ":" is renamed
+export function migrateSource(source, steps) {
+  const changes = [];
+  const lines = source.split('\n');
+  for (const step of steps) {
+    for (const [label, hint] of step.hints) {
+      const pattern = new RegExp(`^(\\s*(?:\\/\\/|#|\\/\\*|\\*|<!--)\\s*)(?:${label.source})\\s*:`, 'i');
+      lines.forEach((line, i) => {
+        if (!pattern.test(line)) return;
+        lines[i] = line.replace(pattern, `$1${hint}:`);
+        changes.push(`line ${i + 1}: ${hint}`);
+      });
+    }
+  }
+  return { source: lines.join('\n'), changes };
+}
+
+// @contract: (text:str, config:object, next:object) -> str
+// @pure: true
+// @complexity: O(n) where n = text.length
+// AOCS-INVARIANT: changed top-level values are replaced in place and new keys appended in the file's own layout,
+// so untouched formatting survives; removed keys fall back to re-serializing the whole file
+export function rewriteConfigText(text, config, next) {
+  const fallback = JSON.stringify(next, null, 2) + '\n';
+  if (Object.keys(config).some(key => !Object.hasOwn(next, key))) return fallback;
+
+  const spans = jsonSpans(text);
+  const members = Object.keys(config).map(key => spans.get(appendPointer('', key)));
+  const edits = [];
+  for (const [key, value] of Object.entries(next)) {
+    const span = spans.get(appendPointer('', key));
+    if (span && JSON.stringify(config[key]) !== JSON.stringify(value)) {
+      edits.push({ start: span.offset, end: span.end, text: JSON.stringify(value) });
+    }
+  }
+
+  const added = Object.keys(next).filter(key => !Object.hasOwn(config, key));
+  if (added.length > 0) {
+    if (members.length === 0) return fallback;
+    const last = members.reduce((a, b) => (b.end > a.end ? b : a));
+    const first = members.reduce((a, b) => (b.keyOffset < a.keyOffset ? b : a));
+    const lineStart = text.lastIndexOf('\n', first.keyOffset) + 1;
+    const indent = text.slice(lineStart, first.keyOffset);
+    // One member per line keeps that layout; an object written on one line stays on one line
+    const separator = /^\s*$/.test(indent) ? `,\n${indent}` : ', ';
+    const insertion = added.map(key => `${separator}${JSON.stringify(key)}: ${JSON.stringify(next[key])}`).join('');
+    edits.push({ start: last.end, end: last.end, text: insertion });
+  }
+
+  return edits.sort((a, b) => b.start - a.start)
+    .reduce((out, e) => out.slice(0, e.start) + e.text + out.slice(e.end), text);
+}
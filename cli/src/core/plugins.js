@@ -0,0 +1,160 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: aocs.json plugins, plugin ES modules
+// AOCS-OUTPUTS: plugin rules, plugin languages, load errors
+// @module: aocs-validator/plugins
+// @exports: loadPlugins, checkPluginRule, pluginApiVersion
+// @depends: fs, path, url, crypto, core/rules, languages
+//
+// Plugin API v1 — a plugin is a local ES module listed in aocs.json `plugins`
+// (path relative to the project root) that exports:
+//   aocsPluginApi  = 1                                   (required)
+//   rules          = [{id, name, level, check}]          (optional) always active
+//   languages      = {name: {extensions, rules}}         (optional) active when aocs.json languages lists name
+// check(projectPath, config, files, cache) resolves to {violations: [{file, line, message}], warnings?: [...]}.
+// cache is shared by every rule in the run: cache.read(file), cache.lines(file), cache.parse(file, parser).
+// Optional: scope "file" lets `aocs validate` reuse a file's findings while the file and its @depends
+// targets are unchanged; bump version whenever the check's logic changes.
+// Each load imports the module's current contents, so `aocs validate --watch` picks up edits to the
+// plugin file itself; modules the plugin imports stay cached until the process restarts.
+
+import { readFile } from 'fs/promises';
+import { resolve, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { createHash } from 'crypto';
+import { universalRules } from './rules.js';
+import { builtinLanguages } from '../languages/index.js';
+
+export const pluginApiVersion = 1;
+
+const ruleLevels = ['error', 'warn'];
+const ruleScopes = ['file', 'project'];
+
+// @contract: (rule:any) -> str[]
+// @pure: true
+// AOCS-INVARIANT: an empty result means the rule has the {id, name, level, check} shape the validator relies on
+export function checkPluginRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['is not an object'];
+  const problems = [];
+  if (typeof rule.id !== 'string' || !/^[A-Za-z][\w.-]*$/.test(rule.id)) {
+    problems.push('id must be a string of letters, digits, "_", "." or "-" starting with a letter');
+  }
+  if (typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+    problems.push('name must be a non-empty string');
+  }
+  if (!ruleLevels.includes(rule.level)) {
+    problems.push(`level must be "error" or "warn" (found ${JSON.stringify(rule.level)})`);
+  }
+  if (typeof rule.check !== 'function') {
+    problems.push('check must be a function (projectPath, config, files) -> Promise<{violations}>');
+  }
+  if (rule.scope !== undefined && !ruleScopes.includes(rule.scope)) {
+    problems.push(`scope must be "file" or "project" (found ${JSON.stringify(rule.scope)})`);
+  }
+  if (rule.version !== undefined && !['string', 'number'].includes(typeof rule.version)) {
+    problems.push('version must be a string or number');
+  }
+  return problems;
+}
+
+// @contract: (rules:any, label:str, owners:Map<str,str>, plugin:str, errors:str[]) -> object[]
+// @pure: false
+// AOCS-INVARIANT: only well-formed rules with an unclaimed id are returned; owners records who claimed each id
+function acceptRules(rules, label, owners, plugin, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push(`Plugin ${plugin}: ${label} must be an array of rules`);
+    return [];
+  }
+  const accepted = [];
+  rules.forEach((rule, i) => {
+    const problems = checkPluginRule(rule);
+    const name = rule && typeof rule.id === 'string' ? `"${rule.id}"` : `#${i + 1}`;
+    if (problems.length > 0) {
+      errors.push(...problems.map(p => `Plugin ${plugin}: ${label} rule ${name} ${p}`));
+      return;
+    }
+    if (owners.has(rule.id)) {
+      errors.push(`Plugin ${plugin}: rule id "${rule.id}" is already defined by ${owners.get(rule.id)}`);
+      return;
+    }
+    owners.set(rule.id, `plugin ${plugin}`);
+    accepted.push(rule);
+  });
+  return accepted;
+}
+
+// @contract: (projectPath:str, config:object|null) -> Promise<{rules:object[], languages:object, extensions:object, files:str[], errors:str[]}>
+// @throws: never
+// @pure: false
+// @complexity: O(p*r) where p=plugins, r=rules per plugin
+// AOCS-INVARIANT: a plugin with any error contributes nothing; languages maps name -> rules, extensions maps name -> extensions
+// AOCS-INVARIANT: files holds the absolute path of every plugin module named by a valid spec, loaded or not
+export async function loadPlugins(projectPath, config) {
+  const result = { rules: [], languages: {}, extensions: {}, files: [], errors: [] };
+  const specs = (config && config.plugins) || [];
+  if (specs.length === 0) return result;
+
+  const builtins = builtinLanguages();
+  const owners = new Map([...universalRules, ...builtins.rules].map(r => [r.id, 'built-in rules']));
+  const languageOwners = new Map(builtins.names.map(n => [n, 'a built-in language']));
+
+  for (const spec of specs) {
+    if (typeof spec !== 'string' || !(spec.startsWith('.') || isAbsolute(spec))) {
+      result.errors.push(`Plugin ${JSON.stringify(spec)} must be a relative or absolute path to a local ES module`);
+      continue;
+    }
+
+    const file = resolve(projectPath, spec);
+    result.files.push(file);
+    let mod;
+    try {
+      // import() caches by URL; naming the contents in the query loads an edited plugin afresh
+      const version = createHash('sha256').update(await readFile(file)).digest('hex').slice(0, 16);
+      mod = await import(`${pathToFileURL(file).href}?v=${version}`);
+    } catch (err) {
+      result.errors.push(`Plugin ${spec} could not be loaded: ${err.message}`);
+      continue;
+    }
+
+    if (mod.aocsPluginApi !== pluginApiVersion) {
+      const found = mod.aocsPluginApi === undefined ? 'does not export aocsPluginApi' : `declares aocsPluginApi ${JSON.stringify(mod.aocsPluginApi)}`;
+      result.errors.push(`Plugin ${spec} ${found}; this validator supports plugin API ${pluginApiVersion}`);
+      continue;
+    }
+    if (mod.rules === undefined && mod.languages === undefined) {
+      result.errors.push(`Plugin ${spec} exports neither rules nor languages`);
+      continue;
+    }
+
+    // Claims are only committed once the whole plugin checks out
+    const errors = [];
+    const claimed = new Map(owners);
+    const rules = mod.rules === undefined ? [] : acceptRules(mod.rules, 'rules', claimed, spec, errors);
+    const languages = {};
+    const extensions = {};
+    for (const [name, lang] of Object.entries(mod.languages || {})) {
+      const key = name.toLowerCase();
+      if (languageOwners.has(key)) {
+        errors.push(`Plugin ${spec}: language "${name}" is already defined by ${languageOwners.get(key)}`);
+        continue;
+      }
+      if (!lang || !Array.isArray(lang.extensions) || !lang.extensions.every(e => typeof e === 'string' && e.startsWith('.'))) {
+        errors.push(`Plugin ${spec}: language "${name}" extensions must be an array of ".ext" strings`);
+        continue;
+      }
+      languages[key] = acceptRules(lang.rules, `language "${name}"`, claimed, spec, errors);
+      extensions[key] = lang.extensions;
+    }
+
+    if (errors.length > 0) {
+      result.errors.push(...errors);
+      continue;
+    }
+    for (const [id, owner] of claimed) owners.set(id, owner);
+    for (const key of Object.keys(languages)) languageOwners.set(key, `plugin ${spec}`);
+    result.rules.push(...rules);
+    Object.assign(result.languages, languages);
+    Object.assign(result.extensions, extensions);
+  }
+
+  return result;
+}
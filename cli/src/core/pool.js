@@ -0,0 +1,30 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: work items, concurrency limit, async worker
+// AOCS-OUTPUTS: worker results in input order
+// @module: aocs-validator/pool
+// @exports: mapConcurrent
+// @depends: none
+
+// @contract: (items:any[], limit:num, worker:function) -> Promise<any[]>
+// @pure: false
+// @complexity: O(n) where n = items.length
+// AOCS-INVARIANT: at most limit workers are pending at once; results[i] is worker(items[i], i) whatever order they settle in
+// AOCS-FAILS-ON: rejects with the first worker rejection (workers that must not fail catch their own errors)
+export async function mapConcurrent(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each lane takes the next unclaimed item until none are left
+  // @contract: () -> Promise<void>
+  // @pure: false
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
@@ -0,0 +1,31 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: aocs.json mode, rule objects
+// AOCS-OUTPUTS: profile default levels
+// @module: aocs-validator/profiles
+// @exports: modes, profileLevel
+// @depends: none
+//
+// aocs.json `mode` selects the rule profile, i.e. each rule's default level:
+//   strict  every rule at the level it declares
+//   lite    only file roles, the repo contract and forbidden patterns fail the run;
+//           every other error-level rule (contracts, manifests, ...) is downgraded to warn
+// Levels set in aocs.json `rules` are explicit choices and apply on top of the profile.
+
+export const modes = ['lite', 'strict'];
+
+const liteRequired = new Set(['U8-repo-contract', 'U9-file-roles', 'U12-forbidden']);
+
+// @contract: (rule:{id:str}) -> bool
+// @pure: true
+// AOCS-INVARIANT: language forbidden-pattern rules (GO3-forbidden, PY3-forbidden, ...) count as required
+function requiredInLite(rule) {
+  return liteRequired.has(rule.id) || /-forbidden$/.test(rule.id);
+}
+
+// @contract: (mode:str|undefined, rule:{id:str, level:str}) -> str
+// @pure: true
+// AOCS-INVARIANT: never raises a level; an unknown or missing mode leaves the rule's own level
+export function profileLevel(mode, rule) {
+  if (mode !== 'lite' || rule.level !== 'error') return rule.level;
+  return requiredInLite(rule) ? 'error' : 'warn';
+}
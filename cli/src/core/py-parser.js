@@ -0,0 +1,311 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: Python source text
+// AOCS-OUTPUTS: tokens, comments, logical statements, defs, classes and __all__
+// @module: aocs-validator/py-parser
+// @exports: parsePython, pyLeadingComments
+// @depends: none
+
+// Longest-first so greedy matching picks `**=` before `**`
+const punctuators = [
+  '**=', '//=', '>>=', '<<=', '->', ':=', '==', '!=', '<=', '>=', '**', '//', '<<', '>>',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@='
+];
+
+// @contract: (source:str, pos:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the length of a string prefix (r, b, f, u, rb, ...) directly followed by a quote, else 0
+function stringPrefix(source, pos) {
+  const m = /^[rRbBuUfF]{1,2}(?=['"])/.exec(source.slice(pos, pos + 3));
+  return m ? m[0].length : 0;
+}
+
+// @contract: (source:str) -> {tokens:{type:str, value:str, line:num, col:num}[], comments:{value:str, line:num, endLine:num, col:num, own:bool}[]}
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: string tokens keep their quotes; comments never appear in tokens
+function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let lineHasCode = false;
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (ch === '\n') {
+      tokens.push({ type: 'newline', value: '\n', line, col: pos - lineStart });
+      pos++;
+      line++;
+      lineStart = pos;
+      lineHasCode = false;
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\ufeff') {
+      pos++;
+      continue;
+    }
+
+    // Explicit line continuation
+    if (ch === '\\' && source[pos + 1] === '\n') {
+      pos += 2;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+
+    const col = pos - lineStart;
+
+    if (ch === '#') {
+      let end = source.indexOf('\n', pos);
+      if (end === -1) end = source.length;
+      comments.push({ value: source.slice(pos + 1, end), line, endLine: line, col, own: !lineHasCode });
+      pos = end;
+      continue;
+    }
+
+    const prefix = stringPrefix(source, pos);
+    if (ch === '\'' || ch === '"' || prefix > 0) {
+      const startLine = line;
+      const quotePos = pos + prefix;
+      const quote = source[quotePos];
+      const triple = source.startsWith(quote.repeat(3), quotePos);
+      const close = triple ? quote.repeat(3) : quote;
+      let i = quotePos + close.length;
+      while (i < source.length && !source.startsWith(close, i)) {
+        if (source[i] === '\\') { i += 2; continue; }
+        if (source[i] === '\n' && !triple) break;
+        i++;
+      }
+      const end = Math.min(i + (source.startsWith(close, i) ? close.length : 0), source.length);
+      for (let k = pos; k < end; k++) {
+        if (source[k] === '\n') {
+          line++;
+          lineStart = k + 1;
+        }
+      }
+      tokens.push({ type: 'string', value: source.slice(pos, end), line: startLine, col });
+      lineHasCode = true;
+      pos = end;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+      let i = pos + 1;
+      while (i < source.length && (/[\w.]/.test(source[i]) || ((source[i] === '+' || source[i] === '-') && /[eE]/.test(source[i - 1]) && !/^0[xX]/.test(source.slice(pos, i))))) {
+        i++;
+      }
+      tokens.push({ type: 'number', value: source.slice(pos, i), line, col });
+      lineHasCode = true;
+      pos = i;
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      let i = pos + 1;
+      while (i < source.length && /[\w\u0080-\uffff]/.test(source[i])) i++;
+      tokens.push({ type: 'name', value: source.slice(pos, i), line, col });
+      lineHasCode = true;
+      pos = i;
+      continue;
+    }
+
+    const punct = punctuators.find(p => source.startsWith(p, pos)) || ch;
+    tokens.push({ type: 'punct', value: punct, line, col });
+    lineHasCode = true;
+    pos += punct.length;
+  }
+
+  return { tokens, comments };
+}
+
+// @contract: (tokens:object[]) -> {line:num, indent:num, tokens:object[]}[]
+// @pure: true
+// @complexity: O(n)
+// AOCS-INVARIANT: newlines inside brackets do not end a statement; `a; b` yields two statements
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  let depth = 0;
+  // Statements after `;` share the indentation of the first one on their line
+  let carried = null;
+
+  // @contract: () -> void
+  // @pure: false
+  const flush = () => {
+    if (current.length > 0) {
+      statements.push({ line: current[0].line, indent: carried === null ? current[0].col : carried, tokens: current });
+    }
+    current = [];
+  };
+
+  for (const t of tokens) {
+    if (t.type === 'newline') {
+      if (depth === 0) {
+        flush();
+        carried = null;
+      }
+      continue;
+    }
+    if (t.type === 'punct') {
+      if ('([{'.includes(t.value)) depth++;
+      else if (')]}'.includes(t.value)) depth = Math.max(0, depth - 1);
+      else if (t.value === ';' && depth === 0) {
+        const indent = carried === null && current.length > 0 ? current[0].col : carried;
+        flush();
+        carried = indent;
+        continue;
+      }
+    }
+    current.push(t);
+  }
+  flush();
+  return statements;
+}
+
+// @contract: (tokens:object[], open:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the index of the bracket closing tokens[open], or tokens.length
+function closingIndex(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punct') continue;
+    if ('([{'.includes(tokens[i].value)) depth++;
+    else if (')]}'.includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+// @contract: (tokens:object[], open:num, close:num) -> {name:str, kind:str, hasDefault:bool}[]
+// @pure: true
+// AOCS-INVARIANT: kind is "positional", "args" (*a) or "kwargs" (**k); bare `*` and `/` markers are dropped
+function parseParams(tokens, open, close) {
+  const params = [];
+  let i = open + 1;
+  while (i < close) {
+    let kind = 'positional';
+    if (tokens[i].value === '*') { kind = 'args'; i++; }
+    else if (tokens[i].value === '**') { kind = 'kwargs'; i++; }
+    const name = tokens[i] && tokens[i].type === 'name' ? tokens[i].value : null;
+    let hasDefault = false;
+    // Skip the annotation and default up to the next top-level comma
+    let depth = 0;
+    for (; i < close; i++) {
+      const t = tokens[i];
+      if (t.type === 'punct' && '([{'.includes(t.value)) depth++;
+      else if (t.type === 'punct' && ')]}'.includes(t.value)) depth--;
+      else if (depth === 0 && t.value === ',') break;
+      else if (depth === 0 && t.value === '=') hasDefault = true;
+    }
+    if (name) params.push({ name, kind, hasDefault });
+    i++;
+  }
+  return params;
+}
+
+// @contract: (statement:object) -> {names:str[], line:num}|null
+// @pure: true
+// AOCS-INVARIANT: only a literal list/tuple of strings counts; anything computed returns null
+function readAll(statement) {
+  const t = statement.tokens;
+  if (!t[0] || t[0].value !== '__all__' || !t[1] || t[1].value !== '=') return null;
+  const names = [];
+  for (const tok of t.slice(2)) {
+    if (tok.type === 'string') {
+      names.push(tok.value.replace(/^[a-zA-Z]*(['"]{1,3})([\s\S]*)\1$/, '$2'));
+    } else if (tok.type !== 'punct' || !'[](),'.includes(tok.value)) {
+      return null;
+    }
+  }
+  return { names, line: statement.line };
+}
+
+// @contract: (source:str) -> {tokens:object[], comments:object[], statements:object[], defs:object[], classes:object[], all:{names:str[], line:num}|null}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: a def's startLine is its first decorator line (or its own line)
+export function parsePython(source) {
+  const { tokens, comments } = tokenize(source);
+  const statements = splitStatements(tokens);
+  const defs = [];
+  const classes = [];
+  let all = null;
+
+  // Enclosing blocks, innermost last
+  const blocks = [];
+  let decoratorLine = null;
+
+  for (const s of statements) {
+    while (blocks.length > 0 && blocks[blocks.length - 1].indent >= s.indent) blocks.pop();
+    const parent = blocks[blocks.length - 1] || null;
+    const t = s.tokens;
+
+    if (t[0].value === '@') {
+      if (decoratorLine === null) decoratorLine = s.line;
+      continue;
+    }
+    const startLine = decoratorLine === null ? s.line : decoratorLine;
+    decoratorLine = null;
+
+    const isAsync = t[0].value === 'async';
+    const head = isAsync ? 1 : 0;
+    if (t[head] && t[head].value === 'def' && t[head + 1] && t[head + 1].type === 'name') {
+      const open = head + 2;
+      const close = t[open] && t[open].value === '(' ? closingIndex(t, open) : open;
+      const def = {
+        name: t[head + 1].value,
+        line: s.line,
+        startLine,
+        indent: s.indent,
+        async: isAsync,
+        className: parent && parent.kind === 'class' ? parent.name : null,
+        nested: Boolean(parent && parent.kind === 'def'),
+        params: t[open] && t[open].value === '(' ? parseParams(t, open, close) : []
+      };
+      defs.push(def);
+      blocks.push({ kind: 'def', name: def.name, indent: s.indent });
+      continue;
+    }
+
+    if (t[0].value === 'class' && t[1] && t[1].type === 'name') {
+      // Base expressions as written (`abc.ABC`), without keyword arguments such as `metaclass=`
+      const bases = [];
+      if (t[2] && t[2].value === '(') {
+        const close = closingIndex(t, 2);
+        let text = '';
+        for (let k = 3; k <= close && k < t.length; k++) {
+          if (k === close || t[k].value === ',') {
+            if (text && !text.includes('=')) bases.push(text);
+            text = '';
+          } else {
+            text += t[k].value;
+          }
+        }
+      }
+      classes.push({ name: t[1].value, line: s.line, startLine, indent: s.indent, bases, nested: Boolean(parent) });
+      blocks.push({ kind: 'class', name: t[1].value, indent: s.indent });
+      continue;
+    }
+
+    if (!parent) {
+      all = readAll(s) || all;
+    }
+  }
+
+  return { tokens, comments, statements, defs, classes, all };
+}
+
+// @contract: (parsed:object, line:num) -> object[]
+// @pure: true
+// AOCS-INVARIANT: only own-line comments directly above `line` (no blank line in between) are returned
+export function pyLeadingComments(parsed, line) {
+  const block = [];
+  const byLine = new Map(parsed.comments.filter(c => c.own).map(c => [c.line, c]));
+  for (let l = line - 1; byLine.has(l); l--) {
+    block.unshift(byLine.get(l));
+  }
+  return block;
+}
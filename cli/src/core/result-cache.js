@@ -0,0 +1,167 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files, the validator's own src/ tree, plugin modules, .aocs-cache/results.json
+// AOCS-OUTPUTS: reusable per-file check results, .aocs-cache/results.json, .aocs-cache/.gitignore
+// @module: aocs-validator/result-cache
+// @exports: openResultCache, resultCacheDir
+// @depends: fs, path, url, crypto, core/incremental
+//
+// The on-disk half of incremental validation: hashes files, loads and saves the cache, and tells
+// validate() which files a scope "file" rule still has to check.
+
+import { readFile, writeFile, mkdir, readdir } from 'fs/promises';
+import { join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { cacheFormat, ruleKey, configKey, declaredDepends, resolveDepends, mergeOutput } from './incremental.js';
+
+export const resultCacheDir = '.aocs-cache';
+const cacheFileName = 'results.json';
+
+// @contract: (text:str) -> str
+// @pure: true
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// @contract: () -> Promise<str>
+// @pure: false
+async function validatorVersion() {
+  const pkg = JSON.parse(await readFile(new URL('../../package.json', import.meta.url), 'utf-8'));
+  return pkg.version;
+}
+
+// @contract: (dir:str) -> Promise<str[]>
+// @pure: false
+// @complexity: O(n) where n = directory entries
+// AOCS-INVARIANT: every .js file below dir, sorted, so the list is the same on every platform
+async function sourceFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(e => {
+    const full = join(dir, e.name);
+    if (e.isDirectory()) return sourceFiles(full);
+    return e.name.endsWith('.js') ? [full] : [];
+  }));
+  return nested.flat().sort();
+}
+
+// @contract: () -> Promise<str>
+// @pure: false
+// @complexity: O(s) where s = total size of the validator's src/ tree
+// AOCS-INVARIANT: changes whenever any built-in rule or helper changes, even without a version bump
+async function validatorSource() {
+  const src = fileURLToPath(new URL('..', import.meta.url));
+  const files = await sourceFiles(src);
+  const texts = await Promise.all(files.map(f => readFile(f, 'utf-8')));
+  return hash(files.map((f, i) => `${relative(src, f).split(sep).join('/')}\n${hash(texts[i])}`).join('\n'));
+}
+
+// @contract: (files:str[]) -> Promise<str>
+// @pure: false
+// AOCS-INVARIANT: plugin rules may keep their version while their code changes; an unreadable module hashes as empty
+async function pluginSource(files) {
+  const texts = await Promise.all(files.map(f => readFile(f, 'utf-8').catch(() => '')));
+  return hash(texts.map(hash).join('\n'));
+}
+
+// @contract: (file:str) -> Promise<object|null>
+// @pure: false
+// AOCS-INVARIANT: a missing or unreadable cache is simply empty
+async function readCacheFile(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// @contract: (projectPath:str, config:object, files:str[], fileCache:object, options?:{prune?:bool, plugins?:str[], session?:object}) -> Promise<{stale:function, record:function, save:function, stats:function}>
+// @pure: false
+// @complexity: O(n*d) where n = files, d = @depends names per file
+// AOCS-INVARIANT: a cache written by another validator version or source, plugin source, cache format or rule-relevant
+// config is ignored;
+// with prune false, entries for files outside this run are carried over
+// AOCS-INVARIANT: a session ({changed: Set|null}) keeps the validator source hash and file hashes for the next call,
+// which re-reads only files in changed or not seen before; openResultCache empties changed once it has used it
+export async function openResultCache(projectPath, config, files, fileCache, options = {}) {
+  const prune = options.prune !== false;
+  const cacheFile = join(projectPath, resultCacheDir, cacheFileName);
+  const rels = files.map(f => relative(projectPath, f).split(sep).join('/'));
+  const session = options.session || null;
+  const known = session && session.changed && session.files ? session.files : new Map();
+  const edited = session && session.changed ? session.changed : null;
+  // Each entry is {hash, names} for a readable file, null for an unreadable one
+  const read = await Promise.all(files.map(async (f, i) => {
+    if (edited && known.get(rels[i]) && !edited.has(rels[i])) return known.get(rels[i]);
+    const text = await fileCache.read(f).catch(() => null);
+    return text === null ? null : { hash: hash(text), names: declaredDepends(text) };
+  }));
+  const hashes = new Map(rels.map((rel, i) => [rel, read[i] === null ? null : read[i].hash]));
+  const source = session && session.source ? session.source : await validatorSource();
+  if (session) Object.assign(session, { source, files: new Map(rels.map((rel, i) => [rel, read[i]])), changed: new Set() });
+
+  const header = {
+    format: cacheFormat,
+    validator: await validatorVersion(),
+    source,
+    plugins: await pluginSource(options.plugins || []),
+    config: hash(configKey(config))
+  };
+  const previous = await readCacheFile(cacheFile);
+  const sameHeader = previous !== null && Object.keys(header).every(k => previous[k] === header[k]);
+  const before = sameHeader && previous.files ? previous.files : {};
+
+  // Unreadable files get no entry, so every rule checks them and reports as it would uncached
+  const next = new Map();
+  let unchanged = 0;
+  rels.forEach((rel, i) => {
+    if (hashes.get(rel) === null) return;
+    const deps = resolveDepends(rel, read[i].names, rels).filter(d => hashes.get(d) !== null);
+    const key = hash([hashes.get(rel), ...deps.map(d => `${d}:${hashes.get(d)}`)].join('\n'));
+    const old = Object.hasOwn(before, rel) ? before[rel] : null;
+    if (old && old.key === key) unchanged++;
+    next.set(rel, { key, rules: old && old.key === key ? { ...old.rules } : {} });
+  });
+
+  return {
+    // @contract: (rule:object) -> str[]
+    // @pure: false
+    // AOCS-INVARIANT: absolute paths, in files order, of files with no reusable result for this rule
+    stale: rule => files.filter((f, i) => !next.has(rels[i]) || !Object.hasOwn(next.get(rels[i]).rules, ruleKey(rule))),
+
+    // @contract: (rule:object, checked:str[], output:object) -> {violations:object[], warnings:object[]}
+    // @pure: false
+    // AOCS-INVARIANT: returns the output a full run would give; fresh per-file findings are stored for the next run
+    record: (rule, checked, output) => {
+      const key = ruleKey(rule);
+      const checkedRels = checked.map(f => relative(projectPath, f).split(sep).join('/'));
+      const fresh = new Set(checkedRels);
+      const reused = new Map(rels.filter(rel => !fresh.has(rel) && next.has(rel) && Object.hasOwn(next.get(rel).rules, key))
+        .map(rel => [rel, next.get(rel).rules[key]]));
+      const merged = mergeOutput(output, checkedRels, reused, rels);
+      for (const [rel, entry] of merged.entries) {
+        if (next.has(rel)) next.get(rel).rules[key] = entry;
+      }
+      return merged.output;
+    },
+
+    // @contract: () -> Promise<void>
+    // @pure: false
+    // AOCS-INVARIANT: never rejects; the cache only saves time, so a failed write costs the next run a full check
+    // AOCS-INVARIANT: the directory ignores itself, so the cache stays out of git without a project .gitignore entry
+    save: async () => {
+      const carried = prune ? {} : Object.fromEntries(Object.entries(before).filter(([rel]) => !hashes.has(rel)));
+      const body = { ...header, files: { ...carried, ...Object.fromEntries(next) } };
+      try {
+        await mkdir(join(projectPath, resultCacheDir), { recursive: true });
+        await writeFile(join(projectPath, resultCacheDir, '.gitignore'), '*\n', 'utf-8');
+        await writeFile(cacheFile, JSON.stringify(body) + '\n', 'utf-8');
+      } catch (err) {
+        // Read-only checkouts still validate
+      }
+    },
+
+    // @contract: () -> {files:num, unchanged:num}
+    // @pure: true
+    stats: () => ({ files: rels.length, unchanged })
+  };
+}
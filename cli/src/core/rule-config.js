@@ -0,0 +1,93 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: aocs.json rules section, rule objects, project-relative paths
+// AOCS-OUTPUTS: effective rule levels, rules-section errors
+// @module: aocs-validator/rule-config
+// @exports: checkRuleConfig, levelFor, runLevel
+// @depends: core/glob, core/profiles
+//
+// aocs.json `rules` maps a rule id to a level or to {level, overrides}:
+//   "U13-agent-readme": "error"
+//   "U9-file-roles": { "level": "error", "overrides": { "legacy/**": "off" } }
+// Levels are "off", "warn" and "error"; the last matching override wins. A rule without
+// an entry, or an entry without a level, starts from the level the mode's profile gives it.
+
+import { matchGlob } from './glob.js';
+import { profileLevel } from './profiles.js';
+
+const levels = ['off', 'warn', 'error'];
+
+// @contract: (rules:any, knownIds:str[]) -> str[]
+// @pure: true
+// @complexity: O(r) where r = configured rules
+// AOCS-INVARIANT: an empty result means levelFor and runLevel can read the section without further checks
+export function checkRuleConfig(rules, knownIds) {
+  if (rules === undefined) return [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['aocs.json: rules must be an object mapping rule ids to "off", "warn" or "error"'];
+  }
+
+  const errors = [];
+  const known = new Set(knownIds);
+  for (const [id, entry] of Object.entries(rules)) {
+    if (!known.has(id)) {
+      errors.push(`aocs.json: rules names unknown rule id "${id}"`);
+      continue;
+    }
+    if (typeof entry === 'string') {
+      if (!levels.includes(entry)) errors.push(`aocs.json: rules.${id} must be "off", "warn" or "error"`);
+      continue;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`aocs.json: rules.${id} must be a level or {level, overrides}`);
+      continue;
+    }
+    for (const key of Object.keys(entry).filter(k => k !== 'level' && k !== 'overrides')) {
+      errors.push(`aocs.json: rules.${id} has unknown key "${key}"`);
+    }
+    if (entry.level !== undefined && !levels.includes(entry.level)) {
+      errors.push(`aocs.json: rules.${id}.level must be "off", "warn" or "error"`);
+    }
+    if (entry.overrides !== undefined) {
+      if (!entry.overrides || typeof entry.overrides !== 'object' || Array.isArray(entry.overrides)) {
+        errors.push(`aocs.json: rules.${id}.overrides must map path globs to levels`);
+        continue;
+      }
+      for (const [glob, level] of Object.entries(entry.overrides)) {
+        if (!levels.includes(level)) errors.push(`aocs.json: rules.${id}.overrides["${glob}"] must be "off", "warn" or "error"`);
+      }
+    }
+  }
+  return errors;
+}
+
+// @contract: (config:object|null, rule:{id:str, level:str}, file?:str) -> str
+// @pure: true
+// @complexity: O(o) where o = overrides for the rule
+// AOCS-INVARIANT: returns "off", "warn" or "error"; violations without a file use the rule-wide level
+// AOCS-INVARIANT: config.mode picks the profile default; explicit rules entries win over it
+export function levelFor(config, rule, file) {
+  const entry = config && config.rules ? config.rules[rule.id] : undefined;
+  const base = profileLevel(config ? config.mode : undefined, rule);
+  if (entry === undefined) return base;
+  if (typeof entry === 'string') return entry;
+
+  let level = entry.level || base;
+  if (file && entry.overrides) {
+    for (const [glob, override] of Object.entries(entry.overrides)) {
+      if (matchGlob(glob, file)) level = override;
+    }
+  }
+  return level;
+}
+
+// @contract: (config:object|null, rule:{id:str, level:str}) -> str
+// @pure: true
+// AOCS-INVARIANT: "off" only when the rule is off everywhere; a rule off by default but enabled for some paths still runs
+export function runLevel(config, rule) {
+  const base = levelFor(config, rule);
+  if (base !== 'off') return base;
+  const entry = config && config.rules ? config.rules[rule.id] : undefined;
+  const overrides = entry && typeof entry === 'object' && entry.overrides ? Object.values(entry.overrides) : [];
+  if (overrides.includes('error')) return 'error';
+  return overrides.includes('warn') ? 'warn' : 'off';
+}
@@ -8,15 +8,22 @@
 import { checkAocsJson } from '../checks/aocs-json.js';
 import { checkAgentReadme } from '../checks/agent-readme.js';
 import { checkFileRoles } from '../checks/file-roles.js';
+import { checkRoleBehavior } from '../checks/role-behavior.js';
 import { checkContracts } from '../checks/contracts.js';
+import { checkContractSignatures } from '../checks/contract-signatures.js';
+import { checkPurity } from '../checks/purity.js';
+import { checkThrows } from '../checks/throws.js';
 import { checkHints } from '../checks/hints.js';
 import { checkForbidden } from '../checks/forbidden.js';
 import { checkModuleManifest } from '../checks/module-manifest.js';
+import { checkExportsDrift } from '../checks/exports-drift.js';
+import { checkDependsDrift } from '../checks/depends-drift.js';
 
 // @contract: () -> object[]
 // @pure: true
 // @complexity: O(1)
 // AOCS-INVARIANT: all rules have id, name, level, and check function
+// AOCS-INVARIANT: scope "file" marks rules whose findings for a file depend only on that file and its @depends targets
 export const universalRules = [
   {
     id: 'U8-repo-contract',
@@ -34,30 +41,77 @@ export const universalRules = [
     id: 'U9-file-roles',
     name: 'File roles declared (AOCS-ROLE)',
     level: 'error',
+    scope: 'file',
     check: checkFileRoles
   },
+  {
+    id: 'U9-role-behavior',
+    name: 'File roles respected (IO, DOM, module state)',
+    level: 'error',
+    scope: 'file',
+    check: checkRoleBehavior
+  },
   {
     id: 'U2-contracts',
     name: 'Function contracts (@contract)',
     level: 'error',
+    scope: 'file',
     check: checkContracts
   },
+  {
+    id: 'U2-contract-signatures',
+    name: 'Contracts match function signatures',
+    level: 'error',
+    scope: 'file',
+    check: checkContractSignatures
+  },
+  {
+    id: 'U2-purity',
+    name: 'Functions marked @pure are pure',
+    level: 'error',
+    scope: 'file',
+    check: checkPurity
+  },
+  {
+    id: 'U6-throws',
+    name: 'Declared @throws match throw sites',
+    level: 'error',
+    scope: 'file',
+    check: checkThrows
+  },
   {
     id: 'U10-hints',
     name: 'Structured hints well-formed',
     level: 'warn',
+    scope: 'file',
     check: checkHints
   },
   {
     id: 'U12-forbidden',
     name: 'Forbidden patterns not present',
     level: 'error',
+    scope: 'file',
     check: checkForbidden
   },
   {
     id: 'U1-module-manifest',
     name: 'Module manifests (@module)',
     level: 'warn',
+    scope: 'file',
     check: checkModuleManifest
+  },
+  {
+    id: 'U1-exports-drift',
+    name: 'Module @exports match real exports',
+    level: 'warn',
+    scope: 'file',
+    check: checkExportsDrift
+  },
+  {
+    id: 'U1-depends-drift',
+    name: 'Module @depends match imports',
+    level: 'warn',
+    scope: 'file',
+    check: checkDependsDrift
   }
 ];
@@ -0,0 +1,409 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: Rust source text
+// AOCS-OUTPUTS: tokens, comments, fns, impl blocks, enums and test-module ranges
+// @module: aocs-validator/rust-parser
+// @exports: parseRust, rustLeadingComments
+// @depends: none
+
+// Longest-first; `>>` and `<<` stay split so generic lists close one `>` at a time
+const punctuators = ['..=', '...', '::', '->', '=>', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=', '%=', '..'];
+
+// @contract: (source:str, pos:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the end of a raw string starting at pos (`r"…"`, `r#"…"#`, `br##"…"##`), or -1
+function rawStringEnd(source, pos) {
+  const m = /^b?r(#*)"/.exec(source.slice(pos, pos + 260));
+  if (!m) return -1;
+  const close = '"' + m[1];
+  const end = source.indexOf(close, pos + m[0].length);
+  return end === -1 ? source.length : end + close.length;
+}
+
+// @contract: (source:str, pos:num) -> num
+// @pure: true
+// AOCS-INVARIANT: returns the end of a char literal at pos, or -1 when the quote starts a lifetime such as `'a`
+function charEnd(source, pos) {
+  if (source[pos + 1] === '\\') {
+    const close = source.indexOf('\'', pos + 2);
+    return close === -1 ? -1 : close + 1;
+  }
+  const cp = source.codePointAt(pos + 1);
+  if (cp === undefined) return -1;
+  const width = cp > 0xffff ? 2 : 1;
+  return source[pos + 1 + width] === '\'' ? pos + 2 + width : -1;
+}
+
+// @contract: (source:str) -> {tokens:{type:str, value:str, line:num, col:num}[], comments:{value:str, line:num, endLine:num, col:num}[]}
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: strings, raw strings and chars are single tokens; lifetimes are names starting with `'`; block comments nest
+function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  // @contract: (from:num, to:num) -> void
+  // @pure: false
+  const advanceLines = (from, to) => {
+    for (let k = from; k < to; k++) {
+      if (source[k] === '\n') {
+        line++;
+        lineStart = k + 1;
+      }
+    }
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+
+    if (ch === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\ufeff') {
+      pos++;
+      continue;
+    }
+
+    const col = pos - lineStart;
+    const startLine = line;
+
+    if (ch === '/' && next === '/') {
+      let end = source.indexOf('\n', pos);
+      if (end === -1) end = source.length;
+      comments.push({ value: source.slice(pos + 2, end), line, endLine: line, col });
+      pos = end;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      let nesting = 1;
+      let i = pos + 2;
+      while (i < source.length && nesting > 0) {
+        if (source.startsWith('/*', i)) { nesting++; i += 2; }
+        else if (source.startsWith('*/', i)) { nesting--; i += 2; }
+        else i++;
+      }
+      advanceLines(pos, i);
+      comments.push({ value: source.slice(pos + 2, Math.max(pos + 2, i - 2)), line: startLine, endLine: line, col });
+      pos = i;
+      continue;
+    }
+
+    let end = ch === 'r' || ch === 'b' ? rawStringEnd(source, pos) : -1;
+    if (end === -1 && (ch === '"' || (ch === 'b' && next === '"'))) {
+      let i = pos + (ch === 'b' ? 2 : 1);
+      while (i < source.length && source[i] !== '"') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      end = Math.min(i + 1, source.length);
+    }
+    if (end === -1 && (ch === '\'' || (ch === 'b' && next === '\''))) {
+      end = charEnd(source, ch === 'b' ? pos + 1 : pos);
+    }
+    if (end !== -1) {
+      advanceLines(pos, end);
+      tokens.push({ type: 'string', value: source.slice(pos, end), line: startLine, col });
+      pos = end;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch)) {
+      let i = pos + 1;
+      // `0..n` is a range, not a float
+      while (i < source.length && (/\w/.test(source[i]) || (source[i] === '.' && /[0-9]/.test(source[i + 1] || '')))) i++;
+      tokens.push({ type: 'number', value: source.slice(pos, i), line, col });
+      pos = i;
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(ch) || (ch === '\'' && /[A-Za-z_]/.test(next || ''))) {
+      let i = pos + 1;
+      while (i < source.length && /[\w\u0080-\uffff]/.test(source[i])) i++;
+      tokens.push({ type: 'name', value: source.slice(pos, i), line, col });
+      pos = i;
+      continue;
+    }
+
+    const punct = punctuators.find(p => source.startsWith(p, pos)) || ch;
+    tokens.push({ type: 'punct', value: punct, line, col });
+    pos += punct.length;
+  }
+
+  return { tokens, comments };
+}
+
+// @contract: (tokens:object[]) -> {match:num[], depth:num[]}
+// @pure: true
+// @complexity: O(n)
+// AOCS-INVARIANT: only (), [] and {} are matched; unmatched brackets map to -1
+function matchBrackets(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const depth = new Array(tokens.length).fill(0);
+  const stack = [];
+  tokens.forEach((t, i) => {
+    if (t.type === 'punct' && ')]}'.includes(t.value) && stack.length > 0) {
+      const open = stack.pop();
+      match[open] = i;
+      match[i] = open;
+    }
+    depth[i] = stack.length;
+    if (t.type === 'punct' && '([{'.includes(t.value)) stack.push(i);
+  });
+  return { match, depth };
+}
+
+// @contract: (tokens:object[], i:num) -> num
+// @pure: true
+// AOCS-INVARIANT: i points at `<`; returns the index just past its matching `>`
+function skipAngles(tokens, i) {
+  let nesting = 0;
+  for (let k = i; k < tokens.length; k++) {
+    const v = tokens[k].value;
+    if (v === '<') nesting++;
+    else if (v === '>' && --nesting === 0) return k + 1;
+    else if (v === '{' || v === ';') return k;
+  }
+  return tokens.length;
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num) -> num
+// @pure: true
+// AOCS-INVARIANT: walks back from item start i over visibility, qualifiers and `#[attr]` lines
+function itemStart(ctx, i) {
+  const { tokens, match } = ctx;
+  const qualifiers = ['pub', 'const', 'async', 'unsafe', 'extern', 'default'];
+  let s = i;
+  for (;;) {
+    const prev = tokens[s - 1];
+    if (!prev) break;
+    if (prev.type === 'name' && qualifiers.includes(prev.value)) { s--; continue; }
+    // `extern "C"` and `pub(crate)`
+    if (prev.type === 'string' && tokens[s - 2] && tokens[s - 2].value === 'extern') { s--; continue; }
+    if (prev.value === ')' && match[s - 1] !== -1 && tokens[match[s - 1] - 1] && tokens[match[s - 1] - 1].value === 'pub') { s = match[s - 1]; continue; }
+    if (prev.value === ']' && match[s - 1] !== -1 && tokens[match[s - 1] - 1] && tokens[match[s - 1] - 1].value === '#') { s = match[s - 1] - 1; continue; }
+    break;
+  }
+  return s;
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num, end:num) -> {text:str, errorType:str|null, isResult:bool}
+// @pure: true
+// AOCS-INVARIANT: `Result<T, E>`, `io::Result<T>` and `std::result::Result<T, E>` are all results; errorType is E when written
+function readReturnType(ctx, i, end) {
+  const { tokens } = ctx;
+  const parts = tokens.slice(i, end);
+  const text = parts.map(t => t.value).join('').replace(/,/g, ', ');
+  let k = 0;
+  while (parts[k + 1] && parts[k + 1].value === '::') k += 2;
+  if (!parts[k] || parts[k].value !== 'Result') return { text, errorType: null, isResult: false };
+  if (!parts[k + 1] || parts[k + 1].value !== '<') return { text, errorType: null, isResult: true };
+
+  // Second generic argument at angle depth 1
+  let nesting = 0;
+  let arg = 0;
+  let errorStart = -1;
+  for (let j = k + 1; j < parts.length; j++) {
+    const v = parts[j].value;
+    if (v === '<' || v === '(' || v === '[') nesting++;
+    else if (v === '>' || v === ')' || v === ']') {
+      if (--nesting === 0) {
+        const errorType = errorStart === -1 ? null : parts.slice(errorStart, j).map(t => t.value).join('');
+        return { text, errorType, isResult: true };
+      }
+    } else if (v === ',' && nesting === 1 && ++arg === 1) {
+      errorStart = j + 1;
+    }
+  }
+  return { text, errorType: null, isResult: true };
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num, container:object|null) -> object|null
+// @pure: true
+// AOCS-INVARIANT: i points at `fn`; `fn(…)` pointer types return null
+function parseFn(ctx, i, container) {
+  const { tokens, match } = ctx;
+  const nameToken = tokens[i + 1];
+  if (!nameToken || nameToken.type !== 'name') return null;
+  let k = i + 2;
+  if (tokens[k] && tokens[k].value === '<') k = skipAngles(tokens, k);
+  if (!tokens[k] || tokens[k].value !== '(' || match[k] === -1) return null;
+  const paramsOpen = k;
+  const paramsClose = match[k];
+  k = paramsClose + 1;
+
+  let returnType = { text: '', errorType: null, isResult: false };
+  if (tokens[k] && tokens[k].value === '->') {
+    const start = k + 1;
+    let nesting = 0;
+    for (k = start; k < tokens.length; k++) {
+      const v = tokens[k].value;
+      if (v === '<' || v === '(' || v === '[') nesting++;
+      else if (v === '>' || v === ')' || v === ']') nesting--;
+      else if (nesting <= 0 && (v === '{' || v === ';' || v === 'where')) break;
+    }
+    returnType = readReturnType(ctx, start, k);
+  }
+  while (tokens[k] && tokens[k].value !== '{' && tokens[k].value !== ';') k++;
+
+  const start = itemStart(ctx, i);
+  const modifiers = tokens.slice(start, i).map(t => t.value);
+  const hasBody = Boolean(tokens[k]) && tokens[k].value === '{' && match[k] !== -1;
+  return {
+    name: nameToken.value,
+    line: tokens[i].line,
+    startLine: tokens[start].line,
+    // `pub(crate)` and `pub(super)` are not public API
+    pub: modifiers.includes('pub') && modifiers[modifiers.indexOf('pub') + 1] !== '(',
+    unsafe: modifiers.includes('unsafe'),
+    async: modifiers.includes('async'),
+    implType: container && container.kind === 'impl' ? container.type : null,
+    traitImpl: Boolean(container && container.kind === 'impl' && container.trait),
+    inTrait: Boolean(container && container.kind === 'trait'),
+    paramsOpen,
+    paramsClose,
+    returnType,
+    bodyStart: hasBody ? k : -1,
+    bodyEnd: hasBody ? match[k] : -1
+  };
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, i:num) -> {type:str|null, trait:str|null, open:num}
+// @pure: true
+// AOCS-INVARIANT: i points at `impl`; `impl<T> Trait<T> for Type<T>` yields trait "Trait" and type "Type"
+function parseImpl(ctx, i) {
+  const { tokens } = ctx;
+  let k = i + 1;
+  if (tokens[k] && tokens[k].value === '<') k = skipAngles(tokens, k);
+  const head = [];
+  while (tokens[k] && tokens[k].value !== '{' && tokens[k].value !== 'where' && tokens[k].value !== ';') {
+    if (tokens[k].value === '<') {
+      k = skipAngles(tokens, k);
+      continue;
+    }
+    head.push(tokens[k]);
+    k++;
+  }
+  while (tokens[k] && tokens[k].value !== '{' && tokens[k].value !== ';') k++;
+  // @contract: (list:object[]) -> str|null
+  // @pure: true
+  const lastName = list => {
+    const names = list.filter(t => t.type === 'name' && !['dyn', 'mut', 'const'].includes(t.value));
+    return names.length > 0 ? names[names.length - 1].value : null;
+  };
+  const forAt = head.findIndex(t => t.value === 'for');
+  if (forAt === -1) return { type: lastName(head), trait: null, open: k };
+  return { type: lastName(head.slice(forAt + 1)), trait: lastName(head.slice(0, forAt)), open: k };
+}
+
+// @contract: (ctx:{tokens:object[], match:num[]}, open:num) -> str[]
+// @pure: true
+// AOCS-INVARIANT: open points at the enum body `{`; variant names sit at depth 1 after `{` or `,`
+function readVariants(ctx, open) {
+  const { tokens, match } = ctx;
+  const variants = [];
+  let expectName = true;
+  for (let k = open + 1; k < match[open]; k++) {
+    const t = tokens[k];
+    if (t.value === '#' && tokens[k + 1] && tokens[k + 1].value === '[' && match[k + 1] !== -1) {
+      k = match[k + 1];
+      continue;
+    }
+    if (expectName && t.type === 'name') {
+      variants.push(t.value);
+      expectName = false;
+    } else if (t.type === 'punct' && '({['.includes(t.value) && match[k] !== -1) {
+      k = match[k];
+    } else if (t.value === ',') {
+      expectName = true;
+    }
+  }
+  return variants;
+}
+
+// @contract: (source:str) -> {tokens:object[], comments:object[], match:num[], depth:num[], codeLines:Set<num>, fns:object[], impls:object[], enums:object[], testRanges:{open:num, close:num}[]}
+// @throws: never
+// @pure: true
+// @complexity: O(n) where n = source.length
+// AOCS-INVARIANT: fns nested inside other fn bodies are still collected, with container null
+export function parseRust(source) {
+  const { tokens, comments } = tokenize(source);
+  const { match, depth } = matchBrackets(tokens);
+  const ctx = { tokens, match };
+  const codeLines = new Set(tokens.map(t => t.line));
+  const fns = [];
+  const impls = [];
+  const enums = [];
+  const testRanges = [];
+  // impl/trait blocks, innermost last: {kind, type, trait, open, close}
+  const containers = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    while (containers.length > 0 && containers[containers.length - 1].close < i) containers.pop();
+    const t = tokens[i];
+    if (t.type !== 'name') continue;
+    const container = containers[containers.length - 1] || null;
+    // Only items directly inside an impl/trait body belong to it
+    const direct = container && depth[i] === depth[container.open] + 1 ? container : null;
+
+    if (t.value === 'fn') {
+      const fn = parseFn(ctx, i, direct);
+      if (fn) fns.push(fn);
+    } else if (t.value === 'impl' && (!tokens[i - 1] || !['&', '->', '(', ',', '<', ':', '='].includes(tokens[i - 1].value))) {
+      // `impl Trait` in argument or return position is a type, not a block
+      const impl = parseImpl(ctx, i);
+      if (tokens[impl.open] && tokens[impl.open].value === '{' && match[impl.open] !== -1) {
+        const block = { kind: 'impl', type: impl.type, trait: impl.trait, open: impl.open, close: match[impl.open], line: t.line };
+        impls.push(block);
+        containers.push(block);
+      }
+    } else if (t.value === 'trait' && tokens[i + 1] && tokens[i + 1].type === 'name') {
+      let k = i + 2;
+      while (tokens[k] && tokens[k].value !== '{' && tokens[k].value !== ';') k++;
+      if (tokens[k] && tokens[k].value === '{' && match[k] !== -1) {
+        containers.push({ kind: 'trait', type: tokens[i + 1].value, trait: null, open: k, close: match[k] });
+      }
+    } else if (t.value === 'enum' && tokens[i + 1] && tokens[i + 1].type === 'name') {
+      let k = i + 2;
+      if (tokens[k] && tokens[k].value === '<') k = skipAngles(tokens, k);
+      while (tokens[k] && tokens[k].value !== '{' && tokens[k].value !== ';') k++;
+      if (tokens[k] && tokens[k].value === '{' && match[k] !== -1) {
+        const start = itemStart(ctx, i);
+        enums.push({
+          name: tokens[i + 1].value,
+          line: t.line,
+          startLine: tokens[start].line,
+          pub: tokens.slice(start, i).some(m => m.value === 'pub'),
+          variants: readVariants(ctx, k)
+        });
+      }
+    } else if (t.value === 'mod' && tokens[i + 1] && tokens[i + 2] && tokens[i + 2].value === '{' && match[i + 2] !== -1) {
+      // `#[cfg(test)] mod tests { … }`
+      const start = itemStart(ctx, i);
+      const attrs = tokens.slice(start, i).map(a => a.value).join('');
+      if (attrs.includes('#[cfg(test)]')) testRanges.push({ open: i + 2, close: match[i + 2] });
+    }
+  }
+
+  return { tokens, comments, match, depth, codeLines, fns, impls, enums, testRanges };
+}
+
+// @contract: (parsed:object, line:num) -> object[]
+// @pure: true
+// AOCS-INVARIANT: only comments ending directly above `line` (no blank or code line in between) are returned
+export function rustLeadingComments(parsed, line) {
+  const byEndLine = new Map(parsed.comments.map(c => [c.endLine, c]));
+  const block = [];
+  let l = line - 1;
+  while (l > 0 && !parsed.codeLines.has(l) && byEndLine.has(l)) {
+    const c = byEndLine.get(l);
+    block.unshift(c);
+    l = c.line - 1;
+  }
+  return block;
+}
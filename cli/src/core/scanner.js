@@ -1,12 +1,13 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: config, filesystem
-// AOCS-OUTPUTS: file list
+// AOCS-OUTPUTS: file list, excluded paths with reasons
 // @module: aocs-validator/scanner
-// @exports: scanFiles
-// @depends: fs, path
+// @exports: scanFiles, listFiles, defaultExclude
+// @depends: fs, path, core/glob
 
-import { readdir, stat } from 'fs/promises';
+import { readdir, readFile, stat, realpath } from 'fs/promises';
 import { join, extname } from 'path';
+import { compileGlob } from './glob.js';
 
 const langExtMap = {
   javascript: ['.js', '.mjs', '.cjs'],
@@ -21,66 +22,170 @@ const langExtMap = {
   java: ['.java']
 };
 
-const skipDirs = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', 'out']);
+// Applied before aocs.json `exclude`; a `!pattern` there re-includes one of these
+export const defaultExclude = [
+  'node_modules/', 'dist/', 'build/', 'coverage/', 'out/', '.*/',
+  // Test fixtures are intentionally invalid; minified files are vendored or generated
+  '**/test/fixtures/', '*.min.js', '*.min.css'
+];
 
-// @contract: (dir:str, extensions:str[]) -> Promise<string[]>
+// @contract: (pattern:str, origin:str, base?:str) -> {pattern:str, negate:bool, base:str, origin:str, matches:function}
+// @pure: true
+// AOCS-INVARIANT: base is the "/"-separated directory the pattern is relative to ("" for the project root)
+function compileRule(pattern, origin, base = '') {
+  const negate = pattern.startsWith('!');
+  const glob = negate ? pattern.slice(1) : pattern;
+  return { pattern, negate, base, origin, matches: compileGlob(glob) };
+}
+
+// @contract: (rules:object[], rel:str, isDir:bool) -> object|null
+// @pure: true
+// @complexity: O(r) where r = rules
+// AOCS-INVARIANT: the last matching rule wins, as in .gitignore; a winning `!` rule means "not excluded"
+function excludingRule(rules, rel, isDir) {
+  let hit = null;
+  for (const rule of rules) {
+    const sub = rule.base ? (rel.startsWith(`${rule.base}/`) ? rel.slice(rule.base.length + 1) : null) : rel;
+    if (sub === null) continue;
+    if (rule.matches(sub) || (isDir && rule.matches(`${sub}/`))) hit = rule;
+  }
+  return hit && !hit.negate ? hit : null;
+}
+
+// @contract: (dir:str, rel:str) -> Promise<object[]>
 // @pure: false
-async function walkDir(dir, extensions) {
-  const results = [];
-  
+// AOCS-INVARIANT: blank lines and # comments are skipped; `\#` and `\!` escape a leading character
+async function readGitignore(dir, rel) {
+  let text;
   try {
-    const entries = await readdir(dir, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = join(dir, entry.name);
-      
-      if (entry.isDirectory()) {
-        // Skip test fixtures (intentionally invalid files)
-        if (fullPath.includes('/test/fixtures/') || fullPath.includes('\\test\\fixtures\\')) {
-          continue;
-        }
-        
-        if (!skipDirs.has(entry.name) && !entry.name.startsWith('.')) {
-          const subFiles = await walkDir(fullPath, extensions);
-          results.push(...subFiles);
-        }
-      } else if (entry.isFile()) {
-        // Skip minified files (vendor/generated)
-        if (entry.name.endsWith('.min.js') || entry.name.endsWith('.min.css')) {
-          continue;
-        }
-        
-        const ext = extname(entry.name);
-        if (extensions.includes(ext)) {
-          results.push(fullPath);
-        }
-      }
-    }
+    text = await readFile(join(dir, '.gitignore'), 'utf-8');
   } catch (err) {
-    // Skip directories we can't read
+    return [];
   }
-  
-  return results;
+  const source = rel ? `${rel}/.gitignore` : '.gitignore';
+  const rules = [];
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) return;
+    const pattern = line.replace(/^\\([#!])/, '$1');
+    rules.push(compileRule(pattern, `${source}:${i + 1}`, rel));
+  });
+  return rules;
 }
 
-// @contract: (projectPath:str, config:object) -> Promise<string[]>
-export async function scanFiles(projectPath, config) {
-  if (!config || !config.languages) {
-    return [];
-  }
-  
+// @contract: (config:object, pluginExtensions:object) -> str[]
+// @pure: true
+function languageExtensions(config, pluginExtensions) {
   const extensions = new Set();
-  
   for (const lang of config.languages) {
-    const exts = langExtMap[lang.toLowerCase()];
+    const exts = langExtMap[lang.toLowerCase()] || pluginExtensions[lang.toLowerCase()];
     if (exts) {
       exts.forEach(e => extensions.add(e));
     }
   }
-  
-  if (extensions.size === 0) {
-    return [];
+  return [...extensions];
+}
+
+// @contract: (ctx:object, dir:str, rel:str, ignores:object[]) -> Promise<void>
+// @pure: false
+// AOCS-INVARIANT: every real directory is entered at most once, so symlink cycles terminate
+async function walkDir(ctx, dir, rel, ignores) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    // Skip directories we can't read
+    return;
+  }
+  const rules = ctx.gitignore ? [...ignores, ...await readGitignore(dir, rel)] : ignores;
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const fullPath = join(dir, entry.name);
+    const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+    let isDir = entry.isDirectory();
+    let isFile = entry.isFile();
+    if (entry.isSymbolicLink()) {
+      try {
+        const target = await stat(fullPath);
+        isDir = target.isDirectory();
+        isFile = target.isFile();
+      } catch (err) {
+        ctx.excluded.push({ path: childRel, reason: 'broken symlink' });
+        continue;
+      }
+    }
+
+    if (isDir) {
+      const reason = ctx.reasonFor(childRel, true, rules);
+      if (reason) {
+        ctx.excluded.push({ path: `${childRel}/`, reason });
+        continue;
+      }
+      const real = await realpath(fullPath).catch(() => fullPath);
+      if (ctx.visited.has(real)) {
+        ctx.excluded.push({ path: `${childRel}/`, reason: `symlink to an already scanned directory (${ctx.visited.get(real) || '.'}/)` });
+        continue;
+      }
+      ctx.visited.set(real, childRel);
+      await walkDir(ctx, fullPath, childRel, rules);
+    } else if (isFile && ctx.extensions.includes(extname(entry.name))) {
+      const reason = ctx.reasonFor(childRel, false, rules);
+      if (reason) ctx.excluded.push({ path: childRel, reason });
+      else ctx.files.push(fullPath);
+    }
+  }
+}
+
+// @contract: (projectPath:str, config:object, pluginExtensions?:object) -> Promise<{files:str[], excluded:{path:str, reason:str}[]}>
+// @pure: false
+// @complexity: O(n*r) where n=directory entries, r=exclude and .gitignore rules
+// AOCS-INVARIANT: excluded lists pruned directories and source files for the configured languages, never unrelated files
+export async function listFiles(projectPath, config, pluginExtensions = {}) {
+  const result = { files: [], excluded: [] };
+  if (!config || !config.languages) {
+    return result;
+  }
+  const extensions = languageExtensions(config, pluginExtensions);
+  if (extensions.length === 0) {
+    return result;
   }
-  
-  return await walkDir(projectPath, Array.from(extensions));
+
+  const exclude = [
+    ...defaultExclude.map(p => compileRule(p, 'default')),
+    ...(config.exclude || []).map(p => compileRule(p, 'aocs.json'))
+  ];
+  const include = (config.include || []).map(p => compileRule(p, 'aocs.json'));
+
+  const ctx = {
+    files: result.files,
+    excluded: result.excluded,
+    extensions,
+    gitignore: config.gitignore === true,
+    visited: new Map([[await realpath(projectPath).catch(() => projectPath), '']]),
+    // @contract: (rel:str, isDir:bool, ignores:object[]) -> str|null
+    // @pure: true
+    reasonFor: (rel, isDir, ignores) => {
+      const excluded = excludingRule(exclude, rel, isDir);
+      if (excluded) return `exclude "${excluded.pattern}" (${excluded.origin})`;
+      const ignored = excludingRule(ignores, rel, isDir);
+      if (ignored) return `.gitignore "${ignored.pattern}" (${ignored.origin})`;
+      if (isDir || include.length === 0) return null;
+      // As in exclude, the last matching pattern wins, so `!pattern` drops files an earlier include matched
+      const included = include.filter(r => r.matches(rel)).pop();
+      if (!included) return 'not matched by include';
+      if (included.negate) return `include "${included.pattern}" (${included.origin})`;
+      return null;
+    }
+  };
+
+  await walkDir(ctx, projectPath, '', []);
+  return result;
+}
+
+// @contract: (projectPath:str, config:object, pluginExtensions?:object) -> Promise<string[]>
+// @pure: false
+// AOCS-INVARIANT: pluginExtensions maps plugin language names to their file extensions
+export async function scanFiles(projectPath, config, pluginExtensions = {}) {
+  const { files } = await listFiles(projectPath, config, pluginExtensions);
+  return files;
 }
@@ -0,0 +1,77 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: side-effect vocabulary shared by role and purity checks
+// @module: aocs-validator/side-effects
+// @exports: ioModules, ioGlobals, domGlobals, nondeterministicCalls, mutatingMethods, assignmentOps, isToken, isIoModule, memberChain
+// @depends: none
+
+// Node builtins and common clients that reach the file system, network or processes
+export const ioModules = new Set([
+  'fs', 'child_process', 'net', 'http', 'https', 'http2', 'dgram', 'dns', 'tls',
+  'readline', 'worker_threads', 'cluster', 'inspector', 'repl',
+  'node-fetch', 'axios', 'undici', 'ws'
+]);
+
+// Globals whose call or construction performs network IO
+export const ioGlobals = new Set(['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource']);
+
+export const domGlobals = new Set([
+  'document', 'window', 'localStorage', 'sessionStorage', 'history', 'navigator',
+  'customElements', 'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle',
+  'matchMedia', 'HTMLElement', 'MutationObserver', 'IntersectionObserver', 'ResizeObserver'
+]);
+
+// `object.method` pairs whose result differs between calls
+export const nondeterministicCalls = new Set(['Math.random', 'Date.now', 'performance.now', 'crypto.randomUUID', 'crypto.getRandomValues']);
+
+export const mutatingMethods = new Set([
+  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin',
+  'set', 'add', 'delete', 'clear'
+]);
+
+export const assignmentOps = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+
+// @contract: (t:object|undefined, value:str) -> bool
+// @pure: true
+export function isToken(t, value) {
+  return Boolean(t) && (t.type === 'name' || t.type === 'punct') && t.value === value;
+}
+
+// @contract: (specifier:str) -> bool
+// @pure: true
+export function isIoModule(specifier) {
+  const bare = specifier.replace(/^node:/, '');
+  return ioModules.has(bare.split('/')[0]);
+}
+
+// Walks `x.a[b].c` from the name at i and classifies what happens to it
+// @contract: (parsed:object, i:num) -> {next:num, member:str|null, write:str|null}
+// @pure: true
+// AOCS-INVARIANT: write is "assign" for `x =`/`x++`, "member" for `x.a =`/`delete x.a`/`x.push()`, else null
+export function memberChain(parsed, i) {
+  const { tokens, match } = parsed;
+  let j = i + 1;
+  let member = null;
+  for (;;) {
+    if ((isToken(tokens[j], '.') || isToken(tokens[j], '?.')) && tokens[j + 1] && tokens[j + 1].type === 'name') {
+      member = tokens[j + 1].value;
+      j += 2;
+    } else if (isToken(tokens[j], '[') && match[j] !== -1) {
+      member = null;
+      j = match[j] + 1;
+    } else {
+      break;
+    }
+  }
+
+  const op = tokens[j];
+  const deep = j > i + 1;
+  let write = null;
+  if ((op && op.type === 'punct' && assignmentOps.has(op.value)) || isToken(op, '++') || isToken(op, '--') ||
+    isToken(tokens[i - 1], '++') || isToken(tokens[i - 1], '--')) {
+    write = deep ? 'member' : 'assign';
+  } else if ((deep && isToken(tokens[i - 1], 'delete')) || (member !== null && mutatingMethods.has(member) && isToken(op, '('))) {
+    write = 'member';
+  }
+  return { next: j, member, write };
+}
@@ -0,0 +1,43 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: filesystem (published standard files)
+// AOCS-OUTPUTS: parsed standard files
+// @module: aocs-validator/standard
+// @exports: loadStandardFile, standardFiles
+// @depends: fs
+//
+// Files published with the standard that the validator reads at run time. `npm pack` copies
+// them into standard/ (see the prepack script); a repo checkout reads them where they live.
+
+import { readFile } from 'fs/promises';
+
+// @contract: () -> object
+// @pure: true
+// AOCS-INVARIANT: maps a packed file name to its path in the repository
+export const standardFiles = {
+  'aocs-schema.json': 'docs/standard/aocs-schema.json',
+  'manifest.json': 'site/manifest.json'
+};
+
+// @contract: (name:str) -> Promise<object>
+// @throws: Error
+// @pure: false
+// AOCS-FAILS-ON: name is not a standard file, or no readable copy exists
+export async function loadStandardFile(name) {
+  if (!Object.hasOwn(standardFiles, name)) {
+    throw new Error(`${name} is not a published standard file`);
+  }
+  const locations = [
+    new URL(`../../standard/${name}`, import.meta.url),
+    new URL(`../../../${standardFiles[name]}`, import.meta.url)
+  ];
+  for (const location of locations) {
+    let text;
+    try {
+      text = await readFile(location, 'utf-8');
+    } catch (err) {
+      continue;
+    }
+    return JSON.parse(text);
+  }
+  throw new Error(`${name} not found; reinstall the aocs package`);
+}
@@ -0,0 +1,85 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: inline suppression comments per file
+// @module: aocs-validator/suppressions
+// @exports: parseSuppressions, collectSuppressions
+// @depends: path, core/file-cache, core/comments
+//
+// A suppression is a comment of the form `aocs-ignore <rule-id>[, <rule-id>…]: <reason>`
+// written with //, #, /* */ or <!-- -->. On a line of its own it covers that line and the
+// next code line; trailing code, it covers its own line only.
+
+import { relative, sep } from 'path';
+import { createFileCache } from './file-cache.js';
+import { commentParser, commentLines } from './comments.js';
+
+const suppressionPattern = /(?:\/\/|#|\/\*|<!--)\s*aocs-ignore\b(.*)$/;
+const commentOnly = /^\s*(\/\/|#|\/\*|\*|<!--)/;
+// Inside comment text the opener is gone; doc-comment leaders (`*`, `/`, `!`) may remain
+const markerInComment = /^[\s*/!]*aocs-ignore\b(.*)$/;
+
+// @contract: (source:str) -> {line:num, text:str, own:bool}[]
+// @pure: true
+// AOCS-INVARIANT: raw-line fallback for languages without a tokenizer; text starts after the comment opener
+function scanLines(source) {
+  return source.split('\n').flatMap((text, i) => {
+    const m = text.match(suppressionPattern);
+    return m ? [{ line: i + 1, text: `aocs-ignore${m[1]}`, own: text.slice(0, m.index).trim() === '' }] : [];
+  });
+}
+
+// @contract: (source:str, comments?:{line:num, text:str, own:bool}[]|null) -> {line:num, ids:str[], reason:str, targets:num[]}[]
+// @pure: true
+// @complexity: O(n) where n = source lines
+// AOCS-INVARIANT: reason is "" when the colon or the text after it is missing
+// AOCS-INVARIANT: with comments (from commentLines), only markers inside them count; without, raw lines are scanned
+export function parseSuppressions(source, comments = null) {
+  const lines = source.split('\n');
+  const ownLines = comments ? new Set(comments.filter(c => c.own).map(c => c.line)) : null;
+  // @contract: (i:num) -> bool
+  // @pure: true
+  const skippable = i => lines[i].trim() === '' || (ownLines ? ownLines.has(i + 1) : commentOnly.test(lines[i]));
+  const found = [];
+
+  for (const c of comments || scanLines(source)) {
+    const m = c.text.match(markerInComment);
+    if (!m) continue;
+    const body = m[1].replace(/\s*(\*\/|-->)\s*$/, '');
+    const colon = body.indexOf(':');
+    const idText = colon === -1 ? body : body.slice(0, colon);
+    const ids = idText.split(',').map(s => s.trim()).filter(Boolean);
+    const reason = colon === -1 ? '' : body.slice(colon + 1).trim();
+
+    const targets = [c.line];
+    if (c.own) {
+      let next = c.line;
+      while (next < lines.length && skippable(next)) next++;
+      if (next < lines.length) targets.push(next + 1);
+    }
+    found.push({ line: c.line, ids, reason, targets });
+  }
+
+  return found;
+}
+
+// @contract: (projectPath:str, files:str[], cache?:object) -> Promise<Map<str,object[]>>
+// @pure: false
+// @complexity: O(n*s) where n=files, s=file size
+// AOCS-INVARIANT: keys are project-relative paths with "/" separators; files without suppressions are absent
+export async function collectSuppressions(projectPath, files, cache = createFileCache()) {
+  const byFile = new Map();
+  for (const file of files) {
+    try {
+      const content = await cache.read(file);
+      if (!content.includes('aocs-ignore')) continue;
+      const parser = commentParser(file);
+      const suppressions = parseSuppressions(content, parser ? commentLines(content, (await cache.parse(file, parser)).comments) : null);
+      if (suppressions.length > 0) {
+        byFile.set(relative(projectPath, file).split(sep).join('/'), suppressions.map(s => ({ ...s, used: new Set() })));
+      }
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+  return byFile;
+}
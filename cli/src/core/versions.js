@@ -0,0 +1,54 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: declared aocsVersion, site manifest
+// AOCS-OUTPUTS: version ordering, compatibility verdicts
+// @module: aocs-validator/versions
+// @exports: parseVersion, compareVersions, releasedVersions, checkVersion
+// @depends: none
+//
+// site/manifest.json is the release history: `version` is the current standard (the one these
+// rules implement) and `versions` lists every release. aocsVersion is "major.minor".
+
+// @contract: (version:any) -> num[]|null
+// @pure: true
+// AOCS-INVARIANT: returns [major, minor] or null when version is not a "major.minor" string
+export function parseVersion(version) {
+  const m = typeof version === 'string' ? version.match(/^(\d+)\.(\d+)$/) : null;
+  return m ? [Number(m[1]), Number(m[2])] : null;
+}
+
+// @contract: (a:str, b:str) -> num
+// @pure: true
+// AOCS-INVARIANT: negative when a is older, 0 when equal, positive when newer; both must parse
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  return left[0] - right[0] || left[1] - right[1];
+}
+
+// @contract: (manifest:{version:str, versions:{version:str}[]}) -> str[]
+// @pure: true
+// AOCS-INVARIANT: oldest first, without duplicates
+export function releasedVersions(manifest) {
+  const versions = new Set((manifest.versions || []).map(v => v.version).filter(v => parseVersion(v)));
+  versions.add(manifest.version);
+  return Array.from(versions).sort(compareVersions);
+}
+
+// @contract: (declared:str, manifest:{version:str, versions:object[]}) -> {level:str, message:str}|null
+// @pure: true
+// AOCS-INVARIANT: null for the current version; "warn" for an older release; "error" for anything newer or unreleased
+export function checkVersion(declared, manifest) {
+  const current = manifest.version;
+  const released = releasedVersions(manifest);
+  if (!parseVersion(declared)) {
+    return { level: 'error', message: `aocsVersion "${declared}" is not a "major.minor" version (this validator implements AOCS ${current})` };
+  }
+  if (declared === current) return null;
+  if (compareVersions(declared, current) > 0) {
+    return { level: 'error', message: `aocsVersion ${declared} is newer than AOCS ${current}, the latest this validator supports; upgrade aocs` };
+  }
+  if (!released.includes(declared)) {
+    return { level: 'error', message: `aocsVersion ${declared} is not a released AOCS version (known: ${released.join(', ')})` };
+  }
+  return { level: 'warn', message: `aocsVersion ${declared} is older than AOCS ${current}; rules are applied as ${current}. Run \`aocs migrate --to ${current}\`` };
+}
@@ -0,0 +1,40 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: violations from two validation runs
+// AOCS-OUTPUTS: new and resolved violations
+// @module: aocs-validator/violation-diff
+// @exports: diffViolations
+// @depends: none
+//
+// Violations are matched on rule, severity, file and message, not line: an edit above a violation
+// moves it without making it new. Repeats are counted, so a second identical violation in a file is new.
+
+// @contract: (v:{ruleId:str, severity?:str, file?:str, message:str}) -> str
+// @pure: true
+function violationKey(v) {
+  return [v.ruleId, v.severity, v.file ? v.file.split('\\').join('/') : '', v.message].join('\u0000');
+}
+
+// @contract: (from:object[], subtract:object[]) -> object[]
+// @pure: true
+// @complexity: O(a + b) where a = from.length, b = subtract.length
+// AOCS-INVARIANT: the last occurrences of a key are the ones left over, so earlier (older) positions are matched first
+function leftOver(from, subtract) {
+  const counts = new Map();
+  for (const v of subtract) {
+    counts.set(violationKey(v), (counts.get(violationKey(v)) || 0) + 1);
+  }
+  return from.filter(v => {
+    const key = violationKey(v);
+    const remaining = counts.get(key) || 0;
+    counts.set(key, remaining - 1);
+    return remaining <= 0;
+  });
+}
+
+// @contract: (before:object[], after:object[]) -> {added:object[], resolved:object[]}
+// @pure: true
+// @complexity: O(a + b) where a = before.length, b = after.length
+// AOCS-INVARIANT: added comes from after and resolved from before, each in its original order
+export function diffViolations(before, after) {
+  return { added: leftOver(after, before), resolved: leftOver(before, after) };
+}
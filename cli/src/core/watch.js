@@ -0,0 +1,140 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: filesystem change events
+// AOCS-OUTPUTS: debounced re-runs
+// @module: aocs-validator/watch
+// @exports: watchTree
+// @depends: fs, path
+//
+// fs.watch is not recursive on every platform Node supports, so each directory that holds a
+// scanned file (and each directory between it and the project root) gets its own watcher. The
+// set is rebuilt from list() before every run, which picks up new directories and include/exclude
+// changes.
+
+import { watch } from 'fs';
+import { basename, dirname, join, relative, sep } from 'path';
+
+// Files that change what is scanned, checked or reported without being scanned themselves
+const controlFiles = new Set(['aocs.json', 'aocs-baseline.json', 'README.agent.md', '.gitignore']);
+
+// @contract: (projectPath:str, files:str[]) -> Set<str>
+// @pure: true
+// @complexity: O(n*d) where n = files, d = directory depth
+// AOCS-INVARIANT: always contains projectPath, so aocs.json stays watched even when nothing is scanned
+function watchedDirs(projectPath, files) {
+  const dirs = new Set([projectPath]);
+  for (const file of files) {
+    let dir = dirname(file);
+    while (dir.startsWith(projectPath) && dir !== projectPath && !dirs.has(dir)) {
+      dirs.add(dir);
+      dir = dirname(dir);
+    }
+  }
+  return dirs;
+}
+
+// @contract: (projectPath:str, options:{list:function, run:function, onError?:function, debounceMs?:num}) -> {ready:Promise<any>, close:function}
+// @pure: false
+// AOCS-INVARIANT: runs never overlap; edits made during a run are picked up by the next one
+// AOCS-INVARIANT: run({changed, reload}) gets "/"-separated project-relative paths; reload is true when aocs.json changed
+export function watchTree(projectPath, options) {
+  const debounceMs = options.debounceMs === undefined ? 100 : options.debounceMs;
+  const onError = options.onError || (() => {});
+  const configFile = join(projectPath, 'aocs.json');
+  const watchers = new Map();
+  let watched = new Set();
+  let pending = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  // @contract: (file:str) -> str
+  // @pure: true
+  const rel = file => relative(projectPath, file).split(sep).join('/');
+
+  // @contract: () -> void
+  // @pure: false
+  const schedule = () => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  // @contract: (files:str[]) -> void
+  // @pure: false
+  // AOCS-INVARIANT: a directory that disappears loses its watcher; the next listing adds it back if it returns
+  const rewatch = files => {
+    watched = new Set(files);
+    const dirs = watchedDirs(projectPath, files);
+    for (const [dir, watcher] of watchers) {
+      if (dirs.has(dir)) continue;
+      watcher.close();
+      watchers.delete(dir);
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      try {
+        const watcher = watch(dir, (event, name) => {
+          pending.add(name ? join(dir, name.toString()) : dir);
+          schedule();
+        });
+        watcher.on('error', () => {
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch (err) {
+        // Removed between listing and watching
+      }
+    }
+  };
+
+  // @contract: (task:function) -> Promise<any>
+  // @pure: false
+  const serialize = task => {
+    running = task().finally(() => {
+      running = null;
+      if (pending.size > 0) schedule();
+    });
+    return running;
+  };
+
+  // @contract: () -> void
+  // @pure: false
+  // AOCS-INVARIANT: changes to paths that are neither scanned (before or after) nor control files are dropped;
+  // files that appear in or vanish from the listing count as changed
+  function flush() {
+    timer = null;
+    if (closed || running) return;
+    const batch = Array.from(pending);
+    pending = new Set();
+    serialize(async () => {
+      const before = watched;
+      const files = await options.list();
+      rewatch(files);
+      // A new directory's files appear in the listing before their own watcher has seen anything
+      const appeared = files.filter(f => !before.has(f));
+      const vanished = Array.from(before).filter(f => !watched.has(f));
+      const touched = batch.filter(p => before.has(p) || watched.has(p) || controlFiles.has(basename(p)));
+      const changed = Array.from(new Set([...touched, ...appeared, ...vanished]));
+      if (changed.length === 0) return;
+      await options.run({ changed: changed.map(rel).sort(), reload: changed.includes(configFile) });
+    }).catch(onError);
+  }
+
+  const ready = serialize(async () => {
+    rewatch(await options.list());
+    return options.run({ changed: [], reload: false });
+  });
+
+  return {
+    ready,
+    // @contract: () -> void
+    // @pure: false
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    }
+  };
+}
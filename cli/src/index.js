@@ -2,80 +2,376 @@
 // AOCS-INPUTS: projectPath, options
 // AOCS-OUTPUTS: validation summary
 // @module: aocs-validator
-// @exports: validate
-// @depends: core/config, core/scanner, core/reporter, core/rules, languages
+// @exports: validate, watchProject, baselineProject, listProjectFiles, installHook, fixProject, migrateProject, report, formatResults, formatTiming, formatWatchRun, outputFormats, pluginApiVersion
+// @depends: path, core/config, core/scanner, core/reporter, core/formatters, core/rules, core/plugins, core/profiles, core/rule-config, core/suppressions, core/file-cache, core/pool, core/result-cache, core/watch, core/violation-diff, core/baseline, core/baseline-file, core/git, core/autofix, core/migrate, languages
 
-import { loadConfig } from './core/config.js';
-import { scanFiles } from './core/scanner.js';
+import { resolve, relative, sep } from 'path';
+import { loadConfig, describeConfigError } from './core/config.js';
+import { scanFiles, listFiles } from './core/scanner.js';
 import { report } from './core/reporter.js';
+import { formatResults, formatTiming, formatWatchRun, outputFormats, summarize } from './core/formatters.js';
 import { universalRules } from './core/rules.js';
-import { loadLanguageRules } from './languages/index.js';
+import { loadPlugins, pluginApiVersion } from './core/plugins.js';
+import { modes } from './core/profiles.js';
+import { checkRuleConfig, levelFor, runLevel } from './core/rule-config.js';
+import { collectSuppressions } from './core/suppressions.js';
+import { createFileCache } from './core/file-cache.js';
+import { mapConcurrent } from './core/pool.js';
+import { openResultCache } from './core/result-cache.js';
+import { watchTree } from './core/watch.js';
+import { diffViolations } from './core/violation-diff.js';
+import { baselineFileName, buildBaseline, applyBaseline } from './core/baseline.js';
+import { loadBaseline, writeBaseline, fingerprintAll } from './core/baseline-file.js';
+import { changedFiles, stagedContents, installHook } from './core/git.js';
+import { fixProject } from './core/autofix.js';
+import { migrateProject } from './core/migrate.js';
+import { loadLanguageRules, builtinLanguages } from './languages/index.js';
 
-// @contract: (projectPath:str, options?:{fix:bool}) -> Promise<{passed:num, failed:num, warnings:num, results:object[]}>
-// @throws: never
+export { installHook, fixProject, migrateProject, report, formatResults, formatTiming, formatWatchRun, outputFormats, pluginApiVersion };
+
+// Rules in flight at once; they share one file cache, so more mostly adds contention
+const defaultConcurrency = 4;
+
+// Ids of results validate() reports itself rather than through a rule's check()
+const syntheticRuleIds = ['aocs-ignore', 'aocs-baseline', 'config-load', 'plugin-load'];
+
+// @contract: (available:object[], selection?:(str|object)[]) -> object[]
+// @throws: Error
+// @pure: true
+// AOCS-FAILS-ON: selection names a rule id that is not available
+function selectRules(available, selection) {
+  if (!selection) {
+    return available;
+  }
+
+  return selection.map(entry => {
+    if (typeof entry !== 'string') {
+      return entry;
+    }
+    const rule = available.find(r => r.id === entry);
+    if (!rule) {
+      throw new Error(`Unknown rule id: ${entry}`);
+    }
+    return rule;
+  });
+}
+
+// @contract: (rule:object, level:str, violations:object[], suffix?:str) -> object
+// @pure: true
+// AOCS-INVARIANT: every violation carries ruleId and severity
+function buildResult(rule, level, violations, suffix = '') {
+  return {
+    id: rule.id + suffix,
+    name: suffix ? `${rule.name} (${suffix.slice(1)})` : rule.name,
+    level,
+    violations: violations.map(v => ({ ...v, ruleId: rule.id, severity: level }))
+  };
+}
+
+// @contract: (suppressions:Map<str,object[]>, ruleId:str, v:object) -> bool
+// @pure: false
+// AOCS-INVARIANT: only suppressions with a reason apply; a match is recorded in the suppression's used set
+function isSuppressed(suppressions, ruleId, v) {
+  const list = v.file && v.line ? suppressions.get(v.file.split('\\').join('/')) : null;
+  const hit = (list || []).find(s => s.reason && s.ids.includes(ruleId) && s.targets.includes(v.line));
+  if (hit) hit.used.add(ruleId);
+  return Boolean(hit);
+}
+
+// @contract: (rule:object, config:object, output:{violations:object[], warnings?:object[]}, suppressions:Map<str,object[]>) -> object[]
+// @pure: false
+// AOCS-INVARIANT: the result at the rule's run level is always present; per-path levels split off into -warnings/-errors results
+function levelResults(rule, config, output, suppressions) {
+  const main = runLevel(config, rule);
+  const groups = new Map([['', { level: main, violations: [] }]]);
+  // @contract: (v:object, level:str, suffix?:str) -> void
+  // @pure: false
+  const add = (v, level, suffix) => {
+    if (level === 'off' || isSuppressed(suppressions, rule.id, v)) return;
+    const key = suffix !== undefined ? suffix : (level === main ? '' : (level === 'warn' ? '-warnings' : '-errors'));
+    if (!groups.has(key)) groups.set(key, { level, violations: [] });
+    groups.get(key).violations.push(v);
+  };
+
+  for (const v of output.violations) add(v, levelFor(config, rule, v.file));
+  // Check-level warnings stay warnings unless the rule is off for their path
+  for (const w of output.warnings || []) add(w, levelFor(config, rule, w.file) === 'off' ? 'off' : 'warn', '-warnings');
+
+  return [...groups].filter(([key, g]) => key === '' || g.violations.length > 0)
+    .map(([key, g]) => buildResult(rule, g.level, g.violations, key));
+}
+
+// @contract: (rule:object, projectPath:str, config:object, files:str[], cache:object, store:object|null) -> Promise<{output:object|null, error:str|null, ms:num}>
+// @pure: false
+// AOCS-INVARIANT: never rejects; a check that throws or resolves to the wrong shape comes back as error
+// AOCS-INVARIANT: with a result store, a scope "file" rule only checks files without a reusable result
+async function runRule(rule, projectPath, config, files, cache, store) {
+  const started = performance.now();
+  const incremental = store !== null && rule.scope === 'file';
+  try {
+    const targets = incremental ? store.stale(rule) : files;
+    const output = await rule.check(projectPath, config, targets, cache);
+    if (!output || !Array.isArray(output.violations)) {
+      throw new Error('check must resolve to {violations: object[]}');
+    }
+    return { output: incremental ? store.record(rule, targets, output) : output, error: null, ms: performance.now() - started };
+  } catch (err) {
+    return { output: null, error: err.message, ms: performance.now() - started };
+  }
+}
+
+// @contract: (suppressions:Map<str,object[]>, config:object, ran:object[], knownIds:Set<str>) -> object[]
+// @pure: true
+// AOCS-INVARIANT: unused is only reported for rules that ran and are not off for the suppression's file
+function suppressionResults(suppressions, config, ran, knownIds) {
+  const problems = [];
+  const unused = [];
+  for (const [file, list] of suppressions) {
+    for (const s of list) {
+      if (s.ids.length === 0) {
+        problems.push({ file, line: s.line, message: 'aocs-ignore must name at least one rule id' });
+        continue;
+      }
+      if (!s.reason) {
+        problems.push({ file, line: s.line, message: `aocs-ignore ${s.ids.join(', ')} needs a reason after a colon` });
+        continue;
+      }
+      for (const id of s.ids) {
+        const rule = ran.find(r => r.id === id);
+        if (!knownIds.has(id)) {
+          problems.push({ file, line: s.line, message: `aocs-ignore names unknown rule id "${id}"` });
+        } else if (rule && !s.used.has(id) && levelFor(config, rule, file) !== 'off') {
+          unused.push({ file, line: s.line, message: `Unused aocs-ignore for ${id}` });
+        }
+      }
+    }
+  }
+
+  const suppressionRule = { id: 'aocs-ignore', name: 'Inline suppressions' };
+  const results = [];
+  if (problems.length > 0) results.push(buildResult(suppressionRule, 'error', problems));
+  if (unused.length > 0) results.push(buildResult(suppressionRule, 'warn', unused, '-warnings'));
+  return results;
+}
+
+// @contract: (results:object[], reporter:function|null, run?:{profile?:object, timing?:object, baseline?:object}) -> {passed:num, failed:num, warnings:num, profile:object|null, timing:object|null, baseline:object|null, results:object[], violations:object[]}
+// @pure: false
+// AOCS-INVARIANT: profile is null when the run stopped before a mode was known; timing is null when no rule ran;
+// baseline is null unless an aocs-baseline.json was applied
+function finish(results, reporter, run = {}) {
+  const profile = run.profile || null;
+  const baseline = run.baseline || null;
+  if (reporter) {
+    reporter(results, { ...(profile ? { profile } : {}), ...(baseline ? { baseline } : {}) });
+  }
+  const violations = results.flatMap(r => r.violations);
+  return { ...summarize(results), profile, timing: run.timing || null, baseline, results, violations };
+}
+
+// @contract: (projectPath:str, results:object[], ran:Set<str>, cache:object, narrowed:{rules:Set<str>, files:Set<str>}|null) -> Promise<{results:object[], baseline:{matched:num, fixed:num}|null}>
+// @pure: false
+// AOCS-INVARIANT: without aocs-baseline.json results pass through; a broken baseline hides nothing and fails the run
+// AOCS-INVARIANT: entries for rules that did not run (--rules, off in this profile), or for files a narrowed rule
+// did not check, are neither matched nor fixed
+async function withBaseline(projectPath, results, ran, cache, narrowed) {
+  const baselineRule = { id: 'aocs-baseline', name: 'Violation baseline' };
+  const loaded = await loadBaseline(projectPath);
+  if (loaded.errors.length > 0) {
+    return { results: [...results, buildResult(baselineRule, 'error', loaded.errors.map(e => ({ file: baselineFileName, message: e })))], baseline: null };
+  }
+  if (!loaded.entries) {
+    return { results, baseline: null };
+  }
+
+  const fingerprints = await fingerprintAll(projectPath, results.flatMap(r => r.violations), cache);
+  const inRun = e => ran.has(e.ruleId) && (!narrowed || !narrowed.rules.has(e.ruleId) || narrowed.files.has(e.file));
+  const applied = applyBaseline(results, fingerprints, loaded.entries.filter(inRun));
+  const fixed = applied.fixed.map(e => ({
+    file: e.file || undefined,
+    message: `Baselined ${e.ruleId} violation${e.file ? ` in ${e.file}` : ''} is fixed ("${e.message}"); run \`aocs baseline\` to prune it`
+  }));
+  return {
+    results: fixed.length > 0 ? [...applied.results, buildResult(baselineRule, 'warn', fixed, '-fixed')] : applied.results,
+    baseline: { matched: applied.matched, fixed: fixed.length }
+  };
+}
+
+// @contract: (projectPath:str, options?:{rules?:(str|object)[], reporter?:function|null, files?:str[], staged?:bool, changedSince?:str, mode?:str, concurrency?:num, cache?:bool, session?:object, baseline?:bool}) -> Promise<{passed:num, failed:num, warnings:num, profile:object|null, timing:object|null, baseline:object|null, results:object[], violations:object[]}>
+// @throws: Error
 // @pure: false
 // @complexity: O(n*m) where n=files, m=checks
-// AOCS-INVARIANT: passed + failed >= 0
+// AOCS-INVARIANT: passed + failed >= 0; results keep rule order whatever order the checks finish in
+// AOCS-FAILS-ON: options.mode is not "lite" or "strict", or options.concurrency is not a positive integer
+// AOCS-FAILS-ON: staged combined with changedSince, or git cannot list changes (not a work tree, unknown ref)
 export async function validate(projectPath, options = {}) {
+  const started = performance.now();
+  const reporter = options.reporter || null;
+  if (options.mode !== undefined && !modes.includes(options.mode)) {
+    throw new Error(`Unknown mode "${options.mode}". Expected one of: ${modes.join(', ')}`);
+  }
+  const concurrency = options.concurrency === undefined ? defaultConcurrency : options.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`concurrency must be a positive integer (found ${JSON.stringify(options.concurrency)})`);
+  }
+  if (options.staged && options.changedSince !== undefined) {
+    throw new Error('staged and changedSince are mutually exclusive');
+  }
+
   // 1. Load config
+  const loaded = await loadConfig(projectPath);
+
+  // If config has errors, report them at their aocs.json line and column and stop
+  if (loaded.errors.length > 0) {
+    const configRule = { id: 'config-load', name: 'Configuration loading' };
+    const configResult = buildResult(configRule, 'error', loaded.errors);
+    return finish([configResult], reporter);
+  }
+
+  // options.mode swaps the rule profile for this run only
+  const config = options.mode ? { ...loaded.config, mode: options.mode } : loaded.config;
+  const profile = { mode: config.mode, source: options.mode ? '--mode' : 'aocs.json' };
+
+  // 2. Load plugins; a plugin that breaks the rule contract stops the run like a config error
+  const plugins = await loadPlugins(projectPath, config);
+  if (plugins.errors.length > 0) {
+    const pluginRule = { id: 'plugin-load', name: 'Plugin loading' };
+    return finish([buildResult(pluginRule, 'error', plugins.errors.map(e => ({ message: e })))], reporter, { profile });
+  }
+
+  // 3. Collect rules (universal + plugin + language-specific, narrowed by options.rules and aocs.json rules)
+  const known = [...universalRules, ...builtinLanguages().rules, ...plugins.rules, ...Object.values(plugins.languages).flat()];
+  const knownIds = new Set(known.map(r => r.id));
+  const ruleErrors = checkRuleConfig(config.rules, [...knownIds]);
+  if (ruleErrors.length > 0) {
+    const configRule = { id: 'config-load', name: 'Configuration loading' };
+    return finish([buildResult(configRule, 'error', ruleErrors.map(e => ({ message: e })))], reporter, { profile });
+  }
+  const available = [...universalRules, ...plugins.rules, ...loadLanguageRules(config, plugins.languages)];
+  const rules = selectRules(available, options.rules).filter(rule => runLevel(config, rule) !== 'off');
+
+  // 4. Scan files unless the caller supplied an explicit list. staged / changedSince narrow scope "file" rules
+  // to the scanned files git reports as changed; repository-level rules still get every file
+  const files = options.files
+    ? options.files.map(f => resolve(projectPath, f))
+    : await scanFiles(projectPath, config, plugins.extensions);
+  const changed = options.staged || options.changedSince !== undefined
+    ? new Set(await changedFiles(projectPath, { staged: options.staged, since: options.changedSince }))
+    : null;
+  const targets = changed ? files.filter(f => changed.has(resolve(f))) : files;
+  const narrowed = changed
+    ? { rules: new Set(rules.filter(r => r.scope === 'file').map(r => r.id)), files: new Set(targets.map(f => relative(projectPath, f).split(sep).join('/'))) }
+    : null;
+
+  // 5. Run the checks a few at a time over one shared file cache, then apply per-path levels
+  // and inline suppressions in rule order
+  // A staged run reads the changed files from the index, so unstaged edits neither hide nor add violations
+  const cache = createFileCache(options.staged ? await stagedContents(projectPath, targets) : undefined);
+  const suppressions = await collectSuppressions(projectPath, files, cache);
+  // options.cache reuses per-file results from .aocs-cache/ for files unchanged since the last run; cached
+  // findings cover every file, so a git-narrowed run checks its few files directly instead; options.session
+  // lets repeated runs (watch) re-hash only the files listed as changed
+  const store = options.cache && !narrowed
+    ? await openResultCache(projectPath, config, files, cache, { prune: !options.files, plugins: plugins.files, session: options.session })
+    : null;
+  const runs = await mapConcurrent(rules, concurrency, rule => runRule(rule, projectPath, config, rule.scope === 'file' ? targets : files, cache, store));
+  if (store) await store.save();
+  const results = runs.flatMap((run, i) => (run.error === null
+    ? levelResults(rules[i], config, run.output, suppressions)
+    : [buildResult(rules[i], 'error', [{ message: `Check failed: ${run.error}` }])]));
+  // Suppressions in files the narrowed rules skipped would all look unused
+  const reported = narrowed ? new Map(Array.from(suppressions).filter(entry => narrowed.files.has(entry[0]))) : suppressions;
+  results.push(...suppressionResults(reported, config, rules, new Set([...knownIds, ...rules.map(r => r.id)])));
+
+  // 6. Hide violations recorded in aocs-baseline.json; entries that no longer match are reported as fixed
+  // Result ids carry -warnings/-errors suffixes; baseline entries name the rule, so match on rule ids
+  const ran = new Set([...rules.map(r => r.id), ...syntheticRuleIds]);
+  const baselined = options.baseline === false ? { results, baseline: null } : await withBaseline(projectPath, results, ran, cache, narrowed);
+
+  const timing = {
+    totalMs: performance.now() - started,
+    concurrency,
+    rules: rules.map((rule, i) => ({ id: rule.id, name: rule.name, ms: runs[i].ms })),
+    cache: cache.stats(),
+    results: store ? store.stats() : null
+  };
+
+  // 7. Hand results to the reporter (none by default) and summarize
+  return finish(baselined.results, reporter, { profile, timing, baseline: baselined.baseline });
+}
+
+// @contract: (projectPath:str) -> Promise<{files:str[], excluded:{path:str, reason:str}[], plugins:str[], errors:str[]}>
+// @throws: never
+// @pure: false
+// @complexity: O(n) where n = directory entries
+// AOCS-INVARIANT: files are exactly what validate() scans, as "/"-separated paths relative to projectPath
+// AOCS-INVARIANT: plugins lists the plugin modules aocs.json names, the same way, even when one fails to load
+export async function listProjectFiles(projectPath) {
   const { config, errors } = await loadConfig(projectPath);
-  
-  // If config has errors, report them and stop
   if (errors.length > 0) {
-    const configResult = {
-      id: 'config-load',
-      name: 'Configuration loading',
-      level: 'error',
-      violations: errors.map(e => ({ message: e }))
-    };
-    
-    const summary = report([configResult]);
-    return { ...summary, results: [configResult] };
+    return { files: [], excluded: [], plugins: [], errors: errors.map(describeConfigError) };
   }
-  
-  // 2. Scan files
-  const files = await scanFiles(projectPath, config);
-  
-  // 3. Collect all rules (universal + language-specific)
-  const rules = [...universalRules, ...loadLanguageRules(config)];
-  
-  // 4. Run all checks
-  const results = [];
-  
-  for (const rule of rules) {
-    try {
-      const result = await rule.check(projectPath, config, files);
-      const entry = {
-        id: rule.id,
-        name: rule.name,
-        level: rule.level,
-        violations: result.violations || []
-      };
-      // Merge check-level warnings as separate warn-level results
-      if (result.warnings && result.warnings.length > 0) {
-        results.push(entry);
-        results.push({
-          id: rule.id + '-warnings',
-          name: rule.name + ' (warnings)',
-          level: 'warn',
-          violations: result.warnings
-        });
-      } else {
-        results.push(entry);
-      }
-    } catch (err) {
-      results.push({
-        id: rule.id,
-        name: rule.name,
-        level: 'error',
-        violations: [{ message: `Check failed: ${err.message}` }]
-      });
+  const plugins = await loadPlugins(projectPath, config);
+  // @contract: (f:str) -> str
+  // @pure: true
+  const rel = f => relative(projectPath, f).split(sep).join('/');
+  if (plugins.errors.length > 0) {
+    return { files: [], excluded: [], plugins: plugins.files.map(rel), errors: plugins.errors };
+  }
+  const { files, excluded } = await listFiles(projectPath, config, plugins.extensions);
+  return { files: files.map(rel), excluded, plugins: plugins.files.map(rel), errors: [] };
+}
+
+// @contract: (projectPath:str, options:{onRun:function, onError?:function, mode?:str, concurrency?:num, debounceMs?:num}) -> {ready:Promise<object>, close:function}
+// @pure: false
+// AOCS-INVARIANT: every run re-reads aocs.json through loadConfig; after the first run only changed files are
+// re-hashed and file-scope rules re-check only them and their dependents, while project-scope rules see every file;
+// onRun gets diff null on the first run and {added, resolved} against the previous run after
+// AOCS-INVARIANT: plugin modules are watched with the scanned files, so editing one re-runs with its new code
+export function watchProject(projectPath, options) {
+  const root = resolve(projectPath);
+  let previous = null;
+  // changed collects edits until a run's result cache has re-hashed them, so a run that fails early loses none
+  const session = { changed: null };
+  return watchTree(root, {
+    debounceMs: options.debounceMs,
+    onError: options.onError,
+    // @contract: () -> Promise<str[]>
+    // @pure: false
+    list: async () => {
+      const listed = await listProjectFiles(root);
+      return [...listed.files, ...listed.plugins].map(f => resolve(root, f));
+    },
+    // @contract: (change:{changed:str[], reload:bool}) -> Promise<object>
+    // @pure: false
+    run: async ({ changed, reload }) => {
+      if (session.changed) changed.forEach(rel => session.changed.add(rel));
+      const result = await validate(root, { mode: options.mode, concurrency: options.concurrency, cache: true, session });
+      const diff = previous ? diffViolations(previous.violations, result.violations) : null;
+      previous = result;
+      options.onRun({ result, diff, changed, reload });
+      return result;
     }
+  });
+}
+
+// @contract: (projectPath:str, options?:{mode?:str, cache?:bool}) -> Promise<{file:str|null, entries:num, errors:str[]}>
+// @pure: false
+// AOCS-INVARIANT: records every current violation, ignoring any existing baseline; nothing is written when the config
+// or a plugin fails to load
+export async function baselineProject(projectPath, options = {}) {
+  const result = await validate(projectPath, { mode: options.mode, cache: options.cache, baseline: false });
+  const stopped = result.results.find(r => r.id === 'config-load' || r.id === 'plugin-load');
+  if (stopped) {
+    return { file: null, entries: 0, errors: stopped.violations.map(describeConfigError) };
   }
-  
-  // 5. Report results
-  const summary = report(results);
-  
-  // 6. Return summary
-  return { ...summary, results };
+
+  const fingerprints = await fingerprintAll(projectPath, result.violations, createFileCache());
+  const doc = buildBaseline(result.violations.map(v => ({
+    ruleId: v.ruleId,
+    file: v.file ? v.file.split(sep).join('/') : null,
+    fingerprint: fingerprints.get(v),
+    message: v.message
+  })));
+  await writeBaseline(projectPath, doc);
+  return { file: baselineFileName, entries: doc.violations.length, errors: [] };
 }
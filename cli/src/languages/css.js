@@ -1,23 +1,23 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: language-specific rules
 // @module: aocs-validator/languages/css
 // @exports: cssRules
-// @depends: fs, path
+// @depends: path, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { relative } from 'path';
+import { createFileCache } from '../core/file-cache.js';
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-async function checkDesignTokens(projectPath, config, files) {
+async function checkDesignTokens(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   const cssFiles = files.filter(f => f.endsWith('.css'));
   
   for (const file of cssFiles) {
     try {
-      const content = await readFile(file, 'utf-8');
+      const content = await cache.read(file);
       
       if (!content.includes(':root')) {
         violations.push({
@@ -39,6 +39,7 @@ export const cssRules = [
     id: 'CSS1-design-tokens',
     name: 'Design tokens defined in :root',
     level: 'warn',
+    scope: 'file',
     check: checkDesignTokens
   }
 ];
@@ -0,0 +1,249 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files, config
+// AOCS-OUTPUTS: language-specific rules
+// @module: aocs-validator/languages/go
+// @exports: goRules
+// @depends: path, core/go-parser, core/js-parser, core/file-cache
+
+import { relative } from 'path';
+import { parseGo, goLeadingComments } from '../core/go-parser.js';
+import { readTags, readManifestList } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// Imports flagged by forbidden-pattern id; every id can be re-enabled through aocs.json allowedPatterns
+const forbiddenImports = { reflect: 'reflection', unsafe: 'unsafe' };
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFunc(fn) {
+  return fn.receiver && fn.receiver.type ? `${fn.receiver.type}.${fn.name}` : fn.name;
+}
+
+// @contract: (value:str) -> {types:str[], never:bool}
+// @pure: true
+// AOCS-INVARIANT: `ErrA | ErrB`, `ErrA, ErrB` and `ErrA (on bad input)` all declare plain names
+function parseThrows(value) {
+  const types = value.replace(/\([^)]*\)/g, '').split(/[|,]/).map(s => s.trim().split(/\s/)[0]).filter(Boolean);
+  const named = types.filter(t => t !== 'never');
+  return { types: named, never: named.length === 0 && types.includes('never') };
+}
+
+// @contract: (parsed:object) -> {module:object|null, exports:object|null, depends:object|null, lateLine:num|null}
+// @pure: true
+// AOCS-INVARIANT: only comments above the package clause form the manifest; lateLine is where a misplaced one starts
+function readManifest(parsed) {
+  const pkgLine = parsed.packageClause ? parsed.packageClause.line : Infinity;
+  const header = { comments: parsed.comments.filter(c => c.line < pkgLine) };
+  const late = readTags(parsed.comments.filter(c => c.line > pkgLine)).find(t => t.tag === '@module');
+  return {
+    module: readManifestList(header, '@module'),
+    exports: readManifestList(header, '@exports'),
+    depends: readManifestList(header, '@depends'),
+    lateLine: late ? late.line : null
+  };
+}
+
+// @contract: (projectPath:str, files:str[], cache:object, visit:function) -> Promise<object[]>
+// @pure: false
+// AOCS-INVARIANT: visit(parsed, rel) returns the violations for one parsed .go file
+async function eachGoFile(projectPath, files, cache, visit) {
+  const violations = [];
+  for (const file of files.filter(f => f.endsWith('.go'))) {
+    try {
+      const parsed = await cache.parse(file, parseGo);
+      violations.push(...visit(parsed, relative(projectPath, file)));
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+  return violations;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: _test.go files are skipped; Test/Benchmark functions are not API
+async function checkGoContracts(projectPath, config, files, cache = createFileCache()) {
+  const sources = files.filter(f => !f.endsWith('_test.go'));
+  const violations = await eachGoFile(projectPath, sources, cache, (parsed, rel) => parsed.funcs
+    .filter(fn => fn.exported && !readTags(goLeadingComments(parsed, fn.line)).some(t => t.tag === '@contract'))
+    .map(fn => ({
+      file: rel,
+      line: fn.line,
+      message: `Exported ${fn.receiver ? 'method' : 'function'} ${describeFunc(fn)} missing @contract annotation`
+    })));
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: only functions carrying @contract or @throws are compared
+async function checkGoThrows(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachGoFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    for (const fn of parsed.funcs) {
+      const tags = readTags(goLeadingComments(parsed, fn.line));
+      const throwsTag = tags.find(t => t.tag === '@throws');
+      const name = describeFunc(fn);
+      if (!throwsTag) {
+        if (fn.returnsError && tags.some(t => t.tag === '@contract')) {
+          found.push({ file: rel, line: fn.line, message: `${name} returns error but has no @throws declaration` });
+        }
+        continue;
+      }
+      const throws = parseThrows(throwsTag.value);
+      if (fn.returnsError && throws.never) {
+        found.push({ file: rel, line: throwsTag.line, message: `${name} is declared @throws: never but returns error` });
+      } else if (!fn.returnsError && throws.types.length > 0) {
+        found.push({ file: rel, line: throwsTag.line, message: `@throws declares ${throws.types.join(', ')} but ${name} does not return error` });
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (parsed:object, i:num) -> bool
+// @pure: true
+// AOCS-INVARIANT: `v, ok := x.(T)` and `v, ok = x.(T)` count as checked; so does a type switch `x.(type)`
+function isCheckedAssertion(parsed, i) {
+  const { tokens, depth } = parsed;
+  if (tokens[i + 2] && tokens[i + 2].value === 'type') return true;
+  let sawAssign = false;
+  for (let k = i - 1; k >= 0 && tokens[k].line === tokens[i].line; k--) {
+    if (depth[k] < depth[i]) break;
+    if (depth[k] !== depth[i]) continue;
+    const v = tokens[k].value;
+    if (v === ';' || v === '{') break;
+    if (v === ':=' || v === '=') sawAssign = true;
+    else if (v === ',' && sawAssign) return true;
+  }
+  return false;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: each finding belongs to one pattern id and is reported unless allowedPatterns lists that id
+async function checkGoForbidden(projectPath, config, files, cache = createFileCache()) {
+  const allowed = new Set((config && config.allowedPatterns) || []);
+  const violations = await eachGoFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    // @contract: (line:num, id:str, message:str) -> void
+    // @pure: false
+    const flag = (line, id, message) => {
+      if (!allowed.has(id)) found.push({ file: rel, line, message });
+    };
+    const { tokens } = parsed;
+
+    for (const imp of parsed.imports) {
+      if (Object.hasOwn(forbiddenImports, imp.path)) flag(imp.line, forbiddenImports[imp.path], `Import of "${imp.path}" is forbidden`);
+    }
+    for (const fn of parsed.funcs) {
+      if (fn.name === 'init' && !fn.receiver) flag(fn.line, 'implicit-global', 'init() functions are forbidden; use explicit setup');
+    }
+    for (const d of parsed.decls) {
+      if (d.kind === 'var' && d.name !== '_' && !/^[Ee]rr/.test(d.name)) {
+        flag(d.line, 'implicit-global', `Package-level var ${d.name} is global mutable state; inject it instead`);
+      }
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      const prev = tokens[i - 1];
+      if (t.value === 'goto' && t.type === 'name') {
+        flag(t.line, 'goto', 'goto is forbidden; use structured control flow');
+      } else if (t.value === 'panic' && tokens[i + 1] && tokens[i + 1].value === '(' && !(prev && prev.value === '.')) {
+        flag(t.line, 'panic', 'panic() used for control flow; return an error');
+      } else if (t.value === 'interface' && tokens[i + 1] && tokens[i + 1].value === '{' && tokens[i + 2] && tokens[i + 2].value === '}') {
+        flag(t.line, 'empty-interface', 'interface{} catch-all type; use generics or a specific type');
+      } else if (t.value === '.' && tokens[i + 1] && tokens[i + 1].value === '(' && !isCheckedAssertion(parsed, i)) {
+        flag(t.line, 'unchecked-assertion', 'Unchecked type assertion; use v, ok := x.(T)');
+      }
+    }
+    return found.sort((a, b) => a.line - b.line);
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*(t+e*d)) where n=files, t=tokens, e=@exports names, d=declarations
+async function checkGoManifest(projectPath, config, files, cache = createFileCache()) {
+  const sources = files.filter(f => !f.endsWith('_test.go'));
+  const violations = await eachGoFile(projectPath, sources, cache, (parsed, rel) => {
+    const found = [];
+    const manifest = readManifest(parsed);
+    const exported = [
+      ...parsed.funcs.filter(fn => fn.exported && !fn.receiver).map(fn => ({ name: fn.name, line: fn.line })),
+      ...parsed.decls.filter(d => d.exported)
+    ].sort((a, b) => a.line - b.line);
+
+    if (!manifest.module) {
+      if (manifest.lateLine !== null) {
+        found.push({ file: rel, line: manifest.lateLine, message: 'Module manifest must appear before the package declaration' });
+      } else if (exported.length > 0) {
+        found.push({ file: rel, line: 1, message: 'File has exported identifiers but missing @module declaration' });
+      }
+      return found;
+    }
+    if (!manifest.exports) {
+      found.push({ file: rel, line: manifest.module.line, message: 'Module declaration present but missing @exports' });
+    } else {
+      for (const e of exported) {
+        if (manifest.exports.names.includes(e.name)) continue;
+        const message = manifest.exports.none
+          ? `"${e.name}" is exported but @exports declares none`
+          : `"${e.name}" is exported but not listed in @exports`;
+        found.push({ file: rel, line: e.line, message });
+      }
+      for (const name of manifest.exports.names) {
+        if (!exported.some(e => e.name === name)) {
+          found.push({ file: rel, line: manifest.exports.line, message: `@exports lists "${name}" but the file does not declare it` });
+        }
+      }
+    }
+
+    // Entries name packages by import path, last path segment or alias
+    for (const name of manifest.depends ? manifest.depends.names : []) {
+      const imported = parsed.imports.some(imp => imp.path === name || imp.path.split('/').pop() === name || imp.alias === name);
+      if (!imported) {
+        found.push({ file: rel, line: manifest.depends.line, message: `@depends lists "${name}" but the file never imports it` });
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+export const goRules = [
+  {
+    id: 'GO1-contracts',
+    name: 'Exported funcs and methods have @contract',
+    level: 'error',
+    scope: 'file',
+    check: checkGoContracts
+  },
+  {
+    id: 'GO2-throws',
+    name: '@throws matches error returns',
+    level: 'error',
+    scope: 'file',
+    check: checkGoThrows
+  },
+  {
+    id: 'GO3-forbidden',
+    name: 'No forbidden Go patterns',
+    level: 'error',
+    scope: 'file',
+    check: checkGoForbidden
+  },
+  {
+    id: 'GO4-module-manifest',
+    name: 'Package manifests before package clause and in sync',
+    level: 'warn',
+    scope: 'file',
+    check: checkGoManifest
+  }
+];
@@ -1,24 +1,23 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: language-specific rules
 // @module: aocs-validator/languages/html
 // @exports: htmlRules
-// @depends: fs, path
+// @depends: path, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { relative } from 'path';
+import { createFileCache } from '../core/file-cache.js';
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-async function checkInteractiveElements(projectPath, config, files) {
+async function checkInteractiveElements(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   const htmlFiles = files.filter(f => f.endsWith('.html') || f.endsWith('.htm'));
   
   for (const file of htmlFiles) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n');
+      const lines = await cache.lines(file);
       
       const interactiveTags = /<(button|a|input|select|textarea)[^>]*>/gi;
       
@@ -57,6 +56,7 @@ export const htmlRules = [
     id: 'HTML1-interactive-ids',
     name: 'Interactive elements have id or data-action',
     level: 'warn',
+    scope: 'file',
     check: checkInteractiveElements
   }
 ];
@@ -2,26 +2,44 @@
 // AOCS-INPUTS: config
 // AOCS-OUTPUTS: language-specific rules
 // @module: aocs-validator/languages
-// @exports: loadLanguageRules
+// @exports: loadLanguageRules, builtinLanguages
 // @depends: languages/*
 
 import { javascriptRules } from './javascript.js';
+import { typescriptRules } from './typescript.js';
 import { htmlRules } from './html.js';
 import { cssRules } from './css.js';
+import { pythonRules } from './python.js';
+import { goRules } from './go.js';
+import { rustRules } from './rust.js';
 
 const languageModules = {
   javascript: javascriptRules,
   js: javascriptRules,
-  typescript: javascriptRules,
-  ts: javascriptRules,
+  typescript: [...javascriptRules, ...typescriptRules],
+  ts: [...javascriptRules, ...typescriptRules],
   html: htmlRules,
-  css: cssRules
+  css: cssRules,
+  python: pythonRules,
+  py: pythonRules,
+  go: goRules,
+  rust: rustRules,
+  rs: rustRules
 };
 
-// @contract: (config:object) -> object[]
+// @contract: () -> {names:str[], rules:object[]}
+// @pure: true
+// @complexity: O(r) where r = built-in language rules
+export function builtinLanguages() {
+  const rules = [...new Set(Object.values(languageModules).flat())];
+  return { names: Object.keys(languageModules), rules };
+}
+
+// @contract: (config:object, pluginLanguages?:object) -> object[]
 // @pure: true
 // @complexity: O(n) where n = config.languages.length
-export function loadLanguageRules(config) {
+// AOCS-INVARIANT: built-in languages win; plugins cannot register a built-in name
+export function loadLanguageRules(config, pluginLanguages = {}) {
   if (!config || !config.languages) {
     return [];
   }
@@ -29,7 +47,7 @@ export function loadLanguageRules(config) {
   const rules = [];
   
   for (const lang of config.languages) {
-    const langRules = languageModules[lang.toLowerCase()];
+    const langRules = languageModules[lang.toLowerCase()] || pluginLanguages[lang.toLowerCase()];
     if (langRules) {
       rules.push(...langRules);
     }
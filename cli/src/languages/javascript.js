@@ -1,22 +1,22 @@
-// AOCS-ROLE: pure-logic
+// AOCS-ROLE: io-boundary
 // AOCS-INPUTS: source files
 // AOCS-OUTPUTS: language-specific rules
 // @module: aocs-validator/languages/javascript
 // @exports: javascriptRules
-// @depends: fs, path
+// @depends: path, core/file-cache
 
-import { readFile } from 'fs/promises';
 import { relative } from 'path';
+import { createFileCache } from '../core/file-cache.js';
 
-// @contract: (projectPath:str, config:object, files:str[]) -> Promise<object>
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
 // @pure: false
-async function checkStateManifest(projectPath, config, files) {
+async function checkStateManifest(projectPath, config, files, cache = createFileCache()) {
   const violations = [];
   
   for (const file of files) {
     try {
-      const content = await readFile(file, 'utf-8');
-      const lines = content.split('\n');
+      const content = await cache.read(file);
+      const lines = await cache.lines(file);
       
       // Check if file declares state-machine role
       const hasStateRole = lines.slice(0, 5).some(l => 
@@ -48,6 +48,7 @@ export const javascriptRules = [
     id: 'JS1-state-manifest',
     name: 'State manifests for state-machine files',
     level: 'warn',
+    scope: 'file',
     check: checkStateManifest
   }
 ];
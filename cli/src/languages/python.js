@@ -0,0 +1,189 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files, config
+// AOCS-OUTPUTS: language-specific rules
+// @module: aocs-validator/languages/python
+// @exports: pythonRules
+// @depends: path, core/py-parser, core/js-parser, core/file-cache
+
+import { relative } from 'path';
+import { parsePython, pyLeadingComments } from '../core/py-parser.js';
+import { readTags, readManifestList } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// Calls flagged per forbiddenPatterns entry; `global` statements are matched separately
+const forbiddenCalls = {
+  'dynamic-eval': { names: ['eval', 'exec', 'compile'], message: 'Dynamic eval or exec detected' },
+  'reflection': { names: ['getattr', 'setattr', 'delattr'], message: 'Reflection via getattr/setattr/delattr detected' },
+  'implicit-global': { names: ['globals', 'locals'], message: 'Implicit state access via global, globals() or locals() detected' },
+  'dynamic-import': { names: ['__import__', 'import_module'], message: 'Dynamic __import__ or import_module detected' }
+};
+
+// @contract: (name:str) -> bool
+// @pure: true
+function isPublic(name) {
+  return !name.startsWith('_');
+}
+
+// @contract: (parsed:object, def:object) -> {tag:str, value:str, line:num}[]
+// @pure: true
+// AOCS-INVARIANT: comments above the decorators and between the decorators and the def both count
+function defTags(parsed, def) {
+  const above = pyLeadingComments(parsed, def.startLine);
+  const between = def.startLine !== def.line ? pyLeadingComments(parsed, def.line) : [];
+  return readTags([...above, ...between]);
+}
+
+// @contract: (projectPath:str, files:str[], cache:object, visit:function) -> Promise<object[]>
+// @pure: false
+// AOCS-INVARIANT: visit(parsed, rel) returns the violations for one parsed .py file
+async function eachPythonFile(projectPath, files, cache, visit) {
+  const violations = [];
+  for (const file of files.filter(f => f.endsWith('.py'))) {
+    try {
+      const parsed = await cache.parse(file, parsePython);
+      violations.push(...visit(parsed, relative(projectPath, file)));
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+  return violations;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+async function checkPythonContracts(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachPythonFile(projectPath, files, cache, (parsed, rel) => {
+    const publicClasses = new Set(parsed.classes.filter(c => !c.nested && isPublic(c.name)).map(c => c.name));
+    return parsed.defs
+      .filter(d => !d.nested && isPublic(d.name) && (d.className === null || publicClasses.has(d.className)))
+      .filter(d => !defTags(parsed, d).some(t => t.tag === '@contract'))
+      .map(d => ({
+        file: rel,
+        line: d.line,
+        message: d.className
+          ? `Public method ${d.className}.${d.name} missing @contract annotation`
+          : `Public function ${d.name} missing @contract annotation`
+      }));
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*(t+e*a)) where n=files, t=tokens, e=@exports names, a=__all__ names
+async function checkPythonManifest(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachPythonFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    const hasModule = readManifestList(parsed, '@module') !== null;
+    const exportsList = readManifestList(parsed, '@exports');
+
+    if (parsed.all && !hasModule) {
+      found.push({ file: rel, line: parsed.all.line, message: 'File defines __all__ but missing @module declaration' });
+    }
+    if (hasModule && !exportsList) {
+      found.push({ file: rel, line: 1, message: 'Module declaration present but missing @exports' });
+    }
+    if (!parsed.all || !exportsList) return found;
+
+    for (const name of parsed.all.names) {
+      if (!exportsList.names.includes(name)) {
+        const message = exportsList.none
+          ? `"${name}" is in __all__ but @exports declares none`
+          : `"${name}" is in __all__ but not listed in @exports`;
+        found.push({ file: rel, line: parsed.all.line, message });
+      }
+    }
+    for (const name of exportsList.names) {
+      if (!parsed.all.names.includes(name)) {
+        found.push({ file: rel, line: exportsList.line, message: `@exports lists "${name}" but __all__ does not include it` });
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t*p) where n=files, t=tokens per file, p=patterns
+async function checkPythonForbidden(projectPath, config, files, cache = createFileCache()) {
+  if (!config || !config.forbiddenPatterns) {
+    return { violations: [] };
+  }
+  const active = config.forbiddenPatterns.map(p => forbiddenCalls[p]).filter(Boolean);
+
+  const violations = await eachPythonFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    if (config.forbiddenPatterns.includes('implicit-global')) {
+      for (const s of parsed.statements.filter(st => st.tokens[0].value === 'global')) {
+        found.push({ file: rel, line: s.line, message: forbiddenCalls['implicit-global'].message });
+      }
+    }
+    const { tokens } = parsed;
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      const prev = tokens[i - 1];
+      if (t.type !== 'name') continue;
+      if (!tokens[i + 1] || tokens[i + 1].value !== '(' || (prev && prev.value === 'def')) continue;
+      // `importlib.import_module(...)` is the only attribute call that counts
+      if (prev && prev.value === '.' && !(t.value === 'import_module' && tokens[i - 2] && tokens[i - 2].value === 'importlib')) continue;
+      const pattern = active.find(p => p.names.includes(t.value));
+      if (pattern) found.push({ file: rel, line: t.line, message: pattern.message });
+    }
+    return found.sort((a, b) => a.line - b.line);
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*d) where n=files, d=defs and classes per file
+// AOCS-INVARIANT: dunder methods and leading underscores are allowed
+async function checkPythonNaming(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachPythonFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    for (const d of parsed.defs) {
+      if (/^__\w+__$/.test(d.name) || /^_*[a-z][a-z0-9_]*$/.test(d.name)) continue;
+      const what = d.className ? `Method ${d.className}.${d.name}` : `Function ${d.name}`;
+      found.push({ file: rel, line: d.line, message: `${what} should be snake_case` });
+    }
+    for (const c of parsed.classes) {
+      if (/^_*[A-Z][A-Za-z0-9]*$/.test(c.name)) continue;
+      found.push({ file: rel, line: c.line, message: `Class ${c.name} should be CapWords` });
+    }
+    return found;
+  });
+  return { violations };
+}
+
+export const pythonRules = [
+  {
+    id: 'PY1-contracts',
+    name: 'Public functions and methods have @contract',
+    level: 'error',
+    scope: 'file',
+    check: checkPythonContracts
+  },
+  {
+    id: 'PY2-module-manifest',
+    name: 'Module manifests match __all__',
+    level: 'warn',
+    scope: 'file',
+    check: checkPythonManifest
+  },
+  {
+    id: 'PY3-forbidden',
+    name: 'No forbidden Python patterns',
+    level: 'error',
+    scope: 'file',
+    check: checkPythonForbidden
+  },
+  {
+    id: 'PY4-naming',
+    name: 'snake_case functions and CapWords classes',
+    level: 'warn',
+    scope: 'file',
+    check: checkPythonNaming
+  }
+];
@@ -0,0 +1,272 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files, config
+// AOCS-OUTPUTS: language-specific rules
+// @module: aocs-validator/languages/rust
+// @exports: rustRules
+// @depends: path, core/rust-parser, core/js-parser, core/file-cache
+
+import { relative } from 'path';
+import { parseRust, rustLeadingComments } from '../core/rust-parser.js';
+import { readTags } from '../core/js-parser.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// Forbidden-pattern ids; any of them can be re-enabled through aocs.json allowedPatterns
+const forbiddenMessages = {
+  'unsafe': 'unsafe code is forbidden unless "unsafe" is in allowedPatterns',
+  'unwrap': 'unwrap()/expect() panics on error; use ? or match',
+  'box-dyn-any': 'Box<dyn Any> erases types; use an enum or generics',
+  'static-mut': 'static mut is global mutable state; use Mutex, RwLock or OnceLock',
+  'transmute': 'mem::transmute is forbidden',
+  'ignored-result': 'let _ = discards a value that may be a Result; use ? or match'
+};
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFn(fn) {
+  return fn.implType ? `${fn.implType}::${fn.name}` : fn.name;
+}
+
+// @contract: (value:str) -> {types:str[], never:bool}
+// @pure: true
+// AOCS-INVARIANT: `A | B`, `A, B` and `A (caller must …)` all declare plain names; `E::V` keeps its path
+function parseThrows(value) {
+  const types = value.replace(/\([^)]*\)/g, '').split(/[|,]/).map(s => s.trim().split(/\s/)[0]).filter(Boolean);
+  const named = types.filter(t => t !== 'never');
+  return { types: named, never: named.length === 0 && types.includes('never') };
+}
+
+// @contract: (parsed:object, item:{line:num, startLine:num}) -> {tag:str, value:str, line:num}[]
+// @pure: true
+// AOCS-INVARIANT: comments above the attributes and between the attributes and the item both count
+function itemTags(parsed, item) {
+  const above = rustLeadingComments(parsed, item.startLine);
+  const between = item.startLine !== item.line ? rustLeadingComments(parsed, item.line) : [];
+  return readTags([...above, ...between]);
+}
+
+// @contract: (declared:str, errorType:str, variant:str) -> bool
+// @pure: true
+// AOCS-INVARIANT: `E`, `V`, `E::V` and the doc's `VError` spelling all name variant V of E
+function declaresVariant(declared, errorType, variant) {
+  return declared === errorType || declared === variant || declared === `${errorType}::${variant}` || declared === `${variant}Error`;
+}
+
+// @contract: (projectPath:str, files:str[], cache:object, visit:function) -> Promise<object[]>
+// @pure: false
+// AOCS-INVARIANT: visit(parsed, rel) returns the violations for one parsed .rs file
+async function eachRustFile(projectPath, files, cache, visit) {
+  const violations = [];
+  for (const file of files.filter(f => f.endsWith('.rs'))) {
+    try {
+      const parsed = await cache.parse(file, parseRust);
+      violations.push(...visit(parsed, relative(projectPath, file)));
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+  return violations;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: `pub(crate)` items and trait-impl methods (which cannot be `pub`) are not required
+async function checkRustContracts(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachRustFile(projectPath, files, cache, (parsed, rel) => parsed.fns
+    .filter(fn => fn.pub && !itemTags(parsed, fn).some(t => t.tag === '@contract'))
+    .map(fn => ({
+      file: rel,
+      line: fn.line,
+      message: `Public ${fn.implType ? 'method' : 'function'} ${describeFn(fn)} missing @contract annotation`
+    })));
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*t) where n=files, f=fns, t=tokens per fn
+// AOCS-INVARIANT: variants are only checked when the Result error type is an enum defined in the same file
+async function checkRustThrows(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachRustFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    const { tokens } = parsed;
+    const enums = new Map(parsed.enums.map(e => [e.name, e]));
+
+    for (const fn of parsed.fns) {
+      const tags = itemTags(parsed, fn);
+      const throwsTag = tags.find(t => t.tag === '@throws');
+      const name = describeFn(fn);
+      const { isResult, errorType: written } = fn.returnType;
+
+      if (!throwsTag) {
+        if (isResult && tags.some(t => t.tag === '@contract')) {
+          found.push({ file: rel, line: fn.line, message: `${name} returns Result but has no @throws declaration` });
+        }
+        continue;
+      }
+      const throws = parseThrows(throwsTag.value);
+      if (throws.never) {
+        if (isResult) found.push({ file: rel, line: throwsTag.line, message: `${name} is declared @throws: never but returns Result` });
+        continue;
+      }
+      if (!isResult) {
+        if (throws.types.length > 0) {
+          found.push({ file: rel, line: throwsTag.line, message: `@throws declares ${throws.types.join(', ')} but ${name} does not return Result` });
+        }
+        continue;
+      }
+
+      const errorType = written && /^(\w+::)*\w+$/.test(written) ? written.split('::').pop() : null;
+      const errorEnum = errorType ? enums.get(errorType) : null;
+      if (!errorEnum) continue;
+
+      for (const declared of throws.types) {
+        if (!errorEnum.variants.some(v => declaresVariant(declared, errorType, v))) {
+          found.push({ file: rel, line: throwsTag.line, message: `@throws declares ${declared}, which is not a variant of ${errorType}` });
+        }
+      }
+
+      // `Err(E::Variant…)` sites in the body, outside nested fn items
+      if (fn.bodyStart === -1) continue;
+      const nested = parsed.fns.filter(f => f !== fn && f.bodyStart > fn.bodyStart && f.bodyEnd <= fn.bodyEnd);
+      for (let i = fn.bodyStart; i < fn.bodyEnd; i++) {
+        if (nested.some(f => f.bodyStart <= i && i <= f.bodyEnd)) continue;
+        if (tokens[i].value !== 'Err' || !tokens[i + 1] || tokens[i + 1].value !== '(') continue;
+        if (!tokens[i + 2] || tokens[i + 2].value !== errorType || !tokens[i + 3] || tokens[i + 3].value !== '::') continue;
+        const variant = tokens[i + 4] ? tokens[i + 4].value : '';
+        if (!throws.types.some(d => declaresVariant(d, errorType, variant))) {
+          found.push({ file: rel, line: tokens[i].line, message: `${name} returns Err(${errorType}::${variant}) but @throws does not declare it` });
+        }
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: the annotation may sit in the comment block above the item or statement, or trail on the same line
+async function checkRustUnsafe(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachRustFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    const { tokens } = parsed;
+    const annotated = /\b(UNSAFE|SAFETY):/;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].value !== 'unsafe' || tokens[i].type !== 'name' || !tokens[i + 1]) continue;
+      const next = tokens[i + 1].value;
+      if (!['{', 'fn', 'impl', 'trait', 'extern'].includes(next)) continue;
+
+      const item = next === 'fn' ? parsed.fns.find(f => f.line === tokens[i].line && f.unsafe) : null;
+      const line = item ? item.startLine : tokens[i].line;
+      const comments = [
+        ...rustLeadingComments(parsed, line),
+        ...parsed.comments.filter(c => c.line === tokens[i].line)
+      ];
+      if (comments.some(c => annotated.test(c.value))) continue;
+
+      const what = next === '{' ? 'block' : (item ? `fn ${describeFn(item)}` : next);
+      found.push({ file: rel, line: tokens[i].line, message: `unsafe ${what} has no UNSAFE: or SAFETY: comment explaining why it is sound` });
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (parsed:object, name:str) -> bool
+// @pure: true
+// AOCS-INVARIANT: an enum is a state machine when named *State or when some fn takes it and returns it
+function isStateEnum(parsed, name) {
+  if (/State$/.test(name)) return true;
+  const mentions = new RegExp(`\\b${name}\\b`);
+  return parsed.fns.some(fn => {
+    const params = parsed.tokens.slice(fn.paramsOpen + 1, fn.paramsClose);
+    const takes = params.some(t => t.value === name) || (fn.implType === name && params.some(t => t.value === 'self'));
+    const returns = mentions.test(fn.returnType.text) || (fn.implType === name && /\bSelf\b/.test(fn.returnType.text));
+    return takes && returns;
+  });
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*e*f) where n=files, e=enums, f=fns
+async function checkRustStateManifest(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachRustFile(projectPath, files, cache, (parsed, rel) => parsed.enums
+    .filter(e => isStateEnum(parsed, e.name) && !itemTags(parsed, e).some(t => t.tag === '@state-manifest'))
+    .map(e => ({ file: rel, line: e.line, message: `State machine enum ${e.name} missing @state-manifest` })));
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*t) where n=files, t=tokens per file
+// AOCS-INVARIANT: code inside `#[cfg(test)]` modules is exempt
+async function checkRustForbidden(projectPath, config, files, cache = createFileCache()) {
+  const allowed = new Set((config && config.allowedPatterns) || []);
+  const violations = await eachRustFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    const { tokens } = parsed;
+    // @contract: (i:num, id:str) -> void
+    // @pure: false
+    const flag = (i, id) => {
+      if (!allowed.has(id)) found.push({ file: rel, line: tokens[i].line, message: forbiddenMessages[id] });
+    };
+    // @contract: (i:num, value:str) -> bool
+    // @pure: true
+    const at = (i, value) => Boolean(tokens[i]) && tokens[i].value === value;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (parsed.testRanges.some(r => r.open < i && i < r.close)) continue;
+      const t = tokens[i];
+      if (t.type !== 'name') continue;
+      if (t.value === 'unsafe' && ['{', 'fn', 'impl', 'trait', 'extern'].some(v => at(i + 1, v))) flag(i, 'unsafe');
+      else if ((t.value === 'unwrap' || t.value === 'expect') && at(i - 1, '.') && at(i + 1, '(')) flag(i, 'unwrap');
+      else if (t.value === 'Box' && at(i + 1, '<') && at(i + 2, 'dyn') && at(i + 3, 'Any')) flag(i, 'box-dyn-any');
+      else if (t.value === 'static' && at(i + 1, 'mut')) flag(i, 'static-mut');
+      else if (t.value === 'transmute' && (at(i + 1, '(') || at(i + 1, '::'))) flag(i, 'transmute');
+      else if (t.value === 'let' && at(i + 1, '_') && at(i + 2, '=')) flag(i, 'ignored-result');
+    }
+    return found;
+  });
+  return { violations };
+}
+
+export const rustRules = [
+  {
+    id: 'RS1-contracts',
+    name: 'Public fns and impl methods have @contract',
+    level: 'error',
+    scope: 'file',
+    check: checkRustContracts
+  },
+  {
+    id: 'RS2-throws',
+    name: '@throws matches Result error types',
+    level: 'error',
+    scope: 'file',
+    check: checkRustThrows
+  },
+  {
+    id: 'RS3-unsafe-annotation',
+    name: 'unsafe code carries an UNSAFE:/SAFETY: comment',
+    level: 'error',
+    scope: 'file',
+    check: checkRustUnsafe
+  },
+  {
+    id: 'RS4-state-manifest',
+    name: 'State machine enums have @state-manifest',
+    level: 'warn',
+    scope: 'file',
+    check: checkRustStateManifest
+  },
+  {
+    id: 'RS5-forbidden',
+    name: 'No forbidden Rust patterns',
+    level: 'error',
+    scope: 'file',
+    check: checkRustForbidden
+  }
+];
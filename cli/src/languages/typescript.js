@@ -0,0 +1,254 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source files
+// AOCS-OUTPUTS: language-specific rules
+// @module: aocs-validator/languages/typescript
+// @exports: typescriptRules
+// @depends: path, core/js-parser, core/contract-grammar, core/file-cache
+
+import { extname, relative } from 'path';
+import { parseSource, leadingComments, readTags, functionTags, readManifestList, tokenText } from '../core/js-parser.js';
+import { parseContract, splitTopLevel } from '../core/contract-grammar.js';
+import { createFileCache } from '../core/file-cache.js';
+
+// Contract abbreviations from AOCS-typescript.md
+const abbreviations = { num: 'number', str: 'string', bool: 'boolean' };
+
+const primitiveTypes = new Set(['number', 'string', 'boolean', 'bigint', 'symbol', 'undefined', 'null', 'void', 'never']);
+
+// @contract: (fn:object) -> str
+// @pure: true
+function describeFunction(fn) {
+  if (fn.name) return fn.className ? `${fn.className}.${fn.name}` : fn.name;
+  return 'anonymous function';
+}
+
+// @contract: (parsed:object) -> {aliases:Map<str,str>, aliasLines:Set<num>}
+// @pure: true
+// @complexity: O(n) where n = tokens
+// AOCS-INVARIANT: only non-generic top-level `type X = …` aliases are collected; aliasLines holds lines containing nothing else
+function collectAliases(parsed) {
+  const { tokens, depth } = parsed;
+  const aliases = new Map();
+  const covered = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.value !== 'type' || t.type !== 'name' || depth[i] !== 0) continue;
+    if (!tokens[i + 1] || tokens[i + 1].type !== 'name' || !tokens[i + 2] || tokens[i + 2].value !== '=') continue;
+
+    // The alias ends at `;` or at a new line that does not continue a union/intersection
+    let end = i + 3;
+    while (end < tokens.length && !(tokens[end].value === ';' && depth[end] === 0)) {
+      const next = tokens[end + 1];
+      if (!next || (depth[end + 1] === 0 && next.line !== tokens[end].line &&
+        !['|', '&', '='].includes(tokens[end].value) && !['|', '&'].includes(next.value))) break;
+      end++;
+    }
+    const typeEnd = tokens[end] && tokens[end].value === ';' ? end - 1 : end;
+    aliases.set(tokens[i + 1].value, tokenText(parsed, i + 3, typeEnd));
+
+    const from = tokens[i - 1] && tokens[i - 1].value === 'export' ? i - 1 : i;
+    for (let k = from; k <= end && k < tokens.length; k++) covered.add(k);
+    i = end;
+  }
+
+  const aliasLines = new Set();
+  const uncovered = new Set(tokens.filter((t, k) => !covered.has(k)).map(t => t.line));
+  for (const k of covered) {
+    if (!uncovered.has(tokens[k].line)) aliasLines.add(tokens[k].line);
+  }
+  return { aliases, aliasLines };
+}
+
+// @contract: (type:str) -> str
+// @pure: true
+// AOCS-INVARIANT: `Order{items:NonEmpty}` and `User[]{role:str}` lose the refinement; `{a:num}` object types stay
+function stripRefinements(type) {
+  let out = '';
+  for (let i = 0; i < type.length; i++) {
+    if (type[i] === '{' && /[\w$\]>)]/.test(out[out.length - 1] || '')) {
+      let nesting = 0;
+      for (; i < type.length; i++) {
+        if (type[i] === '{') nesting++;
+        else if (type[i] === '}' && --nesting === 0) break;
+      }
+      continue;
+    }
+    out += type[i];
+  }
+  return out;
+}
+
+// @contract: (type:str, aliases:Map<str,str>) -> str
+// @pure: true
+// @complexity: O(k*n) where k = alias expansion passes (at most 5), n = type.length
+// AOCS-INVARIANT: whitespace, refinements, abbreviations, local aliases and union member order never cause a mismatch
+function normalizeType(type, aliases) {
+  let s = stripRefinements(type.replace(/\s+/g, ''));
+  for (let pass = 0; pass < 5; pass++) {
+    const next = stripRefinements(s.replace(/[A-Za-z_$][\w$]*/g, (word, at, whole) => {
+      // Property keys in object types are names, not types
+      if (/^\??:/.test(whole.slice(at + word.length)) || whole[at - 1] === '.') return word;
+      return abbreviations[word] || (aliases.has(word) ? `(${aliases.get(word)})` : word);
+    }).replace(/\s+/g, ''));
+    if (next === s) break;
+    s = next;
+  }
+  s = s.replace(/\bArray<([\w$]+)>/g, '$1[]');
+  // Parentheses added around a single-member alias expansion are noise
+  while (/^\(([^()]*)\)$/.test(s)) s = s.slice(1, -1);
+  s = s.replace(/\(([\w$.]+(\[\])*)\)/g, '$1');
+  return splitTopLevel(s, '|').sort().join('|');
+}
+
+// @contract: (declared:str, annotated:str) -> bool
+// @pure: true
+// AOCS-INVARIANT: the contract may be wider than the annotation only through `object`, `object[]` and `function`
+function typesAgree(declared, annotated) {
+  if (declared === annotated) return true;
+  if (declared === 'object') return !primitiveTypes.has(annotated);
+  if (declared === 'object[]') return annotated.endsWith('[]');
+  if (declared === 'function') return annotated.includes('=>');
+  return false;
+}
+
+// @contract: (parsed:object, fn:object, aliasLines:Set<num>) -> {tag:str, value:str, line:num}[]
+// @pure: true
+// AOCS-INVARIANT: a contract may sit above a run of type-alias lines, as in AOCS-typescript.md's agent-optimized examples
+function contractTags(parsed, fn, aliasLines) {
+  const tags = functionTags(parsed, fn);
+  if (tags.length > 0 || !aliasLines.has(fn.line - 1)) return tags;
+  if (parsed.functions.some(other => other.line === fn.line && other.start < fn.start)) return tags;
+  let line = fn.line - 1;
+  while (aliasLines.has(line - 1)) line--;
+  return readTags(leadingComments(parsed, line));
+}
+
+// @contract: (parsed:object) -> {fn:object, exported:bool}[]
+// @pure: true
+// AOCS-INVARIANT: public = exported (syntax or @exports) top-level functions plus non-private methods of exported classes
+function publicFunctions(parsed) {
+  const manifest = readManifestList(parsed, '@exports');
+  const listed = new Set(manifest ? manifest.names : []);
+  const publicClasses = new Set(parsed.classes.filter(c => c.name && (c.exported || listed.has(c.name))).map(c => c.name));
+
+  const found = [];
+  for (const fn of parsed.functions) {
+    if (fn.kind === 'method') {
+      const hidden = fn.modifiers.includes('private') || fn.modifiers.includes('protected') || fn.name.startsWith('#');
+      if (fn.className && publicClasses.has(fn.className) && !hidden) found.push({ fn, exported: false });
+      continue;
+    }
+    const topLevel = fn.parent === null && parsed.depth[fn.statementStart] === 0;
+    if (fn.exported || (topLevel && fn.name && listed.has(fn.name))) found.push({ fn, exported: true });
+  }
+  return found;
+}
+
+// @contract: (projectPath:str, files:str[], cache:object, visit:function) -> Promise<object[]>
+// @pure: false
+// AOCS-INVARIANT: visit(parsed, rel) returns the violations for one parsed .ts/.tsx file
+async function eachTsFile(projectPath, files, cache, visit) {
+  const violations = [];
+  for (const file of files.filter(f => ['.ts', '.tsx'].includes(extname(f)))) {
+    try {
+      const parsed = await cache.parse(file, parseSource);
+      violations.push(...visit(parsed, relative(projectPath, file)));
+    } catch (err) {
+      // Skip files we can't read
+    }
+  }
+  return violations;
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*p) where n=files, f=functions, p=params
+// AOCS-INVARIANT: malformed contracts and parameter-count mismatches are left to U2-contract-signatures
+async function checkContractTypes(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachTsFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    const { aliases, aliasLines } = collectAliases(parsed);
+
+    for (const fn of parsed.functions) {
+      const tag = contractTags(parsed, fn, aliasLines).find(t => t.tag === '@contract');
+      if (!tag) continue;
+      const contract = parseContract(tag.value);
+      if (!contract.ok || contract.params.length !== fn.params.length) continue;
+      const name = describeFunction(fn);
+
+      contract.params.forEach((cp, i) => {
+        const fp = fn.params[i];
+        if (!fp.type || typesAgree(normalizeType(cp.type, aliases), normalizeType(fp.type, aliases))) return;
+        found.push({ file: rel, line: fp.line, message: `@contract parameter ${i + 1} of ${name} is "${cp.type}" but the signature annotates "${fp.type}"` });
+      });
+      if (fn.returnType && !typesAgree(normalizeType(contract.returns, aliases), normalizeType(fn.returnType, aliases))) {
+        found.push({ file: rel, line: fn.line, message: `@contract return type of ${name} is "${contract.returns}" but the signature annotates "${fn.returnType}"` });
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*p) where n=files, f=functions, p=params
+async function checkNoAny(projectPath, config, files, cache = createFileCache()) {
+  const usesAny = /(^|[^\w$.'"])any(?![\w$])/;
+  const violations = await eachTsFile(projectPath, files, cache, (parsed, rel) => {
+    const found = [];
+    for (const { fn } of publicFunctions(parsed)) {
+      const name = describeFunction(fn);
+      for (const p of fn.params) {
+        if (p.type && usesAny.test(p.type)) {
+          found.push({ file: rel, line: p.line, message: `Public API ${name} types parameter "${p.name}" as any` });
+        }
+      }
+      if (fn.returnType && usesAny.test(fn.returnType)) {
+        found.push({ file: rel, line: fn.line, message: `Public API ${name} returns any` });
+      }
+    }
+    return found;
+  });
+  return { violations };
+}
+
+// @contract: (projectPath:str, config:object, files:str[], cache?:object) -> Promise<object>
+// @pure: false
+// @complexity: O(n*f*p) where n=files, f=functions, p=params
+// AOCS-INVARIANT: `x?: T` and `x = default` both count as optional (U12)
+async function checkOptionalParams(projectPath, config, files, cache = createFileCache()) {
+  const violations = await eachTsFile(projectPath, files, cache, (parsed, rel) => publicFunctions(parsed)
+    .filter(entry => entry.exported)
+    .flatMap(({ fn }) => fn.params.filter(p => p.optional).map(p => ({
+      file: rel,
+      line: p.line,
+      message: `Exported function ${describeFunction(fn)} has optional parameter "${p.name}"; use overloads or separate functions`
+    }))));
+  return { violations };
+}
+
+export const typescriptRules = [
+  {
+    id: 'TS1-contract-types',
+    name: '@contract types match TypeScript annotations',
+    level: 'error',
+    scope: 'file',
+    check: checkContractTypes
+  },
+  {
+    id: 'TS2-no-any',
+    name: 'No any in public APIs',
+    level: 'error',
+    scope: 'file',
+    check: checkNoAny
+  },
+  {
+    id: 'TS3-optional-params',
+    name: 'No optional parameters in exported functions',
+    level: 'error',
+    scope: 'file',
+    check: checkOptionalParams
+  }
+];
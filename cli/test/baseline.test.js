@@ -0,0 +1,137 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary projects
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validate, baselineProject } from '../src/index.js';
+import { fingerprint, buildBaseline, checkBaseline, applyBaseline } from '../src/core/baseline.js';
+
+describe('baseline helpers', () => {
+  it('fingerprints the violating line, not its number', () => {
+    const v = { ruleId: 'U2-contracts', file: 'src/a.js', line: 3, message: 'Missing @contract' };
+    const moved = { ...v, line: 5 };
+    assert.strictEqual(fingerprint(v, ['', '', 'export function a() {}']), fingerprint(moved, ['', '', '', '', '  export   function a() {}']));
+    assert.notStrictEqual(fingerprint(v, ['', '', 'export function a() {}']), fingerprint(v, ['', '', 'export function b() {}']));
+    assert.strictEqual(fingerprint({ ...v, line: 9 }, ['']), fingerprint({ ...v, line: 9 }, null));
+  });
+
+  it('hides one violation per entry and returns the rest as fixed', () => {
+    const a = { ruleId: 'X1', file: 'a.js', message: 'same' };
+    const b = { ruleId: 'X1', file: 'a.js', message: 'same' };
+    const c = { ruleId: 'X1', file: 'a.js', message: 'other' };
+    const results = [{ id: 'X1', violations: [a, b, c] }];
+    const fingerprints = new Map([[a, 'f1'], [b, 'f1'], [c, 'f2']]);
+    const entries = [{ ruleId: 'X1', file: 'a.js', message: 'same', fingerprint: 'f1' }, { ruleId: 'X1', file: 'b.js', message: 'other', fingerprint: 'f3' }];
+    const applied = applyBaseline(results, fingerprints, entries);
+    assert.deepStrictEqual(applied.results[0].violations, [b, c]);
+    assert.strictEqual(applied.matched, 1);
+    assert.deepStrictEqual(applied.fixed, [entries[1]]);
+  });
+
+  it('falls back to rule, file and message only for file-level findings', () => {
+    const header = { ruleId: 'X1', file: 'src\\a.js', line: 1, message: 'm' };
+    const entries = [{ ruleId: 'X1', file: 'src/a.js', message: 'm', fingerprint: 'old' }];
+    const applied = applyBaseline([{ id: 'X1', violations: [header] }], new Map([[header, 'new']]), entries);
+    assert.deepStrictEqual(applied.results[0].violations, []);
+    assert.deepStrictEqual(applied.fixed, []);
+
+    const inBody = { ...header, line: 7 };
+    const edited = applyBaseline([{ id: 'X1', violations: [inBody] }], new Map([[inBody, 'new']]), entries);
+    assert.deepStrictEqual(edited.results[0].violations, [inBody]);
+    assert.deepStrictEqual(edited.fixed, entries);
+  });
+
+  it('sorts entries and rejects malformed documents', () => {
+    const doc = buildBaseline([
+      { ruleId: 'U2', file: 'b.js', fingerprint: '1', message: 'm' },
+      { ruleId: 'U2', file: 'a.js', fingerprint: '2', message: 'm' }
+    ]);
+    assert.deepStrictEqual(doc.violations.map(e => e.file), ['a.js', 'b.js']);
+    assert.deepStrictEqual(checkBaseline(doc), []);
+    assert.strictEqual(checkBaseline([]).length, 1);
+    assert.match(checkBaseline({ aocsBaseline: 2, violations: [] })[0], /aocsBaseline must be 1/);
+    assert.deepStrictEqual(checkBaseline({ aocsBaseline: 1, violations: [{ ruleId: 'U2' }] }), ['violations/0 must have string ruleId, fingerprint and message']);
+  });
+});
+
+describe('aocs baseline', () => {
+  let root;
+  const source = (...lines) => writeFile(path.join(root, 'src/a.js'), lines.join('\n') + '\n', 'utf-8');
+  const run = () => validate(root, { rules: ['U2-contracts'] });
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'aocs-baseline-'));
+    await mkdir(path.join(root, 'src'));
+    await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict"}', 'utf-8');
+    await source('// AOCS-ROLE: pure-logic', 'export function a() {}');
+  });
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('writes every current violation to aocs-baseline.json', async () => {
+    const written = await baselineProject(root);
+    assert.strictEqual(written.file, 'aocs-baseline.json');
+    assert.deepStrictEqual(written.errors, []);
+    const doc = JSON.parse(await readFile(path.join(root, 'aocs-baseline.json'), 'utf-8'));
+    assert.strictEqual(doc.aocsBaseline, 1);
+    assert.strictEqual(doc.violations.length, written.entries);
+    assert.ok(doc.violations.some(e => e.ruleId === 'U2-contracts' && e.file === 'src/a.js'));
+  });
+
+  it('passes while only baselined violations remain, even after they move', async () => {
+    await source('// AOCS-ROLE: pure-logic', '', '// moved down', 'export function a() {}');
+    const result = await run();
+    assert.strictEqual(result.failed, 0);
+    assert.deepStrictEqual(result.baseline, { matched: 1, fixed: 0 });
+    assert.strictEqual((await validate(root, { rules: ['U2-contracts'], baseline: false })).failed, 1);
+  });
+
+  it('keeps matching when a header is inserted above the violation', async () => {
+    await source('// AOCS-ROLE: pure-logic', '// @module: a', 'export function a() {}');
+    assert.deepStrictEqual((await run()).baseline, { matched: 1, fixed: 0 });
+  });
+
+  it('fails on a new violation and warns about fixed entries', async () => {
+    await source('// AOCS-ROLE: pure-logic', 'export function a() {}', 'export function b() {}');
+    const added = await run();
+    assert.strictEqual(added.failed, 1);
+    assert.deepStrictEqual(added.violations.filter(v => v.ruleId === 'U2-contracts').map(v => v.line), [3]);
+
+    await source('// AOCS-ROLE: pure-logic', 'export const a = 1;');
+    const result = await run();
+    assert.strictEqual(result.failed, 0);
+    const fixed = result.results.find(r => r.id === 'aocs-baseline-fixed');
+    assert.strictEqual(fixed.level, 'warn');
+    assert.match(fixed.violations[0].message, /Baselined U2-contracts violation in src\/a\.js is fixed/);
+  });
+
+  it('reports a new violation that replaces a deleted baselined one', async () => {
+    await source('// AOCS-ROLE: pure-logic', 'export function g() {}');
+    await baselineProject(root);
+    await source('// AOCS-ROLE: pure-logic', 'export function h() {}');
+    const result = await run();
+    assert.strictEqual(result.failed, 1);
+    assert.deepStrictEqual(result.violations.filter(v => v.ruleId === 'U2-contracts').map(v => v.line), [2]);
+    assert.deepStrictEqual(result.baseline, { matched: 0, fixed: 1 });
+  });
+
+  it('matches entries for warnings validate reports itself', async () => {
+    await source('// AOCS-ROLE: pure-logic', '// aocs-ignore U2-contracts: kept for the next release', 'export const a = 1;');
+    await baselineProject(root);
+    const result = await run();
+    assert.deepStrictEqual(result.baseline, { matched: 1, fixed: 0 });
+    assert.deepStrictEqual(result.violations, []);
+  });
+
+  it('fails the run when the baseline cannot be read', async () => {
+    await writeFile(path.join(root, 'aocs-baseline.json'), '{"aocsBaseline": 1}', 'utf-8');
+    const result = await run();
+    const broken = result.results.find(r => r.id === 'aocs-baseline');
+    assert.strictEqual(broken.level, 'error');
+    assert.match(broken.violations[0].message, /violations must be an array/);
+  });
+});
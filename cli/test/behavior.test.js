@@ -0,0 +1,71 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: parsing fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { validate } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/parsing');
+
+// @contract: (file:str, ruleId?:str) -> Promise<str[]>
+// @pure: false
+async function run(file, ruleId = 'U9-role-behavior') {
+  const result = await validate(fixture, { rules: [ruleId], files: [`src/${file}`] });
+  return result.violations.map(v => `${v.line}:${v.message}`);
+}
+
+describe('role behavior', () => {
+  it('names IO imports, DOM access, output and module-level mutation in pure-logic files', async () => {
+    assert.deepStrictEqual(await run('roles.js'), [
+      '4:IO import "node:fs" is not allowed in pure-logic files (only io-boundary, adapter)',
+      '12:Mutation of module-level "count" is not allowed in pure-logic files (only state-machine)',
+      '13:Mutation of module-level "cache" is not allowed in pure-logic files (only state-machine)',
+      '16:Terminal output console.log() is not allowed in pure-logic files (only ui-binding, io-boundary, adapter)',
+      '17:DOM access "document" is not allowed in pure-logic files (only ui-binding)'
+    ]);
+  });
+
+  it('lets ui-binding files touch the DOM and console but not IO', async () => {
+    assert.deepStrictEqual(await run('view.js'), [
+      '4:IO import "fs/promises" is not allowed in ui-binding files (only io-boundary, adapter)',
+      '10:IO call fetch() is not allowed in ui-binding files (only io-boundary, adapter)'
+    ]);
+  });
+});
+
+describe('purity', () => {
+  it('flags effects, nondeterminism, mutation and impure calls in functions marked pure', async () => {
+    assert.deepStrictEqual(await run('purity.js', 'U2-purity'), [
+      '19:total is marked pure but mutates parameter "items"',
+      '19:total is marked pure but calls Math.random()',
+      '20:total is marked pure but mutates outer variable "hits"',
+      '21:total is marked pure but calls "log", which is marked @pure: false',
+      '22:total is marked pure but calls Date.now()',
+      '27:load has @pure: true but AOCS-PURE: false',
+      '29:load is marked pure but uses "readFileSync" from fs'
+    ]);
+  });
+});
+
+describe('@throws', () => {
+  it('compares declared errors with throw sites, rethrows and annotated callees', async () => {
+    assert.deepStrictEqual(await run('throws.js', 'U6-throws'), [
+      '12:check throws TypeError but @throws does not declare it',
+      '22:isValid is declared @throws: never but rethrows a caught error',
+      '30:total is declared @throws: never but calls check(), which throws ValidationError',
+      '35:@throws declares RangeError but checkAll never throws it'
+    ]);
+  });
+});
+
+describe('hints', () => {
+  it('reads hints from comments only, not from strings or templates', async () => {
+    assert.deepStrictEqual(await run('hints.js', 'U10-hints'), [
+      '12:AOCS-INVARIANT hint is malformed or empty (must have format: AOCS-INVARIANT: value)',
+      '15:AOCS-PURE hint is malformed or empty (must have format: AOCS-PURE: value)'
+    ]);
+  });
+});
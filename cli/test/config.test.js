@@ -0,0 +1,119 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: aocs.json sources, published schema
+// AOCS-OUTPUTS: test results
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { checkConfigText, loadSchema, describeConfigError } from '../src/core/config.js';
+import { validateSchema, closestMatch } from '../src/core/json-schema.js';
+import { locateJson } from '../src/core/json-locate.js';
+import { modes } from '../src/core/profiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('json schema', () => {
+  it('reports draft-07 keyword failures at JSON pointers', () => {
+    const schema = {
+      definitions: { level: { enum: ['off', 'warn', 'error'] } },
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 2, pattern: '^[a-z]' },
+        count: { type: 'integer', minimum: 1, exclusiveMaximum: 10 },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 3 },
+        level: { $ref: '#/definitions/level' },
+        pair: { type: 'array', items: [{ type: 'number' }], additionalItems: false }
+      },
+      dependencies: { count: ['tags'] },
+      additionalProperties: false
+    };
+
+    assert.deepStrictEqual(validateSchema(schema, { name: 'ok', count: 3, tags: ['a'], level: 'warn', pair: [1] }), []);
+    assert.deepStrictEqual(validateSchema(schema, { count: 1.5, tags: ['a', 'a', 3], level: 'wran', pair: [1, 2], nmae: 'x' }).map(e => `${e.pointer} ${e.keyword}`), [
+      ' required',
+      '/count type',
+      '/tags/2 type',
+      '/tags/1 uniqueItems',
+      '/level enum',
+      '/pair/1 false',
+      '/nmae additionalProperties'
+    ]);
+    assert.strictEqual(validateSchema(schema, { name: 'X' })[0].message, 'must be at least 2 characters');
+    assert.strictEqual(validateSchema(schema, { name: 'ok', level: 'wran' })[0].suggestion, 'warn');
+    assert.strictEqual(validateSchema(schema, { name: 'ok', nmae: 1 })[0].suggestion, 'name');
+  });
+
+  it('explains oneOf/anyOf failures with the branch whose type matched', () => {
+    const schema = { oneOf: [{ type: 'string', enum: ['off', 'warn'] }, { type: 'object', additionalProperties: false }] };
+    assert.deepStrictEqual(validateSchema(schema, 'fatal').map(e => e.keyword), ['enum']);
+    assert.deepStrictEqual(validateSchema(schema, { x: 1 }).map(e => e.pointer), ['/x']);
+    assert.deepStrictEqual(validateSchema(schema, 3).map(e => e.message), ['does not match any of the allowed shapes']);
+    assert.deepStrictEqual(validateSchema({ anyOf: [{ minimum: 0 }, { type: 'string' }], not: { const: 5 } }, 5).map(e => e.keyword), ['not']);
+    assert.deepStrictEqual(validateSchema({ if: { type: 'string' }, then: { maxLength: 1 }, else: { type: 'number' } }, 'ab').map(e => e.keyword), ['maxLength']);
+  });
+
+  it('suggests only close matches', () => {
+    assert.strictEqual(closestMatch('strickt', ['lite', 'strict']), 'strict');
+    assert.strictEqual(closestMatch('Strict', ['lite', 'strict']), 'strict');
+    assert.strictEqual(closestMatch('paths', ['level', 'overrides']), null);
+  });
+});
+
+describe('aocs.json', () => {
+  let schema;
+  before(async () => {
+    schema = await loadSchema();
+  });
+
+  it('loads the published schema', async () => {
+    const published = JSON.parse(await readFile(path.join(__dirname, '../../docs/standard/aocs-schema.json'), 'utf-8'));
+    assert.deepStrictEqual(schema, published);
+    assert.deepStrictEqual(schema.properties.mode.enum, modes);
+  });
+
+  it('locates every value and member key', () => {
+    const positions = locateJson('{\n  "a/b": [1, {"c": "x,}"}],\n  "d": null\n}');
+    assert.deepStrictEqual([...positions.keys()], ['', '/a~1b', '/a~1b/0', '/a~1b/1', '/a~1b/1/c', '/d']);
+    assert.deepStrictEqual(positions.get('/a~1b/1/c'), { line: 2, column: 20, key: { line: 2, column: 15 } });
+    assert.deepStrictEqual(positions.get('/d'), { line: 3, column: 8, key: { line: 3, column: 3 } });
+  });
+
+  it('reports schema errors with pointers, positions and suggestions', () => {
+    const text = [
+      '{',
+      '  "aocsVersion": "0.8",',
+      '  "lanugages": ["javascript", 3],',
+      '  "mode": "strickt",',
+      '  "roles": ["config", "adapter", "io-boundry"],',
+      '  "rules": { "U9-file-roles": "fatal" }',
+      '}'
+    ].join('\n');
+
+    assert.deepStrictEqual(checkConfigText(text, schema).errors.map(describeConfigError), [
+      'aocs.json:1:1: (root) is missing required property "languages"',
+      'aocs.json:3:3: /lanugages is not an allowed property; did you mean "languages"?',
+      'aocs.json:4:11: /mode must be one of "lite", "strict" (found "strickt"); did you mean "strict"?',
+      'aocs.json:5:34: /roles/2 must be one of "pure-logic", "state-machine", "adapter", "ui-binding", "io-boundary", "config" (found "io-boundry"); did you mean "io-boundary"?',
+      'aocs.json:6:31: /rules/U9-file-roles must be one of "off", "warn", "error" (found "fatal")'
+    ]);
+  });
+
+  it('checks array items and reports invalid JSON with a position', () => {
+    const items = checkConfigText('{"aocsVersion": "0.8", "languages": ["javascript", 3], "mode": "lite"}', schema);
+    assert.deepStrictEqual(items.errors, [{ file: 'aocs.json', line: 1, column: 52, message: '/languages/1 must be a string (found number)' }]);
+    const broken = checkConfigText('{\n  "mode": "lite",\n}', schema);
+    assert.strictEqual(broken.config, null);
+    assert.deepStrictEqual([broken.errors[0].line, broken.errors[0].column], [3, 1]);
+    assert.match(describeConfigError(broken.errors[0]), /^aocs\.json:3:1: invalid JSON: /);
+    assert.strictEqual(describeConfigError({ file: 'aocs.json', message: 'aocs.json not found at /x/aocs.json' }), 'aocs.json not found at /x/aocs.json');
+  });
+
+  it('accepts the repository contract and every fixture contract', async () => {
+    for (const dir of ['../..', 'fixtures/valid', 'fixtures/rule-config', 'fixtures/plugins', 'fixtures/languages']) {
+      const text = await readFile(path.join(__dirname, dir, 'aocs.json'), 'utf-8');
+      assert.deepStrictEqual(checkConfigText(text, schema).errors, [], dir);
+    }
+  });
+});
@@ -0,0 +1,60 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: contract strings, parsing fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { parseContract, splitTopLevel } from '../src/core/contract-grammar.js';
+import { validate } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/parsing');
+
+describe('contract grammar', () => {
+  it('parses params, defaults, unions and constraints', () => {
+    const c = parseContract('(items:Map<str, num>, d?:int=30, ...rest:str|null) -> Promise<bool> | d > 0');
+    assert.strictEqual(c.ok, true);
+    assert.deepStrictEqual(c.params.map(p => [p.name, p.type, p.optional, p.rest, p.defaultValue]), [
+      ['items', 'Map<str, num>', false, false, null],
+      ['d', 'int', true, false, '30'],
+      ['rest', 'str|null', false, true, null]
+    ]);
+    assert.strictEqual(c.returns, 'Promise<bool>');
+    assert.strictEqual(c.constraints, 'd > 0');
+  });
+
+  it('accepts unnamed params and an empty list', () => {
+    assert.deepStrictEqual(parseContract('(str, num) -> void').params.map(p => p.name), [null, null]);
+    assert.deepStrictEqual(parseContract('() -> void').params, []);
+  });
+
+  it('reports malformed contracts with a reason', () => {
+    assert.strictEqual(parseContract('a:str -> num').error, 'must start with a parameter list "(...)"');
+    assert.strictEqual(parseContract('(a:str) num').error, 'expected "->" after the parameter list');
+    assert.strictEqual(parseContract('(a:str) ->').error, 'missing return type after "->"');
+    assert.strictEqual(parseContract('(a:str,) -> num').error, 'empty parameter');
+    assert.strictEqual(parseContract('(a:) -> num').error, 'parameter "a" has no type');
+    assert.strictEqual(parseContract('(a:{b:num) -> x').error, 'unbalanced ")" at column 10');
+  });
+
+  it('splits only at the top level', () => {
+    assert.deepStrictEqual(splitTopLevel('a:{b, c}, d:Map<k, v>', ','), ['a:{b, c}', ' d:Map<k, v>']);
+  });
+});
+
+describe('contract signature check', () => {
+  it('flags malformed contracts, count and name mismatches, and non-Promise async returns', async () => {
+    const result = await validate(fixture, {
+      rules: ['U2-contract-signatures'],
+      files: ['src/signatures.js']
+    });
+    const found = result.violations.map(v => `${v.severity}:${v.line}:${v.message}`);
+    assert.deepStrictEqual(found, [
+      'error:11:@contract declares 1 parameter(s) but twice takes 2',
+      'error:16:@contract parameter 1 is "value" but scale declares "n"',
+      'error:20:Malformed @contract for label: unbalanced ")" at column 19',
+      'warn:25:async load should declare a Promise<…> return in its @contract (found "object")'
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: source snippets, fixable fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { fixSource } from '../src/core/fixer.js';
+import { unifiedDiff } from '../src/core/diff.js';
+import { fixProject } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/fixable');
+
+describe('fixSource', () => {
+  it('adds a role header, manifest and contract skeletons to a JS module', () => {
+    const { source, fixes } = fixSource([
+      "import { join } from 'path';",
+      "export { helper as help } from './util/helper.js';",
+      '',
+      'export function area(w: number, h?: number): number {',
+      '  return w * (h ?? 1);',
+      '}'
+    ].join('\n'), 'src/geometry.ts');
+    assert.strictEqual(source, [
+      '// AOCS-ROLE: pure-logic',
+      '// @module: geometry',
+      '// @exports: help, area',
+      '// @depends: path, util/helper',
+      "import { join } from 'path';",
+      "export { helper as help } from './util/helper.js';",
+      '',
+      '// @contract: (w:num, h?:num) -> num',
+      'export function area(w: number, h?: number): number {',
+      '  return w * (h ?? 1);',
+      '}'
+    ].join('\n'));
+    assert.deepStrictEqual(fixes, ['added @contract for area', 'added AOCS-ROLE header', 'added @module, @exports, @depends manifest']);
+  });
+
+  it('uses each file type\'s comment syntax for the role header', () => {
+    assert.strictEqual(fixSource('<!DOCTYPE html>\n<p></p>', 'index.html').source, '<!DOCTYPE html>\n<!-- AOCS-ROLE: ui-binding -->\n<p></p>');
+    assert.strictEqual(fixSource('a { }', 'site.css').source, '/* AOCS-ROLE: ui-binding */\na { }');
+    assert.strictEqual(fixSource('x = 1', 'job.py').source, '# AOCS-ROLE: pure-logic\nx = 1');
+  });
+
+  it('completes a partial manifest and leaves correct files untouched', () => {
+    const partial = '// AOCS-ROLE: config\n// @module: limits\n\nexport const max = 3;\n';
+    assert.strictEqual(fixSource(partial, 'limits.js').source,
+      '// AOCS-ROLE: config\n// @module: limits\n// @exports: max\n// @depends: none\n\nexport const max = 3;\n');
+    const done = '// AOCS-ROLE: config\n';
+    assert.deepStrictEqual(fixSource(done, 'empty.js'), { source: done, fixes: [] });
+  });
+
+  it('rewrites malformed hints but leaves empty ones alone', () => {
+    const { source } = fixSource('// AOCS-ROLE: config\n// AOCS-INVARIANT - n > 0\n// AOCS-INVARIANT\n', 'h.js');
+    assert.strictEqual(source, '// AOCS-ROLE: config\n// AOCS-INVARIANT: n > 0\n// AOCS-INVARIANT\n');
+  });
+
+  it('leaves hint names in strings alone', () => {
+    const source = "// AOCS-ROLE: config\nconst a = '// AOCS-PURE true'; // AOCS-PURE true\n";
+    assert.deepStrictEqual(fixSource(source, 'h.js'), {
+      source: "// AOCS-ROLE: config\nconst a = '// AOCS-PURE true'; // AOCS-PURE: true\n",
+      fixes: ['rewrote malformed hint on line 2']
+    });
+  });
+});
+
+describe('unifiedDiff', () => {
+  it('prints hunks with context and correct ranges', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const after = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+    assert.strictEqual(unifiedDiff(before, after, 'x.txt'), [
+      '--- a/x.txt', '+++ b/x.txt', '@@ -8,3 +8,4 @@', ' h', ' i', ' j', '+k', ''
+    ].join('\n'));
+    assert.strictEqual(unifiedDiff(before, before, 'x.txt'), '');
+  });
+});
+
+describe('fixProject', () => {
+  it('returns diffs without writing files in dry-run mode', async () => {
+    const file = path.join(fixture, 'src/loader.js');
+    const original = await readFile(file, 'utf-8');
+    const { changed, errors } = await fixProject(fixture, { dryRun: true, files: ['src/loader.js', 'src/job.py'] });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(changed.map(c => c.file), ['src/loader.js', 'src/job.py']);
+    assert.strictEqual(changed[0].diff, [
+      '--- a/src/loader.js',
+      '+++ b/src/loader.js',
+      '@@ -1,8 +1,13 @@',
+      ' #!/usr/bin/env node',
+      '+// AOCS-ROLE: io-boundary',
+      '+// @module: loader',
+      '+// @exports: load',
+      '+// @depends: fs, lib/parser',
+      " import { readFile } from 'node:fs/promises';",
+      " import { parse } from '../lib/parser.js';",
+      ' ',
+      '-// AOCS-PURE false',
+      '+// AOCS-PURE: false',
+      '+// @contract: (path:any, object) -> Promise<any>',
+      ' export async function load(path, { encoding } = {}) {',
+      '   return parse(await readFile(path, encoding));',
+      ' }',
+      ''
+    ].join('\n'));
+    assert.strictEqual(await readFile(file, 'utf-8'), original);
+  });
+
+  it('scans the file types plugin languages register', async () => {
+    const { changed, errors } = await fixProject(path.join(__dirname, 'fixtures/plugins'), { dryRun: true });
+    assert.deepStrictEqual(errors, []);
+    assert.ok(changed.some(c => c.file === 'src/panel.widget'));
+  });
+});
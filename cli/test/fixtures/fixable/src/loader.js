@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { parse } from '../lib/parser.js';
+
+// AOCS-PURE false
+export async function load(path, { encoding } = {}) {
+  return parse(await readFile(path, encoding));
+}
@@ -0,0 +1,44 @@
+// @module: billing
+// @exports: charge, refund, Ledger, formatAmount, parseAmount
+// @depends: none
+
+type Cents = number;
+type Order = { items: string[] };
+
+// @contract: (amt:num, currency:str) -> str
+// @pure: true
+export function formatAmount(amt: Cents, currency: string): string {
+  return `${amt} ${currency}`;
+}
+
+// @contract: (o:Order{items:NonEmpty}, retries:num) -> Promise<bool>
+// @pure: false
+export async function charge(o: Order, retries: string): Promise<boolean> {
+  return o.items.length > retries.length;
+}
+
+// @contract: (id:str, reason?:str) -> num
+// @pure: true
+export const refund = (id: string, reason?: string): string => id + (reason ?? '');
+
+// @contract: (raw:str, base:num=10) -> num|null
+// @pure: true
+function parseAmount(raw: string, base = 10): null | number {
+  return Number.parseInt(raw, base) || null;
+}
+
+export class Ledger {
+  // @contract: (entry:object) -> void
+  // @pure: false
+  record(entry: any): void {}
+
+  // @contract: (id:str) -> any
+  // @pure: true
+  lookup(id: string): any { return id; }
+
+  private debug(data: any): void {}
+}
+
+// @contract: (x:any) -> void
+// @pure: true
+function internal(x: any): void {}
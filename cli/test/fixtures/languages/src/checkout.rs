@@ -0,0 +1,109 @@
+// AOCS-ROLE: state-machine
+// @module: checkout
+// @exports: CheckoutState, transition
+
+use std::any::Any;
+
+#[derive(Debug)]
+pub enum PaymentError {
+    EmptyOrder,
+    Declined { code: u32 },
+}
+
+pub enum CheckoutState {
+    Cart { items: Vec<String> },
+    Confirmed,
+}
+
+// @state-manifest: Phase with variants
+pub enum Phase {
+    Open,
+    Closed,
+}
+
+enum Light {
+    Red,
+    Green,
+}
+
+static mut COUNTER: u32 = 0;
+
+// @contract: (l:Light) -> Light
+fn next(l: Light) -> Light {
+    match l { Light::Red => Light::Green, Light::Green => Light::Red }
+}
+
+// @contract: (items:Vec<String>) -> Result<u32, PaymentError>
+// @throws: EmptyOrderError | Refunded
+#[inline]
+pub fn charge(items: Vec<String>) -> Result<u32, PaymentError> {
+    if items.is_empty() {
+        return Err(PaymentError::EmptyOrder);
+    }
+    fn helper() -> Result<(), PaymentError> { Err(PaymentError::Declined { code: 2 }) }
+    Err(PaymentError::Declined { code: 1 })
+}
+
+// @contract: (s:&str) -> u32
+// @throws: ParseError
+pub fn parse(s: &str) -> u32 {
+    let _ = s.len();
+    s.parse().unwrap()
+}
+
+/// Docs without a contract
+pub fn untracked() -> std::io::Result<()> {
+    let text = "pub fn fake() {} unsafe { }";
+    let raw = r#"unwrap() "quoted""#;
+    let c = '"';
+    Ok(())
+}
+
+pub(crate) fn internal<'a>(x: &'a str) -> &'a str {
+    x
+}
+
+pub struct Reader;
+
+impl Reader {
+    // @contract: (self) -> Box<dyn Any>
+    // @throws: never
+    pub fn boxed(&self) -> Box<dyn Any> {
+        Box::new(1)
+    }
+
+    pub fn size(&self) -> usize {
+        0
+    }
+
+    fn private(&self) {}
+}
+
+impl std::fmt::Display for Reader {
+    fn fmt(&self, f: &mut std::fmt::Formatter<'_>) -> std::fmt::Result {
+        write!(f, "reader")
+    }
+}
+
+// @contract: (p:*const u8) -> u8
+// UNSAFE: caller guarantees p is valid
+pub unsafe fn read_raw(p: *const u8) -> u8 {
+    *p
+}
+
+// @contract: (p:*const u8) -> u8
+pub fn peek(p: *const u8) -> u8 {
+    // SAFETY: p comes from a live slice
+    let a = unsafe { *p };
+    let b = unsafe { *p };
+    let c: u32 = unsafe { std::mem::transmute(1.0f32) };
+    a + b
+}
+
+#[cfg(test)]
+mod tests {
+    #[test]
+    fn works() {
+        super::parse("1").to_string().parse::<u32>().unwrap();
+    }
+}
@@ -0,0 +1,22 @@
+# AOCS-ROLE: io-boundary
+import importlib
+
+counter = 0
+
+
+def _bump():
+    global counter
+    counter += 1
+    value = eval("1 + 1")
+    exec(compile("x = 1", "<s>", "exec"))
+    name = getattr(counter, 'real')
+    setattr(_bump, 'calls', 1)
+    mod = importlib.import_module('json')
+    other = __import__('os')
+    env = globals()
+    text = obj.eval(1)
+    return value
+
+
+def eval_safely(x):
+    return x
@@ -0,0 +1,7 @@
+// AOCS-ROLE: config
+package late
+
+// @module: late
+// @exports: Limit
+
+const Limit = 3
@@ -0,0 +1,77 @@
+// AOCS-ROLE: pure-logic
+// @module: orders
+// @exports: Order, ProcessOrder, MaxItems, Stale
+// @depends: errors, paymentgateway
+
+package orders
+
+import (
+	"errors"
+	pg "example.com/payment/gateway"
+	"reflect"
+)
+
+// ErrEmpty is returned for orders without items
+var ErrEmpty = errors.New("empty order")
+
+var cache = map[string]int{}
+
+const (
+	MaxItems = 10
+	minItems = 1
+)
+
+type Order struct {
+	Items []string
+}
+
+type Status string
+
+// @contract: (o:Order) -> (int, error)
+// @throws: ErrEmpty
+func ProcessOrder(o Order) (int, error) {
+	if len(o.Items) == 0 {
+		return 0, ErrEmpty
+	}
+	return len(o.Items), nil
+}
+
+// @contract: (o:*Order) -> int
+// @throws: ErrEmpty
+func (o *Order) Count() int {
+	return len(o.Items)
+}
+
+func (o Order) Total() (total int, err error) {
+	return 0, nil
+}
+
+// @contract: () -> error
+func validate() error {
+	s := "func Fake() {}"
+	_ = s
+	return nil
+}
+
+// @contract: (v:any) -> str
+// @throws: never
+func Describe(v interface{}) (string, error) {
+	if n, ok := v.(int); ok {
+		_ = n
+	}
+	switch x := v.(type) {
+	case string:
+		return x, nil
+	}
+	s := v.(string)
+	if s == "" {
+		panic("empty")
+	}
+	goto done
+done:
+	return s, nil
+}
+
+func init() {
+	_ = reflect.TypeOf(pg.Client{})
+}
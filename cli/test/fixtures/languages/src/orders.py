@@ -0,0 +1,54 @@
+# AOCS-ROLE: pure-logic
+# AOCS-INPUTS: orders
+# AOCS-OUTPUTS: totals
+# @module: orders
+# @exports: Order, order_total, legacy_total
+
+__all__ = ['Order', 'order_total', 'refund']
+
+DEFAULTS = {"note": "# @contract: not a comment", 'eval': "eval(x)"}
+
+
+# @contract: (o:Order) -> Decimal
+# @pure: true
+def order_total(o):
+    return sum(i.price for i in o.items)
+
+
+def refund(o, amount=0):
+    return amount
+
+
+def _helper(x):
+    def inner(y):
+        return y
+    return inner(x)
+
+
+class Order:
+    # @contract: (self, items:list) -> None
+    def __init__(self, items):
+        self.items = items
+
+    @property
+    # @contract: (self) -> int
+    def size(self):
+        return len(self.items)
+
+    def addItem(self, item):
+        self.items.append(item)
+
+    def _internal(self):
+        """Docstring with def fake(): and eval(code)"""
+        return None
+
+
+class _Private:
+    def anything(self):
+        return 1
+
+
+class order_row:
+    # @contract: (self) -> str
+    def label(self):
+        return 'row'
@@ -0,0 +1,7 @@
+// AOCS-ROLE: config
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+// @module: barrel | @exports: add, total, utils | @depends: signatures, tricky
+export { add } from './signatures.js';
+export * as utils from './tricky.js';
+export * from './drift.js';
@@ -0,0 +1,14 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+// @module: deps
+// @depends: node:fs, path, lib/config, checks/*, lodash, ./stale.js
+
+import { readFile } from 'fs/promises';
+import { join } from 'node:path';
+import { loadConfig } from './lib/config.js';
+import { a } from './checks/a.js';
+import { b } from './checks/b.js';
+import fp from 'lodash/fp';
+import { parse } from 'url';
+export { helper } from './helper.js';
@@ -0,0 +1,15 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+// @module: drift
+// @exports: first, renamed, stale, main
+
+const first = 1;
+const internal = 2;
+
+export { first, internal as renamed };
+export const { second, third } = { second: 2, third: 3 };
+export { helper } from './helper.js';
+
+// @contract: () -> void
+export default function main() {}
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: argv
+// AOCS-OUTPUTS: none
+// @module: entry
+// @exports: none (CLI entry point)
+
+export const leaked = true;
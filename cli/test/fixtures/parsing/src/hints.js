@@ -0,0 +1,16 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+// @module: hints
+// @exports: labels, double
+
+export const labels = ['AOCS-INVARIANT', 'AOCS-PURE'];
+const help = `write AOCS-FAILS-ON: then the condition`;
+
+// @contract: (n:num) -> num
+// @pure: true
+// AOCS-INVARIANT
+// AOCS-COMPLEXITY: O(1)
+export function double(n) {
+  return n * 2 + help.length * 0; // AOCS-PURE true
+}
@@ -0,0 +1,41 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+import { readFileSync } from 'fs';
+
+let hits = 0;
+
+// @contract: (msg:str) -> void
+// @pure: false
+function log(msg) {
+  console.log(msg);
+}
+
+// @contract: (items:num[]) -> num
+// @pure: true
+export function total(items) {
+  const sorted = [...items];
+  sorted.sort();
+  items.push(Math.random());
+  hits++;
+  log('total');
+  return sorted.reduce((sum, n) => sum + n, Date.now());
+}
+
+// @contract: (path:str) -> str
+// @pure: true
+// AOCS-PURE: false
+export function load(path) {
+  return readFileSync(path, 'utf-8');
+}
+
+// @contract: (xs:num[]) -> num[]
+// AOCS-PURE: true
+export function double(xs) {
+  const out = [];
+  // @contract: (x:num) -> void
+  // @pure: false
+  const add = x => out.push(x * 2);
+  xs.forEach(add);
+  return out;
+}
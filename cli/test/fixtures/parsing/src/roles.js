@@ -0,0 +1,24 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+import { readFileSync } from 'node:fs';
+import { join } from 'path';
+
+let count = 0;
+const cache = new Map();
+
+// @contract: (n:num) -> num
+export function bump(n) {
+  count += n;
+  cache.set(n, join('a', 'b'));
+  const seen = [];
+  seen.push(n);
+  console.log(count);
+  return document.title.length;
+}
+
+// @contract: (count:num) -> num
+export function shadowed(count) {
+  count = count + 1;
+  return count;
+}
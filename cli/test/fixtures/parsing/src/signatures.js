@@ -0,0 +1,33 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: numbers
+// AOCS-OUTPUTS: numbers
+
+// @contract: (a:num, b:num) -> num
+export function add(a, b) {
+  return a + b;
+}
+
+// @contract: (a:num) -> num
+export function twice(a, b) {
+  return a * 2;
+}
+
+// @contract: (value:num, factor:num) -> num
+export function scale(n, factor) {
+  return n * factor;
+}
+
+// @contract: ({id:str, name:str) -> str
+export function label({ id, name }) {
+  return `${id}:${name}`;
+}
+
+// @contract: (id:str) -> object
+export async function load(id) {
+  return { id };
+}
+
+// @contract: ({id, name}:object, ...rest:any[]) -> Promise<str>
+export async function describe({ id, name }, ...rest) {
+  return `${id} ${name} ${rest.length}`;
+}
@@ -0,0 +1,38 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+
+class ValidationError extends Error {}
+class EmptyOrderError extends ValidationError {}
+
+// @contract: (order:object) -> void
+// @throws: ValidationError
+function check(order) {
+  if (!order.items.length) throw new EmptyOrderError('empty');
+  if (!order.id) throw new TypeError('missing id');
+}
+
+// @contract: (order:object) -> bool
+// @throws: never
+export function isValid(order) {
+  try {
+    check(order);
+    return true;
+  } catch (err) {
+    if (err instanceof TypeError) throw err;
+    return false;
+  }
+}
+
+// @contract: (order:object) -> num
+// @throws: never
+export function total(order) {
+  check(order);
+  return order.items.length;
+}
+
+// @contract: (orders:object[]) -> void
+// @throws: ValidationError | RangeError
+export function checkAll(orders) {
+  orders.forEach(order => check(order));
+}
@@ -0,0 +1,28 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: none
+// AOCS-OUTPUTS: none
+// @module: tricky
+// @exports: describeEval, total, format, late
+
+const note = 'never call eval(input) or Reflect.get here';
+const pattern = /eval\(/;
+let count = 0;
+
+// @contract: (input:str) -> str
+// @throws: never
+// @pure: true
+// @complexity: O(1)
+// AOCS-INVARIANT: result mentions eval
+// AOCS-FAILS-ON: never
+export function describeEval(input) { return `${note}: ${input}`; }
+
+/* a block comment */ count = count + 1; /* trailing */
+
+// @contract: (items:num[]) -> num
+export const total = items => items.reduce((a, b) => a + b, 0);
+
+export function format(value) { return String(value) + pattern.source; }
+
+// @contract: () -> void
+
+export function late() { leaked = eval('1'); }
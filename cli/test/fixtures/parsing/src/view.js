@@ -0,0 +1,11 @@
+// AOCS-ROLE: ui-binding
+// AOCS-INPUTS: DOM events
+// AOCS-OUTPUTS: DOM updates
+import { writeFile } from 'fs/promises';
+
+// @contract: (text:str) -> Promise<void>
+export async function show(text) {
+  document.title = text;
+  console.log(text);
+  await fetch('/log', { method: 'POST', body: text });
+}
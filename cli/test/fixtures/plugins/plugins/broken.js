@@ -0,0 +1,7 @@
+export const aocsPluginApi = 1;
+
+export const rules = [
+  { id: 'BRK1-level', name: 'Bad level', level: 'fatal', check: async () => ({ violations: [] }) },
+  { id: 'BRK2-check', name: 'No check', level: 'warn' },
+  { id: 'U2-contracts', name: 'Shadows a built-in', level: 'error', check: async () => ({ violations: [] }) }
+];
@@ -0,0 +1,9 @@
+export const aocsPluginApi = 1;
+
+export const rules = [
+  { id: 'HOUSE1-todo-owner', name: 'Same id as house-rules', level: 'warn', check: async () => ({ violations: [] }) }
+];
+
+export const languages = {
+  python: { extensions: ['.py'], rules: [] }
+};
@@ -0,0 +1,3 @@
+export const aocsPluginApi = 2;
+
+export const rules = [];
@@ -0,0 +1,24 @@
+import { readFile } from 'fs/promises';
+import { relative } from 'path';
+
+export const aocsPluginApi = 1;
+
+export const rules = [
+  {
+    id: 'HOUSE1-todo-owner',
+    name: 'TODOs name an owner',
+    level: 'warn',
+    check: async (projectPath, config, files) => {
+      const violations = [];
+      for (const file of files.filter(f => f.endsWith('.js'))) {
+        const lines = (await readFile(file, 'utf-8')).split('\n');
+        lines.forEach((text, i) => {
+          if (/TODO(?!\()/.test(text)) {
+            violations.push({ file: relative(projectPath, file), line: i + 1, message: 'TODO without (owner)' });
+          }
+        });
+      }
+      return { violations };
+    }
+  }
+];
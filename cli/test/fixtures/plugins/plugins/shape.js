@@ -0,0 +1,5 @@
+export const aocsPluginApi = 1;
+
+export const rules = [
+  { id: 'SHAPE1-array', name: 'Returns the wrong shape', level: 'warn', check: async () => [] }
+];
@@ -0,0 +1,26 @@
+import { readFile } from 'fs/promises';
+import { relative } from 'path';
+
+export const aocsPluginApi = 1;
+
+export const languages = {
+  widget: {
+    extensions: ['.widget'],
+    rules: [
+      {
+        id: 'WGT1-header',
+        name: 'Widget files start with a widget header',
+        level: 'error',
+        check: async (projectPath, config, files) => {
+          const violations = [];
+          for (const file of files.filter(f => f.endsWith('.widget'))) {
+            if (!(await readFile(file, 'utf-8')).startsWith('widget ')) {
+              violations.push({ file: relative(projectPath, file), line: 1, message: 'missing widget header' });
+            }
+          }
+          return { violations };
+        }
+      }
+    ]
+  }
+};
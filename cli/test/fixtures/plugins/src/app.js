@@ -0,0 +1,3 @@
+// TODO tidy this up
+// TODO(ana) rename once the API settles
+export const answer = 42;
@@ -0,0 +1,20 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: numbers
+// AOCS-OUTPUTS: numbers
+
+// aocs-ignore U2-contracts: kept for the v1 API, removed in 0.9
+export function legacyTotal(a, b) {
+  return a + b;
+}
+
+export function untracked(a) { return a; } // aocs-ignore U2-contracts
+
+// aocs-ignore U2-contracts: nothing here needs it
+// @contract: (a:num) -> num
+// @pure: true
+export function double(a) {
+  return a * 2;
+}
+
+// aocs-ignore U99-nope: typo
+export const x = 1;
@@ -0,0 +1 @@
+export const endpoint = '/api';
@@ -0,0 +1,111 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: synthetic check results
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { formatResults, formatWatchRun, summarize } from '../src/core/formatters.js';
+
+const results = [
+  { id: 'U8-repo-contract', name: 'Repository contract', level: 'error', violations: [] },
+  {
+    id: 'U2-contracts',
+    name: 'Function contracts (@contract)',
+    level: 'error',
+    violations: [{ file: 'src/a.js', line: 12, message: 'Exported function missing @contract annotation' }]
+  },
+  {
+    id: 'HTML1-interactive-ids',
+    name: 'Interactive elements',
+    level: 'warn',
+    violations: [{ file: 'site/index.html', line: 3, message: 'needs <id>, "data-action" & more' }]
+  }
+];
+
+describe('output formats', () => {
+  it('summarizes like the text reporter', () => {
+    assert.deepStrictEqual(summarize(results), { passed: 1, failed: 1, warnings: 1 });
+    assert.match(formatResults(results, 'text'), /Summary: 1 passed, 1 failed, 1 warnings$/);
+  });
+
+  it('names the applied rule profile', () => {
+    const meta = { version: '1.2.3', profile: { mode: 'lite', source: '--mode' } };
+    assert.match(formatResults(results, 'text', meta), /Summary: 1 passed, 1 failed, 1 warnings \(lite profile, set by --mode\)$/);
+    assert.deepStrictEqual(JSON.parse(formatResults(results, 'json', meta)).profile, meta.profile);
+    assert.deepStrictEqual(JSON.parse(formatResults(results, 'sarif', meta)).runs[0].properties, { profile: meta.profile });
+    assert.match(formatResults(results, 'junit', meta), /<!-- Summary: .* \(lite profile, set by --mode\) -->/);
+  });
+
+  it('renders a watch run as new and resolved violations', () => {
+    const added = { ruleId: 'U2-contracts', severity: 'error', file: 'src/a.js', line: 12, message: 'Exported function missing @contract annotation' };
+    const resolved = { ruleId: 'U10-hints', severity: 'warn', file: 'src/b.js', line: 3, message: 'hint is empty' };
+    const run = { result: { results, profile: { mode: 'strict', source: 'aocs.json' } }, diff: { added: [added], resolved: [resolved] }, changed: ['aocs.json', 'a', 'b', 'c'], reload: true };
+    assert.deepStrictEqual(formatWatchRun(run).split('\n'), [
+      'aocs.json, a, b and 1 more changed, configuration reloaded: 1 new, 1 resolved',
+      '  + ❌ src/a.js:12 — Exported function missing @contract annotation (U2-contracts)',
+      '  - ⚠️  src/b.js:3 — hint is empty (U10-hints)',
+      'Summary: 1 passed, 1 failed, 1 warnings (strict profile, set by aocs.json)'
+    ]);
+    assert.match(formatWatchRun({ ...run, diff: { added: [], resolved: [] }, changed: ['src/c.js'], reload: false }), /^src\/c\.js changed: no new or resolved violations\n/);
+  });
+
+  it('json carries rule id, level, file, line and message', () => {
+    const out = JSON.parse(formatResults(results, 'json', { version: '1.2.3' }));
+    assert.strictEqual(out.version, '1.2.3');
+    assert.deepStrictEqual(out.violations[0], {
+      ruleId: 'U2-contracts',
+      ruleName: 'Function contracts (@contract)',
+      level: 'error',
+      file: 'src/a.js',
+      line: 12,
+      column: null,
+      message: 'Exported function missing @contract annotation'
+    });
+  });
+
+  it('sarif 2.1.0 maps levels and locations', () => {
+    const sarif = JSON.parse(formatResults(results, 'sarif', { version: '1.2.3' }));
+    assert.strictEqual(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.deepStrictEqual(run.tool.driver.rules.map(r => r.id), ['U8-repo-contract', 'U2-contracts', 'HTML1-interactive-ids']);
+    assert.strictEqual(run.results[0].ruleIndex, 1);
+    assert.strictEqual(run.results[1].level, 'warning');
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 12 });
+  });
+
+  it('junit escapes xml and counts failures', () => {
+    const xml = formatResults(results, 'junit', { version: '1.2.3' });
+    assert.match(xml, /<testsuites name="aocs 1.2.3" tests="3" failures="1"/);
+    assert.match(xml, /&lt;id&gt;, &quot;data-action&quot; &amp; more/);
+    assert.match(xml, /<failure type="error"/);
+  });
+
+  it('github emits workflow annotations', () => {
+    const lines = formatResults(results, 'github').split('\n');
+    assert.deepStrictEqual(lines, [
+      '::error file=src/a.js,line=12,title=U2-contracts::Exported function missing @contract annotation',
+      '::warning file=site/index.html,line=3,title=HTML1-interactive-ids::needs <id>, "data-action" & more'
+    ]);
+  });
+
+  it('reports the rule id of violations in split results', () => {
+    const split = [
+      { id: 'U2-contract-signatures', name: 'Contract signatures', level: 'error', violations: [] },
+      {
+        id: 'U2-contract-signatures-warnings',
+        name: 'Contract signatures (warnings)',
+        level: 'warn',
+        violations: [{ ruleId: 'U2-contract-signatures', severity: 'warn', file: 'src/a.js', line: 4, message: 'arity mismatch' }]
+      }
+    ];
+    assert.deepStrictEqual(JSON.parse(formatResults(split, 'json')).violations.map(v => v.ruleId), ['U2-contract-signatures']);
+    assert.strictEqual(formatResults(split, 'github'), '::warning file=src/a.js,line=4,title=U2-contract-signatures::arity mismatch');
+    const [run] = JSON.parse(formatResults(split, 'sarif')).runs;
+    assert.deepStrictEqual(run.tool.driver.rules.map(r => r.id), ['U2-contract-signatures']);
+    assert.deepStrictEqual([run.results[0].ruleId, run.results[0].ruleIndex], ['U2-contract-signatures', 0]);
+    assert.match(formatResults(split, 'junit'), /<testcase classname="U2-contract-signatures" name="src\/a\.js:4/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatResults(results, 'yaml'), /Unknown output format: yaml/);
+  });
+});
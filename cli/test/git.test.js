@@ -0,0 +1,148 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary git repositories
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, readFile, rm, stat } from 'fs/promises';
+import { execFileSync, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validate, baselineProject, installHook } from '../src/index.js';
+
+describe('git-narrowed validation', () => {
+  let root;
+  const saved = {};
+  // @contract: (...args:str[]) -> str
+  // @pure: false
+  const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf-8' });
+  // @contract: (rel:str, ...lines:str[]) -> Promise<void>
+  // @pure: false
+  const write = (rel, ...lines) => writeFile(path.join(root, rel), lines.join('\n') + '\n', 'utf-8');
+  // @contract: (result:object, ruleId:str) -> str[]
+  // @pure: true
+  const filesFor = (result, ruleId) => result.violations.filter(v => v.ruleId === ruleId).map(v => v.file.split(path.sep).join('/')).sort();
+
+  before(async () => {
+    // Keep the machine's git config (hooksPath, signing, identity) out of the temporary repos
+    for (const key of Object.keys(process.env).filter(k => k.startsWith('GIT_'))) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    Object.assign(process.env, { GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: path.join(tmpdir(), 'aocs-no-gitconfig') });
+
+    root = await mkdtemp(path.join(tmpdir(), 'aocs-git-'));
+    await mkdir(path.join(root, 'src'));
+    await write('aocs.json', '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict"}');
+    await write('README.agent.md', '# Agent context');
+    await write('src/a.js', 'export function a() {}');
+    await write('src/b.js', '// aocs-ignore U2-contracts: legacy', 'export function b() {}');
+    await write('src/c.js', 'export function c() {}');
+    git('init', '-q');
+    git('add', '-A');
+    git('-c', 'user.name=t', '-c', 'user.email=t@example.com', 'commit', '-q', '-m', 'init');
+    await baselineProject(root);
+  });
+  after(async () => {
+    delete process.env.GIT_CONFIG_NOSYSTEM;
+    delete process.env.GIT_CONFIG_GLOBAL;
+    Object.assign(process.env, saved);
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('checks only staged files with per-file rules and still runs repo-level rules', async () => {
+    await write('src/a.js', 'export function a() {}', 'export function a2() {}');
+    await write('src/c.js', 'export function c() {}', 'export function c2() {}');
+    git('add', 'src/a.js');
+    const result = await validate(root, { staged: true });
+    assert.deepStrictEqual(filesFor(result, 'U2-contracts'), ['src/a.js']);
+    assert.ok(result.results.some(r => r.id === 'U8-repo-contract'));
+    assert.ok(result.results.some(r => r.id === 'U13-agent-readme'));
+    // Baseline entries and suppressions in files that weren't checked are left alone
+    assert.deepStrictEqual(result.baseline, { matched: 3, fixed: 0 });
+    assert.ok(!result.results.some(r => r.id.startsWith('aocs-ignore')));
+  });
+
+  it('checks the staged contents of a file, not its working tree copy', async () => {
+    // The index still holds a2(); the working tree goes back to the committed, baselined version
+    await write('src/a.js', 'export function a() {}');
+    const result = await validate(root, { staged: true });
+    assert.deepStrictEqual(result.violations.filter(v => v.ruleId === 'U2-contracts').map(v => `${v.file}:${v.line}`), ['src/a.js:2']);
+    await write('src/a.js', 'export function a() {}', 'export function a2() {}');
+  });
+
+  it('checks files changed since a ref, including untracked ones', async () => {
+    await write('src/d.js', 'export function d() {}');
+    const result = await validate(root, { changedSince: 'HEAD', baseline: false });
+    assert.deepStrictEqual(filesFor(result, 'U9-file-roles'), ['src/a.js', 'src/c.js', 'src/d.js']);
+  });
+
+  it('checks nothing per-file when no listed file changed', async () => {
+    const result = await validate(root, { changedSince: 'HEAD', files: ['src/b.js'], baseline: false });
+    assert.deepStrictEqual(filesFor(result, 'U9-file-roles'), []);
+  });
+
+  it('rejects conflicting options and refs git does not know', async () => {
+    await assert.rejects(validate(root, { staged: true, changedSince: 'HEAD' }), /mutually exclusive/);
+    await assert.rejects(validate(root, { changedSince: 'no-such-ref' }), /git diff failed/);
+    await assert.rejects(validate(root, { changedSince: '--output=x' }), /expects a git ref/);
+  });
+
+  it('installs a pre-commit hook without clobbering one it did not write', async () => {
+    const hook = path.join(root, '.git', 'hooks', 'pre-commit');
+    const first = await installHook(path.join(root, 'src'));
+    assert.deepStrictEqual(first, { file: hook, replaced: false, errors: [] });
+    const script = await readFile(hook, 'utf-8');
+    assert.match(script, /^#!\/bin\/sh\n/);
+    assert.match(script, /project='src'/);
+    assert.match(script, /aocs validate --staged "\$project"/);
+    assert.ok((await stat(hook)).mode & 0o100);
+    assert.strictEqual((await installHook(root)).replaced, true);
+
+    await writeFile(hook, '#!/bin/sh\nmake lint\n', 'utf-8');
+    assert.match((await installHook(root)).errors[0], /not written by aocs; pass --force/);
+    assert.strictEqual(await readFile(hook, 'utf-8'), '#!/bin/sh\nmake lint\n');
+    assert.strictEqual((await installHook(root, { force: true })).replaced, true);
+  });
+
+  it('runs the installed hook for a project below the repository root', async () => {
+    await mkdir(path.join(root, 'pkg/src'), { recursive: true });
+    await write('pkg/aocs.json', '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict"}');
+    await write('pkg/README.agent.md', '# Agent context');
+    await write('pkg/src/e.js', '// AOCS-ROLE: pure-logic', 'export function e() {}');
+    git('add', 'pkg');
+
+    // Scanned paths are relative to the cwd, as when the hook runs `aocs validate --staged pkg`
+    const cwd = process.cwd();
+    process.chdir(root);
+    try {
+      const result = await validate('pkg', { staged: true });
+      assert.deepStrictEqual(filesFor(result, 'U2-contracts'), ['src/e.js']);
+    } finally {
+      process.chdir(cwd);
+    }
+
+    // Put an `aocs` on PATH that runs this checkout, then run the hook the way git would
+    const bin = await mkdtemp(path.join(tmpdir(), 'aocs-bin-'));
+    try {
+      const cli = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../bin/aocs.js');
+      await writeFile(path.join(bin, 'aocs'), `#!/bin/sh\nexec "${process.execPath}" "${cli}" "$@"\n`, { mode: 0o755 });
+      const { file } = await installHook(path.join(root, 'pkg'), { force: true });
+      const hook = spawnSync(file, [], { cwd: root, encoding: 'utf-8', env: { ...process.env, PATH: `${bin}${path.delimiter}${process.env.PATH}` } });
+      assert.strictEqual(hook.status, 1, hook.stderr);
+      assert.doesNotMatch(hook.stderr, /git show failed/);
+      assert.match(hook.stdout, /Exported function missing @contract annotation/);
+    } finally {
+      await rm(bin, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a directory outside any git work tree', async () => {
+    const outside = await mkdtemp(path.join(tmpdir(), 'aocs-nogit-'));
+    try {
+      assert.match((await installHook(outside)).errors[0], /git rev-parse failed/);
+    } finally {
+      await rm(outside, { recursive: true, force: true });
+    }
+  });
+});
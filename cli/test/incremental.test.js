@@ -0,0 +1,138 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary projects
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validate } from '../src/index.js';
+import { configKey, declaredDepends, resolveDepends, mergeOutput } from '../src/core/incremental.js';
+
+describe('incremental helpers', () => {
+  it('reads @depends from the header in any comment style', () => {
+    assert.deepStrictEqual(declaredDepends('// AOCS-ROLE: pure-logic\n// @depends: fs, core/a, ./b.js\n'), ['fs', 'core/a', './b.js']);
+    assert.deepStrictEqual(declaredDepends('/* @depends: tokens.css */\n'), ['tokens.css']);
+    assert.deepStrictEqual(declaredDepends('// @depends: none (entry point)\n'), []);
+    assert.deepStrictEqual(declaredDepends('const x = 1;\n'), []);
+  });
+
+  it('resolves @depends names to project files', () => {
+    const rels = ['src/core/a.js', 'src/core/b/index.js', 'src/checks/x.js', 'src/checks/y.js', 'src/main.js'];
+    assert.deepStrictEqual(resolveDepends('src/main.js', ['fs', 'core/a', './core/b'], rels), ['src/core/a.js', 'src/core/b/index.js']);
+    assert.deepStrictEqual(resolveDepends('src/checks/x.js', ['checks/*'], rels), ['src/checks/y.js']);
+    assert.deepStrictEqual(resolveDepends('src/core/a.js', ['../main.js'], rels), ['src/main.js']);
+  });
+
+  it('ignores aocs.json fields that only pick files or levels', () => {
+    const base = { aocsVersion: '0.8', languages: ['javascript'], mode: 'strict' };
+    assert.strictEqual(configKey(base), configKey({ ...base, mode: 'lite', exclude: ['gen/'], rules: { 'U2-contracts': 'off' } }));
+    assert.notStrictEqual(configKey(base), configKey({ ...base, forbiddenPatterns: ['dynamic-eval'] }));
+  });
+
+  it('merges fresh and reused findings in file order', () => {
+    const fresh = { violations: [{ file: 'b.js', line: 1, message: 'b' }], warnings: [{ message: 'config' }] };
+    const reused = new Map([['a.js', { violations: [{ file: 'a.js', line: 2, message: 'a' }], warnings: [] }]]);
+    const { output, entries } = mergeOutput(fresh, ['b.js', 'c.js'], reused, ['a.js', 'b.js', 'c.js']);
+    assert.deepStrictEqual(output.violations.map(v => v.message), ['a', 'b']);
+    assert.deepStrictEqual(output.warnings, [{ message: 'config' }]);
+    assert.deepStrictEqual(entries.get('c.js'), { violations: [], warnings: [] });
+  });
+});
+
+describe('incremental validation', () => {
+  let root;
+  const seen = [];
+  // A file-scoped rule that records which files each run hands it
+  const probe = {
+    id: 'X1-probe',
+    name: 'Probe',
+    level: 'warn',
+    scope: 'file',
+    check: async (projectPath, config, files, cache) => {
+      seen.push(files.map(f => path.relative(projectPath, f)).sort());
+      const texts = await Promise.all(files.map(f => cache.read(f)));
+      return { violations: files.filter((f, i) => texts[i].includes('TODO')).map(f => ({ file: path.relative(projectPath, f), line: 1, message: 'TODO' })) };
+    }
+  };
+  const run = options => validate(root, { rules: [probe, 'U2-contracts'], cache: true, ...options });
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'aocs-incremental-'));
+    await mkdir(path.join(root, 'src'));
+    await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict"}', 'utf-8');
+    await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\n// @depends: none\nexport function a() {}\n', 'utf-8');
+    await writeFile(path.join(root, 'src/b.js'), '// AOCS-ROLE: pure-logic\n// @depends: ./a.js\n// TODO\n', 'utf-8');
+    await writeFile(path.join(root, 'src/c.js'), '// AOCS-ROLE: pure-logic\n', 'utf-8');
+  });
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('checks every file once, then reuses results for unchanged files', async () => {
+    const first = await run();
+    const second = await run();
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js'], []]);
+    assert.deepStrictEqual(second.results, first.results);
+    assert.deepStrictEqual(second.timing.results, { files: 3, unchanged: 3 });
+    assert.strictEqual(second.violations.filter(v => v.ruleId === 'X1-probe').length, 1);
+    assert.ok(second.violations.some(v => v.ruleId === 'U2-contracts' && v.file === path.join('src', 'a.js')));
+    assert.strictEqual(JSON.parse(await readFile(path.join(root, '.aocs-cache/results.json'), 'utf-8')).format, 1);
+    assert.strictEqual(await readFile(path.join(root, '.aocs-cache/.gitignore'), 'utf-8'), '*\n');
+  });
+
+  it('re-checks a changed file and the files that @depends on it', async () => {
+    await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\n// @depends: none\n// TODO\n', 'utf-8');
+    const result = await run();
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js']]);
+    assert.deepStrictEqual(result.violations.filter(v => v.ruleId === 'X1-probe').map(v => v.file), [path.join('src', 'a.js'), path.join('src', 'b.js')]);
+    assert.deepStrictEqual(result.results, (await run({ cache: false })).results);
+    seen.splice(0);
+  });
+
+  it('starts over when a rule-relevant config field or the rule version changes', async () => {
+    await run({ mode: 'lite' });
+    assert.deepStrictEqual(seen.splice(0), [[]]);
+    probe.version = 2;
+    await run();
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js']]);
+    await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict", "forbiddenPatterns": ["dynamic-eval"]}', 'utf-8');
+    await run();
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js']]);
+  });
+
+  it('starts over when the validator source changes', async () => {
+    await run();
+    seen.splice(0);
+    const cacheFile = path.join(root, '.aocs-cache/results.json');
+    const cached = JSON.parse(await readFile(cacheFile, 'utf-8'));
+    assert.match(cached.source, /^[0-9a-f]{64}$/);
+    await writeFile(cacheFile, JSON.stringify({ ...cached, source: 'edited' }), 'utf-8');
+    await run();
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js']]);
+  });
+
+  it('re-hashes only the files a session lists as changed and keeps its source hash', async () => {
+    const session = { changed: null };
+    await run({ session });
+    seen.splice(0);
+    assert.match(session.source, /^[0-9a-f]{64}$/);
+    await writeFile(path.join(root, 'src/c.js'), '// AOCS-ROLE: pure-logic\n// TODO\n', 'utf-8');
+    await run({ session });
+    assert.deepStrictEqual(seen.splice(0), [[]]);
+    session.changed.add('src/c.js');
+    const result = await run({ session });
+    assert.deepStrictEqual(seen.splice(0), [['src/c.js']]);
+    assert.deepStrictEqual(session.changed, new Set());
+    assert.deepStrictEqual(result.results, (await run({ cache: false })).results);
+    seen.splice(0);
+    session.source = 'kept';
+    await run({ session });
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js']]);
+  });
+
+  it('hands every file to the rule when the cache is off', async () => {
+    await run({ cache: false });
+    assert.deepStrictEqual(seen.splice(0), [['src/a.js', 'src/b.js', 'src/c.js']]);
+  });
+});
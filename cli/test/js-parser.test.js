@@ -0,0 +1,82 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: source snippets, parsing fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { tokenize } from '../src/core/js-tokenizer.js';
+import { parseSource, leadingComments, readTags } from '../src/core/js-parser.js';
+import { validate } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/parsing');
+
+describe('js tokenizer', () => {
+  it('keeps code on both sides of an inline block comment', () => {
+    const { tokens, comments } = tokenize('a /* x */ b');
+    assert.deepStrictEqual(tokens.map(t => t.value), ['a', 'b']);
+    assert.strictEqual(comments[0].value, ' x ');
+  });
+
+  it('separates strings, regexes, templates and division', () => {
+    const { tokens } = tokenize('x = "eval(" + /eval\\(/.source + `${eval(y)}` + a / b / c');
+    assert.deepStrictEqual(tokens.map(t => t.type), [
+      'name', 'punct', 'string', 'punct', 'regex', 'punct', 'name', 'punct',
+      'template', 'name', 'punct', 'name', 'punct', 'template', 'punct',
+      'name', 'punct', 'name', 'punct', 'name'
+    ]);
+  });
+});
+
+describe('js parser', () => {
+  it('collects every export form', () => {
+    const parsed = parseSource([
+      "export { a as b, c } from './x.js';",
+      "export * from './all.js';",
+      'export const { d, e: [f] } = obj, g = 1;',
+      'export default async function main() {}',
+      'export class Widget {}',
+      'export type Id = string;'
+    ].join('\n'));
+    assert.deepStrictEqual(parsed.exports.map(e => [e.name, e.kind]), [
+      ['b', 'reexport'], ['c', 'reexport'], ['*', 'reexport-all'],
+      ['d', 'const'], ['f', 'const'], ['g', 'const'],
+      ['default', 'function'], ['Widget', 'class'], ['Id', 'type']
+    ]);
+  });
+
+  it('reads signatures with TypeScript annotations', () => {
+    const parsed = parseSource('export const pay = async (o: Order, opts?: Map<string, number>): Promise<Receipt> => o;');
+    const [fn] = parsed.functions;
+    assert.strictEqual(fn.name, 'pay');
+    assert.strictEqual(fn.async, true);
+    assert.strictEqual(fn.returnType, 'Promise<Receipt>');
+    assert.deepStrictEqual(fn.params.map(p => [p.name, p.type, p.optional]), [
+      ['o', 'Order', false],
+      ['opts', 'Map<string, number>', true]
+    ]);
+  });
+
+  it('attaches only the comment block directly above a declaration', () => {
+    const parsed = parseSource('// @contract: () -> num\n// @pure: true\nfunction one() { return 1; }\n');
+    const tags = readTags(leadingComments(parsed, parsed.functions[0].line));
+    assert.deepStrictEqual(tags.map(t => [t.tag, t.value]), [['@contract', '() -> num'], ['@pure', 'true']]);
+  });
+});
+
+describe('parser-backed checks', () => {
+  it('finds contracts regardless of block length and ignores strings and regexes', async () => {
+    const result = await validate(fixture, {
+      rules: ['U2-contracts', 'U12-forbidden', 'U1-module-manifest'],
+      files: ['src/tricky.js']
+    });
+    const found = result.violations.map(v => `${v.ruleId}:${v.line}:${v.message}`);
+    assert.deepStrictEqual(found, [
+      'U2-contracts:24:Exported function missing @contract annotation',
+      'U2-contracts:28:Exported function missing @contract annotation',
+      'U12-forbidden:28:Dynamic eval or Function constructor detected',
+      'U12-forbidden:28:Possible implicit global assignment (use const/let/var)'
+    ]);
+  });
+});
@@ -0,0 +1,268 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: languages fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { validate } from '../src/index.js';
+import { parsePython } from '../src/core/py-parser.js';
+import { parseGo } from '../src/core/go-parser.js';
+import { parseRust } from '../src/core/rust-parser.js';
+import { goRules } from '../src/languages/go.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/languages');
+const paymentExample = path.join(__dirname, '../../examples/payment-processor.ts');
+
+// @contract: (ruleId:str, file:str) -> Promise<str[]>
+// @pure: false
+// AOCS-INVARIANT: absolute paths (the examples/ files) are used as-is; others are under the fixture's src/
+async function run(ruleId, file) {
+  const target = path.isAbsolute(file) ? file : `src/${file}`;
+  const result = await validate(fixture, { rules: [ruleId], files: [target] });
+  return result.violations.map(v => `${v.line}:${v.message}`);
+}
+
+describe('python parser', () => {
+  it('finds defs, classes and __all__ outside strings and comments', () => {
+    const parsed = parsePython([
+      '__all__ = ("run", \'Job\')',
+      'x = """',
+      'def fake():',
+      '"""',
+      '@decorator(',
+      '    arg)',
+      'async def run(a, *args, b=1, **kw):  # trailing',
+      '    def inner(): pass',
+      'class Job(Base, abc.ABC, metaclass=Meta):',
+      '    def go(self): x = 1; y = 2'
+    ].join('\n'));
+
+    assert.deepStrictEqual(parsed.all, { names: ['run', 'Job'], line: 1 });
+    assert.deepStrictEqual(parsed.defs.map(d => [d.name, d.line, d.startLine, d.className, d.nested]), [
+      ['run', 7, 5, null, false],
+      ['inner', 8, 8, null, true],
+      ['go', 10, 10, 'Job', false]
+    ]);
+    assert.deepStrictEqual(parsed.defs[0].params.map(p => `${p.kind}:${p.name}:${p.hasDefault}`), [
+      'positional:a:false', 'args:args:false', 'positional:b:true', 'kwargs:kw:false'
+    ]);
+    assert.deepStrictEqual(parsed.classes.map(c => [c.name, c.bases]), [['Job', ['Base', 'abc.ABC']]]);
+    assert.deepStrictEqual(parsed.comments.map(c => [c.line, c.own]), [[7, false]]);
+  });
+});
+
+describe('python rules', () => {
+  it('requires @contract on public functions and methods of public classes', async () => {
+    assert.deepStrictEqual(await run('PY1-contracts', 'orders.py'), [
+      '18:Public function refund missing @contract annotation',
+      '38:Public method Order.addItem missing @contract annotation'
+    ]);
+  });
+
+  it('compares @exports with __all__', async () => {
+    assert.deepStrictEqual(await run('PY2-module-manifest', 'orders.py'), [
+      '7:"refund" is in __all__ but not listed in @exports',
+      '5:@exports lists "legacy_total" but __all__ does not include it'
+    ]);
+  });
+
+  it('flags eval/exec, reflection, global state and dynamic imports', async () => {
+    assert.deepStrictEqual(await run('PY3-forbidden', 'dynamic.py'), [
+      '8:Implicit state access via global, globals() or locals() detected',
+      '10:Dynamic eval or exec detected',
+      '11:Dynamic eval or exec detected',
+      '11:Dynamic eval or exec detected',
+      '12:Reflection via getattr/setattr/delattr detected',
+      '13:Reflection via getattr/setattr/delattr detected',
+      '14:Dynamic __import__ or import_module detected',
+      '15:Dynamic __import__ or import_module detected',
+      '16:Implicit state access via global, globals() or locals() detected'
+    ]);
+    assert.deepStrictEqual(await run('PY3-forbidden', 'orders.py'), []);
+  });
+
+  it('checks snake_case functions and CapWords classes', async () => {
+    assert.deepStrictEqual(await run('PY4-naming', 'orders.py'), [
+      '38:Method Order.addItem should be snake_case',
+      '51:Class order_row should be CapWords'
+    ]);
+  });
+});
+
+describe('go parser', () => {
+  it('reads imports, funcs, receivers, error results and grouped declarations', () => {
+    const parsed = parseGo([
+      'package shop',
+      'import (',
+      '\tlog "github.com/x/logger"',
+      '\t"strings"',
+      ')',
+      'type Handler func() error',
+      'const (',
+      '\tA = iota',
+      '\tb, C',
+      ')',
+      'func (s *Store[T]) Get(id string) (v T, err error) { return }',
+      'func Parse(raw string) error { f := func() {}; _ = `func Fake()`; return nil }'
+    ].join('\n'));
+
+    assert.deepStrictEqual(parsed.packageClause, { name: 'shop', line: 1 });
+    assert.deepStrictEqual(parsed.imports.map(i => [i.path, i.alias]), [['github.com/x/logger', 'log'], ['strings', null]]);
+    assert.deepStrictEqual(parsed.decls.map(d => `${d.kind}:${d.name}`), ['type:Handler', 'const:A', 'const:b', 'const:C']);
+    assert.deepStrictEqual(parsed.funcs.map(f => [f.name, f.receiver && f.receiver.type, f.exported, f.returnsError]), [
+      ['Get', 'Store', true, true],
+      ['Parse', null, true, true]
+    ]);
+  });
+});
+
+describe('go rules', () => {
+  it('requires @contract on exported funcs and methods', async () => {
+    assert.deepStrictEqual(await run('GO1-contracts', 'orders.go'), [
+      '45:Exported method Order.Total missing @contract annotation'
+    ]);
+  });
+
+  it('matches @throws against error results', async () => {
+    assert.deepStrictEqual(await run('GO2-throws', 'orders.go'), [
+      '40:@throws declares ErrEmpty but Order.Count does not return error',
+      '50:validate returns error but has no @throws declaration',
+      '57:Describe is declared @throws: never but returns error'
+    ]);
+  });
+
+  it('flags reflect/unsafe, init, global vars, interface{}, unchecked assertions, panic and goto', async () => {
+    assert.deepStrictEqual(await run('GO3-forbidden', 'orders.go'), [
+      '11:Import of "reflect" is forbidden',
+      '17:Package-level var cache is global mutable state; inject it instead',
+      '58:interface{} catch-all type; use generics or a specific type',
+      '66:Unchecked type assertion; use v, ok := x.(T)',
+      '68:panic() used for control flow; return an error',
+      '70:goto is forbidden; use structured control flow',
+      '75:init() functions are forbidden; use explicit setup'
+    ]);
+  });
+
+  it('flags every forbidden pattern by default and permits the ones allowedPatterns lists', async () => {
+    const check = goRules.find(r => r.id === 'GO3-forbidden').check;
+    const file = path.join(fixture, 'src/orders.go');
+    // @contract: (config:object) -> Promise<num[]>
+    // @pure: false
+    const lines = async config => (await check(fixture, config, [file])).violations.map(v => v.line);
+    assert.deepStrictEqual(await lines({ forbiddenPatterns: [] }), [11, 17, 58, 66, 68, 70, 75]);
+    assert.deepStrictEqual(await lines({ allowedPatterns: ['reflection', 'implicit-global', 'panic', 'goto'] }), [58, 66]);
+  });
+
+  it('checks package manifests against declarations and imports', async () => {
+    assert.deepStrictEqual(await run('GO4-module-manifest', 'orders.go'), [
+      '15:"ErrEmpty" is exported but not listed in @exports',
+      '28:"Status" is exported but not listed in @exports',
+      '58:"Describe" is exported but not listed in @exports',
+      '3:@exports lists "Stale" but the file does not declare it',
+      '4:@depends lists "paymentgateway" but the file never imports it'
+    ]);
+    assert.deepStrictEqual(await run('GO4-module-manifest', 'late.go'), [
+      '4:Module manifest must appear before the package declaration'
+    ]);
+  });
+});
+
+describe('rust parser', () => {
+  it('reads fns, impl blocks, Result error types and enum variants', () => {
+    const parsed = parseRust([
+      'impl<T: Clone> From<T> for Wrapper<T> {',
+      '    fn from(t: T) -> Self { Wrapper(t) }',
+      '}',
+      '#[derive(Debug)]',
+      'pub(crate) enum E { A(u8), #[allow(dead_code)] B { x: u8 }, C }',
+      'pub async fn load<\'a>(p: &\'a str) -> std::result::Result<Vec<u8>, io::Error> where T: Copy {',
+      '    let s = r#"fn fake() {}"#; let c = \'{\';',
+      '}'
+    ].join('\n'));
+
+    assert.deepStrictEqual(parsed.impls.map(i => [i.type, i.trait]), [['Wrapper', 'From']]);
+    assert.deepStrictEqual(parsed.fns.map(f => [f.name, f.implType, f.traitImpl, f.pub, f.async]), [
+      ['from', 'Wrapper', true, false, false],
+      ['load', null, false, true, true]
+    ]);
+    assert.deepStrictEqual(parsed.fns[1].returnType, {
+      text: 'std::result::Result<Vec<u8>, io::Error>', errorType: 'io::Error', isResult: true
+    });
+    assert.deepStrictEqual(parsed.enums.map(e => [e.name, e.startLine, e.pub, e.variants]), [['E', 4, true, ['A', 'B', 'C']]]);
+  });
+});
+
+describe('rust rules', () => {
+  it('requires @contract on pub fns and pub impl methods', async () => {
+    assert.deepStrictEqual(await run('RS1-contracts', 'checkout.rs'), [
+      '55:Public function untracked missing @contract annotation',
+      '75:Public method Reader::size missing @contract annotation'
+    ]);
+  });
+
+  it('matches @throws against Result error enums and Err sites', async () => {
+    assert.deepStrictEqual(await run('RS2-throws', 'checkout.rs'), [
+      '37:@throws declares Refunded, which is not a variant of PaymentError',
+      '44:charge returns Err(PaymentError::Declined) but @throws does not declare it',
+      '48:@throws declares ParseError but parse does not return Result'
+    ]);
+  });
+
+  it('requires an UNSAFE: or SAFETY: comment on unsafe code', async () => {
+    assert.deepStrictEqual(await run('RS3-unsafe-annotation', 'checkout.rs'), [
+      '98:unsafe block has no UNSAFE: or SAFETY: comment explaining why it is sound',
+      '99:unsafe block has no UNSAFE: or SAFETY: comment explaining why it is sound'
+    ]);
+  });
+
+  it('requires @state-manifest on enums driven by transition functions', async () => {
+    assert.deepStrictEqual(await run('RS4-state-manifest', 'checkout.rs'), [
+      '13:State machine enum CheckoutState missing @state-manifest',
+      '24:State machine enum Light missing @state-manifest'
+    ]);
+  });
+
+  it('flags forbidden patterns outside test modules unless allowed', async () => {
+    assert.deepStrictEqual(await run('RS5-forbidden', 'checkout.rs'), [
+      '29:static mut is global mutable state; use Mutex, RwLock or OnceLock',
+      '50:let _ = discards a value that may be a Result; use ? or match',
+      '51:unwrap()/expect() panics on error; use ? or match',
+      '71:Box<dyn Any> erases types; use an enum or generics',
+      '90:unsafe code is forbidden unless "unsafe" is in allowedPatterns',
+      '97:unsafe code is forbidden unless "unsafe" is in allowedPatterns',
+      '98:unsafe code is forbidden unless "unsafe" is in allowedPatterns',
+      '99:unsafe code is forbidden unless "unsafe" is in allowedPatterns'
+    ]);
+  });
+});
+
+describe('typescript rules', () => {
+  it('compares @contract types with annotations through abbreviations, aliases and refinements', async () => {
+    assert.deepStrictEqual(await run('TS1-contract-types', 'billing.ts'), [
+      '16:@contract parameter 2 of charge is "num" but the signature annotates "string"',
+      '22:@contract return type of refund is "num" but the signature annotates "string"'
+    ]);
+  });
+
+  it('flags any in exported functions and public methods of exported classes', async () => {
+    assert.deepStrictEqual(await run('TS2-no-any', 'billing.ts'), [
+      '33:Public API Ledger.record types parameter "entry" as any',
+      '37:Public API Ledger.lookup returns any'
+    ]);
+  });
+
+  it('flags optional and defaulted parameters in exported functions', async () => {
+    assert.deepStrictEqual(await run('TS3-optional-params', 'billing.ts'), [
+      '22:Exported function refund has optional parameter "reason"; use overloads or separate functions',
+      '26:Exported function parseAmount has optional parameter "base"; use overloads or separate functions'
+    ]);
+  });
+
+  it('accepts examples/payment-processor.ts, whose contract sits above its type aliases', async () => {
+    for (const ruleId of ['TS1-contract-types', 'TS2-no-any', 'TS3-optional-params']) {
+      assert.deepStrictEqual(await run(ruleId, paymentExample), [], ruleId);
+    }
+  });
+});
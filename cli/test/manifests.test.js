@@ -0,0 +1,55 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: parsing fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { validate } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/parsing');
+
+// @contract: (ruleId:str, file:str) -> Promise<str[]>
+// @pure: false
+async function run(ruleId, file) {
+  const result = await validate(fixture, { rules: [ruleId], files: [`src/${file}`] });
+  return result.violations.map(v => `${v.line}:${v.message}`);
+}
+
+describe('@exports drift', () => {
+  it('compares the manifest with renamed, destructured, re-exported and default exports', async () => {
+    assert.deepStrictEqual(await run('U1-exports-drift', 'drift.js'), [
+      '11:"second" is exported but not listed in @exports',
+      '11:"third" is exported but not listed in @exports',
+      '12:"helper" is exported but not listed in @exports',
+      '5:@exports lists "stale" but the file does not export it'
+    ]);
+  });
+
+  it('treats "none" as an empty export list', async () => {
+    assert.deepStrictEqual(await run('U1-exports-drift', 'entry.js'), [
+      '8:"leaked" is exported but @exports declares none'
+    ]);
+  });
+
+  it('reads the one-line manifest and tolerates export-star', async () => {
+    assert.deepStrictEqual(await run('U1-exports-drift', 'barrel.js'), []);
+  });
+});
+
+describe('@depends drift', () => {
+  it('resolves builtins, packages, short names and globs against the imports', async () => {
+    assert.deepStrictEqual(await run('U1-depends-drift', 'deps.js'), [
+      '5:@depends lists "./stale.js" but the file never imports it',
+      '13:Import "url" is not declared in @depends',
+      '14:Import "./helper.js" is not declared in @depends'
+    ]);
+  });
+
+  it('reads the one-line manifest', async () => {
+    assert.deepStrictEqual(await run('U1-depends-drift', 'barrel.js'), [
+      '7:Import "./drift.js" is not declared in @depends'
+    ]);
+  });
+});
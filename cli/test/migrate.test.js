@@ -0,0 +1,125 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary projects, site manifest
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validate, migrateProject } from '../src/index.js';
+import { checkVersion, releasedVersions } from '../src/core/versions.js';
+import { planMigration, migrateSource, rewriteConfigText } from '../src/core/migrations.js';
+import { loadStandardFile } from '../src/core/standard.js';
+
+const hint = 'AOCS-INVARIANT';
+
+describe('aocsVersion compatibility', () => {
+  let manifest;
+  before(async () => {
+    manifest = await loadStandardFile('manifest.json');
+  });
+
+  it('reads the release history from site/manifest.json', () => {
+    assert.strictEqual(manifest.version, '0.8');
+    assert.deepStrictEqual(releasedVersions(manifest), ['0.6', '0.7', '0.8']);
+  });
+
+  it('accepts the current version, warns on older releases and fails on anything else', () => {
+    assert.strictEqual(checkVersion('0.8', manifest), null);
+    assert.deepStrictEqual(checkVersion('0.7', manifest), {
+      level: 'warn',
+      message: 'aocsVersion 0.7 is older than AOCS 0.8; rules are applied as 0.8. Run `aocs migrate --to 0.8`'
+    });
+    assert.match(checkVersion('9.9', manifest).message, /newer than AOCS 0\.8/);
+    assert.match(checkVersion('0.5', manifest).message, /not a released AOCS version \(known: 0\.6, 0\.7, 0\.8\)/);
+    assert.strictEqual(checkVersion('v0.8', manifest).level, 'error');
+  });
+
+  it('reports the version under the repository contract rule', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aocs-version-'));
+    try {
+      await writeFile(path.join(root, 'aocs.json'), '{\n  "aocsVersion": "9.9",\n  "languages": ["javascript"],\n  "mode": "strict"\n}\n', 'utf-8');
+      const newer = (await validate(root)).results.find(r => r.id === 'U8-repo-contract');
+      assert.strictEqual(newer.violations[0].line, 2);
+      assert.match(newer.violations[0].message, /^aocsVersion 9\.9 is newer/);
+
+      await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.7", "languages": ["javascript"], "mode": "strict"}', 'utf-8');
+      const older = await validate(root);
+      assert.deepStrictEqual(older.results.find(r => r.id === 'U8-repo-contract').violations, []);
+      assert.strictEqual(older.results.find(r => r.id === 'U8-repo-contract-warnings').violations.length, 1);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('migrations', () => {
+  it('plans forward steps between released versions only', () => {
+    const released = ['0.6', '0.7', '0.8'];
+    assert.deepStrictEqual(planMigration('0.6', '0.8', released).map(s => s.to), ['0.7', '0.8']);
+    assert.deepStrictEqual(planMigration('0.8', '0.8', released), []);
+    assert.throws(() => planMigration('0.8', '0.7', released), /only go forward/);
+    assert.throws(() => planMigration('0.8', '1.0', released), /--to "1\.0" is not a released AOCS version/);
+  });
+
+  it('renames comment-leading hint labels and leaves prose alone', () => {
+    const steps = planMigration('0.6', '0.7', ['0.6', '0.7']);
+    const { source, changes } = migrateSource([
+      '// Invariant: total >= 0',
+      '  # fails on: empty cart',
+      ' * Pure: true',
+      'const label = "Pure: true";',
+      '// Pure functions only'
+    ].join('\n'), steps);
+    assert.deepStrictEqual(source.split('\n').slice(0, 3), [`// ${hint}: total >= 0`, '  # AOCS-FAILS-ON: empty cart', ' * AOCS-PURE: true']);
+    assert.deepStrictEqual(source.split('\n').slice(3), ['const label = "Pure: true";', '// Pure functions only']);
+    assert.strictEqual(changes.length, 3);
+  });
+
+  it('edits aocs.json in place and keeps its layout', () => {
+    const multiLine = '{\n  "aocsVersion": "0.6",\n  "languages": ["javascript"]\n}\n';
+    assert.strictEqual(
+      rewriteConfigText(multiLine, { aocsVersion: '0.6', languages: ['javascript'] }, { aocsVersion: '0.8', languages: ['javascript'], mode: 'strict' }),
+      '{\n  "aocsVersion": "0.8",\n  "languages": ["javascript"],\n  "mode": "strict"\n}\n'
+    );
+    assert.strictEqual(
+      rewriteConfigText('{"aocsVersion": "0.6", "languages": ["go"]}', { aocsVersion: '0.6', languages: ['go'] }, { aocsVersion: '0.7', languages: ['go'], mode: 'strict' }),
+      '{"aocsVersion": "0.7", "languages": ["go"], "mode": "strict"}'
+    );
+  });
+
+  describe('migrateProject', () => {
+    let root;
+    before(async () => {
+      root = await mkdtemp(path.join(tmpdir(), 'aocs-migrate-'));
+      await mkdir(path.join(root, 'src'));
+      await writeFile(path.join(root, 'aocs.json'), '{\n  "aocsVersion": "0.6",\n  "languages": ["javascript"]\n}\n', 'utf-8');
+      await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\n// Invariant: x > 0\nexport const x = 1;\n', 'utf-8');
+    });
+    after(async () => {
+      await rm(root, { recursive: true, force: true });
+    });
+
+    it('previews the upgrade as diffs without writing on dry-run', async () => {
+      const result = await migrateProject(root, { to: '0.8', dryRun: true });
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(result.changed.map(c => c.file), ['aocs.json', 'src/a.js']);
+      assert.deepStrictEqual(result.changed[0].changes, ['aocsVersion 0.6 -> 0.8', 'added required field mode ("strict")']);
+      assert.match(result.changed[1].diff, new RegExp(`\\+// ${hint}: x > 0`));
+      assert.match(await readFile(path.join(root, 'aocs.json'), 'utf-8'), /"0\.6"/);
+    });
+
+    it('writes the upgrade, after which the project validates as current', async () => {
+      const result = await migrateProject(root, { to: '0.8' });
+      assert.strictEqual(result.from, '0.6');
+      assert.strictEqual(JSON.parse(await readFile(path.join(root, 'aocs.json'), 'utf-8')).aocsVersion, '0.8');
+      assert.deepStrictEqual((await migrateProject(root, { to: '0.8' })).changed, []);
+      const validated = await validate(root);
+      assert.ok(!validated.results.some(r => r.id === 'config-load' || r.id === 'U8-repo-contract-warnings'));
+    });
+
+    it('refuses to downgrade', async () => {
+      assert.deepStrictEqual((await migrateProject(root, { to: '0.7' })).errors, ['Cannot migrate from 0.8 down to 0.7; migrations only go forward']);
+    });
+  });
+});
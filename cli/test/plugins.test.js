@@ -0,0 +1,74 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: plugins fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { validate, pluginApiVersion } from '../src/index.js';
+import { loadPlugins, checkPluginRule } from '../src/core/plugins.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/plugins');
+
+// @contract: (plugins:str[]) -> Promise<object>
+// @pure: false
+function load(plugins) {
+  return loadPlugins(fixture, { aocsVersion: '0.8', languages: ['javascript'], mode: 'strict', plugins });
+}
+
+describe('plugins', () => {
+  it('runs plugin rules and plugin languages from aocs.json', async () => {
+    // An explicit list keeps the plugin modules themselves out of the run
+    const result = await validate(fixture, { files: ['src/app.js', 'src/panel.widget', 'src/bare.widget'] });
+    const byRule = id => result.violations.filter(v => v.ruleId === id).map(v => `${v.file}:${v.line}:${v.message}`);
+
+    assert.deepStrictEqual(byRule('HOUSE1-todo-owner'), ['src/app.js:1:TODO without (owner)']);
+    assert.deepStrictEqual(byRule('WGT1-header'), ['src/bare.widget:1:missing widget header']);
+    assert.ok(result.results.some(r => r.id === 'U2-contracts'));
+  });
+
+  it('documents the API version it loads', async () => {
+    assert.strictEqual(pluginApiVersion, 1);
+    assert.deepStrictEqual((await load(['./plugins/future.js'])).errors, [
+      'Plugin ./plugins/future.js declares aocsPluginApi 2; this validator supports plugin API 1'
+    ]);
+  });
+
+  it('rejects rules that break the {id, name, level, check} contract or reuse an id', async () => {
+    const loaded = await load(['./plugins/broken.js']);
+    assert.deepStrictEqual(loaded.errors, [
+      'Plugin ./plugins/broken.js: rules rule "BRK1-level" level must be "error" or "warn" (found "fatal")',
+      'Plugin ./plugins/broken.js: rules rule "BRK2-check" check must be a function (projectPath, config, files) -> Promise<{violations}>',
+      'Plugin ./plugins/broken.js: rule id "U2-contracts" is already defined by built-in rules'
+    ]);
+    assert.deepStrictEqual(loaded.rules, []);
+    assert.deepStrictEqual(checkPluginRule({ id: 'X1', name: 'x', level: 'warn', check: () => {} }), []);
+    assert.deepStrictEqual(checkPluginRule({ id: 'X1', name: 'x', level: 'warn', scope: 'file', version: 2, check: () => {} }), []);
+    assert.deepStrictEqual(checkPluginRule({ id: 'X1', name: 'x', level: 'warn', scope: 'files', version: [1], check: () => {} }), [
+      'scope must be "file" or "project" (found "files")',
+      'version must be a string or number'
+    ]);
+  });
+
+  it('detects duplicate ids across plugins and built-in language names', async () => {
+    assert.deepStrictEqual((await load(['./plugins/house-rules.js', './plugins/duplicate.js'])).errors, [
+      'Plugin ./plugins/duplicate.js: rule id "HOUSE1-todo-owner" is already defined by plugin ./plugins/house-rules.js',
+      'Plugin ./plugins/duplicate.js: language "python" is already defined by a built-in language'
+    ]);
+  });
+
+  it('only loads local modules', async () => {
+    const loaded = await load(['some-package', './plugins/missing.js']);
+    assert.strictEqual(loaded.errors[0], 'Plugin "some-package" must be a relative or absolute path to a local ES module');
+    assert.match(loaded.errors[1], /^Plugin \.\/plugins\/missing\.js could not be loaded: /);
+  });
+
+  it('reports a check that resolves to the wrong shape', async () => {
+    const { rules } = await load(['./plugins/shape.js']);
+    const result = await validate(fixture, { rules, files: [] });
+    assert.deepStrictEqual(result.violations.map(v => v.message), [
+      'Check failed: check must resolve to {violations: object[]}'
+    ]);
+  });
+});
@@ -0,0 +1,163 @@
+// AOCS-ROLE: pure-logic
+// AOCS-INPUTS: rule-config fixture
+// AOCS-OUTPUTS: test results
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { validate } from '../src/index.js';
+import { matchGlob } from '../src/core/glob.js';
+import { checkRuleConfig, levelFor, runLevel } from '../src/core/rule-config.js';
+import { profileLevel } from '../src/core/profiles.js';
+import { parseSuppressions } from '../src/core/suppressions.js';
+import { commentLines } from '../src/core/comments.js';
+import { parseSource } from '../src/core/js-parser.js';
+import { parsePython } from '../src/core/py-parser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, 'fixtures/rule-config');
+
+describe('globs', () => {
+  it('matches gitignore-style patterns against project-relative paths', () => {
+    assert.ok(matchGlob('legacy/', 'legacy/a/b.js'));
+    assert.ok(matchGlob('legacy', 'legacy/a/b.js'));
+    assert.ok(matchGlob('src/**/*.gen.js', 'src/api.gen.js'));
+    assert.ok(matchGlob('*.test.js', 'cli/test/a.test.js'));
+    assert.ok(matchGlob('./src/*.js', 'src/a.js'));
+    assert.ok(!matchGlob('src/*.js', 'src/deep/a.js'));
+    assert.ok(!matchGlob('/a.js', 'src/a.js'));
+  });
+});
+
+describe('rule levels', () => {
+  const rule = { id: 'U9-file-roles', level: 'error' };
+
+  it('applies the rule-wide level and the last matching override', () => {
+    const config = { rules: { 'U9-file-roles': { level: 'warn', overrides: { 'src/**': 'off', 'src/core/**': 'error' } } } };
+    assert.strictEqual(levelFor(config, rule, 'lib/a.js'), 'warn');
+    assert.strictEqual(levelFor(config, rule, 'src/a.js'), 'off');
+    assert.strictEqual(levelFor(config, rule, 'src/core/a.js'), 'error');
+    assert.strictEqual(levelFor(config, rule), 'warn');
+    assert.strictEqual(levelFor({}, rule, 'a.js'), 'error');
+  });
+
+  it('runs a rule that is off by default but on for some paths', () => {
+    assert.strictEqual(runLevel({ rules: { 'U9-file-roles': 'off' } }, rule), 'off');
+    assert.strictEqual(runLevel({ rules: { 'U9-file-roles': { level: 'off', overrides: { 'src/': 'warn' } } } }, rule), 'warn');
+  });
+
+  it('rejects unknown ids, levels and keys', () => {
+    assert.deepStrictEqual(checkRuleConfig({
+      'U9-file-roles': 'fatal',
+      'U2-contracts': { level: 'warn', paths: {} },
+      'U6-throws': { overrides: { 'src/': 'ignore' } },
+      'U99-nope': 'off'
+    }, ['U9-file-roles', 'U2-contracts', 'U6-throws']), [
+      'aocs.json: rules.U9-file-roles must be "off", "warn" or "error"',
+      'aocs.json: rules.U2-contracts has unknown key "paths"',
+      'aocs.json: rules.U6-throws.overrides["src/"] must be "off", "warn" or "error"',
+      'aocs.json: rules names unknown rule id "U99-nope"'
+    ]);
+    assert.deepStrictEqual(checkRuleConfig(['U2-contracts'], []), [
+      'aocs.json: rules must be an object mapping rule ids to "off", "warn" or "error"'
+    ]);
+  });
+});
+
+describe('mode profiles', () => {
+  it('lite keeps roles, the repo contract and forbidden patterns as errors and downgrades the rest', () => {
+    for (const id of ['U8-repo-contract', 'U9-file-roles', 'U12-forbidden', 'PY3-forbidden']) {
+      assert.strictEqual(profileLevel('lite', { id, level: 'error' }), 'error', id);
+    }
+    for (const id of ['U2-contracts', 'U1-module-manifest', 'U9-role-behavior', 'GO4-module-manifest']) {
+      assert.strictEqual(profileLevel('lite', { id, level: 'error' }), 'warn', id);
+    }
+    assert.strictEqual(profileLevel('lite', { id: 'U13-agent-readme', level: 'warn' }), 'warn');
+    assert.strictEqual(profileLevel('strict', { id: 'U2-contracts', level: 'error' }), 'error');
+  });
+
+  it('lets aocs.json rules entries win over the profile', () => {
+    const rule = { id: 'U2-contracts', level: 'error' };
+    assert.strictEqual(levelFor({ mode: 'lite' }, rule, 'a.js'), 'warn');
+    assert.strictEqual(levelFor({ mode: 'lite', rules: { 'U2-contracts': 'error' } }, rule, 'a.js'), 'error');
+    assert.strictEqual(levelFor({ mode: 'lite', rules: { 'U2-contracts': { overrides: { 'src/': 'off' } } } }, rule, 'a.js'), 'warn');
+  });
+
+  it('applies the --mode override for one run and reports the profile', async () => {
+    const strict = await validate(fixture);
+    assert.deepStrictEqual(strict.profile, { mode: 'strict', source: 'aocs.json' });
+    assert.strictEqual(strict.results.find(r => r.id === 'U2-contracts').level, 'error');
+
+    const lite = await validate(fixture, { mode: 'lite' });
+    const byResult = new Map(lite.results.map(r => [r.id, r]));
+    assert.deepStrictEqual(lite.profile, { mode: 'lite', source: '--mode' });
+    assert.strictEqual(byResult.get('U2-contracts').level, 'warn');
+    assert.strictEqual(byResult.get('U9-file-roles').level, 'error');
+    assert.strictEqual(byResult.get('U13-agent-readme').level, 'error');
+    assert.ok(lite.failed < strict.failed);
+
+    await assert.rejects(validate(fixture, { mode: 'relaxed' }), /Unknown mode "relaxed"/);
+  });
+});
+
+describe('inline suppressions', () => {
+  it('covers its own line, and the next code line when it stands alone', () => {
+    const parsed = parseSuppressions([
+      '# aocs-ignore PY1-contracts, PY4-naming: generated',
+      '# @contract: () -> None',
+      '',
+      'def Run(): pass',
+      'x = eval(s)  # aocs-ignore PY3-forbidden',
+      '<!-- aocs-ignore HTML1-interactive-ids: decorative -->'
+    ].join('\n'));
+
+    assert.deepStrictEqual(parsed, [
+      { line: 1, ids: ['PY1-contracts', 'PY4-naming'], reason: 'generated', targets: [1, 4] },
+      { line: 5, ids: ['PY3-forbidden'], reason: '', targets: [5] },
+      { line: 6, ids: ['HTML1-interactive-ids'], reason: 'decorative', targets: [6] }
+    ]);
+  });
+
+  it('only reads markers inside real comments when a tokenizer supplies them', () => {
+    const js = [
+      "const text = '// aocs-ignore U2-contracts: not a comment';",
+      'const tpl = `',
+      '  // aocs-ignore U99-nope',
+      '`;',
+      '/**',
+      ' * aocs-ignore U2-contracts: generated',
+      ' */',
+      'export function a() {}',
+      'run(); /* aocs-ignore U12-forbidden: trusted */'
+    ].join('\n');
+    assert.deepStrictEqual(parseSuppressions(js, commentLines(js, parseSource(js).comments)), [
+      { line: 6, ids: ['U2-contracts'], reason: 'generated', targets: [6, 8] },
+      { line: 9, ids: ['U12-forbidden'], reason: 'trusted', targets: [9] }
+    ]);
+
+    const py = 'MESSAGE = "# aocs-ignore PY3-forbidden: no"\nx = 1  # aocs-ignore PY3-forbidden: yes\n';
+    assert.deepStrictEqual(parseSuppressions(py, commentLines(py, parsePython(py).comments)), [
+      { line: 2, ids: ['PY3-forbidden'], reason: 'yes', targets: [2] }
+    ]);
+  });
+
+  it('applies aocs.json levels and suppressions, and reports unused or reasonless ones', async () => {
+    const result = await validate(fixture);
+    const byResult = new Map(result.results.map(r => [r.id, r]));
+    // @contract: (id:str) -> str[]
+    // @pure: true
+    const found = id => byResult.get(id).violations.map(v => `${v.file || ''}:${v.line || ''}:${v.message}`);
+
+    assert.strictEqual(byResult.get('U13-agent-readme').level, 'error');
+    assert.ok(!byResult.has('U12-forbidden'));
+    assert.deepStrictEqual(found('U9-file-roles'), []);
+    assert.deepStrictEqual(byResult.get('U9-file-roles-warnings').level, 'warn');
+    assert.deepStrictEqual(found('U9-file-roles-warnings').map(v => v.split(':')[0]), ['src/generated/api.js']);
+    assert.deepStrictEqual(found('U2-contracts'), ['src/app.js:10:Exported function missing @contract annotation']);
+    assert.deepStrictEqual(found('aocs-ignore'), [
+      'src/app.js:10:aocs-ignore U2-contracts needs a reason after a colon',
+      'src/app.js:19:aocs-ignore names unknown rule id "U99-nope"'
+    ]);
+    assert.deepStrictEqual(found('aocs-ignore-warnings'), ['src/app.js:12:Unused aocs-ignore for U2-contracts']);
+  });
+});
@@ -0,0 +1,97 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary project trees
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, symlink, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { listProjectFiles } from '../src/index.js';
+
+// @contract: (root:str, files:object) -> Promise<void>
+// @pure: false
+async function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+    await writeFile(path.join(root, rel), content, 'utf-8');
+  }
+}
+
+// @contract: (root:str, config:object) -> Promise<{files:str[], excluded:str[]}>
+// @pure: false
+async function list(root, config) {
+  await writeFile(path.join(root, 'aocs.json'), JSON.stringify({ aocsVersion: '0.8', languages: ['javascript'], mode: 'strict', ...config }), 'utf-8');
+  const { files, excluded, errors } = await listProjectFiles(root);
+  assert.deepStrictEqual(errors, []);
+  return { files, excluded: excluded.map(e => `${e.path} <- ${e.reason}`) };
+}
+
+describe('scanner', () => {
+  let root;
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'aocs-scan-'));
+    await writeTree(root, {
+      'src/app.js': '',
+      'src/vendor/lib.min.js': '',
+      'src/gen/api.js': '',
+      'src/readme.md': '',
+      'legacy/old.js': '',
+      'legacy/keep.js': '',
+      'node_modules/dep/index.js': '',
+      'test/fixtures/bad.js': '',
+      'tmp/scratch.js': '',
+      'pkg/.gitignore': '# generated\n*.gen.js\n',
+      'pkg/a.js': '',
+      'pkg/a.gen.js': '',
+      '.gitignore': 'tmp/\n'
+    });
+    // `src/loop` points back at src: the walk must not recurse forever
+    await symlink(path.join(root, 'src'), path.join(root, 'src/loop'), 'dir');
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('applies the default excludes and guards against symlink loops', async () => {
+    assert.deepStrictEqual(await list(root, {}), {
+      files: ['legacy/keep.js', 'legacy/old.js', 'pkg/a.gen.js', 'pkg/a.js', 'src/app.js', 'src/gen/api.js', 'tmp/scratch.js'],
+      excluded: [
+        'node_modules/ <- exclude "node_modules/" (default)',
+        'src/loop/ <- symlink to an already scanned directory (src/)',
+        'src/vendor/lib.min.js <- exclude "*.min.js" (default)',
+        'test/fixtures/ <- exclude "**/test/fixtures/" (default)'
+      ]
+    });
+  });
+
+  it('filters by include, adds excludes and re-includes defaults with !', async () => {
+    const { files, excluded } = await list(root, {
+      include: ['src/', 'legacy/', 'test/'],
+      exclude: ['src/gen/**', '!**/test/fixtures/']
+    });
+    assert.deepStrictEqual(files, ['legacy/keep.js', 'legacy/old.js', 'src/app.js', 'test/fixtures/bad.js']);
+    assert.ok(excluded.includes('src/gen/ <- exclude "src/gen/**" (aocs.json)'));
+    assert.ok(excluded.includes('pkg/a.js <- not matched by include'));
+  });
+
+  it('drops files matched by a negated include pattern', async () => {
+    const { files, excluded } = await list(root, { include: ['src/', 'legacy/', '!legacy/old.js', '!src/gen/'] });
+    assert.deepStrictEqual(files, ['legacy/keep.js', 'src/app.js']);
+    assert.ok(excluded.includes('legacy/old.js <- include "!legacy/old.js" (aocs.json)'));
+    assert.ok(excluded.includes('src/gen/api.js <- include "!src/gen/" (aocs.json)'));
+  });
+
+  it('honors root and nested .gitignore files when asked to', async () => {
+    const { files, excluded } = await list(root, { gitignore: true });
+    assert.ok(!files.includes('tmp/scratch.js') && !files.includes('pkg/a.gen.js'));
+    assert.ok(excluded.includes('tmp/ <- .gitignore "tmp/" (.gitignore:1)'));
+    assert.ok(excluded.includes('pkg/a.gen.js <- .gitignore "*.gen.js" (pkg/.gitignore:2)'));
+  });
+
+  it('rejects include/exclude values that are not glob lists', async () => {
+    await writeFile(path.join(root, 'aocs.json'), JSON.stringify({ aocsVersion: '0.8', languages: ['javascript'], mode: 'strict', exclude: 'dist' }), 'utf-8');
+    assert.deepStrictEqual((await listProjectFiles(root)).errors, ['aocs.json:1:75: /exclude must be an array (found string)']);
+  });
+});
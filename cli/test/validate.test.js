@@ -1,9 +1,12 @@
 // AOCS-ROLE: pure-logic
 // AOCS-INPUTS: test fixtures
 // AOCS-OUTPUTS: test results
-import { describe, it } from 'node:test';
+import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
-import { validate } from '../src/index.js';
+import { validate, formatResults, formatTiming } from '../src/index.js';
+import { createFileCache } from '../src/core/file-cache.js';
+import { mapConcurrent } from '../src/core/pool.js';
+import { parseSource } from '../src/core/js-parser.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
@@ -19,4 +22,137 @@ describe('aocs validate', () => {
     const result = await validate(path.join(__dirname, 'fixtures/invalid'));
     assert.ok(result.failed > 0);
   });
+
+  it('reports configuration errors at their aocs.json position', async () => {
+    const result = await validate(path.join(__dirname, 'fixtures/invalid'));
+    assert.deepStrictEqual(result.violations[0], {
+      file: 'aocs.json',
+      line: 1,
+      column: 1,
+      message: '(root) is missing required property "languages"',
+      ruleId: 'config-load',
+      severity: 'error'
+    });
+    const [run] = JSON.parse(formatResults(result.results, 'sarif')).runs;
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 1, startColumn: 1 });
+    assert.match(formatResults(result.results, 'github'), /^::error file=aocs\.json,line=1,col=1,title=config-load::/);
+  });
+
+  it('never prints unless a reporter is passed', async () => {
+    const log = mock.method(console, 'log', () => {});
+    try {
+      await validate(path.join(__dirname, 'fixtures/invalid'));
+      assert.strictEqual(log.mock.callCount(), 0);
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  it('runs selected and custom rules against an explicit file list', async () => {
+    const seen = [];
+    const custom = {
+      id: 'X1-custom',
+      name: 'Custom rule',
+      level: 'warn',
+      check: async (projectPath, config, files) => {
+        seen.push(...files);
+        return { violations: [{ file: 'src/example.js', line: 1, message: 'custom finding' }] };
+      }
+    };
+    const result = await validate(path.join(__dirname, 'fixtures/valid'), {
+      rules: ['U2-contracts', custom],
+      files: ['src/example.js']
+    });
+
+    assert.deepStrictEqual(result.results.map(r => r.id), ['U2-contracts', 'X1-custom']);
+    assert.deepStrictEqual(seen, [path.join(__dirname, 'fixtures/valid/src/example.js')]);
+    assert.deepStrictEqual(result.violations, [
+      { file: 'src/example.js', line: 1, message: 'custom finding', ruleId: 'X1-custom', severity: 'warn' }
+    ]);
+    assert.strictEqual(result.warnings, 1);
+  });
+
+  it('rejects unknown rule ids', async () => {
+    await assert.rejects(
+      validate(path.join(__dirname, 'fixtures/valid'), { rules: ['U99-nope'] }),
+      /Unknown rule id: U99-nope/
+    );
+  });
+
+  it('calls a custom reporter with the results', async () => {
+    let received = null;
+    const result = await validate(path.join(__dirname, 'fixtures/valid'), { reporter: r => { received = r; } });
+    assert.strictEqual(received, result.results);
+  });
+});
+
+describe('shared file cache and rule pool', () => {
+  const valid = path.join(__dirname, 'fixtures/valid');
+  const example = path.join(valid, 'src/example.js');
+
+  it('reads and parses each file once, keyed by parser', async () => {
+    const cache = createFileCache();
+    const [first, second] = await Promise.all([cache.parse(example, parseSource), cache.parse(example, parseSource)]);
+    assert.strictEqual(first, second);
+    assert.strictEqual((await cache.lines(example)).join('\n'), await cache.read(example));
+    assert.strictEqual(cache.stats().reads, 1);
+    assert.strictEqual(cache.stats().parses, 2);
+  });
+
+  it('keeps results in input order with at most limit workers in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapConcurrent([30, 10, 20, 0, 5], 2, async (delay, i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return i;
+    });
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+    assert.strictEqual(peak, 2);
+  });
+
+  it('hands every rule the same cache and reads each file once per run', async () => {
+    const caches = new Set();
+    // @contract: (id:str) -> object
+    // @pure: false
+    const spy = id => ({
+      id,
+      name: id,
+      level: 'warn',
+      check: async (projectPath, config, files, cache) => {
+        caches.add(cache);
+        await Promise.all(files.map(f => cache.parse(f, parseSource)));
+        return { violations: [] };
+      }
+    });
+    const result = await validate(valid, { rules: ['U2-contracts', spy('X1-a'), spy('X2-b'), 'U2-purity'] });
+    assert.strictEqual(caches.size, 1);
+    assert.strictEqual(result.timing.cache.reads, (await validate(valid, { rules: [spy('X3-c')] })).timing.cache.reads);
+    assert.deepStrictEqual(result.timing.rules.map(r => r.id), ['U2-contracts', 'X1-a', 'X2-b', 'U2-purity']);
+  });
+
+  it('reports the same results whatever the concurrency', async () => {
+    const invalid = path.join(__dirname, 'fixtures/invalid');
+    const serial = await validate(invalid, { concurrency: 1 });
+    const parallel = await validate(invalid, { concurrency: 8 });
+    assert.deepStrictEqual(parallel.results, serial.results);
+    await assert.rejects(validate(invalid, { concurrency: 0 }), /concurrency must be a positive integer/);
+  });
+
+  it('formats per-rule timing slowest first', () => {
+    const text = formatTiming({
+      totalMs: 12.34,
+      concurrency: 4,
+      rules: [{ id: 'U2-contracts', ms: 1 }, { id: 'U9-file-roles', ms: 10.26 }],
+      cache: { reads: 3, parses: 2, hits: 7 }
+    });
+    assert.deepStrictEqual(text.split('\n'), [
+      'Timing: 12.3ms total, 2 rule(s), up to 4 at a time',
+      '  U9-file-roles     10.3ms',
+      '  U2-contracts       1.0ms',
+      'File cache: 3 read(s), 2 parse(s), 7 served from cache'
+    ]);
+  });
 });
@@ -0,0 +1,145 @@
+// AOCS-ROLE: io-boundary
+// AOCS-INPUTS: temporary projects, filesystem events
+// AOCS-OUTPUTS: test results
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { watchProject, baselineProject } from '../src/index.js';
+import { diffViolations } from '../src/core/violation-diff.js';
+
+describe('violation diff', () => {
+  const v = (message, line, file = 'src/a.js') => ({ ruleId: 'U2-contracts', severity: 'error', file, line, message });
+
+  it('ignores moved violations and counts repeats', () => {
+    const before = [v('missing contract', 3), v('missing contract', 9), v('other', 1, 'src/b.js')];
+    const after = [v('missing contract', 5), v('missing contract', 11), v('missing contract', 20)];
+    assert.deepStrictEqual(diffViolations(before, after), {
+      added: [v('missing contract', 20)],
+      resolved: [v('other', 1, 'src/b.js')]
+    });
+  });
+
+  it('reports a severity change as resolved and new', () => {
+    const diff = diffViolations([v('x', 1)], [{ ...v('x', 1), severity: 'warn' }]);
+    assert.strictEqual(diff.added[0].severity, 'warn');
+    assert.strictEqual(diff.resolved[0].severity, 'error');
+  });
+});
+
+describe('watchProject', () => {
+  let root;
+  let watcher;
+  const runs = [];
+  let waiting = null;
+
+  // Resolves with the first run that satisfies done, so slow filesystems may split a change in two
+  // @contract: (done?:function) -> Promise<object>
+  // @pure: false
+  const nextRun = (done = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('no matching run within 5s')), 5000);
+    waiting = run => {
+      if (!done(run)) return;
+      clearTimeout(timer);
+      waiting = null;
+      resolve(run);
+    };
+  });
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'aocs-watch-'));
+    await mkdir(path.join(root, 'src'));
+    await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "strict"}', 'utf-8');
+    await writeFile(path.join(root, 'README.agent.md'), '# Agent notes\n', 'utf-8');
+    await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\nexport const a = 1;\n', 'utf-8');
+    watcher = watchProject(root, {
+      debounceMs: 50,
+      onRun: run => {
+        runs.push(run);
+        if (waiting) waiting(run);
+      }
+    });
+    await watcher.ready;
+  });
+  after(async () => {
+    watcher.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('reports the first run in full', () => {
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].diff, null);
+    assert.deepStrictEqual(runs[0].changed, []);
+  });
+
+  it('debounces a burst of edits into one run with the new violations', async () => {
+    const next = nextRun(r => r.changed.includes('src/a.js'));
+    await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\nexport function a() {}\n', 'utf-8');
+    await writeFile(path.join(root, 'src/a.js'), '// AOCS-ROLE: pure-logic\nexport function a() {}\nexport function b() {}\n', 'utf-8');
+    const run = await next;
+    assert.deepStrictEqual(run.changed, ['src/a.js']);
+    assert.deepStrictEqual(run.diff.added.map(v => `${v.ruleId}:${v.line}`), ['U2-contracts:2', 'U2-contracts:3']);
+    assert.deepStrictEqual(run.diff.resolved, []);
+    assert.strictEqual(run.reload, false);
+  });
+
+  it('picks up files in new directories and resolves their violations when removed', async () => {
+    let next = nextRun(r => r.changed.includes('src/sub/c.js'));
+    await mkdir(path.join(root, 'src/sub'));
+    await writeFile(path.join(root, 'src/sub/c.js'), 'export const c = 1;\n', 'utf-8');
+    let run = await next;
+    assert.ok(run.changed.includes('src/sub/c.js'));
+    assert.ok(run.diff.added.some(v => v.ruleId === 'U9-file-roles' && v.file === path.join('src', 'sub', 'c.js')));
+
+    next = nextRun(r => r.diff.resolved.length > 0);
+    await rm(path.join(root, 'src/sub'), { recursive: true });
+    run = await next;
+    assert.ok(run.diff.resolved.some(v => v.ruleId === 'U9-file-roles'));
+    assert.deepStrictEqual(run.diff.added, []);
+  });
+
+  it('reloads aocs.json and re-applies the profile', async () => {
+    const next = nextRun(r => r.reload);
+    await writeFile(path.join(root, 'aocs.json'), '{"aocsVersion": "0.8", "languages": ["javascript"], "mode": "lite"}', 'utf-8');
+    const run = await next;
+    assert.strictEqual(run.reload, true);
+    assert.deepStrictEqual(run.result.profile, { mode: 'lite', source: 'aocs.json' });
+    assert.deepStrictEqual(run.diff.added.map(v => v.severity), ['warn', 'warn']);
+    assert.deepStrictEqual(run.diff.resolved.map(v => v.severity), ['error', 'error']);
+  });
+
+  it('re-runs when aocs-baseline.json changes', async () => {
+    const next = nextRun(r => r.changed.includes('aocs-baseline.json'));
+    await baselineProject(root);
+    const run = await next;
+    assert.ok(run.result.baseline.matched > 0);
+    assert.deepStrictEqual(run.diff.added, []);
+    assert.ok(run.diff.resolved.length > 0);
+  });
+
+  it('watches plugin modules and re-runs with their new code', async () => {
+    // A file-scoped rule whose message is the only thing that changes between versions
+    // @contract: (message:str) -> str
+    // @pure: true
+    const plugin = message => [
+      'export const aocsPluginApi = 1;',
+      'export const rules = [{ id: "P1-marker", name: "Marker", level: "warn", scope: "file",',
+      `  check: async (projectPath, config, files) => ({ violations: files.map(f => ({ file: f.slice(projectPath.length + 1), line: 1, message: "${message}" })) }) }];`,
+      ''
+    ].join('\n');
+    // tools/ is excluded, so the plugin is watched only because aocs.json names it
+    await mkdir(path.join(root, 'tools'));
+    await writeFile(path.join(root, 'tools/plugin.js'), plugin('first'), 'utf-8');
+    let next = nextRun(r => r.reload);
+    await writeFile(path.join(root, 'aocs.json'), JSON.stringify({ aocsVersion: '0.8', languages: ['javascript'], mode: 'lite', exclude: ['tools/'], plugins: ['./tools/plugin.js'] }), 'utf-8');
+    let run = await next;
+    assert.ok(run.diff.added.some(v => v.ruleId === 'P1-marker' && v.message === 'first'));
+
+    next = nextRun(r => r.changed.includes('tools/plugin.js'));
+    await writeFile(path.join(root, 'tools/plugin.js'), plugin('second'), 'utf-8');
+    run = await next;
+    assert.deepStrictEqual(run.diff.added.map(v => v.message), ['second']);
+    assert.deepStrictEqual(run.diff.resolved.map(v => v.message), ['first']);
+  });
+});